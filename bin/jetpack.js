@@ -1,17 +1,31 @@
 #!/usr/bin/env node
 
 const { program } = require('commander');
+const logger = require('../src/ui/logger');
 
 // Import commands
 const initCommand = require('../src/cli/commands/init');
 const verifyCommand = require('../src/cli/commands/verify');
 const rollbackCommand = require('../src/cli/commands/rollback');
+const statusCommand = require('../src/cli/commands/status');
+const doctorCommand = require('../src/cli/commands/doctor');
+const validateCommand = require('../src/cli/commands/validate');
+const planCommand = require('../src/cli/commands/plan');
+const supportBundleCommand = require('../src/cli/commands/support-bundle');
 
 // Configure CLI
 program
   .name('jetpack')
   .version('1.0.0')
-  .description('🚀 Zero-config developer onboarding orchestrator powered by GitHub Copilot CLI');
+  .description('🚀 Zero-config developer onboarding orchestrator powered by GitHub Copilot CLI')
+  .option('--json', 'Print a single machine-readable JSON result instead of human output');
+
+// --json: silence human logging so stdout only carries the result document
+program.hook('preAction', () => {
+  if (program.opts().json) {
+    logger.setTransport({ log() {} });
+  }
+});
 
 // jetpack init <repo-url>
 program
@@ -20,11 +34,34 @@ program
   .option('-m, --manifest <file>', 'Path to .onboard.yaml manifest', '.onboard.yaml')
   .option('--no-cache', 'Skip manifest cache, always fetch fresh')
   .option('--skip-install', 'Skip dependency installation')
+  .option('--only <steps>', 'Run only these steps (environment,manifest,runtimes,dependencies,setup,config,docs,verify)')
+  .option('--skip <steps>', 'Skip these steps (comma-separated step ids)')
   .option('--dry-run', 'Show what would be installed without executing')
+  .option('--concurrency <n>', 'Install phases (npm, Python) to run at the same time; 1 runs them one after another')
+  .option('--auto-resolve', 'Run the fixes Copilot suggests for dependency conflicts without asking')
+  .option('--resume', 'Resume a failed run from the step that failed')
+  .option('--profile <name>', 'Apply a profile from the manifest (e.g. frontend, backend)')
   .option('--copilot-generate', 'Generate manifest using Copilot (for local repos)')
   .action(async (repoUrl, options) => {
     try {
-      await initCommand(repoUrl, options);
+      await initCommand(repoUrl, { ...options, json: program.opts().json });
+    } catch (error) {
+      console.error('❌ Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+// jetpack plan [repo-url]
+program
+  .command('plan [repo-url]')
+  .description('Show what init would install or change on this machine, without changing it')
+  .option('-m, --manifest <file>', 'Path to .onboard.yaml manifest', '.onboard.yaml')
+  .option('--no-cache', 'Skip manifest cache, always fetch fresh')
+  .option('--profile <name>', 'Apply a profile from the manifest (e.g. frontend, backend)')
+  .option('-o, --output <file>', 'Also write the plan as JSON to a file')
+  .action(async (repoUrl, options) => {
+    try {
+      await planCommand(repoUrl, { ...options, json: program.opts().json });
     } catch (error) {
       console.error('❌ Error:', error.message);
       process.exit(1);
@@ -63,7 +100,62 @@ program
   .option('--copilot-troubleshoot', 'Use GitHub Copilot to analyze failures')
   .action(async (options) => {
     try {
-      await verifyCommand(options);
+      await verifyCommand({ ...options, json: program.opts().json });
+    } catch (error) {
+      console.error('❌ Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+// jetpack doctor
+program
+  .command('doctor')
+  .description('Check the environment for problems before onboarding')
+  .action(async (options) => {
+    try {
+      await doctorCommand({ ...options, json: program.opts().json });
+    } catch (error) {
+      console.error('❌ Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+// jetpack validate
+program
+  .command('validate [file]')
+  .description('Lint an .onboard.yaml manifest (exits non-zero on errors)')
+  .option('--strict', 'Treat warnings as errors')
+  .option('--offline', 'Skip checks that need the network')
+  .action(async (file, options) => {
+    try {
+      await validateCommand(file, { ...options, json: program.opts().json });
+    } catch (error) {
+      console.error('❌ Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+// jetpack status
+program
+  .command('status')
+  .description('Show the current onboarding state')
+  .action(async (options) => {
+    try {
+      await statusCommand({ ...options, json: program.opts().json });
+    } catch (error) {
+      console.error('❌ Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+// jetpack support-bundle
+program
+  .command('support-bundle')
+  .description('Package state, environment, manifest, verification and logs into a redacted tar.gz')
+  .option('-o, --output <file>', 'Archive path (default: .jetpack/support/jetpack-support-<time>.tar.gz)')
+  .action(async (options) => {
+    try {
+      await supportBundleCommand({ ...options, json: program.opts().json });
     } catch (error) {
       console.error('❌ Error:', error.message);
       process.exit(1);
@@ -76,12 +168,13 @@ program
   .description('Rollback all Jetpack changes')
   .option('--check-risks', 'Use Copilot to analyze rollback risks')
   .option('--dry-run', 'Preview changes without executing')
-  .option('--partial <phases>', 'Rollback specific phases (docs,config,ssh,git,dependencies)')
+  .option('--partial <phases>', 'Rollback specific phases (docs,config,ssh,git,dependencies,runtimes,plugins)')
   .option('--unsafe', 'Allow package uninstallation')
   .option('--force', 'Skip safety checks (dangerous)')
+  .option('-y, --yes', 'Skip the confirmation prompt')
   .action(async (options) => {
     try {
-      await rollbackCommand(options);
+      await rollbackCommand({ ...options, json: program.opts().json });
     } catch (error) {
       console.error('❌ Error:', error.message);
       process.exit(1);
@@ -0,0 +1,56 @@
+const logger = require('../../ui/logger');
+const preflightChecker = require('../../detectors/preflight-checker');
+
+const STATUS_ICONS = {
+  ok: '✓',
+  warning: '⚠',
+  error: '✗',
+  skipped: '→'
+};
+
+/**
+ * Run preflight diagnostics before anything is changed
+ * @param {object} options - Command options
+ */
+async function doctor(options = {}) {
+  logger.header('🩺 Jetpack CLI - Doctor');
+  logger.info('Checking your environment before onboarding...');
+  logger.newLine();
+
+  const report = await preflightChecker.run({ cwd: process.cwd() });
+
+  if (options.json) {
+    logger.json({ command: 'doctor', ...report });
+  }
+
+  report.checks.forEach(check => {
+    const line = `${STATUS_ICONS[check.status]} ${check.name}: ${check.message}`;
+
+    if (check.status === 'ok') {
+      logger.success(line);
+    } else if (check.status === 'warning') {
+      logger.warning(line);
+    } else if (check.status === 'error') {
+      logger.error(line);
+    } else {
+      logger.info(line);
+    }
+
+    if (check.fix) {
+      logger.info(`   Fix: ${check.fix}`);
+    }
+  });
+
+  logger.newLine();
+  const { summary } = report;
+  logger.info(`${summary.ok} ok, ${summary.warning} warning(s), ${summary.error} error(s), ${summary.skipped} skipped`);
+
+  if (!report.success) {
+    logger.error('❌ Fix the errors above before running jetpack init');
+    process.exit(1);
+  }
+
+  logger.success('✅ Ready for jetpack init');
+}
+
+module.exports = doctor;
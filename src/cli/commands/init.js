@@ -1,8 +1,11 @@
+const path = require('path');
 const logger = require('../../ui/logger');
 const orchestrator = require('../../core/orchestrator');
+const stateManager = require('../../core/state-manager');
 const envAnalyzer = require('../../detectors/env-analyzer');
 const manifestFetcher = require('../../core/manifest-fetcher');
 const { parseManifestFromString } = require('../../detectors/manifest-parser');
+const planBuilder = require('../../core/plan-builder');
 
 /**
  * Initialize developer onboarding from repository
@@ -17,12 +20,18 @@ async function init(repoUrl, options) {
     logger.warning('⚠️  DRY RUN MODE - No changes will be made');
   }
 
+  if (options.resume) {
+    logger.info('Resume: Continuing from last failed step (--resume)');
+  }
+
   if (options.cache === false) {
     logger.info('Cache: Disabled (--no-cache)');
   }
 
   logger.newLine();
 
+  let runOptions = null;
+
   try {
     // Step 1: Validate repository URL
     logger.step(1, 'Validating repository URL');
@@ -73,35 +82,80 @@ async function init(repoUrl, options) {
       manifestContent = manifestData.content;
     }
 
-    // Parse manifest content
-    const manifest = parseManifestFromString(manifestContent);
+    // Parse manifest content; relative extends/include resolve next to the manifest
+    const parseOptions = {
+      baseDir: manifestData.source === 'local' ? path.dirname(path.resolve(manifestData.filename)) : process.cwd(),
+      baseUrl: manifestData.baseUrl
+    };
+    let manifest = parseManifestFromString(manifestContent, { ...parseOptions, profile: getKnownProfile(options) });
+
+    // Without --profile (or a previous run to continue), offer the manifest's profiles
+    if (!manifest.metadata.profile && manifest.profiles.length > 0) {
+      const profile = await promptForProfile(manifest.profiles, options);
+      if (profile) {
+        manifest = parseManifestFromString(manifestContent, { ...parseOptions, profile });
+      }
+    }
+
+    const profile = manifest.metadata.profile;
+    const manifestHash = manifest.metadata.hash;
     logger.success(`✓ Manifest parsed: ${manifest.name}`);
     logger.info(`  Source: ${manifestData.source}`);
     logger.info(`  File: ${manifestData.filename}`);
+    if (manifest.metadata.sources.length > 0) {
+      logger.info(`  Composed from: ${manifest.metadata.sources.join(', ')}`);
+    }
+    if (profile) {
+      logger.info(`  Profile: ${profile}`);
+    }
+
+    // Steps skipped by --only/--skip reuse results from the previous run
+    let previousState = null;
+    if (options.only || options.skip) {
+      const selection = orchestrator.resolveStepSelection(options, orchestrator.getSteps({ manifest }));
+      logger.info(`  Steps: ${[...selection].join(', ')}`);
+      previousState = stateManager.load();
+    }
+
+    // Resume requires the failed run's state and an unchanged manifest
+    let resumeState = null;
+    if (options.resume) {
+      resumeState = orchestrator.loadResumableState(manifestHash, profile);
+      logger.info(`  Resuming failed run from: ${new Date(resumeState.timestamp).toLocaleString()}`);
+      if (resumeState.error && resumeState.error.step) {
+        logger.info(`  Failed step: ${resumeState.error.step}`);
+      }
+    }
 
     // Step 3: Detect environment
     logger.step(3, 'Detecting system environment');
     const environment = await envAnalyzer.detect();
     logger.success(`✓ Detected: ${environment.os} | Node ${environment.nodeVersion} | ${environment.shell}`);
 
+    // Same preview as `jetpack plan`: what is missing, outdated or already present
     if (options.dryRun) {
-      logger.newLine();
-      logger.info('📋 DRY RUN - Manifest Summary:');
-      logger.info(`  Project: ${manifest.name}`);
-      if (manifest.description) {
-        logger.info(`  Description: ${manifest.description}`);
-      }
-      logger.info(`  System Dependencies: ${manifest.dependencies.system.length}`);
-      logger.info(`  NPM Packages: ${manifest.dependencies.npm.length}`);
-      logger.info(`  Python Packages: ${manifest.dependencies.python.length}`);
-      logger.info(`  Required Env Vars: ${manifest.environment.required.length}`);
-      logger.info(`  Setup Steps: ${manifest.setupSteps.length}`);
-      logger.newLine();
+      const plan = await planBuilder.build(manifest, environment, { cwd: process.cwd() });
+      logger.print(planBuilder.formatPlan(plan));
     }
 
     // Step 4: Run orchestrator with parsed manifest
     logger.step(4, 'Starting onboarding workflow');
-    await orchestrator.run(repoUrl, environment, { ...options, manifest });
+    runOptions = {
+      ...options,
+      manifest,
+      manifestHash,
+      profile,
+      manifestSource: { source: manifestData.source, filename: manifestData.filename },
+      resumeState,
+      previousState,
+      confirmResolution: canPrompt(options) ? confirmResolution : null
+    };
+    const state = await orchestrator.run(repoUrl, environment, runOptions);
+
+    if (options.json) {
+      logger.json(buildResult(repoUrl, options, state));
+      return;
+    }
 
     logger.newLine();
     logger.success('🎉 Onboarding complete! Your development environment is ready.');
@@ -109,14 +163,122 @@ async function init(repoUrl, options) {
     logger.info('  • Run: jetpack verify');
     logger.info('  • Check: .env file for required API keys');
     logger.info('  • Review: Generated README-QUICKSTART.md');
+    if (state.logs) {
+      logger.info(`\n📄 Command output: ${state.logs.dir}`);
+    }
 
   } catch (error) {
+    const failedState = runOptions && runOptions._state;
     logger.error('❌ Onboarding failed:', error.message);
-    logger.info('\nRollback available: jetpack rollback');
+    if (failedState && failedState.logs) {
+      logger.info(`\n📄 Command output: ${failedState.logs.dir}`);
+    }
+    logger.info('\nResume from the failed step: jetpack init <repo-url> --resume');
+    logger.info('Rollback available: jetpack rollback');
+
+    if (options.json) {
+      logger.json(buildResult(repoUrl, options, failedState, error));
+    }
     throw error;
   }
 }
 
+/**
+ * Build the --json result document for an init run
+ * @param {string} repoUrl - Repository URL
+ * @param {object} options - Command options
+ * @param {object|null} state - Workflow state (null if the workflow never started)
+ * @param {Error} error - Failure, if any
+ * @returns {object} Result document
+ */
+function buildResult(repoUrl, options, state, error = null) {
+  return {
+    command: 'init',
+    success: !error,
+    repoUrl,
+    dryRun: !!options.dryRun,
+    project: state && state.manifest ? state.manifest.name : null,
+    profile: state ? state.profile || null : null,
+    manifestHash: state ? state.manifestHash : null,
+    steps: state ? state.steps : [],
+    logs: state && state.logs ? state.logs.dir : null,
+    error: error ? { message: error.message, step: error.step || null } : null
+  };
+}
+
+/**
+ * Profile chosen without asking: --profile, or the one used by the run being
+ * resumed or partially re-run (--resume, --only, --skip)
+ * @param {object} options - Command options
+ * @returns {string|null} Profile name
+ */
+function getKnownProfile(options) {
+  if (options.profile) {
+    return options.profile;
+  }
+
+  if (options.resume || options.only || options.skip) {
+    const previousState = stateManager.load();
+    return (previousState && previousState.profile) || null;
+  }
+
+  return null;
+}
+
+/**
+ * Ask which profile to apply
+ * Only asked in an interactive terminal; --json runs and scripts get the base manifest.
+ * @param {Array<object>} profiles - Profiles { name, description } from the manifest
+ * @param {object} options - Command options
+ * @returns {Promise<string|null>} Profile name, or null for the base manifest
+ */
+async function promptForProfile(profiles, options) {
+  if (options.json || options.resume || options.only || options.skip || !process.stdin.isTTY) {
+    logger.info(`  Profiles available: ${profiles.map(p => p.name).join(', ')} (select with --profile)`);
+    return null;
+  }
+
+  // inquirer is an ES module
+  const { default: inquirer } = await import('inquirer');
+  const { profile } = await inquirer.prompt([{
+    type: 'list',
+    name: 'profile',
+    message: 'Which onboarding profile do you need?',
+    choices: [
+      ...profiles.map(p => ({ name: p.description ? `${p.name} - ${p.description}` : p.name, value: p.name })),
+      { name: 'none - base setup only', value: '' }
+    ]
+  }]);
+
+  return profile || null;
+}
+
+/**
+ * Check whether questions can be asked during the run
+ * @param {object} options - Command options
+ * @returns {boolean} True in an interactive terminal without --json or --auto-resolve
+ */
+function canPrompt(options) {
+  return !options.json && !options.autoResolve && Boolean(process.stdin.isTTY);
+}
+
+/**
+ * Ask whether to run the command Copilot suggests for a dependency conflict
+ * @param {object} resolution - { package, kind, command, explanation }
+ * @returns {Promise<boolean>} True to run it
+ */
+async function confirmResolution(resolution) {
+  const { default: inquirer } = await import('inquirer');
+  const { apply } = await inquirer.prompt([{
+    type: 'confirm',
+    name: 'apply',
+    message: `Run "${resolution.command}" to resolve the ${resolution.kind} of ${resolution.package}?`,
+    default: false
+  }]);
+
+  return apply;
+}
+
 /**
  * Validate GitHub repository URL format
  * @param {string} url - Repository URL to validate
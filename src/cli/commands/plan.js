@@ -0,0 +1,69 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../../ui/logger');
+const envAnalyzer = require('../../detectors/env-analyzer');
+const manifestFetcher = require('../../core/manifest-fetcher');
+const planBuilder = require('../../core/plan-builder');
+const { parseManifestFromString } = require('../../detectors/manifest-parser');
+
+/**
+ * Show what `jetpack init` would change on this machine, without changing it
+ * @param {string} repoUrl - GitHub repository URL, or '.' for the local manifest
+ * @param {object} options - Command options
+ */
+async function plan(repoUrl = '.', options = {}) {
+  logger.header('📋 Jetpack CLI - Plan');
+
+  try {
+    let content;
+    let parseOptions;
+
+    if (options.manifest && fs.existsSync(options.manifest)) {
+      logger.info(`Manifest: ${options.manifest}`);
+      content = fs.readFileSync(options.manifest, 'utf8');
+      parseOptions = { baseDir: path.dirname(path.resolve(options.manifest)) };
+    } else if (repoUrl === '.' || repoUrl === process.cwd()) {
+      throw new Error(`Manifest not found: ${options.manifest}`);
+    } else {
+      const manifestData = await manifestFetcher.fetchFromGitHub(repoUrl, { noCache: options.cache === false });
+      content = manifestData.content;
+      parseOptions = { baseDir: process.cwd(), baseUrl: manifestData.baseUrl };
+    }
+
+    const manifest = parseManifestFromString(content, { ...parseOptions, profile: options.profile });
+    if (!manifest.metadata.profile && manifest.profiles.length > 0) {
+      logger.info(`Profiles available: ${manifest.profiles.map(p => p.name).join(', ')} (select with --profile)`);
+    }
+
+    logger.info('Comparing the manifest with this machine...');
+    const environment = await envAnalyzer.detect();
+    const result = await planBuilder.build(manifest, environment, { cwd: process.cwd() });
+
+    if (options.output) {
+      fs.writeFileSync(options.output, JSON.stringify(result, null, 2) + '\n', 'utf8');
+    }
+
+    if (options.json) {
+      logger.json({ command: 'plan', success: true, ...result, error: null });
+      return;
+    }
+
+    logger.print(planBuilder.formatPlan(result));
+
+    if (options.output) {
+      logger.success(`✓ Plan saved to ${options.output}`);
+    }
+    if (result.summary.unsupported > 0) {
+      logger.warning('⚠️  Items marked ! will not be handled by jetpack init on this machine');
+    }
+    logger.info('Apply the plan: jetpack init <repo-url>');
+  } catch (error) {
+    logger.error('❌ Planning failed:', error.message);
+    if (options.json) {
+      logger.json({ command: 'plan', success: false, error: { message: error.message } });
+    }
+    process.exit(1);
+  }
+}
+
+module.exports = plan;
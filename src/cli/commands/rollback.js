@@ -17,13 +17,19 @@ const rollbackOrchestrator = require('../../rollback/rollback-orchestrator');
  * - --partial: Rollback specific phases only
  * - --unsafe: Allow package uninstallation
  * - --force: Skip safety checks (dangerous)
+ * - --yes: Skip the confirmation prompt
+ * - --json: Print a single JSON result document
  */
 async function rollback(options = {}) {
   try {
-    // Check if state exists
+    // Nothing to roll back is not an error
     if (!stateManager.exists()) {
+      if (options.json) {
+        logger.json({ ...buildResult(options, { success: true }), rolledBack: false, reason: 'no-state' });
+        return;
+      }
       logger.error('No Jetpack installation found to rollback');
-      logger.info('Run "jetpack install" first');
+      logger.info('Run "jetpack init" first');
       return;
     }
 
@@ -35,8 +41,15 @@ async function rollback(options = {}) {
       force: options.force || false
     };
 
-    // Confirm if not dry-run and not forced
-    if (!rollbackOptions.dryRun && !rollbackOptions.force) {
+    const needsConfirmation = !rollbackOptions.dryRun && !rollbackOptions.force && !options.yes;
+
+    // --json output is for scripts, which cannot answer the prompt
+    if (needsConfirmation && options.json) {
+      throw new Error('Confirmation required: use --yes to roll back or --dry-run to preview');
+    }
+
+    // Confirm if not dry-run, not forced and not pre-confirmed
+    if (needsConfirmation) {
       if (options.checkRisks) {
         logger.newLine();
         logger.info('🤖 Analyzing rollback risks with Copilot...');
@@ -88,6 +101,10 @@ async function rollback(options = {}) {
     // Execute rollback
     const result = await rollbackOrchestrator.rollback(rollbackOptions);
 
+    if (options.json) {
+      logger.json(buildResult(rollbackOptions, result));
+    }
+
     if (result.success) {
       logger.newLine();
       logger.success('✓ Rollback completed successfully');
@@ -103,8 +120,29 @@ async function rollback(options = {}) {
 
   } catch (error) {
     logger.error('Rollback failed:', error.message);
+    if (options.json) {
+      logger.json(buildResult(options, { success: false, errors: [error.message] }));
+    }
     process.exit(1);
   }
 }
 
+/**
+ * Build the --json result document for a rollback run
+ * @param {object} options - Rollback options
+ * @param {object} result - Result from the rollback orchestrator
+ * @returns {object} Result document
+ */
+function buildResult(options, result) {
+  return {
+    command: 'rollback',
+    success: result.success,
+    dryRun: !!options.dryRun,
+    partial: options.partial || null,
+    results: result.results || null,
+    timeTaken: result.timeTaken || null,
+    errors: result.errors || []
+  };
+}
+
 module.exports = rollback;
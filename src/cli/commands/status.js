@@ -0,0 +1,122 @@
+const logger = require('../../ui/logger');
+const stateManager = require('../../core/state-manager');
+const stateSummary = require('../../core/state-summary');
+
+const STATUS_ICONS = {
+  completed: '✓',
+  skipped: '→',
+  failed: '✗'
+};
+
+/**
+ * Show the current onboarding state from .jetpack-state.json
+ * @param {object} options - Command options
+ */
+async function status(options = {}) {
+  const state = stateManager.load();
+
+  if (!state) {
+    logger.warning('⚠️  No installation state found');
+    logger.info('Run: jetpack init <repo-url> first');
+    if (options.json) {
+      logger.json({ command: 'status', success: false, error: { message: 'No installation state found' } });
+    }
+    process.exit(1);
+  }
+
+  const summary = stateSummary.summarize(state);
+
+  if (options.json) {
+    logger.json({ command: 'status', success: true, ...summary });
+    return;
+  }
+
+  logger.header('📍 Jetpack CLI - Status');
+
+  // Project and last run
+  const { project, run } = summary;
+  logger.info(`Project: ${project.name || 'unknown'}`);
+  if (project.repoUrl) {
+    logger.info(`Repository: ${project.repoUrl}`);
+  }
+  if (project.source) {
+    logger.info(`Manifest: ${project.filename || 'unknown'} (${project.source})`);
+  }
+  if (project.profile) {
+    logger.info(`Profile: ${project.profile}`);
+  }
+  logger.info(`Last run: ${formatTime(run.startedAt)}${run.resumedAt ? ` (resumed ${formatTime(run.resumedAt)})` : ''}`);
+
+  if (run.status === 'completed') {
+    logger.success('✅ Onboarding completed');
+  } else if (run.status === 'failed') {
+    logger.error(`❌ Onboarding failed at: ${run.error.step || 'unknown step'}`);
+    logger.error(`   ${run.error.message}`);
+    logger.info('   Resume with: jetpack init <repo-url> --resume');
+  } else {
+    logger.warning('⚠️  Onboarding did not finish');
+  }
+  if (run.logs) {
+    logger.info(`📄 Command output: ${run.logs}`);
+  }
+  logger.newLine();
+
+  // Steps
+  logger.info('Steps:');
+  summary.steps.forEach(step => {
+    const line = `  ${STATUS_ICONS[step.status] || '•'} ${step.id.padEnd(14)} ${step.status.padEnd(10)} ${formatTime(step.timestamp)}`;
+    if (step.status === 'failed') {
+      logger.error(`${line}  ${step.error}`);
+      step.logs.forEach(log => logger.info(`     📄 ${log}`));
+    } else {
+      logger.info(line);
+    }
+  });
+  logger.newLine();
+
+  // What Jetpack created
+  const { packages, files } = summary;
+  logger.info(`Packages installed by Jetpack: ${packages.installed.length}`);
+  packages.installed.forEach(pkg => logger.info(`  • ${pkg.name} (${pkg.type})`));
+  if (packages.alreadyPresent.length > 0) {
+    logger.info(`Packages already present: ${packages.alreadyPresent.length}`);
+  }
+  logger.info(`Files created: ${files.length}`);
+  files.forEach(file => logger.info(`  • ${file}`));
+  if (summary.plugins.length > 0) {
+    logger.info(`Plugin steps tracked: ${summary.plugins.join(', ')}`);
+  }
+  logger.newLine();
+
+  // Verification
+  const { verification } = summary;
+  if (verification) {
+    const counts = verification.summary || {};
+    const message = `Last verification: ${formatTime(verification.timestamp)} - ${counts.passed || 0}/${counts.total || 0} passed`;
+    if (verification.success) {
+      logger.success(`✓ ${message}`);
+    } else {
+      logger.warning(`⚠ ${message}`);
+    }
+  } else {
+    logger.info('Last verification: never (run: jetpack verify)');
+  }
+
+  // Rollback
+  if (summary.rollback.available) {
+    logger.info('Rollback: available (run: jetpack rollback --dry-run to preview)');
+  } else {
+    logger.info(`Rollback: not available - ${summary.rollback.reason}`);
+  }
+}
+
+/**
+ * Format an ISO timestamp for display
+ * @param {string|null} timestamp - ISO timestamp
+ * @returns {string}
+ */
+function formatTime(timestamp) {
+  return timestamp ? new Date(timestamp).toLocaleString() : '-';
+}
+
+module.exports = status;
@@ -0,0 +1,37 @@
+const path = require('path');
+const logger = require('../../ui/logger');
+const envAnalyzer = require('../../detectors/env-analyzer');
+const supportBundle = require('../../core/support-bundle');
+
+/**
+ * Package state, environment, manifest, verification and logs into a
+ * redacted tar.gz for a support request
+ * @param {object} options - Command options
+ */
+async function supportBundleCommand(options = {}) {
+  logger.header('🧳 Jetpack CLI - Support Bundle');
+
+  const cwd = process.cwd();
+  const environment = await envAnalyzer.detect();
+  const bundle = supportBundle.collect({ cwd, environment });
+  const archivePath = supportBundle.write(bundle, options.output || supportBundle.getDefaultPath(cwd, bundle));
+
+  if (options.json) {
+    logger.json({
+      command: 'support-bundle',
+      success: true,
+      path: archivePath,
+      files: bundle.files.map(file => file.path),
+      redactions: bundle.redactions
+    });
+    return;
+  }
+
+  bundle.files.forEach(file => logger.info(`  + ${file.path}`));
+  logger.newLine();
+  logger.info(`🔒 Redacted ${bundle.redactions} secret value(s)`);
+  logger.success(`✅ Created ${path.relative(cwd, archivePath) || archivePath}`);
+  logger.info('Review SUMMARY.md in the archive, then attach it to your support request.');
+}
+
+module.exports = supportBundleCommand;
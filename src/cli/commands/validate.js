@@ -0,0 +1,66 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../../ui/logger');
+const manifestLinter = require('../../detectors/manifest-linter');
+
+/**
+ * Lint a manifest without running anything
+ * Exits non-zero on errors (and on warnings with --strict) so CI can gate manifest changes.
+ * @param {string} file - Manifest path (default: .onboard.yaml)
+ * @param {object} options - Command options
+ */
+async function validate(file = '.onboard.yaml', options = {}) {
+  const manifestPath = path.resolve(process.cwd(), file);
+
+  if (!fs.existsSync(manifestPath)) {
+    logger.error(`❌ Manifest not found: ${file}`);
+    if (options.json) {
+      logger.json({ command: 'validate', success: false, file, error: { message: `Manifest not found: ${file}` } });
+    }
+    process.exit(1);
+  }
+
+  logger.header('🔎 Jetpack CLI - Validate');
+  logger.info(`Linting ${file}...`);
+  if (options.offline) {
+    logger.info('Offline mode: skipping URL reachability checks');
+  }
+  logger.newLine();
+
+  const content = fs.readFileSync(manifestPath, 'utf8');
+  const result = await manifestLinter.lint(content, { offline: options.offline, filePath: manifestPath });
+  const failed = result.errors.length > 0 || (options.strict && result.warnings.length > 0);
+
+  if (options.json) {
+    logger.json({ command: 'validate', success: !failed, file, errors: result.errors, warnings: result.warnings });
+  }
+
+  [...result.errors, ...result.warnings]
+    .sort((a, b) => (a.line || 0) - (b.line || 0))
+    .forEach(issue => {
+      const source = issue.file || file;
+      const position = issue.line ? `${source}:${issue.line}:${issue.column}` : source;
+      const line = `${position}  ${issue.message}  [${issue.rule}]`;
+      if (issue.severity === 'error') {
+        logger.error(`✗ ${line}`);
+      } else {
+        logger.warning(`⚠ ${line}`);
+      }
+    });
+
+  if (result.errors.length > 0 || result.warnings.length > 0) {
+    logger.newLine();
+  }
+  logger.info(`${result.errors.length} error(s), ${result.warnings.length} warning(s)`);
+
+  if (failed) {
+    logger.error(options.strict && result.errors.length === 0
+      ? '❌ Manifest has warnings (--strict)'
+      : '❌ Manifest is invalid');
+    process.exit(1);
+  }
+
+  logger.success('✅ Manifest is valid');
+}
+
+module.exports = validate;
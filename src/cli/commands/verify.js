@@ -12,6 +12,19 @@ async function verify(options) {
   logger.header('🔍 Jetpack CLI - Verification');
   logger.newLine();
 
+  // Result document for --json mode
+  const result = {
+    command: 'verify',
+    success: false,
+    installedAt: null,
+    profile: null,
+    environment: null,
+    dependencies: [],
+    verification: null,
+    troubleshooting: [],
+    error: null
+  };
+
   try {
     // Load state from last installation
     const state = stateManager.load();
@@ -19,10 +32,20 @@ async function verify(options) {
     if (!state || !state.installed) {
       logger.warning('⚠️  No installation state found');
       logger.info('Run: jetpack init <repo-url> first');
-      return;
+      if (options.json) {
+        result.error = { message: 'No installation state found' };
+        logger.json(result);
+      }
+      process.exit(1);
     }
 
+    result.installedAt = state.timestamp;
+    result.profile = state.profile || null;
+
     logger.info(`Verifying installation from: ${new Date(state.timestamp).toLocaleString()}`);
+    if (state.profile) {
+      logger.info(`Profile: ${state.profile}`);
+    }
     logger.newLine();
 
     // Step 1: Basic environment checks (legacy)
@@ -32,6 +55,12 @@ async function verify(options) {
     logger.success(`✓ npm: ${environment.npmVersion}`);
     logger.success(`✓ Git: ${environment.gitVersion}`);
     logger.newLine();
+    result.environment = {
+      os: environment.os,
+      nodeVersion: environment.nodeVersion,
+      npmVersion: environment.npmVersion,
+      gitVersion: environment.gitVersion
+    };
 
     // Step 2: Legacy dependency checks
     if (state.dependencies && state.dependencies.length > 0) {
@@ -41,6 +70,7 @@ async function verify(options) {
 
       for (const dep of checks) {
         const isInstalled = await envAnalyzer.checkDependency(dep);
+        result.dependencies.push({ name: dep, installed: isInstalled });
         if (isInstalled) {
           logger.success(`✓ ${dep}`);
         } else {
@@ -67,8 +97,12 @@ async function verify(options) {
         cwd: process.cwd()
       });
 
-      // Display results
-      if (options.verbose) {
+      result.success = verificationResult.success;
+
+      // Display results (the reporter writes to the console, so skip it in --json mode)
+      if (options.json) {
+        result.verification = verificationResult.toJSON();
+      } else if (options.verbose) {
         reporter.printResults(verificationResult, {
           showDetails: true,
           groupBy: 'priority',
@@ -91,6 +125,8 @@ async function verify(options) {
       if (state.verificationHistory.length > 10) {
         state.verificationHistory = state.verificationHistory.slice(-10);
       }
+      // Full result of the latest run, with each check (packaged by jetpack support-bundle)
+      state.lastVerification = verificationResult.toJSON();
       stateManager.save(state);
 
       logger.newLine();
@@ -99,6 +135,9 @@ async function verify(options) {
       if (verificationResult.success) {
         logger.success('✅ All verifications passed!');
         logger.info('Your development environment is ready to use.');
+        if (options.json) {
+          logger.json(result);
+        }
         process.exit(0);
       } else {
         if (verificationResult.hasCriticalFailures) {
@@ -136,16 +175,24 @@ async function verify(options) {
               logger.info(`   Command: ${suggestion.command}`);
             }
             logger.newLine();
+            result.troubleshooting.push({ check: fail.name, ...suggestion });
           }
         }
 
         logger.info('Review the failures above and fix them before proceeding.');
+        if (options.json) {
+          logger.json(result);
+        }
         process.exit(1);
       }
     } else {
       // No verification checks configured
       logger.info('ℹ️  No verification checks configured in manifest');
       logger.success('✅ Basic environment checks passed!');
+      if (options.json) {
+        result.success = true;
+        logger.json(result);
+      }
     }
 
   } catch (error) {
@@ -153,6 +200,11 @@ async function verify(options) {
     if (options.verbose) {
       console.error(error);
     }
+    if (options.json) {
+      result.success = false;
+      result.error = { message: error.message };
+      logger.json(result);
+    }
     process.exit(1);
   }
 }
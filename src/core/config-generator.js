@@ -387,6 +387,8 @@ class ConfigGenerator {
       '.env.local',
       '.env.*.local',
       '.jetpack-state.json',
+      '.jetpack/logs/',
+      '.jetpack/support/',
       '.env.backup.*'
     ];
     
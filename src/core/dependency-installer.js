@@ -1,7 +1,13 @@
+const fs = require('fs');
 const logger = require('../ui/logger');
 const pm = require('./package-managers');
+const versionConstraints = require('./version-constraints');
+const runLogs = require('./run-logs');
 const { execSync } = require('child_process');
 
+// Install phases that may run at the same time unless options.concurrency says otherwise
+const DEFAULT_CONCURRENCY = 2;
+
 /**
  * Dependency Installer Module
  * 
@@ -10,7 +16,16 @@ const { execSync } = require('child_process');
  * 
  * Features:
  * - Check if packages already installed (skip redundant installs)
- * - Sequential installation: system → npm → python
+ * - Version constraints: upgrade or downgrade packages that do not match
+ * - JavaScript packages through npm, yarn, pnpm or bun (options.jsPackageManager)
+ * - Python packages through pip, pipx, a project .venv (venv, uv) or poetry
+ *   (dependencies.pythonMode)
+ * - One install command per package manager, retried one package at a time if it fails
+ * - System packages first, then npm and Python packages side by side
+ *   (options.concurrency phases at a time)
+ * - Check installed packages can be used (executable on PATH, listed globally,
+ *   importable); the ones that cannot are reported as unusable
+ * - Dependency conflicts: Copilot suggests a command, which runs after confirmation
  * - Continue on failure (collect all errors)
  * - Full dry-run support
  * - Detailed summary report
@@ -29,15 +44,27 @@ class DependencyInstaller {
     logger.separator();
 
     const results = {
-      system: { installed: [], skipped: [], failed: [] },
-      npm: { installed: [], skipped: [], failed: [] },
-      python: { installed: [], skipped: [], failed: [] }
+      system: { installed: [], skipped: [], failed: [], unusable: [], versions: [] },
+      npm: { installed: [], skipped: [], failed: [], unusable: [], resolutions: [], versions: [] },
+      python: { installed: [], skipped: [], failed: [], unusable: [], resolutions: [], versions: [] }
     };
 
     const errors = [];
 
     try {
-      // Phase 1: System packages
+      // Required Node.js version (cannot be changed by the installer)
+      if (dependencies.node) {
+        results.node = this.checkNodeVersion(dependencies.node, environment);
+        if (!results.node.satisfied) {
+          errors.push({
+            phase: 'node',
+            message: `Node.js ${results.node.version} does not satisfy ${dependencies.node}`
+          });
+        }
+      }
+
+      // Phase 1: System packages, alone: they may provide the tools the other
+      // phases need (python3-pip, nodejs) and system package managers hold a lock
       if (dependencies.system && dependencies.system.length > 0) {
         logger.step(1, 'System Dependencies');
         const systemResults = await this.installSystemDependencies(
@@ -46,33 +73,46 @@ class DependencyInstaller {
           options
         );
         Object.assign(results.system, systemResults);
+        await this.verifyInstalled('system', 'system', environment, options, results.system);
       } else {
         logger.info('  → No system dependencies');
       }
 
-      // Phase 2: NPM packages
-      if (dependencies.npm && dependencies.npm.length > 0) {
-        logger.step(2, 'NPM Packages');
-        const npmResults = await this.installNpmDependencies(
-          dependencies.npm,
-          options
-        );
-        Object.assign(results.npm, npmResults);
-      } else {
-        logger.info('  → No npm dependencies');
-      }
-
-      // Phase 3: Python packages
-      if (dependencies.python && dependencies.python.length > 0) {
-        logger.step(3, 'Python Packages');
-        const pythonResults = await this.installPythonDependencies(
-          dependencies.python,
-          options
-        );
-        Object.assign(results.python, pythonResults);
-      } else {
-        logger.info('  → No python dependencies');
-      }
+      // Phases 2 and 3 install into separate locations and may overlap
+      await this.runWithConcurrency([
+        // Phase 2: NPM packages (with the project's JavaScript package manager)
+        async () => {
+          if (dependencies.npm && dependencies.npm.length > 0) {
+            logger.step(2, 'NPM Packages');
+            const npmResults = await this.installNpmDependencies(
+              dependencies.npm,
+              options,
+              options.jsPackageManager || 'npm'
+            );
+            Object.assign(results.npm, npmResults);
+            await this.verifyInstalled('npm', results.npm.manager, environment, options, results.npm);
+          } else {
+            logger.info('  → No npm dependencies');
+          }
+        },
+
+        // Phase 3: Python packages (poetry installs the project even without a package list)
+        async () => {
+          const pythonMode = dependencies.pythonMode || 'pip';
+          if ((dependencies.python && dependencies.python.length > 0) || pythonMode === 'poetry') {
+            logger.step(3, 'Python Packages');
+            const pythonResults = await this.installPythonDependencies(
+              dependencies.python || [],
+              options,
+              pythonMode
+            );
+            Object.assign(results.python, pythonResults);
+            await this.verifyInstalled('python', pm.getPythonType(pythonMode), environment, options, results.python);
+          } else {
+            logger.info('  → No python dependencies');
+          }
+        }
+      ], this.getConcurrency(options));
 
     } catch (error) {
       errors.push({
@@ -88,6 +128,7 @@ class DependencyInstaller {
     return {
       ...results,
       summary: this.calculateSummary(results),
+      resolutions: [...results.npm.resolutions, ...results.python.resolutions],
       errors
     };
   }
@@ -101,7 +142,7 @@ class DependencyInstaller {
    * @private
    */
   async installSystemDependencies(packages, environment, options) {
-    const results = { installed: [], skipped: [], failed: [] };
+    const results = { installed: [], skipped: [], failed: [], versions: [] };
 
     // Check if system package manager is available
     const systemPM = pm.detectSystemPackageManager(environment);
@@ -118,197 +159,533 @@ class DependencyInstaller {
     logger.info(`  → Packages: ${packages.length}`);
     logger.newLine();
 
+    // Check each package and collect the ones to install or upgrade
+    const pending = [];
+
     for (const pkg of packages) {
       try {
-        // Check if already installed
-        const isInstalled = await pm.isPackageInstalled(pkg, 'system', environment);
+        // Check if already installed in a matching version
+        const plan = await pm.getPackagePlan(pkg, 'system', environment);
 
-        if (isInstalled) {
-          logger.success(`  ✓ ${pkg} (already installed)`);
+        if (plan.action === 'skip') {
+          logger.success(`  ✓ ${pkg} (already installed${plan.currentVersion ? `: ${plan.currentVersion}` : ''})`);
           results.skipped.push(pkg);
+          this.recordVersion(results, plan, plan.currentVersion);
+          this.notify(options, 'package:skipped', { type: 'system', name: pkg });
+          continue;
+        }
+
+        // System package managers only offer the newest version they know
+        if (plan.action === 'downgrade') {
+          const reason = `${plan.currentVersion} is installed but ${plan.constraint} is required; downgrade it manually`;
+          logger.warning(`  ⚠️  ${pkg}: ${reason}`);
+          results.failed.push({ package: pkg, reason });
+          this.notify(options, 'package:failed', { type: 'system', name: pkg, reason });
           continue;
         }
 
         // Get install command
-        const cmd = pm.getSystemPackageCommand(pkg, environment);
+        const cmd = pm.getSystemPackageCommand(plan.name, environment, plan.action);
 
         if (!cmd) {
           logger.warning(`  ⚠️  ${pkg} (no install command available)`);
           results.failed.push({ package: pkg, reason: 'No install command' });
+          this.notify(options, 'package:failed', { type: 'system', name: pkg, reason: 'No install command' });
           continue;
         }
 
-        // Execute installation
         if (options.dryRun) {
-          logger.info(`  [DRY-RUN] ${pkg}`);
+          logger.info(`  [DRY-RUN] ${this.describePlan(plan)}`);
           logger.debug(`    Command: ${cmd}`);
           results.installed.push(pkg);
-        } else {
-          logger.info(`  → Installing ${pkg}...`);
-          const result = await pm.executeCommand(cmd, options);
-
-          if (result.success) {
-            logger.success(`  ✓ ${pkg} installed`);
-            results.installed.push(pkg);
-          } else {
-            logger.warning(`  ⚠️  ${pkg} failed: ${result.error}`);
-            results.failed.push({ package: pkg, reason: result.error });
-          }
+          this.recordVersion(results, plan, null);
+          this.notify(options, 'package:installed', { type: 'system', name: pkg, dryRun: true });
+          continue;
         }
 
+        pending.push({ plan, cmd });
+
       } catch (error) {
         logger.warning(`  ⚠️  ${pkg} error: ${error.message}`);
         results.failed.push({ package: pkg, reason: error.message });
+        this.notify(options, 'package:failed', { type: 'system', name: pkg, reason: error.message });
+      }
+    }
+
+    // One command per action (install, upgrade); a failed batch is retried one package at a time
+    for (const action of ['install', 'upgrade']) {
+      const group = pending.filter(({ plan }) => plan.action === action);
+      const batchCmd = group.length > 1
+        ? pm.getSystemBatchCommand(group.map(({ plan }) => plan.name), environment, action)
+        : null;
+
+      if (batchCmd) {
+        logger.info(`  → ${action === 'install' ? 'Installing' : 'Upgrading'} ${group.length} packages: ${group.map(({ plan }) => plan.package).join(', ')}...`);
+        const result = await pm.executeCommand(batchCmd, options);
+
+        if (result.success) {
+          for (const { plan } of group) {
+            await this.checkSystemPackage(plan, environment, options, results);
+          }
+          continue;
+        }
+
+        logger.warning(`  ⚠️  Batch ${action} failed, retrying one package at a time`);
+      }
+
+      for (const { plan, cmd } of group) {
+        logger.info(`  → ${this.describePlan(plan)}...`);
+        const result = await pm.executeCommand(cmd, options);
+
+        if (result.success) {
+          await this.checkSystemPackage(plan, environment, options, results);
+        } else {
+          this.failSystemPackage(plan.package, result.error, options, results);
+        }
       }
     }
 
     return results;
   }
 
+  /**
+   * Record a system package after its install command succeeded
+   * @param {object} plan - Plan from pm.getPackagePlan()
+   * @param {object} environment - Detected environment
+   * @param {object} options - Command options
+   * @param {object} results - System package results to add to
+   * @private
+   */
+  async checkSystemPackage(plan, environment, options, results) {
+    const pkg = plan.package;
+
+    try {
+      const installed = await pm.getInstalledPackage(plan.name, 'system', environment);
+      const error = this.checkInstalledVersion(plan, installed, 'system');
+
+      if (error) {
+        this.failSystemPackage(pkg, error, options, results);
+        return;
+      }
+
+      logger.success(`  ✓ ${pkg} installed${installed.version ? ` (${installed.version})` : ''}`);
+      results.installed.push(pkg);
+      this.recordVersion(results, plan, installed.version);
+      this.notify(options, 'package:installed', { type: 'system', name: pkg });
+    } catch (error) {
+      this.failSystemPackage(pkg, error.message, options, results);
+    }
+  }
+
+  /**
+   * Record a system package that could not be installed
+   * @private
+   */
+  failSystemPackage(pkg, reason, options, results) {
+    logger.warning(`  ⚠️  ${pkg} failed: ${reason}`);
+    results.failed.push({ package: pkg, reason });
+    this.notify(options, 'package:failed', { type: 'system', name: pkg, reason });
+  }
+
   /**
    * Install NPM dependencies
    * @param {string[]} packages - NPM packages to install
    * @param {object} options - Command options
+   * @param {string} manager - JavaScript package manager ('npm', 'yarn', 'pnpm', 'bun')
    * @returns {Promise<object>} Installation results
    * @private
    */
-  async installNpmDependencies(packages, options) {
-    const results = { installed: [], skipped: [], failed: [] };
+  async installNpmDependencies(packages, options, manager = 'npm') {
+    const results = { manager, installed: [], skipped: [], failed: [], resolutions: [], versions: [] };
 
-    // Check if npm is available
+    // Check if the package manager is available
     try {
-      execSync('npm --version', { stdio: 'ignore' });
+      execSync(`${manager} --version`, { stdio: 'ignore' });
     } catch (error) {
-      logger.warning('  ⚠️  npm not available');
-      results.failed = packages.map(pkg => ({ package: pkg, reason: 'npm not installed' }));
+      logger.warning(`  ⚠️  ${manager} not available`);
+      results.failed = packages.map(pkg => ({ package: pkg, reason: `${manager} not installed` }));
       return results;
     }
 
+    logger.info(`  → Using: ${manager}`);
     logger.info(`  → Packages: ${packages.length}`);
     logger.newLine();
 
-    // Check which packages are already installed
+    // Check which packages are already installed in a matching version
     const toInstall = [];
 
     for (const pkg of packages) {
-      const isInstalled = await pm.isPackageInstalled(pkg, 'npm', {});
+      const plan = await pm.getPackagePlan(pkg, manager, {});
 
-      if (isInstalled) {
-        logger.success(`  ✓ ${pkg} (already installed)`);
+      if (plan.action === 'skip') {
+        logger.success(`  ✓ ${pkg} (already installed${plan.currentVersion ? `: ${plan.currentVersion}` : ''})`);
         results.skipped.push(pkg);
+        this.recordVersion(results, plan, plan.currentVersion);
+        this.notify(options, 'package:skipped', { type: 'npm', name: pkg });
       } else {
-        toInstall.push(pkg);
+        toInstall.push(plan);
       }
     }
 
-    // Install missing packages sequentially to handle conflicts
-    const resolver = require('./copilot-resolver');
+    if (options.dryRun) {
+      for (const plan of toInstall) {
+        logger.info(`  [DRY-RUN] Would ${this.describePlan(plan).toLowerCase()}`);
+        results.installed.push(plan.package);
+        this.recordVersion(results, plan, null);
+        this.notify(options, 'package:installed', { type: 'npm', name: plan.package, dryRun: true });
+      }
+      return results;
+    }
 
-    for (const pkg of toInstall) {
-      if (options.dryRun) {
-        logger.info(`  [DRY-RUN] Would install: ${pkg}`);
-        results.installed.push(pkg);
-        continue;
+    // Install missing packages with one command; a failed batch is retried one
+    // package at a time so conflicts are reported for the package that has them
+    if (toInstall.length > 1) {
+      logger.info(`  → Installing ${toInstall.length} packages: ${toInstall.map(plan => plan.package).join(', ')}...`);
+      const cmd = pm.getJsInstallCommand(manager, toInstall.map(plan => pm.getInstallSpec(plan, manager)));
+      const result = await pm.executeCommand(cmd, options);
+
+      if (result.success) {
+        for (const plan of toInstall) {
+          await this.recordNpmPackage(plan, manager, options, results);
+        }
+        return results;
       }
 
-      logger.info(`  → Installing ${pkg}...`);
-      const cmd = `npm install -g ${pkg}`;
+      logger.warning(`  ⚠️  Batch install failed, retrying one package at a time`);
+    }
+
+    for (const plan of toInstall) {
+      logger.info(`  → ${this.describePlan(plan)}...`);
+      const cmd = pm.getJsInstallCommand(manager, [pm.getInstallSpec(plan, manager)]);
       const result = await pm.executeCommand(cmd, options);
 
       if (result.success) {
-        logger.success(`  ✓ Installed: ${pkg}`);
-        results.installed.push(pkg);
+        await this.recordNpmPackage(plan, manager, options, results);
       } else {
-        // Attempt conflict resolution
-        if (result.error.includes('ERESOLVE') || result.error.includes('peer dependency')) {
-          logger.warning(`  ⚠️  Dependency conflict for ${pkg}`);
-          logger.info('  🤖 asking Copilot for resolution...');
-
-          const resolution = await resolver.resolveVersionConflict(pkg, 'latest', result.error);
-
-          if (resolution.command) {
-            logger.info(`  💡 Suggested fix: ${resolution.command}`);
-            logger.info(`  ⚠️  Warning: ${resolution.warnings}`);
-
-            // In a real interactive CLI, we'd ask user. For now, we log it.
-            // If manual intervention is needed, we fail.
-            results.failed.push({
-              package: pkg,
-              reason: `Conflict: ${resolution.action} needed. Run: ${resolution.command}`
-            });
-          } else {
-            results.failed.push({ package: pkg, reason: result.error });
-          }
-        } else {
-          logger.warning(`  ⚠️  npm install failed: ${result.error}`);
-          results.failed.push({ package: pkg, reason: result.error });
-        }
+        await this.handleInstallFailure(plan, 'npm', manager, result.error, options, results);
       }
     }
 
     return results;
   }
 
+  /**
+   * Record a JavaScript package after its install command succeeded
+   * @param {object} plan - Plan from pm.getPackagePlan()
+   * @param {string} manager - JavaScript package manager
+   * @param {object} options - Command options
+   * @param {object} results - npm results to add to
+   * @private
+   */
+  async recordNpmPackage(plan, manager, options, results) {
+    const installed = await pm.getInstalledPackage(plan.name, manager, {});
+    logger.success(`  ✓ Installed: ${plan.package}${installed.version ? ` (${installed.version})` : ''}`);
+    results.installed.push(plan.package);
+    this.recordVersion(results, plan, installed.version);
+    this.notify(options, 'package:installed', { type: 'npm', name: plan.package });
+  }
+
+  /**
+   * Record a package whose install command failed, resolving dependency
+   * conflicts through Copilot
+   * A conflict's suggested command is shown; it runs with --auto-resolve or when
+   * options.confirmResolution() accepts it, and the package is then checked again.
+   * @param {object} plan - Plan from pm.getPackagePlan()
+   * @param {string} type - 'npm' or 'python'
+   * @param {string} tool - JavaScript package manager or Python mode
+   * @param {string} error - Install error output
+   * @param {object} options - Command options (autoResolve, confirmResolution, dryRun)
+   * @param {object} results - Results for the package type to add to
+   * @private
+   */
+  async handleInstallFailure(plan, type, tool, error, options, results) {
+    const pkg = plan.package;
+    const fail = (reason) => {
+      results.failed.push({ package: pkg, reason });
+      this.notify(options, 'package:failed', { type, name: pkg, reason });
+    };
+
+    const kind = this.classifyInstallError(error, type);
+    if (!kind) {
+      logger.warning(`  ⚠️  ${tool} install failed: ${error}`);
+      fail(error);
+      return;
+    }
+
+    logger.warning(`  ⚠️  ${kind === 'peer-dependency' ? 'Peer dependency conflict' : 'Version conflict'} for ${pkg}`);
+    logger.info('  🤖 asking Copilot for resolution...');
+
+    const resolver = require('./copilot-resolver');
+    const suggestion = kind === 'peer-dependency'
+      ? await resolver.suggestPeerDependencies(plan.name, error)
+      : await resolver.resolveVersionConflict(plan.name, plan.constraint || 'latest', error);
+    const command = (suggestion.command || '').trim();
+
+    if (!command) {
+      logger.info('  → No resolution suggested; resolve the conflict manually');
+      fail(error);
+      return;
+    }
+
+    logger.info(`  💡 Suggested fix: ${command}`);
+    if (suggestion.explanation || suggestion.warnings) {
+      logger.info(`     ${suggestion.explanation || suggestion.warnings}`);
+    }
+
+    const manual = `Conflict: ${kind}. Run: ${command}`;
+    const argv = this.parseResolution(command, type, tool);
+    if (!argv) {
+      logger.warning(`  ⚠️  Not applied: only single ${tool} install commands run automatically`);
+      fail(manual);
+      return;
+    }
+
+    const resolution = { package: pkg, kind, command, explanation: suggestion.explanation || suggestion.warnings || null };
+    if (options.dryRun || !(await this.confirmResolution(resolution, options))) {
+      fail(manual);
+      return;
+    }
+
+    logger.info(`  → Running ${command}...`);
+    const applied = await pm.executeCommand(argv, options);
+    const probeType = type === 'npm' ? tool : pm.getPythonType(tool);
+    const installed = applied.success ? await pm.getInstalledPackage(plan.name, probeType, {}) : null;
+
+    results.resolutions.push({ ...resolution, applied: Boolean(installed && installed.installed), timestamp: new Date().toISOString() });
+
+    if (!installed || !installed.installed) {
+      const reason = applied.success ? `Resolution ran but ${plan.name} is still not installed` : `Resolution failed: ${applied.error}`;
+      logger.warning(`  ⚠️  ${reason}`);
+      fail(reason);
+      return;
+    }
+
+    logger.success(`  ✓ Resolved and installed: ${pkg}${installed.version ? ` (${installed.version})` : ''}`);
+    results.installed.push(pkg);
+    this.recordVersion(results, plan, installed.version);
+    this.notify(options, 'package:installed', { type, name: pkg, resolution: command });
+  }
+
+  /**
+   * Classify an install error as a dependency conflict
+   * @param {string} error - Install error output
+   * @param {string} type - 'npm' or 'python'
+   * @returns {string|null} 'peer-dependency', 'version-conflict' or null for other errors
+   */
+  classifyInstallError(error, type) {
+    if (type === 'npm') {
+      if (/peer dep|unmet peer|incorrect peer|ERESOLVE[\s\S]*\bpeer\b/i.test(error)) {
+        return 'peer-dependency';
+      }
+      return /ERESOLVE|conflicting/i.test(error) ? 'version-conflict' : null;
+    }
+    return /ResolutionImpossible|conflicting dependencies|dependency conflict|incompatible/i.test(error)
+      ? 'version-conflict'
+      : null;
+  }
+
+  /**
+   * Split a suggested resolution into the arguments it is run with
+   * Suggestions come from Copilot, so only an install command of the
+   * package's own tool runs (e.g. `npm install`, `.venv/bin/python -m pip
+   * install`); chained commands, redirects, other programs and other
+   * subcommands (`npm exec`, `pip uninstall`) are shown but never run.
+   * Resolutions run without a shell. Shell syntax is still refused (quoted or
+   * not) so a suggestion never runs differently from how it is shown.
+   * @param {string} command - Suggested command
+   * @param {string} type - 'npm' or 'python'
+   * @param {string} tool - JavaScript package manager or Python mode
+   * @returns {string[]|null} Program and arguments, or null if it may not run
+   * @private
+   */
+  parseResolution(command, type, tool) {
+    const unquoted = command.replace(/"[^"]*"|'[^']*'/g, '');
+    if (/[;&|<>\n]/.test(unquoted) || /[$`%]/.test(command)) {
+      return null;
+    }
+
+    const argv = [];
+    const tokens = /"([^"]*)"|'([^']*)'|(\S+)/g;
+    let match;
+    while ((match = tokens.exec(command)) !== null) {
+      if (match[3] !== undefined && /["']/.test(match[3])) {
+        return null;
+      }
+      argv.push(match[1] !== undefined ? match[1] : match[2] !== undefined ? match[2] : match[3]);
+    }
+
+    // The install command up to its subcommand: ['npm', 'install'], ['uv', 'pip', 'install'], ...
+    const words = type === 'npm'
+      ? pm.getJsInstallCommand(tool, []).trim().split(' ')
+      : pm.getPythonCommands(tool).install.split(' ');
+    const prefix = type === 'npm'
+      ? words.filter(word => !word.startsWith('-'))
+      : words.slice(0, words.indexOf('install') + 1);
+    const subcommands = type === 'npm' ? ['install', 'i', 'add'] : ['install'];
+    const programs = type === 'python' && tool === 'pip' ? [prefix[0], 'pip3'] : [prefix[0]];
+
+    const last = prefix.length - 1;
+    const allowed = argv.length > prefix.length &&
+      programs.includes(argv[0].replace(/^\.[\\/]/, '')) &&
+      prefix.slice(1, last).every((word, index) => argv[index + 1] === word) &&
+      subcommands.includes(argv[last]);
+    return allowed ? argv : null;
+  }
+
+  /**
+   * Ask whether to run a suggested resolution
+   * Install phases run side by side, so questions are asked one at a time.
+   * @param {object} resolution - { package, kind, command, explanation }
+   * @param {object} options - Command options (autoResolve, confirmResolution)
+   * @returns {Promise<boolean>} True if it should run
+   * @private
+   */
+  async confirmResolution(resolution, options) {
+    if (options.autoResolve) {
+      return true;
+    }
+    if (typeof options.confirmResolution !== 'function') {
+      logger.info('  → Not applied (run with --auto-resolve or in an interactive terminal to apply it)');
+      return false;
+    }
+
+    const answer = (this.pendingConfirmation || Promise.resolve())
+      .then(() => options.confirmResolution(resolution))
+      .catch(() => false);
+    this.pendingConfirmation = answer;
+    return Boolean(await answer);
+  }
+
   /**
    * Install Python dependencies
    * @param {string[]} packages - Python packages to install
    * @param {object} options - Command options
+   * @param {string} mode - Install mode ('pip', 'pipx', 'venv', 'uv', 'poetry')
    * @returns {Promise<object>} Installation results
    * @private
    */
-  async installPythonDependencies(packages, options) {
-    const results = { installed: [], skipped: [], failed: [] };
+  async installPythonDependencies(packages, options, mode = 'pip') {
+    const results = { mode, installed: [], skipped: [], failed: [], resolutions: [], versions: [] };
+    const commands = pm.getPythonCommands(mode);
+    const type = pm.getPythonType(mode);
 
-    // Check if pip is available
+    // Check if the tool for this mode is available
     try {
-      execSync('pip --version', { stdio: 'ignore' });
+      execSync(`${commands.tool} --version`, { stdio: 'ignore' });
     } catch (error) {
-      logger.warning('  ⚠️  pip not available');
-      logger.info('     Install Python to use pip packages');
-      results.failed = packages.map(pkg => ({ package: pkg, reason: 'pip not installed' }));
+      logger.warning(`  ⚠️  ${commands.tool} not available`);
+      logger.info(mode === 'pip' ? '     Install Python to use pip packages' : `     Install ${commands.tool} to use Python mode "${mode}"`);
+      results.failed = packages.map(pkg => ({ package: pkg, reason: `${commands.tool} not installed` }));
       return results;
     }
 
+    if (mode !== 'pip') {
+      logger.info(`  → Using: ${mode}${commands.create ? ` (${pm.VENV_DIR})` : ''}`);
+    }
     logger.info(`  → Packages: ${packages.length}`);
     logger.newLine();
 
-    // Check which packages are already installed
+    // venv and uv install into the project's virtualenv; create it first
+    if (commands.create && !fs.existsSync(pm.VENV_DIR)) {
+      if (options.dryRun) {
+        logger.info(`  [DRY-RUN] Would create ${pm.VENV_DIR}: ${commands.create}`);
+      } else {
+        logger.info(`  → Creating ${pm.VENV_DIR}...`);
+        const created = await pm.executeCommand(commands.create, options);
+        if (!created.success) {
+          logger.warning(`  ⚠️  Could not create ${pm.VENV_DIR}: ${created.error}`);
+          results.failed = packages.map(pkg => ({ package: pkg, reason: `${pm.VENV_DIR} not created: ${created.error}` }));
+          return results;
+        }
+      }
+    }
+
+    // Check which packages are already installed in a matching version
     const toInstall = [];
 
     for (const pkg of packages) {
-      const isInstalled = await pm.isPackageInstalled(pkg, 'python', {});
+      const plan = await pm.getPackagePlan(pkg, type, {});
 
-      if (isInstalled) {
-        logger.success(`  ✓ ${pkg} (already installed)`);
+      if (plan.action === 'skip') {
+        logger.success(`  ✓ ${pkg} (already installed${plan.currentVersion ? `: ${plan.currentVersion}` : ''})`);
         results.skipped.push(pkg);
+        this.recordVersion(results, plan, plan.currentVersion);
+        this.notify(options, 'package:skipped', { type: 'python', name: pkg });
       } else {
-        toInstall.push(pkg);
+        toInstall.push(plan);
       }
     }
 
-    // Install missing packages
-    if (toInstall.length > 0) {
-      const cmd = `pip install ${toInstall.join(' ')}`;
+    // Install missing packages; pip upgrades or downgrades to satisfy constraints.
+    // poetry installs the project from its lockfile on every run.
+    if (toInstall.length > 0 || commands.sync) {
+      const names = toInstall.map(plan => plan.package);
+      const cmd = pm.getPythonInstallCommand(mode, toInstall.map(plan => pm.getInstallSpec(plan, type)));
 
       if (options.dryRun) {
-        logger.info(`  [DRY-RUN] Would install: ${toInstall.join(', ')}`);
+        if (commands.sync) {
+          logger.info(`  [DRY-RUN] Would run: ${cmd}`);
+        }
+        toInstall.forEach(plan => logger.info(`  [DRY-RUN] Would ${this.describePlan(plan).toLowerCase()}`));
         logger.debug(`    Command: ${cmd}`);
-        results.installed = toInstall;
+        results.installed = names;
+        toInstall.forEach(plan => this.recordVersion(results, plan, null));
+        names.forEach(pkg => this.notify(options, 'package:installed', { type: 'python', name: pkg, dryRun: true }));
       } else {
-        logger.info(`  → Installing ${toInstall.length} package(s)...`);
-        logger.debug(`    ${toInstall.join(', ')}`);
+        logger.info(commands.sync ? `  → Running ${cmd}...` : `  → Installing ${toInstall.length} package(s)...`);
+        logger.debug(`    ${names.join(', ')}`);
 
         const result = await pm.executeCommand(cmd, options);
 
         if (result.success) {
-          logger.success(`  ✓ Installed: ${toInstall.join(', ')}`);
-          results.installed = toInstall;
+          for (const plan of toInstall) {
+            const installed = await pm.getInstalledPackage(plan.name, type, {});
+            // poetry only installs what pyproject.toml declares
+            if (commands.sync && !installed.installed) {
+              results.failed.push({ package: plan.package, reason: `not a dependency of the poetry project (add it with: poetry add ${plan.name})` });
+              this.notify(options, 'package:failed', { type: 'python', name: plan.package, reason: 'not in pyproject.toml' });
+              continue;
+            }
+            results.installed.push(plan.package);
+            this.recordVersion(results, plan, installed.version);
+            this.notify(options, 'package:installed', { type: 'python', name: plan.package });
+          }
+          if (results.installed.length > 0) {
+            logger.success(`  ✓ Installed: ${results.installed.join(', ')}`);
+          }
+          results.failed.forEach(failure => logger.warning(`  ⚠️  ${failure.package}: ${failure.reason}`));
+        } else if (!commands.sync && !result.error.includes('externally-managed-environment')) {
+          // Retry one package at a time so only the packages that fail are reported
+          if (toInstall.length > 1) {
+            logger.warning(`  ⚠️  Batch install failed, retrying one package at a time`);
+          }
+
+          for (const plan of toInstall) {
+            const single = toInstall.length > 1
+              ? await pm.executeCommand(pm.getPythonInstallCommand(mode, [pm.getInstallSpec(plan, type)]), options)
+              : result;
+
+            if (single.success) {
+              const installed = await pm.getInstalledPackage(plan.name, type, {});
+              logger.success(`  ✓ Installed: ${plan.package}${installed.version ? ` (${installed.version})` : ''}`);
+              results.installed.push(plan.package);
+              this.recordVersion(results, plan, installed.version);
+              this.notify(options, 'package:installed', { type: 'python', name: plan.package });
+            } else {
+              await this.handleInstallFailure(plan, 'python', mode, single.error, options, results);
+            }
+          }
         } else {
-          logger.warning(`  ⚠️  pip install failed: ${result.error}`);
-          results.failed = toInstall.map(pkg => ({
+          logger.warning(`  ⚠️  ${mode} install failed: ${result.error}`);
+          if (mode === 'pip' && result.error.includes('externally-managed-environment')) {
+            logger.info('  💡 This Python is managed by the system (PEP 668). Set dependencies.python.mode to pipx, venv or uv');
+          }
+          // A failed `poetry install` without listed packages is still a failure
+          results.failed = (names.length > 0 ? names : [cmd]).map(pkg => ({
             package: pkg,
             reason: result.error
           }));
+          names.forEach(pkg => this.notify(options, 'package:failed', { type: 'python', name: pkg, reason: result.error }));
         }
       }
     }
@@ -316,6 +693,155 @@ class DependencyInstaller {
     return results;
   }
 
+  /**
+   * Move packages that installed but cannot be used to the unusable bucket
+   * A package manager can report success for a package whose executable has
+   * another name or that the interpreter cannot import.
+   * @param {string} type - Package type of the results ('system', 'npm', 'python')
+   * @param {string} probeType - Type to check with (package manager or Python mode)
+   * @param {object} environment - Detected environment
+   * @param {object} options - Command options
+   * @param {object} results - Results for one package type
+   * @private
+   */
+  async verifyInstalled(type, probeType, environment, options, results) {
+    if (options.dryRun || !probeType) {
+      return;
+    }
+
+    for (const pkg of [...results.installed]) {
+      const check = await pm.checkPackageUsable(pm.parsePackageName(pkg).name, probeType, environment);
+      if (check.usable) {
+        continue;
+      }
+
+      logger.warning(`  ⚠️  ${pkg} installed but is not usable: ${check.reason}`);
+      results.installed.splice(results.installed.indexOf(pkg), 1);
+      results.unusable.push({ package: pkg, reason: check.reason, probe: check.probe });
+      this.notify(options, 'package:unusable', { type, name: pkg, reason: check.reason });
+    }
+  }
+
+  /**
+   * Run async tasks with at most `limit` of them at a time
+   * @param {Array<Function>} tasks - Functions returning promises
+   * @param {number} limit - Maximum number of tasks running at once
+   * @returns {Promise<Array>} Task results, in task order
+   * @private
+   */
+  async runWithConcurrency(tasks, limit) {
+    const results = new Array(tasks.length);
+    let next = 0;
+
+    const worker = async () => {
+      while (next < tasks.length) {
+        const index = next++;
+        results[index] = await tasks[index]();
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(limit, tasks.length) }, worker));
+    return results;
+  }
+
+  /**
+   * Number of install phases that may run at once
+   * @param {object} options - Command options (concurrency from --concurrency)
+   * @returns {number} 1 runs the phases one after another
+   * @private
+   */
+  getConcurrency(options) {
+    const concurrency = parseInt(options.concurrency, 10);
+    return Number.isInteger(concurrency) && concurrency > 0 ? concurrency : DEFAULT_CONCURRENCY;
+  }
+
+  /**
+   * Check the running Node.js version against dependencies.node
+   * Node.js cannot be swapped during a run; a mismatch is reported with the
+   * direction to move in.
+   * @param {string} constraint - Semver range, e.g. ">=18 <21"
+   * @param {object} environment - Detected environment
+   * @returns {object} { constraint, version, satisfied, action }
+   * @private
+   */
+  checkNodeVersion(constraint, environment) {
+    const version = versionConstraints.coerceVersion(environment.nodeVersion || process.version);
+    const satisfied = version !== null && versionConstraints.satisfies(version, constraint, 'semver');
+    const action = satisfied ? 'skip' : versionConstraints.getDirection(version, constraint, 'semver');
+
+    if (satisfied) {
+      logger.success(`  ✓ Node.js ${version} (satisfies ${constraint})`);
+    } else {
+      logger.warning(`  ⚠️  Node.js ${version} does not satisfy ${constraint} - ${action} Node.js (e.g. with nvm) and run again`);
+    }
+
+    return { constraint, version, satisfied, action };
+  }
+
+  /**
+   * Human-readable description of a package plan
+   * @param {object} plan - Plan from pm.getPackagePlan()
+   * @returns {string} e.g. "Installing eslint@^8" or "Upgrading eslint 7.32.0 → ^8"
+   * @private
+   */
+  describePlan(plan) {
+    if (plan.action === 'upgrade' || plan.action === 'downgrade') {
+      const verb = plan.action === 'upgrade' ? 'Upgrading' : 'Downgrading';
+      return `${verb} ${plan.name} ${plan.currentVersion} → ${plan.constraint}`;
+    }
+    return `Installing ${plan.package}`;
+  }
+
+  /**
+   * Verify that an install left a version matching the constraint
+   * @param {object} plan - Plan from pm.getPackagePlan()
+   * @param {object} installed - Result of pm.getInstalledPackage() after installing
+   * @param {string} type - Package type
+   * @returns {string|null} Failure reason, or null if the version is acceptable
+   * @private
+   */
+  checkInstalledVersion(plan, installed, type) {
+    if (!plan.constraint || !installed.version) {
+      return null;
+    }
+    if (versionConstraints.satisfies(installed.version, plan.constraint, versionConstraints.getScheme(type))) {
+      return null;
+    }
+    return `${installed.version} was installed but ${plan.constraint} is required; the package manager has no matching version`;
+  }
+
+  /**
+   * Record the resolved version of a package for state and rollback
+   * @param {object} results - Results for one package type
+   * @param {object} plan - Plan from pm.getPackagePlan()
+   * @param {string|null} version - Version now installed (null in dry-run or when unknown)
+   * @private
+   */
+  recordVersion(results, plan, version) {
+    const changed = plan.action === 'upgrade' || plan.action === 'downgrade';
+    results.versions.push({
+      package: plan.package,
+      name: plan.name,
+      constraint: plan.constraint,
+      action: plan.action,
+      previousVersion: changed ? plan.currentVersion : null,
+      version
+    });
+  }
+
+  /**
+   * Emit a lifecycle event on the orchestrator's emitter, if any
+   * @param {object} options - Command options (carries _events from the orchestrator)
+   * @param {string} event - Event name
+   * @param {object} payload - Event payload
+   * @private
+   */
+  notify(options, event, payload) {
+    if (options && options._events) {
+      options._events.emit(event, payload);
+    }
+  }
+
   /**
    * Calculate summary statistics
    * @param {object} results - Installation results
@@ -326,7 +852,8 @@ class DependencyInstaller {
     const total = {
       installed: 0,
       skipped: 0,
-      failed: 0
+      failed: 0,
+      unusable: 0
     };
 
     ['system', 'npm', 'python'].forEach(type => {
@@ -335,6 +862,7 @@ class DependencyInstaller {
       total.failed += Array.isArray(results[type].failed)
         ? results[type].failed.length
         : 0;
+      total.unusable += (results[type].unusable || []).length;
     });
 
     return total;
@@ -375,15 +903,38 @@ class DependencyInstaller {
           });
         }
       });
+
+      const log = runLogs.getWrittenPath(options._logs);
+      if (log) {
+        logger.info(`  📄 Command output: ${log}`);
+      }
+    }
+
+    if (summary.unusable > 0) {
+      logger.warning(`⚠️  Unusable: ${summary.unusable} package(s) (installed, but the check after installing failed)`);
+      logger.newLine();
+      logger.info('Unusable packages:');
+
+      ['system', 'npm', 'python'].forEach(type => {
+        if (results[type].unusable.length > 0) {
+          logger.info(`  ${type}:`);
+          results[type].unusable.forEach(({ package: pkg, reason, probe }) => {
+            logger.warning(`    - ${pkg}: ${reason} (${probe})`);
+          });
+        }
+      });
     }
 
     logger.newLine();
 
-    if (summary.failed === 0 && summary.installed + summary.skipped > 0) {
+    if (summary.failed === 0 && summary.unusable === 0 && summary.installed + summary.skipped > 0) {
       logger.success('✅ All dependencies ready!');
     } else if (summary.failed > 0) {
       logger.warning('⚠️  Some dependencies failed to install');
       logger.info('   You may need to install them manually');
+    } else if (summary.unusable > 0) {
+      logger.warning('⚠️  Some dependencies installed but cannot be used');
+      logger.info('   Check your PATH, or the package\'s executable or import name');
     }
   }
 }
@@ -1,4 +1,4 @@
-const { execSync } = require('child_process');
+const { execSync, execFileSync } = require('child_process');
 const cache = require('./manifest-cache');
 const logger = require('../ui/logger');
 
@@ -13,6 +13,9 @@ const logger = require('../ui/logger');
 // Manifest filenames to try in order of preference
 const MANIFEST_FILENAMES = ['.onboard.yaml', '.onboard.yml', 'onboard.yaml'];
 
+// curl flags that refuse http:, file: and other schemes, also after a redirect
+const CURL_HTTPS_ONLY = ['--proto', '=https', '--proto-redir', '=https'];
+
 /**
  * Validates branch name to prevent command injection
  * Allows: alphanumeric, hyphens, underscores, forward slashes, dots
@@ -30,7 +33,7 @@ function isValidBranchName(branch) {
  * @param {object} options - Fetch options
  * @param {boolean} options.noCache - Skip cache, always fetch fresh
  * @param {string} options.branch - Branch to fetch from (default: repository default branch)
- * @returns {Promise<object>} {content: string, source: string, filename: string, timestamp: Date}
+ * @returns {Promise<object>} {content: string, source: string, filename: string, baseUrl: string, timestamp: Date}
  * @throws {Error} If manifest cannot be fetched
  */
 async function fetchFromGitHub(repoUrl, options = {}) {
@@ -48,6 +51,7 @@ async function fetchFromGitHub(repoUrl, options = {}) {
         content: cached,
         source: 'cache',
         filename: 'cached',
+        baseUrl: rawBaseUrl(owner, repo, branch || 'HEAD'),
         timestamp: new Date()
       };
     }
@@ -94,10 +98,42 @@ async function fetchFromGitHub(repoUrl, options = {}) {
     content: result.content,
     source: result.source,
     filename: result.filename,
+    baseUrl: rawBaseUrl(owner, repo, targetBranch),
     timestamp: new Date()
   };
 }
 
+/**
+ * Fetch a manifest referenced by URL (extends/include)
+ * Synchronous so manifests can be composed while parsing.
+ * @param {string} url - https:// URL of the manifest
+ * @returns {string} Manifest content
+ * @throws {Error} If the URL is not https or cannot be fetched
+ */
+function fetchManifestUrl(url) {
+  if (!/^https:\/\//.test(url)) {
+    throw new Error(`Remote manifests must use https://: ${url}`);
+  }
+
+  try {
+    return execFileSync('curl', ['-s', '-f', '-L', ...CURL_HTTPS_ONLY, url], {
+      encoding: 'utf8',
+      stdio: ['pipe', 'pipe', 'pipe'],
+      timeout: 30000
+    });
+  } catch (error) {
+    throw new Error(`Failed to fetch ${url}`);
+  }
+}
+
+/**
+ * Base URL that relative extends/include references of a fetched manifest resolve against
+ * @private
+ */
+function rawBaseUrl(owner, repo, branch) {
+  return `https://raw.githubusercontent.com/${owner}/${repo}/${branch}/`;
+}
+
 /**
  * Get default branch for repository using gh CLI
  * @param {string} owner - Repository owner
@@ -188,12 +224,8 @@ async function tryRawGitHub(owner, repo, branch) {
       
       const url = `${baseUrl}/${filename}`;
       
-      // Use curl to fetch (most reliable cross-platform)
-      const command = process.platform === 'win32'
-        ? `curl -s -f "${url}"`
-        : `curl -s -f '${url}'`;
-
-      const content = execSync(command, {
+      // Use curl to fetch (most reliable cross-platform), without a shell
+      const content = execFileSync('curl', ['-s', '-f', ...CURL_HTTPS_ONLY, url], {
         encoding: 'utf8',
         stdio: ['pipe', 'pipe', 'pipe']
       });
@@ -277,6 +309,7 @@ function clearCache(repoUrl = null) {
 
 module.exports = {
   fetchFromGitHub,
+  fetchManifestUrl,
   parseRepoUrl,
   isGhCliAvailable,
   clearCache
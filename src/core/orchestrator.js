@@ -1,19 +1,34 @@
+const EventEmitter = require('events');
 const logger = require('../ui/logger');
 const stateManager = require('./state-manager');
+const pluginLoader = require('./plugin-loader');
+const runLogs = require('./run-logs');
+const platformConditions = require('../detectors/platform-conditions');
+const { parsePackageName, resolveJsPackageManager } = require('./package-managers');
 
 /**
  * Orchestrator - Main workflow engine coordinating all onboarding steps
+ *
+ * Emits lifecycle events so callers can follow progress without parsing output:
+ * workflow:start, workflow:complete, workflow:failed, step:start, step:complete,
+ * step:skipped, step:failed, runtime:installed, runtime:skipped, runtime:failed,
+ * package:installed, package:skipped, package:failed, setup:step and check:result.
  */
-class Orchestrator {
+class Orchestrator extends EventEmitter {
   constructor() {
+    super();
+
+    // Step ids are stable keys used by --only/--skip and stored in state.
+    // Required steps have no side effects and always run.
     this.steps = [
-      { id: 1, name: 'Environment Detection', handler: this.detectEnvironment },
-      { id: 2, name: 'Parse Manifest', handler: this.parseManifest },
-      { id: 3, name: 'Install Dependencies', handler: this.installDependencies },
-      { id: 4, name: 'Execute Setup Steps', handler: this.executeSetupSteps },
-      { id: 5, name: 'Generate Configurations', handler: this.generateConfigs },
-      { id: 6, name: 'Create Documentation', handler: this.createDocs },
-      { id: 7, name: 'Verify Setup', handler: this.verifySetup }
+      { id: 'environment', name: 'Environment Detection', handler: this.detectEnvironment, required: true },
+      { id: 'manifest', name: 'Parse Manifest', handler: this.parseManifest, required: true },
+      { id: 'runtimes', name: 'Install Runtimes', handler: this.installRuntimes },
+      { id: 'dependencies', name: 'Install Dependencies', handler: this.installDependencies },
+      { id: 'setup', name: 'Execute Setup Steps', handler: this.executeSetupSteps },
+      { id: 'config', name: 'Generate Configurations', handler: this.generateConfigs },
+      { id: 'docs', name: 'Create Documentation', handler: this.createDocs },
+      { id: 'verify', name: 'Verify Setup', handler: this.verifySetup }
     ];
   }
 
@@ -22,62 +37,114 @@ class Orchestrator {
    * @param {string} repoUrl - Repository URL
    * @param {object} environment - Detected environment
    * @param {object} options - Command options
+   * @returns {Promise<object>} Final workflow state
    */
   async run(repoUrl, environment, options) {
     logger.info('Starting orchestration workflow...\n');
 
-    const state = {
-      repoUrl,
-      environment,
-      timestamp: new Date().toISOString(),
-      steps: [],
-      installed: false,
-      rollback: {
-        dependencies: {
-          npm: [],
-          pip: [],
-          system: []
-        },
-        config: {
-          backups: {},
-          originalGitConfig: {}
-        },
-        ssh: {
-          keyPath: null,
-          publicKeyPath: null,
-          addedToAgent: false
-        },
-        docs: {
-          outputDir: null,
-          filesCreated: 0
-        }
-      }
-    };
+    const steps = this.getSteps(options);
+    const selection = this.resolveStepSelection(options, steps);
+
+    let state;
+    if (options.resumeState) {
+      state = this.createResumedState(options.resumeState, environment);
+    } else if (selection && options.previousState) {
+      state = this.createPartialState(options.previousState, environment, selection, options.manifestHash);
+    } else {
+      state = this.createInitialState(repoUrl, environment, options);
+    }
 
-    // Store state in options for step communication
+    if (options.manifestSource) {
+      state.manifestSource = options.manifestSource;
+    }
+
+    // verify and rollback work from the manifest and packages of this profile
+    state.profile = options.profile || null;
+
+    // Command output of this run goes to .jetpack/logs/<run-id>/ (nothing is written in dry-run)
+    const logs = options.dryRun ? null : runLogs.createRun(process.cwd());
+    if (logs) {
+      state.logs = { runId: logs.runId, dir: logs.dir };
+    }
+
+    // Store state and event emitter in options for step communication
     options._state = state;
+    options._events = this;
+    options._logs = logs;
+
+    this.emit('workflow:start', { repoUrl, state });
 
     try {
-      for (const step of this.steps) {
-        logger.step(step.id, step.name);
+      for (const [index, step] of steps.entries()) {
+        logger.step(index + 1, step.name);
 
-        const stepResult = await step.handler.call(this, repoUrl, environment, options);
+        if (this.isStepCompleted(state, step.id)) {
+          logger.info('  → Skipped (completed in previous run)');
+          this.emit('step:skipped', { id: step.id, name: step.name, reason: 'completed' });
+          continue;
+        }
+
+        if (selection && !selection.has(step.id)) {
+          logger.info('  → Skipped (not selected)');
+          this.emit('step:skipped', { id: step.id, name: step.name, reason: 'not-selected' });
+          continue;
+        }
+
+        // Plugin handlers are arbitrary code, with no dry-run of their own
+        if (options.dryRun && step.plugin) {
+          logger.info('  → Skipped (dry-run: plugin steps only run for real)');
+          state.steps.push({
+            id: step.id,
+            name: step.name,
+            status: 'skipped',
+            reason: 'dry-run',
+            timestamp: new Date().toISOString()
+          });
+          this.emit('step:skipped', { id: step.id, name: step.name, reason: 'dry-run' });
+          continue;
+        }
+
+        this.emit('step:start', { id: step.id, name: step.name, index });
+
+        const stepLogs = this.startStepLogs(logs, step.id);
+        let stepResult;
+        try {
+          stepResult = await step.handler.call(this, repoUrl, environment, options);
+        } catch (error) {
+          error.step = error.step || step.name;
+          state.steps.push({
+            id: step.id,
+            name: step.name,
+            status: 'failed',
+            error: error.message,
+            ...stepLogs(),
+            timestamp: new Date().toISOString()
+          });
+          this.emit('step:failed', { id: step.id, name: step.name, error });
+          throw error;
+        }
 
         state.steps.push({
           id: step.id,
           name: step.name,
           status: 'completed',
           result: stepResult,
+          ...stepLogs(),
           timestamp: new Date().toISOString()
         });
 
         logger.success(`✓ ${step.name} completed`);
+        this.emit('step:complete', { id: step.id, name: step.name, result: stepResult });
 
         // Enhance rollback tracking after specific steps
-        this.enhanceRollbackTracking(state, step.id, stepResult);
+        if (step.plugin) {
+          this.trackPluginRollback(state, step, stepResult);
+        } else {
+          this.enhanceRollbackTracking(state, step.id, stepResult);
+        }
 
         // Persist manifest to state root after parsing
-        if (step.id === 2 && stepResult.manifest) {
+        if (step.id === 'manifest' && stepResult.manifest) {
           state.manifest = stepResult.manifest;
           state.dependencies = [
             ...(stepResult.manifest.dependencies.system || []),
@@ -94,6 +161,7 @@ class Orchestrator {
       stateManager.save(state);
 
       logger.success('\n✅ All workflow steps completed successfully!');
+      this.emit('workflow:complete', { state });
 
     } catch (error) {
       logger.error(`\n❌ Workflow failed at step: ${error.step || 'unknown'}`);
@@ -106,73 +174,293 @@ class Orchestrator {
       };
 
       stateManager.save(state);
+      this.emit('workflow:failed', { state, error });
       throw error;
     }
+
+    return state;
+  }
+
+  /**
+   * Point commands without a log name at the log of a step
+   * @param {object|null} logs - Run from run-logs, or null in dry-run
+   * @param {string} stepId - Step id, used as the log name
+   * @returns {Function} Returns { logs: [paths] } for the files written since, or {} if none
+   * @private
+   */
+  startStepLogs(logs, stepId) {
+    if (!logs) {
+      return () => ({});
+    }
+
+    logs.step = stepId;
+    const written = logs.files.length;
+    return () => (logs.files.length > written ? { logs: logs.files.slice(written) } : {});
+  }
+
+  /**
+   * Build a fresh state object for a new workflow run
+   * @param {string} repoUrl - Repository URL
+   * @param {object} environment - Detected environment
+   * @param {object} options - Command options
+   * @returns {object} Initial state
+   * @private
+   */
+  createInitialState(repoUrl, environment, options) {
+    return {
+      repoUrl,
+      environment,
+      manifestHash: options.manifestHash || null,
+      timestamp: new Date().toISOString(),
+      steps: [],
+      installed: false,
+      rollback: {
+        runtimes: {
+          installed: [],
+          pinFiles: []
+        },
+        dependencies: {
+          npm: [],
+          pip: [],
+          system: []
+        },
+        config: {
+          backups: {},
+          originalGitConfig: {}
+        },
+        ssh: {
+          keyPath: null,
+          publicKeyPath: null,
+          addedToAgent: false
+        },
+        docs: {
+          outputDir: null,
+          filesCreated: 0
+        },
+        plugins: {}
+      }
+    };
+  }
+
+  /**
+   * Build the state for a resumed run from a previously failed one.
+   * Completed steps and rollback tracking are kept; failed entries are dropped
+   * so the failed step runs again.
+   * @param {object} previousState - State loaded from .jetpack-state.json
+   * @param {object} environment - Freshly detected environment
+   * @returns {object} Resumed state
+   * @private
+   */
+  createResumedState(previousState, environment) {
+    const state = {
+      ...previousState,
+      environment,
+      resumedAt: new Date().toISOString(),
+      steps: (previousState.steps || []).filter(s => s.status === 'completed')
+    };
+    delete state.error;
+    return state;
+  }
+
+  /**
+   * Build the state for a run limited by --only/--skip.
+   * The previous run's results and rollback tracking are kept for steps that
+   * do not run, so later steps can still read them through getStepResult.
+   * @param {object} previousState - State loaded from .jetpack-state.json
+   * @param {object} environment - Freshly detected environment
+   * @param {Set<string>} selection - Ids of steps that will run
+   * @param {string} manifestHash - Hash of the manifest for the current run
+   * @returns {object} Partial-run state
+   * @private
+   */
+  createPartialState(previousState, environment, selection, manifestHash) {
+    const state = {
+      ...previousState,
+      environment,
+      manifestHash: manifestHash || previousState.manifestHash || null,
+      timestamp: new Date().toISOString(),
+      steps: (previousState.steps || [])
+        .filter(s => s.status === 'completed' && !selection.has(s.id))
+        .map(s => ({ ...s, status: 'skipped' }))
+    };
+    delete state.error;
+    return state;
+  }
+
+  /**
+   * Get the workflow steps for a run: built-in steps plus plugin steps
+   * declared in the manifest
+   * @param {object} options - Command options (uses options.manifest)
+   * @returns {Array<object>} Ordered step list
+   */
+  getSteps(options = {}) {
+    const pluginSteps = pluginLoader.loadSteps(options.manifest, process.cwd());
+    if (pluginSteps.length === 0) {
+      return this.steps;
+    }
+    return pluginLoader.insertSteps(this.steps, pluginSteps);
+  }
+
+  /**
+   * Resolve which steps run from the --only and --skip options
+   * @param {object} options - Command options (comma-separated step ids)
+   * @param {Array<object>} steps - Workflow steps (default: built-in steps)
+   * @returns {Set<string>|null} Ids of steps to run, or null to run all steps
+   * @throws {Error} If an unknown step id is given
+   */
+  resolveStepSelection(options = {}, steps = this.steps) {
+    if (!options.only && !options.skip) {
+      return null;
+    }
+
+    const validIds = steps.map(s => s.id);
+    const parseIds = (value, flag) => {
+      const ids = value.split(',').map(id => id.trim().toLowerCase()).filter(Boolean);
+      const unknown = ids.filter(id => !validIds.includes(id));
+      if (unknown.length > 0) {
+        throw new Error(`Unknown step id(s) for ${flag}: ${unknown.join(', ')}. Valid ids: ${validIds.join(', ')}`);
+      }
+      return ids;
+    };
+
+    const only = options.only ? parseIds(options.only, '--only') : validIds;
+    const skip = options.skip ? parseIds(options.skip, '--skip') : [];
+
+    return new Set(
+      steps
+        .filter(s => s.required || (only.includes(s.id) && !skip.includes(s.id)))
+        .map(s => s.id)
+    );
+  }
+
+  /**
+   * Check if a step already completed (only possible when resuming)
+   * @param {object} state - Current state object
+   * @param {string} stepId - Step ID
+   * @returns {boolean}
+   * @private
+   */
+  isStepCompleted(state, stepId) {
+    return state.steps.some(s => s.id === stepId && s.status === 'completed');
+  }
+
+  /**
+   * Load the state of a failed run and check it can be resumed
+   * @param {string} manifestHash - Hash of the manifest for the current run
+   * @param {string|null} profile - Profile selected for the current run
+   * @returns {object} Previous state
+   * @throws {Error} If there is nothing to resume or the manifest or profile changed
+   */
+  loadResumableState(manifestHash, profile = null) {
+    const previousState = stateManager.load();
+
+    if (!previousState) {
+      throw new Error('No previous run found to resume. Run "jetpack init" without --resume');
+    }
+
+    if (previousState.installed) {
+      throw new Error('Previous run completed successfully - nothing to resume');
+    }
+
+    if (!previousState.manifestHash || previousState.manifestHash !== manifestHash) {
+      throw new Error('Manifest has changed since the failed run. Run "jetpack init" without --resume to start over');
+    }
+
+    if ((previousState.profile || null) !== (profile || null)) {
+      throw new Error(`The failed run used ${previousState.profile ? `profile "${previousState.profile}"` : 'no profile'}. Resume with the same profile or run "jetpack init" without --resume`);
+    }
+
+    return previousState;
+  }
+
+  /**
+   * Rollback entry for one package from the installer's results
+   * Upgraded or downgraded packages keep the version to restore.
+   * @param {string} pkg - Package string from the manifest (may carry a constraint)
+   * @param {boolean} installed - Whether Jetpack installed or changed it
+   * @param {object} typeResults - Installer results for the package type
+   * @returns {object} { name, installed, version, constraint?, previousVersion? }
+   * @private
+   */
+  trackPackage(pkg, installed, typeResults) {
+    const record = (typeResults.versions || []).find(entry => entry.package === pkg);
+    if (!record) {
+      return { name: parsePackageName(pkg).name, installed, version: null };
+    }
+
+    return {
+      name: record.name,
+      installed,
+      version: record.version,
+      ...(record.constraint ? { constraint: record.constraint } : {}),
+      ...(record.previousVersion ? { previousVersion: record.previousVersion } : {})
+    };
   }
 
   /**
    * Enhance rollback tracking data after each step
    * @param {object} state - Current state object
-   * @param {number} stepId - Step ID
+   * @param {string} stepId - Step ID
    * @param {object} stepResult - Result from the step
    */
   enhanceRollbackTracking(state, stepId, stepResult) {
     switch (stepId) {
-      case 3: // Install Dependencies
+      case 'runtimes':
+        if (stepResult.runtimes) {
+          const { runtimes, pinFiles, projectRoot } = stepResult.runtimes;
+          state.rollback.runtimes = {
+            // Versions Jetpack installed, not ones that were already there
+            installed: runtimes
+              .filter(entry => entry.installed)
+              .map(({ runtime, version, manager }) => ({ runtime, version, manager })),
+            // Pin files with their previous content (null if Jetpack created them)
+            pinFiles,
+            // Directory the pin file paths are relative to
+            projectRoot: projectRoot || process.cwd()
+          };
+        }
+        break;
+
+      case 'dependencies':
         if (stepResult.packages) {
           const { system, npm, python } = stepResult.packages;
 
-          // Track npm packages
+          // Packages that installed but are unusable were still installed by Jetpack
+          const installedBy = results => results && [
+            ...(results.installed || []),
+            ...(results.unusable || []).map(entry => entry.package)
+          ];
+
+          // Track npm packages with the package manager that installed them
+          const manager = (npm && npm.manager) || 'npm';
           if (npm && npm.installed) {
-            state.rollback.dependencies.npm = npm.installed.map(pkg => ({
-              name: pkg,
-              installed: true,
-              version: null
-            }));
+            state.rollback.dependencies.npm = installedBy(npm).map(pkg => ({ ...this.trackPackage(pkg, true, npm), manager }));
           }
           if (npm && npm.skipped) {
-            state.rollback.dependencies.npm.push(...npm.skipped.map(pkg => ({
-              name: pkg,
-              installed: false,
-              version: null
-            })));
+            state.rollback.dependencies.npm.push(...npm.skipped.map(pkg => ({ ...this.trackPackage(pkg, false, npm), manager })));
           }
 
-          // Track pip packages
+          // Track Python packages with the mode (environment) they were installed into
+          const mode = (python && python.mode) || 'pip';
           if (python && python.installed) {
-            state.rollback.dependencies.pip = python.installed.map(pkg => ({
-              name: pkg,
-              installed: true,
-              version: null
-            }));
+            state.rollback.dependencies.pip = installedBy(python).map(pkg => ({ ...this.trackPackage(pkg, true, python), mode }));
           }
           if (python && python.skipped) {
-            state.rollback.dependencies.pip.push(...python.skipped.map(pkg => ({
-              name: pkg,
-              installed: false,
-              version: null
-            })));
+            state.rollback.dependencies.pip.push(...python.skipped.map(pkg => ({ ...this.trackPackage(pkg, false, python), mode })));
           }
 
           // Track system packages
+          const platform = state.environment.platform;
           if (system && system.installed) {
-            state.rollback.dependencies.system = system.installed.map(pkg => ({
-              name: pkg,
-              installed: true,
-              platform: state.environment.platform
-            }));
+            state.rollback.dependencies.system = installedBy(system).map(pkg => ({ ...this.trackPackage(pkg, true, system), platform }));
           }
           if (system && system.skipped) {
-            state.rollback.dependencies.system.push(...system.skipped.map(pkg => ({
-              name: pkg,
-              installed: false,
-              platform: state.environment.platform
-            })));
+            state.rollback.dependencies.system.push(...system.skipped.map(pkg => ({ ...this.trackPackage(pkg, false, system), platform })));
           }
         }
         break;
 
-      case 5: // Generate Configurations
+      case 'config':
         if (stepResult.files) {
           const { env, ssh, git } = stepResult.files;
 
@@ -198,7 +486,7 @@ class Orchestrator {
         }
         break;
 
-      case 6: // Create Documentation
+      case 'docs':
         if (stepResult.generated && stepResult.files) {
           state.rollback.docs.outputDir = stepResult.outputDir || './docs';
           state.rollback.docs.filesCreated = stepResult.files.length || 0;
@@ -207,6 +495,26 @@ class Orchestrator {
     }
   }
 
+  /**
+   * Record rollback data returned by a plugin step
+   * @param {object} state - Current state object
+   * @param {object} step - Plugin step
+   * @param {object} stepResult - Result from the step
+   * @private
+   */
+  trackPluginRollback(state, step, stepResult) {
+    if (!state.rollback.plugins) {
+      state.rollback.plugins = {};
+    }
+
+    state.rollback.plugins[step.id] = {
+      plugin: step.plugin,
+      name: step.name,
+      config: step.config || {},
+      data: stepResult && stepResult.rollback !== undefined ? stepResult.rollback : null
+    };
+  }
+
   /**
    * Step 1: Detect Environment
    */
@@ -229,12 +537,22 @@ class Orchestrator {
       logger.info('  → Using pre-fetched manifest');
       logger.info(`  → Project: ${options.manifest.name}`);
 
+      // Pick per-platform packages and drop entries whose `when:` does not hold
+      const manifest = platformConditions.resolveManifest(options.manifest, environment);
+      const { skipped } = manifest.metadata.platform;
+      if (skipped.setupSteps.length > 0) {
+        logger.info(`  → Setup steps skipped on this platform: ${skipped.setupSteps.join(', ')}`);
+      }
+      if (skipped.checks.length > 0) {
+        logger.info(`  → Checks skipped on this platform: ${skipped.checks.join(', ')}`);
+      }
+
       return {
         parsed: true,
-        manifest: options.manifest,
-        dependencies: options.manifest.dependencies,
-        environment: options.manifest.environment,
-        setupSteps: options.manifest.setupSteps
+        manifest,
+        dependencies: manifest.dependencies,
+        environment: manifest.environment,
+        setupSteps: manifest.setupSteps
       };
     }
 
@@ -250,7 +568,39 @@ class Orchestrator {
   }
 
   /**
-   * Step 3: Install Dependencies
+   * Step 3: Install Runtimes
+   */
+  async installRuntimes(repoUrl, environment, options) {
+    const runtimeManager = require('./runtime-manager');
+
+    if (options.skipInstall) {
+      logger.warning('  → Skipped (--skip-install flag)');
+      return { installed: false, skipped: true, runtimes: null };
+    }
+
+    const manifestResult = this.getStepResult(options, 'manifest');
+    const runtimes = manifestResult && manifestResult.manifest ? manifestResult.manifest.runtimes : null;
+
+    if (!runtimes) {
+      logger.info('  → No runtimes in manifest');
+      return { installed: false, runtimes: null, message: 'No runtimes in manifest' };
+    }
+
+    const result = await runtimeManager.installRuntimes(runtimes, options);
+
+    return {
+      installed: result.installed.length > 0,
+      runtimes: result,
+      summary: {
+        installed: result.installed.length,
+        skipped: result.skipped.length,
+        failed: result.failed.length
+      }
+    };
+  }
+
+  /**
+   * Step 4: Install Dependencies
    */
   async installDependencies(repoUrl, environment, options) {
     const dependencyInstaller = require('./dependency-installer');
@@ -266,7 +616,7 @@ class Orchestrator {
     }
 
     // Get manifest from previous step
-    const manifestResult = this.getStepResult(options, 'Parse Manifest');
+    const manifestResult = this.getStepResult(options, 'manifest');
 
     if (!manifestResult || !manifestResult.manifest) {
       logger.warning('  → No manifest available');
@@ -283,7 +633,9 @@ class Orchestrator {
     const hasDeps = (
       (manifest.dependencies.system && manifest.dependencies.system.length > 0) ||
       (manifest.dependencies.npm && manifest.dependencies.npm.length > 0) ||
-      (manifest.dependencies.python && manifest.dependencies.python.length > 0)
+      (manifest.dependencies.python && manifest.dependencies.python.length > 0) ||
+      manifest.dependencies.pythonMode === 'poetry' ||
+      Boolean(manifest.dependencies.node)
     );
 
     if (!hasDeps) {
@@ -295,13 +647,24 @@ class Orchestrator {
       };
     }
 
+    // Global JavaScript packages use the project's package manager
+    const jsPackageManager = resolveJsPackageManager(manifest.packageManager, process.cwd());
+    if (manifest.dependencies.npm && manifest.dependencies.npm.length > 0) {
+      logger.info(`  → JavaScript package manager: ${jsPackageManager.name} (${jsPackageManager.source})`);
+    }
+
     // Install dependencies
     const result = await dependencyInstaller.installDependencies(
       manifest.dependencies,
       environment,
-      options
+      { ...options, jsPackageManager: jsPackageManager.name }
     );
 
+    // Conflict resolutions that were accepted, kept with the run
+    if (result.resolutions.length > 0 && options._state) {
+      options._state.resolutions = [...(options._state.resolutions || []), ...result.resolutions];
+    }
+
     return {
       installed: result.summary.installed > 0,
       packages: result,
@@ -311,22 +674,25 @@ class Orchestrator {
 
   /**
    * Helper: Get result from previous step
+   * Steps skipped by --only/--skip resolve to their result from the previous run
+   * @param {object} options - Command options holding the current state
+   * @param {string} stepId - Step ID (e.g. 'manifest')
    * @private
    */
-  getStepResult(options, stepName) {
+  getStepResult(options, stepId) {
     if (!options._state || !options._state.steps) return null;
-    const step = options._state.steps.find(s => s.name === stepName);
+    const step = options._state.steps.find(s => s.id === stepId);
     return step ? step.result : null;
   }
 
   /**
-   * Step 4: Execute Setup Steps
+   * Step 5: Execute Setup Steps
    */
   async executeSetupSteps(repoUrl, environment, options) {
     const setupExecutor = require('./setup-executor');
 
     // Get manifest from previous step
-    const manifestResult = this.getStepResult(options, 'Parse Manifest');
+    const manifestResult = this.getStepResult(options, 'manifest');
 
     if (!manifestResult || !manifestResult.manifest) {
       logger.warning('  → No manifest available');
@@ -372,13 +738,13 @@ class Orchestrator {
   }
 
   /**
-   * Step 5: Generate Configurations
+   * Step 6: Generate Configurations
    */
   async generateConfigs(repoUrl, environment, options) {
     const configGenerator = require('./config-generator');
 
     // Get manifest from previous step
-    const manifestResult = this.getStepResult(options, 'Parse Manifest');
+    const manifestResult = this.getStepResult(options, 'manifest');
 
     if (!manifestResult || !manifestResult.manifest) {
       logger.warning('  → No manifest available');
@@ -406,13 +772,13 @@ class Orchestrator {
   }
 
   /**
-   * Step 6: Create Documentation
+   * Step 7: Create Documentation
    */
   async createDocs(repoUrl, environment, options) {
     const documentGenerator = require('../docs/core/DocumentGenerator');
 
     // Get manifest from previous step
-    const manifestResult = this.getStepResult(options, 'Parse Manifest');
+    const manifestResult = this.getStepResult(options, 'manifest');
 
     if (!manifestResult || !manifestResult.manifest) {
       logger.warning('  → No manifest available for documentation generation');
@@ -464,13 +830,13 @@ class Orchestrator {
   }
 
   /**
-   * Step 7: Verify Setup
+   * Step 8: Verify Setup
    */
   async verifySetup(repoUrl, environment, options) {
     const VerificationOrchestrator = require('../verification/core/VerificationOrchestrator');
 
     // Get manifest from previous step
-    const manifestResult = this.getStepResult(options, 'Parse Manifest');
+    const manifestResult = this.getStepResult(options, 'manifest');
 
     if (!manifestResult || !manifestResult.manifest) {
       logger.warning('  → No manifest available for verification');
@@ -500,7 +866,8 @@ class Orchestrator {
       const result = await verifier.verifySetup(manifest.verification, {
         environment,
         cwd: process.cwd(),
-        verbose: options.verbose || false
+        verbose: options.verbose || false,
+        onCheckResult: checkResult => this.emit('check:result', checkResult.toJSON())
       });
 
       // Log results
@@ -536,3 +903,4 @@ class Orchestrator {
 }
 
 module.exports = new Orchestrator();
+module.exports.Orchestrator = Orchestrator;
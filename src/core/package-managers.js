@@ -1,5 +1,9 @@
-const { execSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { execSync, spawn } = require('child_process');
 const logger = require('../ui/logger');
+const versionConstraints = require('./version-constraints');
+const runLogs = require('./run-logs');
 
 /**
  * Package Managers Utility Module
@@ -7,17 +11,305 @@ const logger = require('../ui/logger');
  * Provides utilities for detecting, validating, and executing
  * package manager commands across different platforms.
  * 
- * Supports: npm, pip, choco, scoop, winget, brew, apt, yum
+ * Supports: npm, yarn, pnpm, bun, pip, pipx, uv, poetry, choco, scoop, winget, brew,
+ * apt, dnf, yum, pacman, zypper, apk
+ *
+ * `dependencies.npm` packages are installed globally with the project's
+ * JavaScript package manager (see resolveJsPackageManager). Functions taking
+ * a package type accept 'yarn', 'pnpm' and 'bun' as well as 'npm'.
+ *
+ * `dependencies.python` packages are installed in the manifest's Python mode
+ * (see getPythonCommands). Functions taking a package type accept 'pipx',
+ * 'venv', 'uv' and 'poetry' as well as 'python' (plain pip).
+ *
+ * System package names follow Debian; SYSTEM_PACKAGE_ALIASES maps them to
+ * the name other Linux distributions use (libssl-dev -> openssl-devel).
+ *
+ * Package strings may carry a version constraint (see version-constraints):
+ * eslint@^8, @scope/tool@~1.2, black>=23, git>=2.30
  */
 
+// Linux package managers in detection order (dnf before yum: Fedora keeps yum as
+// an alias of dnf). `binary` is looked up on PATH; commands take the package name.
+const LINUX_PACKAGE_MANAGERS = {
+  apt: {
+    binary: 'apt-get',
+    check: 'dpkg -l',
+    version: "dpkg-query -W -f='${Version}'",
+    install: 'sudo apt-get install -y',
+    upgrade: 'sudo apt-get install --only-upgrade -y',
+    uninstall: 'sudo apt-get remove -y'
+  },
+  dnf: {
+    binary: 'dnf',
+    check: 'rpm -q',
+    version: "rpm -q --qf '%{VERSION}'",
+    install: 'sudo dnf install -y',
+    upgrade: 'sudo dnf upgrade -y',
+    uninstall: 'sudo dnf remove -y'
+  },
+  yum: {
+    binary: 'yum',
+    check: 'rpm -q',
+    version: "rpm -q --qf '%{VERSION}'",
+    install: 'sudo yum install -y',
+    upgrade: 'sudo yum upgrade -y',
+    uninstall: 'sudo yum remove -y'
+  },
+  pacman: {
+    binary: 'pacman',
+    check: 'pacman -Q',
+    version: 'pacman -Q',
+    install: 'sudo pacman -S --noconfirm --needed',
+    upgrade: 'sudo pacman -S --noconfirm',
+    uninstall: 'sudo pacman -R --noconfirm'
+  },
+  zypper: {
+    binary: 'zypper',
+    check: 'rpm -q',
+    version: "rpm -q --qf '%{VERSION}'",
+    install: 'sudo zypper --non-interactive install',
+    upgrade: 'sudo zypper --non-interactive update',
+    uninstall: 'sudo zypper --non-interactive remove'
+  },
+  apk: {
+    binary: 'apk',
+    check: 'apk info -e',
+    version: 'apk list --installed',
+    install: 'sudo apk add',
+    upgrade: 'sudo apk add --upgrade',
+    uninstall: 'sudo apk del'
+  }
+};
+
+// Debian package names that other distributions call differently; manifests
+// use the Debian name and names missing here are the same everywhere
+const SYSTEM_PACKAGE_ALIASES = {
+  'build-essential': { dnf: '@development-tools', pacman: 'base-devel', zypper: 'patterns-devel-base-devel_basis', apk: 'build-base' },
+  'docker.io': { dnf: 'moby-engine', pacman: 'docker', zypper: 'docker', apk: 'docker' },
+  'fd-find': { pacman: 'fd', zypper: 'fd', apk: 'fd' },
+  'libffi-dev': { dnf: 'libffi-devel', yum: 'libffi-devel', pacman: 'libffi', zypper: 'libffi-devel' },
+  'libpq-dev': { dnf: 'libpq-devel', yum: 'postgresql-devel', pacman: 'postgresql-libs', zypper: 'postgresql-devel', apk: 'postgresql-dev' },
+  'libssl-dev': { dnf: 'openssl-devel', yum: 'openssl-devel', pacman: 'openssl', zypper: 'libopenssl-devel', apk: 'openssl-dev' },
+  'openssh-client': { dnf: 'openssh-clients', yum: 'openssh-clients', pacman: 'openssh', zypper: 'openssh-clients' },
+  'postgresql-client': { dnf: 'postgresql', yum: 'postgresql', pacman: 'postgresql', zypper: 'postgresql' },
+  'python3': { pacman: 'python' },
+  'python3-pip': { pacman: 'python-pip', apk: 'py3-pip' },
+  'python3-venv': { dnf: 'python3', yum: 'python3', pacman: 'python', zypper: 'python3', apk: 'python3' },
+  'redis-server': { dnf: 'redis', yum: 'redis', pacman: 'redis', zypper: 'redis', apk: 'redis' },
+  'xz-utils': { dnf: 'xz', yum: 'xz', pacman: 'xz', zypper: 'xz', apk: 'xz' }
+};
+
 /**
- * Check if a package is already installed
- * @param {string} packageName - Package name to check
- * @param {string} type - Package type ('system', 'npm', 'python')
+ * Name of a system package for a package manager
+ * @param {string} packageName - Package name from the manifest (Debian naming)
+ * @param {string} manager - Result of detectSystemPackageManager()
+ * @returns {string} The package manager's name for it, e.g. "openssl-devel" for libssl-dev on dnf
+ */
+function resolveSystemPackageName(packageName, manager) {
+  const aliases = SYSTEM_PACKAGE_ALIASES[packageName];
+  return (aliases && aliases[manager]) || packageName;
+}
+
+// Executables a system package provides, where they differ from its name (any one
+// of them on PATH is enough). null: a package without an executable to look up.
+// Library packages (lib*, *-dev, *-devel) are not looked up either.
+const SYSTEM_PACKAGE_COMMANDS = {
+  'build-essential': ['gcc'],
+  'ca-certificates': null,
+  'default-jdk': ['javac'],
+  'docker.io': ['docker'],
+  'fd-find': ['fdfind', 'fd'],
+  'golang-go': ['go'],
+  'imagemagick': ['magick', 'convert'],
+  'mysql-client': ['mysql'],
+  'neovim': ['nvim'],
+  'nodejs': ['node'],
+  'openssh-client': ['ssh'],
+  'postgresql-client': ['psql'],
+  'python3-pip': ['pip3', 'pip'],
+  'python3-venv': null,
+  'redis-tools': ['redis-cli'],
+  'ripgrep': ['rg'],
+  'silversearcher-ag': ['ag'],
+  'software-properties-common': null,
+  'xz-utils': ['xz']
+};
+
+// Module a Python distribution is imported as, where it differs from its name
+const PYTHON_IMPORT_NAMES = {
+  'attrs': 'attr',
+  'beautifulsoup4': 'bs4',
+  'opencv-python': 'cv2',
+  'pillow': 'PIL',
+  'protobuf': 'google.protobuf',
+  'psycopg2-binary': 'psycopg2',
+  'pyjwt': 'jwt',
+  'python-dateutil': 'dateutil',
+  'python-dotenv': 'dotenv',
+  'pyyaml': 'yaml',
+  'scikit-learn': 'sklearn'
+};
+
+// Global package commands of each JavaScript package manager (yarn is yarn classic;
+// yarn 2+ has no global packages)
+const JS_PACKAGE_MANAGERS = {
+  npm: { install: 'npm install -g', uninstall: 'npm uninstall -g', list: 'npm ls -g --depth=0' },
+  yarn: { install: 'yarn global add', uninstall: 'yarn global remove', list: 'yarn global list --depth=0' },
+  pnpm: { install: 'pnpm add -g', uninstall: 'pnpm remove -g', list: 'pnpm list -g --depth=0' },
+  bun: { install: 'bun add -g', uninstall: 'bun remove -g', list: 'bun pm ls -g' }
+};
+
+// Lockfiles in order of precedence when package.json names no package manager
+const JS_LOCKFILES = [
+  ['pnpm-lock.yaml', 'pnpm'],
+  ['yarn.lock', 'yarn'],
+  ['bun.lockb', 'bun'],
+  ['bun.lock', 'bun'],
+  ['package-lock.json', 'npm'],
+  ['npm-shrinkwrap.json', 'npm']
+];
+
+// Where `dependencies.python` packages go: pip on PATH, pipx (one isolated
+// environment per CLI tool), the project's .venv (venv or uv) or poetry's environment
+const PYTHON_MODES = ['pip', 'pipx', 'venv', 'uv', 'poetry'];
+
+// Project virtualenv used by the venv and uv modes
+const VENV_DIR = '.venv';
+
+/**
+ * Check if a package type is a JavaScript package manager
+ * @param {string} type - Package type
+ * @returns {boolean} True for npm, yarn, pnpm and bun
+ */
+function isJsPackageManager(type) {
+  return Object.prototype.hasOwnProperty.call(JS_PACKAGE_MANAGERS, type);
+}
+
+/**
+ * Choose the JavaScript package manager for `dependencies.npm`
+ * Order: the manifest's `packageManager`, the `packageManager` field of
+ * package.json (e.g. "pnpm@9.1.0"), a lockfile, then npm.
+ * @param {string|null} declared - `packageManager` from the manifest
+ * @param {string} cwd - Project directory
+ * @returns {object} { name, source } - source is 'manifest', 'package.json', the lockfile name or 'default'
+ */
+function resolveJsPackageManager(declared, cwd = process.cwd()) {
+  if (declared && isJsPackageManager(declared)) {
+    return { name: declared, source: 'manifest' };
+  }
+
+  try {
+    const packageJson = JSON.parse(fs.readFileSync(path.join(cwd, 'package.json'), 'utf8'));
+    const name = typeof packageJson.packageManager === 'string' ? packageJson.packageManager.split('@')[0] : null;
+    if (isJsPackageManager(name)) {
+      return { name, source: 'package.json' };
+    }
+  } catch (error) {
+    // No readable package.json: fall back to lockfiles
+  }
+
+  const lockfile = JS_LOCKFILES.find(([file]) => fs.existsSync(path.join(cwd, file)));
+  return lockfile ? { name: lockfile[1], source: lockfile[0] } : { name: 'npm', source: 'default' };
+}
+
+/**
+ * Commands for one Python install mode
+ * `install` takes package arguments; poetry installs the project from
+ * pyproject.toml with `sync` instead, and `install` only restores versions.
+ * @param {string} mode - 'pip' (or 'python'), 'pipx', 'venv', 'uv' or 'poetry'
+ * @param {string} platform - Platform (win32, darwin, linux)
+ * @returns {object} { tool, create, sync, install, uninstall, show, python } - create
+ *   makes the virtualenv; show prints `pip show` output and python runs the
+ *   mode's interpreter (both null for pipx)
+ */
+function getPythonCommands(mode, platform = process.platform) {
+  const python = platform === 'win32' ? 'python' : 'python3';
+  const venvPython = platform === 'win32' ? `${VENV_DIR}\\Scripts\\python` : `${VENV_DIR}/bin/python`;
+  const commands = { create: null, sync: null };
+
+  switch (mode) {
+    case 'pipx':
+      return { ...commands, tool: 'pipx', install: 'pipx install --force', uninstall: 'pipx uninstall', show: null, python: null };
+    case 'venv':
+      return {
+        ...commands,
+        tool: python,
+        create: `${python} -m venv ${VENV_DIR}`,
+        install: `${venvPython} -m pip install`,
+        uninstall: `${venvPython} -m pip uninstall -y`,
+        show: `${venvPython} -m pip show`,
+        python: venvPython
+      };
+    case 'uv':
+      return {
+        ...commands,
+        tool: 'uv',
+        create: `uv venv ${VENV_DIR}`,
+        install: `uv pip install --python ${VENV_DIR}`,
+        uninstall: `uv pip uninstall --python ${VENV_DIR}`,
+        show: `uv pip show --python ${VENV_DIR}`,
+        python: venvPython
+      };
+    case 'poetry':
+      return {
+        ...commands,
+        tool: 'poetry',
+        sync: 'poetry install',
+        install: 'poetry run pip install',
+        uninstall: 'poetry run pip uninstall -y',
+        show: 'poetry run pip show',
+        python: 'poetry run python'
+      };
+    default:
+      return { ...commands, tool: 'pip', install: 'pip install', uninstall: 'pip uninstall -y', show: 'pip show', python };
+  }
+}
+
+/**
+ * Package type used to look up Python packages installed in a mode
+ * @param {string} mode - Python install mode
+ * @returns {string} 'python' for pip, otherwise the mode
+ */
+function getPythonType(mode) {
+  return !mode || mode === 'pip' ? 'python' : mode;
+}
+
+/**
+ * Install command for Python packages in a mode
+ * @param {string} mode - Python install mode
+ * @param {string[]} specs - Package arguments from getInstallSpec()
+ * @param {string} platform - Platform (win32, darwin, linux)
+ * @returns {string} e.g. "uv pip install --python .venv black"
+ */
+function getPythonInstallCommand(mode, specs, platform = process.platform) {
+  const commands = getPythonCommands(mode, platform);
+  return commands.sync || `${commands.install} ${specs.join(' ')}`;
+}
+
+/**
+ * Check if a package is already installed (in a version that satisfies
+ * the package string's constraint, if it has one)
+ * @param {string} packageString - Package name, optionally with a version constraint
+ * @param {string} type - Package type ('system', 'python' or a JavaScript package manager)
  * @param {object} environment - Detected environment object
  * @returns {Promise<boolean>} True if package is installed
  */
-async function isPackageInstalled(packageName, type, environment) {
+async function isPackageInstalled(packageString, type, environment) {
+  const { name: packageName, version: constraint } = parsePackageName(packageString);
+
+  if (constraint) {
+    const installed = await getInstalledPackage(packageName, type, environment);
+    return installed.installed && installed.version !== null &&
+      versionConstraints.satisfies(installed.version, constraint, versionConstraints.getScheme(type));
+  }
+
+  // yarn, pnpm, bun and the Python modes other than pip have no check command;
+  // look the package up in their list instead
+  if ((isJsPackageManager(type) && type !== 'npm') || (PYTHON_MODES.includes(type) && type !== 'pip')) {
+    return (await getInstalledPackage(packageName, type, environment)).installed;
+  }
+
   try {
     let checkCmd;
     
@@ -78,11 +370,9 @@ function getSystemCheckCommand(packageName, environment) {
       return `brew list ${packageName}`;
     }
   } else if (platform === 'linux') {
-    if (packageManagers.apt) {
-      return `dpkg -l ${packageName}`;
-    }
-    if (packageManagers.yum) {
-      return `rpm -q ${packageName}`;
+    const manager = detectSystemPackageManager(environment);
+    if (manager) {
+      return `${LINUX_PACKAGE_MANAGERS[manager].check} ${resolveSystemPackageName(packageName, manager)}`;
     }
   }
   
@@ -93,10 +383,15 @@ function getSystemCheckCommand(packageName, environment) {
  * Get system package install command
  * @param {string} packageName - Package name to install
  * @param {object} environment - Detected environment
+ * @param {string} action - 'install' or 'upgrade' (to the newest version available)
  * @returns {string|null} Install command or null
  */
-function getSystemPackageCommand(packageName, environment) {
+function getSystemPackageCommand(packageName, environment, action = 'install') {
   const { platform, packageManagers } = environment;
+
+  if (action === 'upgrade') {
+    return getSystemUpgradeCommand(packageName, environment);
+  }
   
   if (platform === 'win32') {
     if (packageManagers.chocolatey) {
@@ -113,17 +408,58 @@ function getSystemPackageCommand(packageName, environment) {
       return `brew install ${packageName}`;
     }
   } else if (platform === 'linux') {
-    if (packageManagers.apt) {
-      return `sudo apt-get install -y ${packageName}`;
-    }
-    if (packageManagers.yum) {
-      return `sudo yum install -y ${packageName}`;
+    const manager = detectSystemPackageManager(environment);
+    if (manager) {
+      return `${LINUX_PACKAGE_MANAGERS[manager].install} ${resolveSystemPackageName(packageName, manager)}`;
     }
   }
   
   return null;
 }
 
+/**
+ * Get one command installing or upgrading several system packages
+ * @param {string[]} packageNames - Package names to install
+ * @param {object} environment - Detected environment
+ * @param {string} action - 'install' or 'upgrade'
+ * @returns {string|null} Command, or null if the package manager takes one package per command (winget)
+ */
+function getSystemBatchCommand(packageNames, environment, action = 'install') {
+  const manager = detectSystemPackageManager(environment);
+  if (!manager || manager === 'winget') {
+    return null;
+  }
+  // Aliases apply per package, so resolve the names before joining them
+  const names = packageNames.map(name => resolveSystemPackageName(name, manager));
+  return getSystemPackageCommand(names.join(' '), environment, action);
+}
+
+/**
+ * Get system package upgrade command
+ * @param {string} packageName - Package name to upgrade
+ * @param {object} environment - Detected environment
+ * @returns {string|null} Upgrade command or null
+ * @private
+ */
+function getSystemUpgradeCommand(packageName, environment) {
+  const manager = detectSystemPackageManager(environment);
+
+  switch (manager) {
+    case 'chocolatey':
+      return `choco upgrade ${packageName} -y`;
+    case 'scoop':
+      return `scoop update ${packageName}`;
+    case 'winget':
+      return `winget upgrade --id ${packageName} --silent --accept-source-agreements --accept-package-agreements`;
+    case 'homebrew':
+      return `brew upgrade ${packageName}`;
+    default:
+      return LINUX_PACKAGE_MANAGERS[manager]
+        ? `${LINUX_PACKAGE_MANAGERS[manager].upgrade} ${resolveSystemPackageName(packageName, manager)}`
+        : null;
+  }
+}
+
 /**
  * Get the best available system package manager for the platform
  * @param {object} environment - Detected environment
@@ -139,8 +475,7 @@ function detectSystemPackageManager(environment) {
   } else if (platform === 'darwin') {
     if (packageManagers.homebrew) return 'homebrew';
   } else if (platform === 'linux') {
-    if (packageManagers.apt) return 'apt';
-    if (packageManagers.yum) return 'yum';
+    return Object.keys(LINUX_PACKAGE_MANAGERS).find(manager => packageManagers[manager]) || null;
   }
   
   return null;
@@ -148,33 +483,73 @@ function detectSystemPackageManager(environment) {
 
 /**
  * Execute a package manager command with error handling
- * @param {string} command - Command to execute
- * @param {object} options - Execution options
- * @returns {Promise<object>} Result { success, output, error }
+ * The command runs without blocking the event loop, so installs of different
+ * package types can run at the same time. Output is always captured (and
+ * echoed in verbose mode) so it can be appended to the run's log.
+ * An array runs as program and arguments without a shell (on Windows, where
+ * npm and pip are .cmd shims, through the shell with each argument quoted).
+ * @param {string|string[]} command - Command to execute
+ * @param {object} options - Execution options; options._logs is the run from
+ *   run-logs and options.logName the log to write to (default: the current step)
+ * @returns {Promise<object>} Result { success, output, error, log }
  */
 async function executeCommand(command, options = {}) {
-  const { dryRun = false, verbose = false } = options;
+  const { dryRun = false, verbose = false, json = false } = options;
+  const argv = Array.isArray(command) ? command : null;
+  if (argv) {
+    command = argv.map(arg => (/^[\w@./:=+,-]+$/.test(arg) ? arg : `"${arg}"`)).join(' ');
+  }
   
-  try {
-    if (dryRun) {
-      logger.debug(`[DRY-RUN] Would execute: ${command}`);
-      return { success: true, output: '', dryRun: true };
-    }
-    
-    const output = execSync(command, {
-      encoding: 'utf8',
-      stdio: verbose || process.env.DEBUG ? 'inherit' : 'pipe'
-    });
-    
-    return { success: true, output: output.trim() };
-  } catch (error) {
-    return {
-      success: false,
-      error: error.message,
-      exitCode: error.status,
-      command
-    };
+  if (dryRun) {
+    logger.debug(`[DRY-RUN] Would execute: ${command}`);
+    return { success: true, output: '', dryRun: true };
   }
+
+  const echo = (verbose || process.env.DEBUG) && !json;
+
+  return new Promise((resolve) => {
+    let stdout = '';
+    let stderr = '';
+    let settled = false;
+    const writeLog = exitCode => runLogs.write(options._logs, options.logName, { command, exitCode, stdout, stderr });
+    const failed = (message, exitCode = null) => {
+      // A program that does not exist reports 'error' and then 'close'
+      if (settled) return;
+      settled = true;
+      const log = writeLog(exitCode);
+      resolve({ success: false, error: message, exitCode, command, ...(log && { log }) });
+    };
+
+    try {
+      const child = argv && process.platform !== 'win32'
+        ? spawn(argv[0], argv.slice(1), { stdio: ['ignore', 'pipe', 'pipe'] })
+        : spawn(command, { shell: true, stdio: ['ignore', 'pipe', 'pipe'] });
+
+      child.stdout.on('data', (data) => {
+        stdout += data.toString();
+        if (echo) process.stdout.write(data);
+      });
+      child.stderr.on('data', (data) => {
+        stderr += data.toString();
+        if (echo) process.stderr.write(data);
+      });
+
+      child.on('error', error => failed(error.message));
+      child.on('close', (exitCode) => {
+        if (settled) return;
+        if (exitCode === 0) {
+          settled = true;
+          const log = writeLog(exitCode);
+          resolve({ success: true, output: stdout.trim(), ...(log && { log }) });
+        } else {
+          // Same message as execSync: the command, then what it printed to stderr
+          failed(`Command failed: ${command}${stderr ? `\n${stderr.trim()}` : ''}`, exitCode);
+        }
+      });
+    } catch (error) {
+      failed(error.message);
+    }
+  });
 }
 
 /**
@@ -196,15 +571,25 @@ function isPackageManagerAvailable(manager, environment) {
     case 'homebrew':
       return !!packageManagers.homebrew;
     case 'apt':
-      return !!packageManagers.apt;
+    case 'dnf':
     case 'yum':
-      return !!packageManagers.yum;
+    case 'pacman':
+    case 'zypper':
+    case 'apk':
+      return !!packageManagers[manager];
     case 'npm':
-      return !!packageManagers.npm;
+    case 'yarn':
+    case 'pnpm':
+    case 'bun':
+      return !!packageManagers[manager];
     case 'pip':
-      // Check if pip is available by trying to run it
+    case 'pipx':
+    case 'venv':
+    case 'uv':
+    case 'poetry':
+      // Check if the tool is available by trying to run it
       try {
-        execSync('pip --version', { stdio: 'ignore' });
+        execSync(`${getPythonCommands(manager).tool} --version`, { stdio: 'ignore' });
         return true;
       } catch {
         return false;
@@ -216,35 +601,285 @@ function isPackageManagerAvailable(manager, environment) {
 
 /**
  * Parse package name from various formats
- * Handles: package@version, package>=version, package==version
+ * Handles: package@version, @scope/package@version, package>=version, package==version
  * @param {string} packageString - Package string
- * @returns {object} { name, version, operator }
+ * @returns {object} { name, fullName, version, operator } - version is the
+ *   constraint (e.g. "^8", ">=23,<24") or null, operator its leading operator
  */
 function parsePackageName(packageString) {
-  // For now, return the full string as name
-  // Future enhancement: parse version specifiers
+  const text = packageString.trim();
+  // A leading @ belongs to an npm scope, not to a version
+  const at = text.indexOf('@', text.startsWith('@') ? 1 : 0);
+  const operatorMatch = text.match(/[<>=!~^]/);
+  const operatorIndex = operatorMatch ? operatorMatch.index : -1;
+
+  let name = text;
+  let version = null;
+  if (at > 0 && (operatorIndex === -1 || at < operatorIndex)) {
+    name = text.slice(0, at);
+    version = text.slice(at + 1).trim();
+  } else if (operatorIndex > 0) {
+    name = text.slice(0, operatorIndex);
+    version = text.slice(operatorIndex).trim();
+  }
+
+  const operator = version ? version.match(/^(===|~=|==|!=|>=|<=|>|<|=|\^|~)?/)[1] || null : null;
+
   return {
-    name: packageString.split(/[@>=<]/)[0],
+    name: name.trim(),
     fullName: packageString,
-    version: null,
-    operator: null
+    version: version || null,
+    operator
   };
 }
 
+/**
+ * Find the installed version of a package
+ * @param {string} packageName - Package name without a version constraint
+ * @param {string} type - Package type ('system', 'python' or a JavaScript package manager)
+ * @param {object} environment - Detected environment (for system packages)
+ * @returns {Promise<object>} { installed, version } - version is null when the
+ *   package is missing or its package manager cannot report versions
+ */
+async function getInstalledPackage(packageName, type, environment) {
+  const run = (command) => execSync(command, { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] });
+
+  try {
+    switch (type) {
+      case 'npm': {
+        const output = JSON.parse(run(`npm list -g ${packageName} --depth=0 --json`));
+        const entry = output.dependencies && output.dependencies[packageName];
+        return entry ? { installed: true, version: entry.version || null } : { installed: false, version: null };
+      }
+
+      case 'pnpm': {
+        const output = JSON.parse(run(`pnpm list -g ${packageName} --depth=0 --json`));
+        const entry = [].concat(output).map(root => root.dependencies && root.dependencies[packageName]).find(Boolean);
+        return entry ? { installed: true, version: entry.version || null } : { installed: false, version: null };
+      }
+
+      case 'yarn':
+      case 'bun': {
+        // yarn prints `info "eslint@8.57.0" has binaries:`, bun `├── eslint@8.57.0`
+        const escaped = packageName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const match = run(JS_PACKAGE_MANAGERS[type].list).match(new RegExp(`(?:^|[\\s"])${escaped}@(\\d[^\\s"]*)`, 'm'));
+        return match ? { installed: true, version: match[1] } : { installed: false, version: null };
+      }
+
+      case 'python':
+      case 'venv':
+      case 'uv':
+      case 'poetry': {
+        const match = run(`${getPythonCommands(type).show} ${packageName}`).match(/^Version:\s*(\S+)/m);
+        return { installed: true, version: match ? match[1] : null };
+      }
+
+      case 'pipx': {
+        // pipx keeps one virtualenv per application, keyed by package name
+        const { venvs = {} } = JSON.parse(run('pipx list --json'));
+        const entry = Object.values(venvs)
+          .map(venv => venv.metadata && venv.metadata.main_package)
+          .find(main => main && main.package.toLowerCase() === packageName.toLowerCase());
+        return entry ? { installed: true, version: entry.package_version || null } : { installed: false, version: null };
+      }
+
+      case 'system': {
+        const command = getSystemVersionCommand(packageName, environment);
+        if (!command) {
+          return { installed: await isPackageInstalled(packageName, 'system', environment), version: null };
+        }
+        const output = run(command).trim();
+        // brew prints "name 1.2 1.3", choco "name|1.2.3", pacman "name 1.2-1"; the last
+        // field is the version. apk prints "name-1.2.3-r0 x86_64 {origin} (license) [installed]".
+        const reported = detectSystemPackageManager(environment) === 'apk'
+          ? output.split(/\s+/)[0].slice(resolveSystemPackageName(packageName, 'apk').length + 1)
+          : output.split(/[\s|]+/).pop();
+        return output ? { installed: true, version: versionConstraints.coerceVersion(reported) } : { installed: false, version: null };
+      }
+
+      default:
+        return { installed: false, version: null };
+    }
+  } catch (error) {
+    // Command failed = package not installed
+    return { installed: false, version: null };
+  }
+}
+
+/**
+ * Executables to look up for a system package
+ * @param {string} packageName - Package name (Debian naming)
+ * @returns {string[]|null} Executables, or null for packages without one (libraries)
+ */
+function getSystemPackageExecutables(packageName) {
+  if (packageName in SYSTEM_PACKAGE_COMMANDS) {
+    return SYSTEM_PACKAGE_COMMANDS[packageName];
+  }
+  return /^lib|-(dev|devel|headers)$/.test(packageName) ? null : [packageName];
+}
+
+/**
+ * Module name a Python package is imported as
+ * @param {string} packageName - Distribution name, e.g. "PyYAML"
+ * @returns {string} e.g. "yaml"
+ */
+function getPythonImportName(packageName) {
+  const name = packageName.toLowerCase();
+  return PYTHON_IMPORT_NAMES[name] || name.replace(/[-.]/g, '_');
+}
+
+/**
+ * Check that an installed package can be used, not only that its package
+ * manager reports it:
+ * - system: one of its executables is on PATH (`command -v`, `where` on Windows)
+ * - JavaScript: the manager's global list has it (`npm ls -g`)
+ * - Python: it imports in the mode's interpreter (`python -c "import yaml"`);
+ *   pipx apps are isolated, so `pipx list` has to have it
+ * @param {string} packageName - Package name without constraint
+ * @param {string} type - 'system', a JavaScript package manager, 'python' or a Python mode
+ * @param {object} environment - Detected environment
+ * @returns {Promise<object>} { usable, probe, reason } - probe is null when there is
+ *   nothing to check (library packages); reason says why it is not usable
+ */
+async function checkPackageUsable(packageName, type, environment) {
+  const platform = environment.platform || process.platform;
+  const run = (command) => {
+    try {
+      execSync(command, { stdio: 'ignore' });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  };
+
+  if (type === 'system') {
+    const executables = getSystemPackageExecutables(packageName);
+    if (!executables) {
+      return { usable: true, probe: null, reason: null };
+    }
+    const lookup = name => (platform === 'win32' ? `where ${name}` : `command -v ${name}`);
+    const found = executables.find(name => run(lookup(name)));
+    return found
+      ? { usable: true, probe: lookup(found), reason: null }
+      : { usable: false, probe: lookup(executables[0]), reason: `${executables.join(' or ')} not found on PATH` };
+  }
+
+  if (isJsPackageManager(type) || type === 'pipx') {
+    const { installed } = await getInstalledPackage(packageName, type, environment);
+    const probe = type === 'npm' ? `npm ls -g ${packageName}` : type === 'pipx' ? 'pipx list' : getJsListCommand(type);
+    return { usable: installed, probe, reason: installed ? null : `not listed by ${probe}` };
+  }
+
+  const module = getPythonImportName(packageName);
+  const probe = `${getPythonCommands(type === 'python' ? 'pip' : type, platform).python} -c "import ${module}"`;
+  return run(probe)
+    ? { usable: true, probe, reason: null }
+    : { usable: false, probe, reason: `cannot import ${module}` };
+}
+
+/**
+ * Get the command that prints a system package's installed version
+ * @param {string} packageName - Package name
+ * @param {object} environment - Detected environment
+ * @returns {string|null} Command, or null if the package manager cannot report one
+ * @private
+ */
+function getSystemVersionCommand(packageName, environment) {
+  const manager = detectSystemPackageManager(environment);
+  if (LINUX_PACKAGE_MANAGERS[manager]) {
+    return `${LINUX_PACKAGE_MANAGERS[manager].version} ${resolveSystemPackageName(packageName, manager)}`;
+  }
+
+  switch (manager) {
+    case 'homebrew':
+      return `brew list --versions ${packageName}`;
+    case 'chocolatey':
+      return `choco list --local-only --exact --limit-output ${packageName}`;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Decide what to do for a package: install it, change its version or leave it
+ * @param {string} packageString - Package name, optionally with a version constraint
+ * @param {string} type - Package type ('system', 'python' or a JavaScript package manager)
+ * @param {object} environment - Detected environment
+ * @returns {Promise<object>} { package, name, constraint, currentVersion, action }
+ *   where action is 'install', 'upgrade', 'downgrade' or 'skip'
+ */
+async function getPackagePlan(packageString, type, environment) {
+  const { name, version: constraint } = parsePackageName(packageString);
+  const installed = await getInstalledPackage(name, type, environment);
+  const plan = { package: packageString, name, constraint, currentVersion: installed.version, action: 'skip' };
+
+  if (!installed.installed) {
+    plan.action = 'install';
+  } else if (constraint && installed.version !== null) {
+    const scheme = versionConstraints.getScheme(type);
+    if (!versionConstraints.satisfies(installed.version, constraint, scheme)) {
+      plan.action = versionConstraints.getDirection(installed.version, constraint, scheme);
+    }
+  }
+
+  return plan;
+}
+
+/**
+ * Package argument for JavaScript or Python install commands
+ * Constraints are quoted because they may contain shell operators (>, <, |).
+ * @param {object} plan - Plan from getPackagePlan()
+ * @param {string} type - A JavaScript package manager, 'python' or a Python mode
+ * @returns {string} e.g. "eslint@^8" or "black>=23"
+ */
+function getInstallSpec(plan, type) {
+  if (!plan.constraint) {
+    return plan.name;
+  }
+  return versionConstraints.getScheme(type) === 'pep440' ? `"${plan.name}${plan.constraint}"` : `"${plan.name}@${plan.constraint}"`;
+}
+
+/**
+ * Global install command for JavaScript packages
+ * @param {string} manager - 'npm', 'yarn', 'pnpm' or 'bun'
+ * @param {string[]} specs - Package arguments from getInstallSpec()
+ * @returns {string} e.g. "pnpm add -g eslint"
+ */
+function getJsInstallCommand(manager, specs) {
+  return `${JS_PACKAGE_MANAGERS[manager].install} ${specs.join(' ')}`;
+}
+
+/**
+ * Command listing global JavaScript packages as a tree
+ * @param {string} manager - 'npm', 'yarn', 'pnpm' or 'bun'
+ * @returns {string} e.g. "npm ls -g --depth=0"
+ */
+function getJsListCommand(manager) {
+  return JS_PACKAGE_MANAGERS[manager].list;
+}
+
 /**
  * Get uninstall command for a package
- * @param {string} type - Package type ('npm', 'pip', 'system')
+ * @param {string} type - Package type ('npm', 'yarn', 'pnpm', 'bun', 'system') or a
+ *   Python mode ('pip', 'pipx', 'venv', 'uv', 'poetry')
  * @param {string} packageName - Package name
- * @param {string} platform - Platform for system packages (win32, darwin, linux)
+ * @param {string} platform - Platform (win32, darwin, linux)
  * @returns {string|null} Uninstall command or null
  */
 function getUninstallCommand(type, packageName, platform = process.platform) {
   switch (type) {
     case 'npm':
-      return `npm uninstall -g ${packageName}`;
+    case 'yarn':
+    case 'pnpm':
+    case 'bun':
+      return `${JS_PACKAGE_MANAGERS[type].uninstall} ${packageName}`;
       
     case 'pip':
-      return `pip uninstall -y ${packageName}`;
+    case 'pipx':
+    case 'venv':
+    case 'uv':
+    case 'poetry':
+      return `${getPythonCommands(type, platform).uninstall} ${packageName}`;
       
     case 'system':
       if (platform === 'win32') {
@@ -253,17 +888,15 @@ function getUninstallCommand(type, packageName, platform = process.platform) {
         return `brew uninstall ${packageName}`;
       } else if (platform === 'linux') {
         // Try to detect which package manager to use
-        try {
-          execSync('which apt-get', { stdio: 'ignore' });
-          return `sudo apt-get remove -y ${packageName}`;
-        } catch {
+        for (const [manager, commands] of Object.entries(LINUX_PACKAGE_MANAGERS)) {
           try {
-            execSync('which yum', { stdio: 'ignore' });
-            return `sudo yum remove -y ${packageName}`;
+            execSync(`which ${commands.binary}`, { stdio: 'ignore' });
+            return `${commands.uninstall} ${resolveSystemPackageName(packageName, manager)}`;
           } catch {
-            return null;
+            // Not this one; try the next
           }
         }
+        return null;
       }
       return null;
       
@@ -272,12 +905,62 @@ function getUninstallCommand(type, packageName, platform = process.platform) {
   }
 }
 
+/**
+ * Get the command that puts back the version a package had before Jetpack
+ * upgraded or downgraded it
+ * @param {string} type - Package type ('npm', 'yarn', 'pnpm', 'bun') or a Python mode
+ * @param {string} packageName - Package name
+ * @param {string} version - Version to restore
+ * @param {string} platform - Platform (win32, darwin, linux)
+ * @returns {string|null} Install command, or null for system packages
+ */
+function getRestoreCommand(type, packageName, version, platform = process.platform) {
+  switch (type) {
+    case 'npm':
+    case 'yarn':
+    case 'pnpm':
+    case 'bun':
+      return getJsInstallCommand(type, [`${packageName}@${version}`]);
+    case 'pip':
+    case 'pipx':
+    case 'venv':
+    case 'uv':
+    case 'poetry':
+      return `${getPythonCommands(type, platform).install} ${packageName}==${version}`;
+    default:
+      return null;
+  }
+}
+
 module.exports = {
+  JS_PACKAGE_MANAGERS,
+  LINUX_PACKAGE_MANAGERS,
+  SYSTEM_PACKAGE_ALIASES,
+  SYSTEM_PACKAGE_COMMANDS,
+  PYTHON_IMPORT_NAMES,
+  PYTHON_MODES,
+  VENV_DIR,
+  isJsPackageManager,
+  resolveJsPackageManager,
+  getPythonCommands,
+  getPythonType,
+  getPythonInstallCommand,
+  getJsInstallCommand,
+  getJsListCommand,
   isPackageInstalled,
+  getInstalledPackage,
+  getPackagePlan,
+  getInstallSpec,
   getSystemPackageCommand,
+  getSystemBatchCommand,
+  getSystemPackageExecutables,
+  getPythonImportName,
+  checkPackageUsable,
+  resolveSystemPackageName,
   detectSystemPackageManager,
   executeCommand,
   isPackageManagerAvailable,
   parsePackageName,
-  getUninstallCommand
+  getUninstallCommand,
+  getRestoreCommand
 };
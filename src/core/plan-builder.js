@@ -0,0 +1,451 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const chalk = require('chalk');
+const pm = require('./package-managers');
+const versionConstraints = require('./version-constraints');
+const configUtils = require('./config-utils');
+const runtimeManager = require('./runtime-manager');
+const platformConditions = require('../detectors/platform-conditions');
+
+/**
+ * Plan Builder Module
+ *
+ * Compares a manifest with the machine without changing anything and lists
+ * what `jetpack init` would do, Terraform-style:
+ *   + install / create / set / run
+ *   ~ upgrade / downgrade / update
+ *   = already satisfied
+ *   ! unsupported on this OS
+ *
+ * Covers runtimes, Node.js, system, npm and Python packages, .env files, SSH keys,
+ * git config, documentation and setup steps.
+ */
+
+const SYMBOLS = {
+  install: '+',
+  create: '+',
+  run: '+',
+  set: '+',
+  upgrade: '~',
+  downgrade: '~',
+  update: '~',
+  satisfied: '=',
+  unsupported: '!'
+};
+
+const SECTIONS = [
+  { id: 'runtimes', title: '🧰 Runtimes' },
+  { id: 'node', title: '🟢 Node.js' },
+  { id: 'system', title: '📦 System Packages' },
+  { id: 'npm', title: '📦 npm Packages' },
+  { id: 'python', title: '🐍 Python Packages' },
+  { id: 'env', title: '🔐 Environment Files' },
+  { id: 'ssh', title: '🔑 SSH Keys' },
+  { id: 'git', title: '🔧 Git Config' },
+  { id: 'docs', title: '📚 Documentation' },
+  { id: 'setup', title: '⚙️  Setup Steps' }
+];
+
+class PlanBuilder {
+  /**
+   * Build the plan for a manifest on this machine
+   * @param {object} manifest - Parsed manifest
+   * @param {object} environment - Detected environment
+   * @param {object} options - { cwd }
+   * @returns {Promise<object>} { project, profile, platform, changes, summary }
+   *   where each change is { section, name, action, symbol, current, target, reason }
+   */
+  async build(manifest, environment, options = {}) {
+    const cwd = options.cwd || process.cwd();
+    const resolved = platformConditions.resolveManifest(manifest, environment);
+    const { os: platformOs, arch, packageManager } = resolved.metadata.platform;
+    const jsPackageManager = pm.resolveJsPackageManager(manifest.packageManager, cwd).name;
+    const pythonMode = resolved.dependencies.pythonMode || 'pip';
+
+    const changes = [
+      ...this.planRuntimes(manifest.runtimes, cwd),
+      ...this.planNode(resolved.dependencies.node, environment),
+      ...await this.planSystemPackages(resolved.dependencies.system, environment),
+      ...await this.planToolPackages(resolved.dependencies.npm, 'npm', environment, jsPackageManager),
+      ...await this.planToolPackages(resolved.dependencies.python, 'python', environment, pythonMode, cwd),
+      ...this.planEnvFiles(manifest.environment, cwd),
+      ...this.planSshKey(manifest.ssh),
+      ...this.planGitConfig(manifest.git),
+      ...this.planDocs(manifest.documentation, cwd),
+      ...this.planSetupSteps(resolved, platformOs)
+    ];
+
+    return {
+      project: manifest.name,
+      profile: (manifest.metadata && manifest.metadata.profile) || null,
+      platform: { os: platformOs, arch, packageManager, jsPackageManager, pythonMode },
+      changes,
+      summary: this.summarize(changes)
+    };
+  }
+
+  /**
+   * Plan runtime installs through the version manager and their pin files
+   * @param {object|null} runtimes - Parsed `runtimes` section
+   * @param {string} cwd - Project directory
+   * @returns {Array<object>} Changes
+   * @private
+   */
+  planRuntimes(runtimes, cwd) {
+    if (!runtimes) {
+      return [];
+    }
+
+    const changes = [];
+    for (const runtime of ['node', 'python']) {
+      const requested = runtimes[runtime];
+      if (!requested) {
+        continue;
+      }
+
+      const manager = runtimeManager.chooseManager(runtime, runtimes.manager, cwd);
+      if (!manager) {
+        changes.push(this.change('runtimes', runtime, 'unsupported', {
+          target: requested,
+          reason: runtimeManager.describeMissingManager(runtime, runtimes.manager)
+        }));
+        continue;
+      }
+
+      const installed = runtimeManager.findInstalled(runtimeManager.getCommands(manager, runtime), requested, cwd);
+      changes.push(this.change('runtimes', runtime, installed ? 'satisfied' : 'install', {
+        current: installed,
+        target: requested,
+        reason: manager
+      }));
+
+      const pinFile = runtimeManager.getPinFile(manager);
+      if (!changes.some(c => c.section === 'runtimes' && c.name === pinFile)) {
+        changes.push(this.change('runtimes', pinFile, fs.existsSync(path.join(cwd, pinFile)) ? 'update' : 'create'));
+      }
+    }
+
+    return changes;
+  }
+
+  /**
+   * Plan the Node.js version check (Jetpack never changes Node.js itself)
+   * @param {string|undefined} constraint - dependencies.node
+   * @param {object} environment - Detected environment
+   * @returns {Array<object>} Changes
+   * @private
+   */
+  planNode(constraint, environment) {
+    if (!constraint) {
+      return [];
+    }
+
+    const version = versionConstraints.coerceVersion(environment.nodeVersion || process.version);
+    if (version !== null && versionConstraints.satisfies(version, constraint, 'semver')) {
+      return [this.change('node', 'node', 'satisfied', { current: version, target: constraint })];
+    }
+
+    const direction = versionConstraints.getDirection(version, constraint, 'semver');
+    return [this.change('node', 'node', 'unsupported', {
+      current: version,
+      target: constraint,
+      reason: `${direction} Node.js yourself (e.g. with nvm)`
+    })];
+  }
+
+  /**
+   * Plan system packages for the detected package manager
+   * @param {string[]} packages - Packages selected for this platform
+   * @param {object} environment - Detected environment
+   * @returns {Promise<Array<object>>} Changes
+   * @private
+   */
+  async planSystemPackages(packages, environment) {
+    if (!packages || packages.length === 0) {
+      return [];
+    }
+
+    if (!pm.detectSystemPackageManager(environment)) {
+      return packages.map(pkg => this.change('system', pkg, 'unsupported', {
+        reason: `no system package manager detected on ${environment.platform}`
+      }));
+    }
+
+    const changes = [];
+    for (const pkg of packages) {
+      const plan = await pm.getPackagePlan(pkg, 'system', environment);
+
+      if (plan.action === 'downgrade') {
+        changes.push(this.fromPackagePlan('system', plan, 'unsupported', 'system package managers cannot downgrade'));
+      } else if (plan.action !== 'skip' && !pm.getSystemPackageCommand(plan.name, environment, plan.action)) {
+        changes.push(this.fromPackagePlan('system', plan, 'unsupported', 'no install command for this package manager'));
+      } else {
+        changes.push(this.fromPackagePlan('system', plan));
+      }
+    }
+    return changes;
+  }
+
+  /**
+   * Plan npm or Python packages
+   * For Python, the mode may add creating the project .venv (venv, uv) or
+   * running `poetry install`.
+   * @param {string[]} packages - Package strings
+   * @param {string} type - 'npm' or 'python'
+   * @param {object} environment - Detected environment
+   * @param {string} manager - JavaScript package manager (npm, yarn, pnpm, bun) or Python mode
+   * @param {string} cwd - Project directory
+   * @returns {Promise<Array<object>>} Changes
+   * @private
+   */
+  async planToolPackages(packages, type, environment, manager = type === 'npm' ? 'npm' : 'pip', cwd = process.cwd()) {
+    const commands = type === 'python' ? pm.getPythonCommands(manager) : {};
+    if ((!packages || packages.length === 0) && !commands.sync) {
+      return [];
+    }
+
+    const steps = [];
+    if (commands.create && !fs.existsSync(path.join(cwd, pm.VENV_DIR))) {
+      steps.push({ name: pm.VENV_DIR, action: 'create', reason: commands.create });
+    }
+    if (commands.sync) {
+      steps.push({ name: commands.sync, action: 'run' });
+    }
+
+    if (!pm.isPackageManagerAvailable(manager, environment)) {
+      const reason = `${commands.tool || manager} not available`;
+      return [...steps.map(step => step.name), ...packages]
+        .map(name => this.change(type, name, 'unsupported', { reason }));
+    }
+
+    const changes = steps.map(({ name, action, reason }) => this.change(type, name, action, { reason }));
+    const lookupType = type === 'npm' ? manager : pm.getPythonType(manager);
+    for (const pkg of packages) {
+      changes.push(this.fromPackagePlan(type, await pm.getPackagePlan(pkg, lookupType, environment)));
+    }
+    return changes;
+  }
+
+  /**
+   * Plan .env.template, .env.example and .env
+   * @param {Array|object} environmentConfig - manifest.environment
+   * @param {string} cwd - Project directory
+   * @returns {Array<object>} Changes
+   * @private
+   */
+  planEnvFiles(environmentConfig, cwd) {
+    const configGenerator = require('./config-generator');
+    const envVars = configGenerator.normalizeEnvironmentVars(environmentConfig || []);
+    const allVars = [...envVars.required, ...envVars.optional];
+
+    if (allVars.length === 0) {
+      return [];
+    }
+
+    // Template and example are regenerated on every run
+    const changes = ['.env.template', '.env.example'].map(file =>
+      this.change('env', file, fs.existsSync(path.join(cwd, file)) ? 'update' : 'create', {
+        reason: `${allVars.length} variable(s)`
+      })
+    );
+
+    // .env is merged: existing values are kept, missing variables are added
+    const envPath = path.join(cwd, '.env');
+    if (!fs.existsSync(envPath)) {
+      changes.push(this.change('env', '.env', 'create', { reason: `${allVars.length} variable(s)` }));
+    } else {
+      const defined = new Set(fs.readFileSync(envPath, 'utf8')
+        .split('\n')
+        .map(line => line.trim().match(/^([A-Za-z_][A-Za-z0-9_]*)\s*=/))
+        .filter(Boolean)
+        .map(match => match[1]));
+      const missing = allVars.filter(name => !defined.has(name));
+
+      changes.push(missing.length > 0
+        ? this.change('env', '.env', 'update', { reason: `add ${missing.join(', ')}` })
+        : this.change('env', '.env', 'satisfied', { reason: 'all variables defined' }));
+    }
+
+    return changes;
+  }
+
+  /**
+   * Plan SSH key generation
+   * @param {object} sshConfig - manifest.ssh
+   * @returns {Array<object>} Changes
+   * @private
+   */
+  planSshKey(sshConfig) {
+    if (!sshConfig || !sshConfig.generate) {
+      return [];
+    }
+
+    const keyPath = path.join(os.homedir(), '.ssh', 'id_ed25519');
+    return [this.change('ssh', '~/.ssh/id_ed25519', fs.existsSync(keyPath) ? 'satisfied' : 'create', {
+      reason: fs.existsSync(keyPath) ? 'key already exists' : `${sshConfig.algorithm || 'ed25519'} key pair`
+    })];
+  }
+
+  /**
+   * Plan global git config (only unset keys are written)
+   * @param {object} gitConfig - manifest.git
+   * @returns {Array<object>} Changes
+   * @private
+   */
+  planGitConfig(gitConfig) {
+    if (!gitConfig || !gitConfig.configure) {
+      return [];
+    }
+
+    const user = gitConfig.user || {};
+    const defaults = {
+      'user.name': user.name || 'Jetpack User',
+      'user.email': user.email || 'user@example.com',
+      'init.defaultBranch': 'main'
+    };
+
+    return Object.entries(defaults).map(([key, value]) => {
+      const current = configUtils.getGitConfig(key);
+      return current
+        ? this.change('git', key, 'satisfied', { current })
+        : this.change('git', key, 'set', { target: value });
+    });
+  }
+
+  /**
+   * Plan generated documentation
+   * @param {object} documentation - manifest.documentation
+   * @param {string} cwd - Project directory
+   * @returns {Array<object>} Changes
+   * @private
+   */
+  planDocs(documentation = {}, cwd) {
+    if (documentation && documentation.enabled === false) {
+      return [];
+    }
+
+    const outputDir = (documentation && (documentation.outputDir || documentation.output_dir)) || './docs';
+    const sections = (documentation && documentation.sections) || ['getting-started', 'setup', 'troubleshooting', 'verification', 'configuration'];
+    const exists = fs.existsSync(path.resolve(cwd, outputDir));
+
+    return [this.change('docs', outputDir, exists ? 'update' : 'create', { reason: sections.join(', ') })];
+  }
+
+  /**
+   * Plan setup steps; steps whose `when:` fails on this OS are unsupported
+   * @param {object} resolved - Manifest resolved for this platform
+   * @param {string} platformOs - Detected OS (linux, darwin, win32)
+   * @returns {Array<object>} Changes
+   * @private
+   */
+  planSetupSteps(resolved, platformOs) {
+    const skipped = new Set(resolved.metadata.platform.skipped.setupSteps);
+    const steps = resolved.setupSteps.map(step => this.change('setup', step.name, 'run', { target: step.command }));
+
+    return [
+      ...steps,
+      ...[...skipped].map(name => this.change('setup', name, 'unsupported', { reason: `when condition is false on ${platformOs}` }))
+    ];
+  }
+
+  /**
+   * Convert a package manager plan into a change
+   * @param {string} section - Package type
+   * @param {object} plan - Plan from pm.getPackagePlan()
+   * @param {string} override - Action replacing the plan's own (e.g. 'unsupported')
+   * @param {string} reason - Why the override applies
+   * @returns {object} Change
+   * @private
+   */
+  fromPackagePlan(section, plan, override = null, reason = null) {
+    const action = override || (plan.action === 'skip' ? 'satisfied' : plan.action);
+    return this.change(section, plan.package, action, {
+      current: plan.currentVersion,
+      target: plan.constraint,
+      reason
+    });
+  }
+
+  /**
+   * @private
+   */
+  change(section, name, action, details = {}) {
+    return {
+      section,
+      name,
+      action,
+      symbol: SYMBOLS[action],
+      current: details.current || null,
+      target: details.target || null,
+      reason: details.reason || null
+    };
+  }
+
+  /**
+   * Count changes the way Terraform does
+   * @param {Array<object>} changes - Planned changes
+   * @returns {object} { add, change, satisfied, unsupported }
+   */
+  summarize(changes) {
+    const count = symbol => changes.filter(c => c.symbol === symbol).length;
+    return {
+      add: count('+'),
+      change: count('~'),
+      satisfied: count('='),
+      unsupported: count('!')
+    };
+  }
+
+  /**
+   * Format a plan for the terminal
+   * @param {object} plan - Plan from build()
+   * @returns {string} Colored plan
+   */
+  formatPlan(plan) {
+    const colors = { '+': chalk.green, '~': chalk.yellow, '=': chalk.gray, '!': chalk.red };
+    const lines = [''];
+
+    lines.push(chalk.cyan.bold(`📋 Plan for ${plan.project}${plan.profile ? ` (profile: ${plan.profile})` : ''}`));
+    const managers = [plan.platform.packageManager, plan.platform.jsPackageManager].filter(Boolean).join(', ');
+    lines.push(chalk.gray(`   ${plan.platform.os} ${plan.platform.arch}${managers ? `, ${managers}` : ''}`));
+    lines.push(chalk.gray('─'.repeat(60)));
+
+    for (const section of SECTIONS) {
+      const changes = plan.changes.filter(c => c.section === section.id);
+      if (changes.length === 0) {
+        continue;
+      }
+
+      lines.push('');
+      lines.push(chalk.blue.bold(section.title));
+      changes.forEach(c => lines.push(colors[c.symbol](`  ${c.symbol} ${this.describeChange(c)}`)));
+    }
+
+    const { summary } = plan;
+    lines.push('');
+    lines.push(chalk.gray('─'.repeat(60)));
+    lines.push(chalk.bold(`Plan: ${summary.add} to add, ${summary.change} to change, ${summary.satisfied} already satisfied, ${summary.unsupported} unsupported`));
+    lines.push('');
+
+    return lines.join('\n');
+  }
+
+  /**
+   * One-line description of a change
+   * @param {object} change - Planned change
+   * @returns {string} e.g. "upgrade eslint@^8 (7.32.0 → ^8)"
+   */
+  describeChange(change) {
+    // Package names already carry their constraint; satisfied ones show the installed version
+    const versions = change.current && change.target && change.action !== 'satisfied'
+      ? `${change.current} → ${change.target}`
+      : change.current || (change.action === 'install' ? null : change.target);
+    const details = [versions, change.reason].filter(Boolean).join(', ');
+    const label = change.action === 'satisfied' ? change.name : `${change.action} ${change.name}`;
+
+    return details ? `${label} (${details})` : label;
+  }
+}
+
+module.exports = new PlanBuilder();
@@ -0,0 +1,278 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../ui/logger');
+
+/**
+ * Plugin Loader Module
+ *
+ * Loads custom workflow steps from local plugin files and inserts them
+ * into the orchestrator's step list.
+ *
+ * Plugins are declared in the manifest `plugins:` section, with the ids and
+ * positions of their steps:
+ *   plugins:
+ *     - path: ./tools/seed.js          # relative to the project root
+ *       steps:
+ *         - id: seed-db                # stable id, usable with --only/--skip
+ *           name: Seed local database
+ *           after: config              # or before: verify (default: end of workflow)
+ *
+ * Step lists, --only/--skip and dry-runs only use the declaration. The
+ * module is required when one of its steps runs or rolls back. It exports:
+ *   {
+ *     steps: [{
+ *       id: 'seed-db',
+ *       handler: async ({ state, manifest, environment, options, config, logger }) => result,
+ *       rollback: async ({ data, state, options, config, logger }) => {}   // optional
+ *     }]
+ *   }
+ *
+ * A handler may return `{ rollback: {...} }`; that data is stored in
+ * state.rollback.plugins and passed back to the step's rollback function.
+ */
+
+const STEP_ID_PATTERN = /^[a-z][a-z0-9-]*$/;
+
+class PluginLoader {
+  /**
+   * Resolve a plugin path inside the project without loading it
+   * @param {string} pluginPath - Path relative to the project root
+   * @param {string} projectRoot - Project root directory
+   * @returns {string} Absolute path of the plugin file
+   * @throws {Error} If the path escapes the project or the file is missing
+   */
+  resolvePath(pluginPath, projectRoot = process.cwd()) {
+    const root = path.resolve(projectRoot);
+    const resolved = path.resolve(root, pluginPath);
+
+    if (resolved !== root && !resolved.startsWith(root + path.sep)) {
+      throw new Error(`Plugin path must be inside the project: ${pluginPath}`);
+    }
+
+    if (!fs.existsSync(resolved)) {
+      throw new Error(`Plugin not found: ${pluginPath}`);
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Load a plugin module from a path inside the project
+   * @param {string} pluginPath - Path relative to the project root
+   * @param {string} projectRoot - Project root directory
+   * @returns {object} Plugin module
+   * @throws {Error} If the path escapes the project or the module is invalid
+   */
+  loadModule(pluginPath, projectRoot = process.cwd()) {
+    const plugin = require(this.resolvePath(pluginPath, projectRoot));
+
+    if (!plugin || !Array.isArray(plugin.steps)) {
+      throw new Error(`Plugin ${pluginPath} must export a "steps" array`);
+    }
+
+    return plugin;
+  }
+
+  /**
+   * Build orchestrator steps from the manifest's plugin declarations
+   * Plugin modules are not loaded here, only checked to exist.
+   * @param {object} manifest - Parsed manifest
+   * @param {string} projectRoot - Project root directory
+   * @returns {Array<object>} Orchestrator step objects
+   */
+  loadSteps(manifest, projectRoot = process.cwd()) {
+    const steps = [];
+    const entries = manifest && Array.isArray(manifest.plugins) ? manifest.plugins : [];
+
+    for (const entry of entries) {
+      this.resolvePath(entry.path, projectRoot);
+
+      (entry.steps || []).forEach((declaration, index) => {
+        const error = this.validateDeclaration(declaration);
+        if (error) {
+          throw new Error(`Plugin ${entry.path} steps[${index}]: ${error}`);
+        }
+        steps.push(this.createStep(declaration, entry, projectRoot));
+      });
+    }
+
+    return steps;
+  }
+
+  /**
+   * Validate a plugin step declaration from the manifest
+   * @param {object} declaration - Step declaration { id, name, after, before }
+   * @returns {string|null} Error message if invalid, null if valid
+   */
+  validateDeclaration(declaration) {
+    if (!declaration || typeof declaration !== 'object') {
+      return 'step must be an object';
+    }
+
+    if (typeof declaration.id !== 'string' || !STEP_ID_PATTERN.test(declaration.id)) {
+      return 'id is required and must match [a-z][a-z0-9-]*';
+    }
+
+    if (declaration.after && declaration.before) {
+      return 'use either "after" or "before", not both';
+    }
+
+    return null;
+  }
+
+  /**
+   * Validate a plugin step definition from the plugin module
+   * @param {object} definition - Step definition from the plugin module
+   * @returns {string|null} Error message if invalid, null if valid
+   */
+  validateStep(definition) {
+    if (!definition || typeof definition !== 'object') {
+      return 'step must be an object';
+    }
+
+    if (typeof definition.id !== 'string' || !STEP_ID_PATTERN.test(definition.id)) {
+      return 'id is required and must match [a-z][a-z0-9-]*';
+    }
+
+    if (typeof definition.handler !== 'function') {
+      return 'handler must be a function';
+    }
+
+    if (definition.rollback && typeof definition.rollback !== 'function') {
+      return 'rollback must be a function';
+    }
+
+    return null;
+  }
+
+  /**
+   * Load the definition of one step from its plugin module
+   * @param {string} pluginPath - Path relative to the project root
+   * @param {string} stepId - Declared step id
+   * @param {string} projectRoot - Project root directory
+   * @returns {object|null} Step definition, or null if the module has no such step
+   * @throws {Error} If the module or the step definition is invalid
+   */
+  loadDefinition(pluginPath, stepId, projectRoot = process.cwd()) {
+    const plugin = this.loadModule(pluginPath, projectRoot);
+    const index = plugin.steps.findIndex(s => s && s.id === stepId);
+    if (index === -1) {
+      return null;
+    }
+
+    const error = this.validateStep(plugin.steps[index]);
+    if (error) {
+      throw new Error(`Plugin ${pluginPath} steps[${index}]: ${error}`);
+    }
+
+    return plugin.steps[index];
+  }
+
+  /**
+   * Wrap a plugin step declaration as an orchestrator step
+   * The plugin module is loaded when the handler runs.
+   * @param {object} declaration - Step declaration { id, name, after, before }
+   * @param {object} entry - Plugin entry { path, config, steps }
+   * @param {string} projectRoot - Project root directory
+   * @returns {object} Orchestrator step
+   * @private
+   */
+  createStep(declaration, entry, projectRoot) {
+    return {
+      id: declaration.id,
+      name: declaration.name || declaration.id,
+      after: declaration.after || null,
+      before: declaration.before || null,
+      plugin: entry.path,
+      config: entry.config || {},
+      handler: async (repoUrl, environment, options) => {
+        const definition = this.loadDefinition(entry.path, declaration.id, projectRoot);
+        if (!definition) {
+          throw new Error(`Plugin ${entry.path} does not define step "${declaration.id}"`);
+        }
+
+        const state = options._state;
+        return definition.handler({
+          state,
+          manifest: state && state.manifest ? state.manifest : options.manifest,
+          environment,
+          options,
+          config: entry.config || {},
+          logger
+        });
+      }
+    };
+  }
+
+  /**
+   * Insert plugin steps into the core step list by position
+   * @param {Array<object>} coreSteps - Built-in orchestrator steps
+   * @param {Array<object>} pluginSteps - Steps from loadSteps()
+   * @returns {Array<object>} Combined step list
+   * @throws {Error} On duplicate ids or unknown anchors
+   */
+  insertSteps(coreSteps, pluginSteps) {
+    const steps = [...coreSteps];
+
+    for (const step of pluginSteps) {
+      if (steps.some(s => s.id === step.id)) {
+        throw new Error(`Duplicate step id "${step.id}" in plugin ${step.plugin}`);
+      }
+
+      const anchor = step.after || step.before;
+      if (!anchor) {
+        steps.push(step);
+        continue;
+      }
+
+      let index = steps.findIndex(s => s.id === anchor);
+      if (index === -1) {
+        throw new Error(`Plugin step "${step.id}" references unknown step "${anchor}"`);
+      }
+
+      if (step.after) {
+        // Keep declaration order for several steps after the same anchor
+        index++;
+        while (index < steps.length && steps[index].plugin && steps[index].after === anchor) {
+          index++;
+        }
+      }
+
+      steps.splice(index, 0, step);
+    }
+
+    return steps;
+  }
+
+  /**
+   * Run the rollback function of a plugin step
+   * @param {string} stepId - Plugin step id
+   * @param {object} record - Entry from state.rollback.plugins
+   * @param {object} state - State object
+   * @param {object} options - Rollback options
+   * @returns {Promise<boolean>} False if the step has no rollback function
+   */
+  async rollbackStep(stepId, record, state, options = {}) {
+    const definition = this.loadDefinition(record.plugin, stepId);
+
+    if (!definition) {
+      throw new Error(`Step "${stepId}" no longer exists in plugin ${record.plugin}`);
+    }
+
+    if (typeof definition.rollback !== 'function') {
+      return false;
+    }
+
+    await definition.rollback({
+      data: record.data,
+      state,
+      options,
+      config: record.config || {},
+      logger
+    });
+
+    return true;
+  }
+}
+
+module.exports = new PluginLoader();
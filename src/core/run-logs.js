@@ -0,0 +1,107 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Run Logs
+ *
+ * Keeps the stdout and stderr of every command a workflow run executes in
+ * .jetpack/logs/<run-id>/<name>.log, so a failed install can be diagnosed
+ * after the terminal output is gone. Package commands are appended to the
+ * log of their workflow step (e.g. dependencies.log), setup steps get a log
+ * each (e.g. setup-2-run-migrations.log).
+ *
+ * The run directory is created with the first log entry, so dry runs leave
+ * nothing behind.
+ */
+class RunLogs {
+  constructor() {
+    this.logsDir = path.join('.jetpack', 'logs');
+  }
+
+  /**
+   * Start the logs of a workflow run
+   * @param {string} cwd - Project directory
+   * @param {Date} date - Start of the run (default: now)
+   * @returns {object} Run { runId, dir, root, step, files } - dir is relative to root;
+   *   step is the log name used when a command does not give one
+   */
+  createRun(cwd, date = new Date()) {
+    // 2024-03-05T14-30-12-123Z: sorts by time and is a valid file name on Windows
+    const runId = date.toISOString().replace(/[:.]/g, '-');
+
+    return {
+      runId,
+      dir: path.join(this.logsDir, runId),
+      root: cwd,
+      step: 'commands',
+      files: []
+    };
+  }
+
+  /**
+   * Get the log file name for a step or package name
+   * @param {string} name - Name such as "dependencies" or "setup-1-Install deps"
+   * @returns {string} File name, e.g. "setup-1-install-deps.log"
+   */
+  getFileName(name) {
+    // Capped so paths stay short enough for archives (see support-bundle)
+    const slug = String(name).toLowerCase().replace(/[^a-z0-9._-]+/g, '-').slice(0, 80).replace(/^-+|-+$/g, '');
+    return `${slug || 'commands'}.log`;
+  }
+
+  /**
+   * Get the path of a log of the run, if anything was written to it
+   * @param {object|null} run - Run from createRun()
+   * @param {string|null} name - Log name (default: run.step)
+   * @returns {string|null} Log path relative to the project directory
+   */
+  getWrittenPath(run, name = null) {
+    if (!run) {
+      return null;
+    }
+
+    const relativePath = path.join(run.dir, this.getFileName(name || run.step));
+    return run.files.includes(relativePath) ? relativePath : null;
+  }
+
+  /**
+   * Append the output of a command to a log of the run
+   * @param {object|null} run - Run from createRun(); nothing is written without one
+   * @param {string|null} name - Log name (default: run.step)
+   * @param {object} entry - { command, exitCode, signal, stdout, stderr, label }
+   * @returns {string|null} Log path relative to the project directory, or null if nothing was written
+   */
+  write(run, name, entry) {
+    if (!run) {
+      return null;
+    }
+
+    const relativePath = path.join(run.dir, this.getFileName(name || run.step));
+    const status = entry.signal ? `signal ${entry.signal}` : `exit code ${entry.exitCode === undefined ? 'unknown' : entry.exitCode}`;
+    const lines = [
+      `$ ${entry.command}`,
+      `# ${entry.label ? `${entry.label}, ` : ''}${status}, ${new Date().toISOString()}`
+    ];
+    if (entry.stdout) {
+      lines.push('--- stdout ---', entry.stdout.trimEnd());
+    }
+    if (entry.stderr) {
+      lines.push('--- stderr ---', entry.stderr.trimEnd());
+    }
+
+    try {
+      fs.mkdirSync(path.join(run.root, run.dir), { recursive: true });
+      // One write per command keeps entries whole when npm and Python installs run concurrently
+      fs.appendFileSync(path.join(run.root, relativePath), `${lines.join('\n')}\n\n`, 'utf8');
+    } catch (error) {
+      return null;
+    }
+
+    if (!run.files.includes(relativePath)) {
+      run.files.push(relativePath);
+    }
+    return relativePath;
+  }
+}
+
+module.exports = new RunLogs();
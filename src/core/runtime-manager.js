@@ -0,0 +1,332 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execSync } = require('child_process');
+const logger = require('../ui/logger');
+const pm = require('./package-managers');
+const versionConstraints = require('./version-constraints');
+
+/**
+ * Runtime Manager Module
+ *
+ * Installs the language runtimes of the manifest's `runtimes:` section
+ * through a version manager, pins them for the project and checks the
+ * version the project resolves to afterwards:
+ *
+ *   runtimes:
+ *     node: "20.11"      # 20.11.x
+ *     python: "3.12"
+ *     manager: mise      # optional
+ *
+ * Without `manager`, a pin file already in the project picks the tool
+ * (.tool-versions -> mise or asdf, .nvmrc -> nvm, .python-version -> pyenv),
+ * then the first one installed in the order of VERSION_MANAGERS.
+ */
+
+// Version managers in order of preference; `runtimes` maps each runtime to the
+// tool's name for it (asdf calls Node.js "nodejs")
+const VERSION_MANAGERS = {
+  mise: { runtimes: { node: 'node', python: 'python' }, pinFile: '.tool-versions' },
+  asdf: { runtimes: { node: 'nodejs', python: 'python' }, pinFile: '.tool-versions' },
+  nvm: { runtimes: { node: 'node' }, pinFile: '.nvmrc' },
+  pyenv: { runtimes: { python: 'python' }, pinFile: '.python-version' }
+};
+
+// Runtimes in install order, with the names a .tool-versions line may use
+const RUNTIMES = {
+  node: ['node', 'nodejs'],
+  python: ['python']
+};
+
+class RuntimeManager {
+  /**
+   * Install and pin the runtimes of a manifest
+   * @param {object} runtimes - Parsed `runtimes` section ({ node, python, manager })
+   * @param {object} options - Command options (dryRun, cwd, _events)
+   * @returns {Promise<object>} { runtimes, installed, skipped, failed, pinFiles, projectRoot } -
+   *   pinFiles holds { path, previousContent } of every pin file written, for rollback;
+   *   their paths are relative to projectRoot
+   */
+  async installRuntimes(runtimes, options = {}) {
+    const cwd = options.cwd || process.cwd();
+    const results = { runtimes: [], installed: [], skipped: [], failed: [], pinFiles: [], projectRoot: path.resolve(cwd) };
+
+    for (const runtime of Object.keys(RUNTIMES)) {
+      const requested = runtimes[runtime];
+      if (!requested) {
+        continue;
+      }
+
+      const manager = this.chooseManager(runtime, runtimes.manager, cwd);
+      if (!manager) {
+        const reason = this.describeMissingManager(runtime, runtimes.manager);
+        logger.warning(`  ⚠️  ${runtime} ${requested}: ${reason}`);
+        results.failed.push({ runtime, version: requested, reason });
+        this.notify(options, 'runtime:failed', { runtime, version: requested, reason });
+        continue;
+      }
+
+      const entry = await this.installRuntime(runtime, requested, manager, cwd, options, results);
+      results.runtimes.push(entry);
+    }
+
+    return results;
+  }
+
+  /**
+   * Install, pin and check one runtime
+   * @returns {Promise<object>} { runtime, requested, manager, version, installed, pinFile, active }
+   * @private
+   */
+  async installRuntime(runtime, requested, manager, cwd, options, results) {
+    const commands = this.getCommands(manager, runtime);
+    const entry = { runtime, requested, manager, version: this.findInstalled(commands, requested, cwd), installed: false, pinFile: null, active: null };
+
+    logger.info(`  → ${runtime} ${requested} with ${manager}`);
+
+    if (entry.version) {
+      logger.success(`  ✓ ${runtime} ${entry.version} (already installed)`);
+      results.skipped.push({ runtime, version: entry.version, manager });
+      this.notify(options, 'runtime:skipped', { runtime, version: entry.version, manager });
+    } else if (options.dryRun) {
+      logger.info(`  [DRY-RUN] Would install ${runtime} ${requested}: ${commands.install(requested)}`);
+      logger.info(`  [DRY-RUN] Would pin it in ${this.getPinFile(manager)}`);
+      results.installed.push({ runtime, version: requested, manager });
+      this.notify(options, 'runtime:installed', { runtime, version: requested, manager, dryRun: true });
+      return entry;
+    } else {
+      const result = await pm.executeCommand(commands.install(requested), options);
+      entry.version = result.success ? this.findInstalled(commands, requested, cwd) : null;
+
+      if (!entry.version) {
+        const reason = result.success ? `${manager} did not install a ${requested} version` : result.error;
+        logger.warning(`  ⚠️  ${runtime} ${requested} failed: ${reason}`);
+        if (result.log) {
+          logger.info(`  📄 Command output: ${result.log}`);
+        }
+        results.failed.push({ runtime, version: requested, reason });
+        this.notify(options, 'runtime:failed', { runtime, version: requested, reason });
+        return entry;
+      }
+
+      entry.installed = true;
+      logger.success(`  ✓ ${runtime} ${entry.version} installed`);
+      results.installed.push({ runtime, version: entry.version, manager });
+      this.notify(options, 'runtime:installed', { runtime, version: entry.version, manager });
+    }
+
+    if (options.dryRun) {
+      return entry;
+    }
+
+    entry.pinFile = this.writePinFile(manager, runtime, entry.version, cwd, results.pinFiles);
+    if (entry.pinFile) {
+      logger.success(`  ✓ Pinned ${runtime} ${entry.version} in ${entry.pinFile}`);
+    }
+
+    // The version the project resolves to through the pin file
+    entry.active = this.run(commands.active, cwd);
+    if (!this.matches(entry.active, requested)) {
+      const reason = `${manager} resolves ${runtime} to ${entry.active || 'nothing'} in this project, expected ${requested}`;
+      logger.warning(`  ⚠️  ${reason}`);
+      results.failed.push({ runtime, version: requested, reason });
+      this.notify(options, 'runtime:failed', { runtime, version: requested, reason });
+    }
+
+    return entry;
+  }
+
+  /**
+   * Pick the version manager for a runtime
+   * @param {string} runtime - 'node' or 'python'
+   * @param {string|null} declared - `runtimes.manager` from the manifest
+   * @param {string} cwd - Project directory
+   * @returns {string|null} Version manager, or null if none can install the runtime
+   */
+  chooseManager(runtime, declared, cwd = process.cwd()) {
+    const candidates = Object.keys(VERSION_MANAGERS).filter(name => VERSION_MANAGERS[name].runtimes[runtime]);
+
+    if (declared) {
+      return candidates.includes(declared) && this.isAvailable(declared) ? declared : null;
+    }
+
+    // A pin file already in the project names the tool the team uses
+    const pinned = candidates.filter(name => fs.existsSync(path.join(cwd, VERSION_MANAGERS[name].pinFile)));
+    return [...new Set([...pinned, ...candidates])].find(name => this.isAvailable(name)) || null;
+  }
+
+  /**
+   * Check if a version manager is installed
+   * nvm is a shell function, so it is found through its nvm.sh script.
+   * @param {string} manager - Version manager
+   * @returns {boolean} True if available
+   */
+  isAvailable(manager) {
+    if (manager === 'nvm') {
+      return fs.existsSync(path.join(process.env.NVM_DIR || path.join(os.homedir(), '.nvm'), 'nvm.sh'));
+    }
+    return this.run(`${manager} --version`, process.cwd()) !== null;
+  }
+
+  /**
+   * Commands of a version manager for one runtime
+   * `find` prints the installed version matching a prefix, `active` the
+   * version the project resolves to.
+   * @param {string} manager - Version manager
+   * @param {string} runtime - 'node' or 'python'
+   * @returns {object} { find(version), install(version), uninstall(version), active }
+   */
+  getCommands(manager, runtime) {
+    const tool = VERSION_MANAGERS[manager].runtimes[runtime];
+    const binary = runtime === 'node' ? 'node' : 'python';
+
+    switch (manager) {
+      case 'nvm': {
+        const nvm = command => `bash -c '. "\${NVM_DIR:-$HOME/.nvm}/nvm.sh" && nvm ${command}'`;
+        return {
+          find: version => nvm(`version ${version}`),
+          install: version => nvm(`install ${version}`),
+          uninstall: version => nvm(`uninstall ${version}`),
+          active: nvm('exec --silent node --version')
+        };
+      }
+      case 'pyenv':
+        return {
+          find: version => `pyenv latest ${version}`,
+          install: version => `pyenv install --skip-existing ${version}`,
+          uninstall: version => `pyenv uninstall -f ${version}`,
+          active: 'pyenv exec python --version'
+        };
+      case 'asdf':
+        return {
+          find: version => `asdf list ${tool} ${version}`,
+          // Adding an existing plugin fails; the install does not depend on it
+          install: version => `asdf plugin add ${tool}; asdf install ${tool} latest:${version}`,
+          uninstall: version => `asdf uninstall ${tool} ${version}`,
+          active: `asdf exec ${binary} --version`
+        };
+      case 'mise':
+        return {
+          find: version => `mise where ${tool}@${version}`,
+          install: version => `mise install ${tool}@${version}`,
+          uninstall: version => `mise uninstall ${tool}@${version}`,
+          active: `mise exec -- ${binary} --version`
+        };
+      default:
+        throw new Error(`Unknown version manager: ${manager}`);
+    }
+  }
+
+  /**
+   * Pin file a version manager reads
+   * @param {string} manager - Version manager
+   * @returns {string} e.g. ".nvmrc"
+   */
+  getPinFile(manager) {
+    return VERSION_MANAGERS[manager].pinFile;
+  }
+
+  /**
+   * Write the runtime's version to the version manager's pin file
+   * .tool-versions keeps its other lines; .nvmrc and .python-version hold one version.
+   * @param {string} manager - Version manager
+   * @param {string} runtime - 'node' or 'python'
+   * @param {string} version - Exact version
+   * @param {string} cwd - Project directory
+   * @param {Array<object>} pinFiles - { path, previousContent } of files written so far
+   * @returns {string|null} Pin file name, or null if it already pinned the version
+   */
+  writePinFile(manager, runtime, version, cwd, pinFiles) {
+    const { pinFile, runtimes } = VERSION_MANAGERS[manager];
+    const file = path.join(cwd, pinFile);
+    const previous = fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null;
+
+    let content = `${version}\n`;
+    if (pinFile === '.tool-versions') {
+      const lines = (previous || '').split('\n')
+        .filter(line => line.trim() && !RUNTIMES[runtime].includes(line.trim().split(/\s+/)[0]));
+      content = [...lines, `${runtimes[runtime]} ${version}`].join('\n') + '\n';
+    }
+
+    if (content === previous) {
+      return null;
+    }
+
+    // Keep the content from before the first write of this run
+    if (!pinFiles.some(entry => entry.path === pinFile)) {
+      pinFiles.push({ path: pinFile, previousContent: previous });
+    }
+    fs.writeFileSync(file, content, 'utf8');
+    return pinFile;
+  }
+
+  /**
+   * Installed version matching a requested prefix
+   * @param {object} commands - Commands from getCommands()
+   * @param {string} requested - Requested version, e.g. "20.11"
+   * @param {string} cwd - Project directory
+   * @returns {string|null} Exact version, e.g. "20.11.1"
+   */
+  findInstalled(commands, requested, cwd) {
+    const output = this.run(commands.find(requested), cwd);
+    if (!output) {
+      return null;
+    }
+    // mise prints the install directory, which ends in the version
+    const last = output.split('\n').map(line => line.trim()).filter(Boolean).pop() || '';
+    const version = versionConstraints.coerceVersion(path.basename(last));
+    return this.matches(version, requested) ? version : null;
+  }
+
+  /**
+   * Check a version against a requested prefix ("20.11" matches "20.11.1")
+   * @param {string|null} version - Version or command output containing one
+   * @param {string} requested - Requested version
+   * @returns {boolean} True if it matches
+   */
+  matches(version, requested) {
+    const exact = versionConstraints.coerceVersion(version);
+    return exact !== null && (exact === requested || exact.startsWith(`${requested}.`));
+  }
+
+  /**
+   * Run a command and return its trimmed output, or null if it failed
+   * @private
+   */
+  run(command, cwd) {
+    try {
+      return execSync(command, { cwd, encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Why no version manager could be used for a runtime
+   * @param {string} runtime - 'node' or 'python'
+   * @param {string|null} declared - `runtimes.manager` from the manifest
+   * @returns {string} Reason, with the managers that could install it
+   */
+  describeMissingManager(runtime, declared) {
+    const candidates = Object.keys(VERSION_MANAGERS).filter(name => VERSION_MANAGERS[name].runtimes[runtime]);
+    if (declared && !candidates.includes(declared)) {
+      return `${declared} cannot install ${runtime} (use ${candidates.join(', ')})`;
+    }
+    if (declared) {
+      return `${declared} is not installed`;
+    }
+    return `no version manager found (install ${candidates.join(', ')})`;
+  }
+
+  /**
+   * Emit a runtime event when running under the orchestrator
+   * @private
+   */
+  notify(options, event, payload) {
+    if (options && options._events) {
+      options._events.emit(event, payload);
+    }
+  }
+}
+
+module.exports = new RuntimeManager();
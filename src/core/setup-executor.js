@@ -1,5 +1,9 @@
 const logger = require('../ui/logger');
-const { execSync } = require('child_process');
+const { spawn, execFile } = require('child_process');
+const runLogs = require('./run-logs');
+
+// Time a stopped step gets to exit after SIGTERM (or Ctrl+C) before SIGKILL
+const KILL_GRACE_PERIOD = 5000;
 
 /**
  * Setup Step Executor Module
@@ -10,13 +14,19 @@ const { execSync } = require('child_process');
  * Features:
  * - Sequential execution (one step at a time)
  * - Stop-on-failure error handling
- * - Live output display (stdio: inherit)
+ * - Live output display, also kept in .jetpack/logs/<run-id>/ during a workflow run
+ * - Per-step timeout (SIGTERM, then SIGKILL) and Ctrl+C handling, for the
+ *   command and every process it started
  * - Dry-run support with command preview
  * - Detailed summary report
  * - Current directory execution
  * - Full environment variable inheritance
  */
 class SetupStepExecutor {
+  constructor() {
+    this.killGracePeriod = KILL_GRACE_PERIOD;
+  }
+
   /**
    * Execute all setup steps from manifest
    * @param {Array} steps - Array of setup step objects from manifest
@@ -76,16 +86,23 @@ class SetupStepExecutor {
         }
 
         // Execute the step
-        const result = this.runStep(step, stepNumber, options);
+        const result = await this.runStep(step, stepNumber, options);
         results.executed.push(result);
 
+        if (options._events) {
+          options._events.emit('setup:step', result);
+        }
+
         // Stop on failure
         if (!result.success) {
           results.failed = {
             step: stepNumber,
             name: step.name,
             command: step.command,
-            error: result.error
+            error: result.error,
+            exitCode: result.exitCode,
+            signal: result.signal,
+            ...(result.log && { log: result.log })
           };
           throw new Error(`Setup step failed: ${step.name || `Step ${stepNumber}`}`);
         }
@@ -122,12 +139,12 @@ class SetupStepExecutor {
   /**
    * Execute a single setup step
    * @private
-   * @param {object} step - Step object with name, command, description
+   * @param {object} step - Step object with name, command, description, timeout
    * @param {number} stepNumber - Step number (1-indexed)
    * @param {object} options - Command options
-   * @returns {object} Step execution result
+   * @returns {Promise<object>} Step execution result with exitCode, signal and duration
    */
-  runStep(step, stepNumber, options = {}) {
+  async runStep(step, stepNumber, options = {}) {
     const { dryRun } = options;
 
     // Dry-run mode: show command but don't execute
@@ -148,42 +165,172 @@ class SetupStepExecutor {
       };
     }
 
-    // Execute the command with live output
-    try {
-      logger.info(`  Executing: ${step.command}`);
-      logger.newLine();
+    logger.info(`  Executing: ${step.command}`);
+    logger.newLine();
 
-      execSync(step.command, {
-        stdio: 'inherit',  // Show live output
-        cwd: process.cwd(),  // Current directory
-        env: process.env,  // Inherit all environment variables
-        encoding: 'utf-8'
-      });
+    const run = await this.spawnStep(step.command, { timeout: step.timeout, json: options.json });
+    const log = runLogs.write(options._logs, `setup-${stepNumber}-${step.name || 'step'}`, {
+      command: step.command,
+      exitCode: run.exitCode,
+      signal: run.signal,
+      stdout: run.stdout,
+      stderr: run.stderr,
+      label: step.name
+    });
+    const result = {
+      success: run.error === null,
+      skipped: false,
+      step: stepNumber,
+      name: step.name,
+      command: step.command,
+      exitCode: run.exitCode,
+      signal: run.signal,
+      duration: run.duration,
+      ...(run.timedOut && { timedOut: true }),
+      ...(log && { log })
+    };
 
-      logger.newLine();
-      logger.success(`  ✓ Completed: ${step.name || `Step ${stepNumber}`}`);
+    logger.newLine();
+    if (result.success) {
+      logger.success(`  ✓ Completed: ${step.name || `Step ${stepNumber}`} (${(run.duration / 1000).toFixed(2)}s)`);
+      return result;
+    }
 
-      return {
-        success: true,
-        skipped: false,
-        step: stepNumber,
-        name: step.name,
-        command: step.command
+    logger.error(`  ✗ Failed: ${step.name || `Step ${stepNumber}`}`);
+    logger.error(`  Error: ${run.error}`);
+    return { ...result, error: run.error };
+  }
+
+  /**
+   * Run a shell command without blocking, streaming its output to the
+   * terminal while capturing it. A command that runs past its timeout, or
+   * does not exit after Ctrl+C, gets SIGTERM and then SIGKILL.
+   * The command runs in its own process group, so signals reach what it
+   * started too (e.g. node under `npm run`); it gets no terminal input.
+   * @private
+   * @param {string} command - Shell command
+   * @param {object} options - { timeout, json }
+   * @returns {Promise<object>} { exitCode, signal, stdout, stderr, duration, timedOut, error } -
+   *   error is null when the command exited with code 0
+   */
+  spawnStep(command, options = {}) {
+    const { timeout, json } = options;
+    const startTime = Date.now();
+
+    return new Promise((resolve) => {
+      let stdout = '';
+      let stderr = '';
+      let timedOut = false;
+      let interrupted = false;
+      let settled = false;
+      const timers = [];
+      let child;
+
+      const finish = (exitCode, signal, spawnError = null) => {
+        if (settled) return;
+        settled = true;
+        timers.forEach(timer => clearTimeout(timer));
+        process.removeListener('SIGINT', onInterrupt);
+
+        let error = null;
+        if (spawnError) {
+          error = `Failed to start: ${spawnError.message}`;
+        } else if (timedOut) {
+          error = `Timed out after ${timeout}ms${signal ? ` (stopped with ${signal})` : ''}: ${command}`;
+        } else if (interrupted) {
+          error = `Interrupted${signal ? ` (${signal})` : ''}: ${command}`;
+        } else if (signal) {
+          error = `Killed by ${signal}: ${command}`;
+        } else if (exitCode !== 0) {
+          // Same message as execSync: the command, then what it printed to stderr
+          error = `Command failed: ${command}${stderr ? `\n${stderr.trim()}` : ''}`;
+        }
+
+        resolve({ exitCode, signal, stdout, stderr, duration: Date.now() - startTime, timedOut, error });
       };
 
-    } catch (error) {
-      logger.newLine();
-      logger.error(`  ✗ Failed: ${step.name || `Step ${stepNumber}`}`);
-      logger.error(`  Error: ${error.message}`);
+      // SIGTERM first; SIGKILL for whatever is still running after the grace period.
+      // Processes that left the group can keep the output pipes open, so they are
+      // not waited for after that.
+      const stop = () => {
+        this.killProcessTree(child, 'SIGTERM');
+        timers.push(setTimeout(() => {
+          this.killProcessTree(child, 'SIGKILL');
+          child.stdout.destroy();
+          child.stderr.destroy();
+          finish(child.exitCode, child.signalCode || 'SIGKILL');
+        }, this.killGracePeriod));
+      };
 
-      return {
-        success: false,
-        step: stepNumber,
-        name: step.name,
-        command: step.command,
-        error: error.message,
-        exitCode: error.status
+      // Ctrl+C does not reach the command's own process group, so pass it on; give
+      // the command the grace period to exit, then stop it. A second Ctrl+C kills it at once.
+      const onInterrupt = () => {
+        if (interrupted) {
+          this.killProcessTree(child, 'SIGKILL');
+          return;
+        }
+        interrupted = true;
+        this.killProcessTree(child, 'SIGINT');
+        timers.push(setTimeout(stop, this.killGracePeriod));
       };
+
+      try {
+        child = spawn(command, {
+          shell: true,
+          detached: process.platform !== 'win32',
+          stdio: ['ignore', 'pipe', 'pipe'],
+          cwd: process.cwd(),  // Current directory
+          env: process.env  // Inherit all environment variables
+        });
+
+        // Show live output (on stderr in --json mode to keep stdout parseable)
+        child.stdout.on('data', (data) => {
+          stdout += data.toString();
+          (json ? process.stderr : process.stdout).write(data);
+        });
+        child.stderr.on('data', (data) => {
+          stderr += data.toString();
+          process.stderr.write(data);
+        });
+      } catch (error) {
+        finish(null, null, error);
+        return;
+      }
+
+      process.on('SIGINT', onInterrupt);
+      if (timeout) {
+        timers.push(setTimeout(() => {
+          timedOut = true;
+          stop();
+        }, timeout));
+      }
+
+      child.on('error', error => finish(null, null, error));
+      child.on('close', (exitCode, signal) => finish(exitCode, signal));
+    });
+  }
+
+  /**
+   * Send a signal to a step command and every process it started
+   * @private
+   * @param {ChildProcess} child - Process from spawnStep (a process group leader outside Windows)
+   * @param {string} signal - 'SIGINT', 'SIGTERM' or 'SIGKILL'
+   */
+  killProcessTree(child, signal) {
+    if (!child.pid) {
+      return;
+    }
+
+    if (process.platform === 'win32') {
+      // No signals on Windows: end the whole tree
+      execFile('taskkill', ['/pid', String(child.pid), '/T', '/F'], () => {});
+      return;
+    }
+
+    try {
+      process.kill(-child.pid, signal);
+    } catch (error) {
+      // ESRCH: everything in the group has exited
     }
   }
 
@@ -221,6 +368,11 @@ class SetupStepExecutor {
       return `Step ${stepNumber} name must be a string, got ${typeof step.name}`;
     }
 
+    // Timeout is optional but must be a positive number of milliseconds if provided
+    if (step.timeout !== undefined && (typeof step.timeout !== 'number' || !(step.timeout > 0))) {
+      return `Step ${stepNumber} timeout must be a positive number of milliseconds, got ${step.timeout}`;
+    }
+
     // Description is optional but must be string if provided
     if (step.description && typeof step.description !== 'string') {
       return `Step ${stepNumber} description must be a string, got ${typeof step.description}`;
@@ -251,6 +403,14 @@ class SetupStepExecutor {
       logger.info(`Failed at: Step ${results.failed.step} (${results.failed.name})`);
       logger.info(`Command: ${results.failed.command}`);
       logger.info(`Error: ${results.failed.error}`);
+      if (results.failed.signal) {
+        logger.info(`Signal: ${results.failed.signal}`);
+      } else if (results.failed.exitCode !== null && results.failed.exitCode !== undefined) {
+        logger.info(`Exit code: ${results.failed.exitCode}`);
+      }
+      if (results.failed.log) {
+        logger.info(`📄 Command output: ${results.failed.log}`);
+      }
       logger.info(`Duration: ${(duration / 1000).toFixed(2)}s`);
 
       const skippedCount = totalCount - executedCount;
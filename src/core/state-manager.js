@@ -71,6 +71,14 @@ class StateManager {
   getStateFilePath() {
     return this.stateFile;
   }
+
+  /**
+   * Point the manager at a different state file (e.g. another project root)
+   * @param {string} filePath - Absolute path to the state file
+   */
+  setStateFilePath(filePath) {
+    this.stateFile = filePath;
+  }
 }
 
 module.exports = new StateManager();
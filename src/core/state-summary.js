@@ -0,0 +1,157 @@
+const rollbackState = require('../rollback/rollback-state');
+
+// Step ids of state files written before steps had names (1-7)
+const LEGACY_STEP_IDS = ['environment', 'manifest', 'dependencies', 'setup', 'config', 'docs', 'verify'];
+
+/**
+ * State Summary Module
+ *
+ * Condenses .jetpack-state.json into the "where am I?" view used by
+ * `jetpack status`: manifest, step outcomes, what Jetpack created, the last
+ * verification run and whether a rollback is possible.
+ */
+class StateSummary {
+  /**
+   * Summarize a state object
+   * @param {object} state - State loaded from .jetpack-state.json
+   * @returns {object} Status summary
+   */
+  summarize(state) {
+    const manifest = state.manifest || {};
+    const source = state.manifestSource || {};
+
+    return {
+      project: {
+        name: manifest.name || null,
+        repoUrl: state.repoUrl || null,
+        source: source.source || null,
+        filename: source.filename || null,
+        manifestHash: state.manifestHash || null,
+        profile: state.profile || null
+      },
+      run: {
+        status: this.getRunStatus(state),
+        startedAt: state.timestamp || null,
+        resumedAt: state.resumedAt || null,
+        error: state.error || null,
+        logs: state.logs ? state.logs.dir : null
+      },
+      steps: (state.steps || []).map(step => ({
+        id: this.getStepId(step),
+        name: step.name,
+        status: step.status || 'unknown',
+        timestamp: step.timestamp || null,
+        error: step.error || null,
+        logs: step.logs || []
+      })),
+      packages: this.getPackages(state),
+      files: this.getCreatedFiles(state),
+      plugins: Object.keys((state.rollback && state.rollback.plugins) || {}),
+      verification: this.getLastVerification(state),
+      rollback: this.getRollbackAvailability(state)
+    };
+  }
+
+  /**
+   * Overall outcome of the last init run
+   * @param {object} state - State object
+   * @returns {string} 'completed', 'failed' or 'incomplete'
+   */
+  getRunStatus(state) {
+    if (state.installed) {
+      return 'completed';
+    }
+    return state.error ? 'failed' : 'incomplete';
+  }
+
+  /**
+   * Packages tracked for rollback, split by who installed them
+   * @param {object} state - State object
+   * @returns {object} { installed: [{type, name}], alreadyPresent: [{type, name}] }
+   */
+  getPackages(state) {
+    const packages = { installed: [], alreadyPresent: [] };
+    const dependencies = (state.rollback && state.rollback.dependencies) || {};
+
+    for (const type of ['system', 'npm', 'pip']) {
+      for (const pkg of dependencies[type] || []) {
+        const bucket = pkg.installed ? packages.installed : packages.alreadyPresent;
+        bucket.push({ type, name: pkg.name });
+      }
+    }
+
+    return packages;
+  }
+
+  /**
+   * Files created by the config and docs steps
+   * @param {object} state - State object
+   * @returns {Array<string>} File paths
+   */
+  getCreatedFiles(state) {
+    const files = [];
+    const config = this.getStep(state, 'config');
+    const docs = this.getStep(state, 'docs');
+
+    if (config && config.result && config.result.files) {
+      for (const group of Object.values(config.result.files)) {
+        if (group && Array.isArray(group.created)) {
+          files.push(...group.created);
+        }
+      }
+    }
+
+    if (docs && docs.result && Array.isArray(docs.result.files)) {
+      files.push(...docs.result.files);
+    }
+
+    return files;
+  }
+
+  /**
+   * Most recent entry of the verification history
+   * @param {object} state - State object
+   * @returns {object|null} { timestamp, success, summary, runs }
+   */
+  getLastVerification(state) {
+    const history = state.verificationHistory || [];
+    if (history.length === 0) {
+      return null;
+    }
+    return { ...history[history.length - 1], runs: history.length };
+  }
+
+  /**
+   * Whether `jetpack rollback` can run against this state
+   * @param {object} state - State object
+   * @returns {object} { available, reason }
+   */
+  getRollbackAvailability(state) {
+    const validation = rollbackState.validateStateForRollback(state);
+    return {
+      available: validation.valid,
+      reason: validation.valid ? null : validation.errors[0]
+    };
+  }
+
+  /**
+   * Find a step entry by id
+   * @private
+   */
+  getStep(state, stepId) {
+    return (state.steps || []).find(s => this.getStepId(s) === stepId);
+  }
+
+  /**
+   * Id of a step entry, with numeric ids of legacy state mapped to names
+   * @private
+   */
+  getStepId(step) {
+    if (typeof step.id === 'number') {
+      return LEGACY_STEP_IDS[step.id - 1] || String(step.id);
+    }
+    return String(step.id);
+  }
+}
+
+module.exports = new StateSummary();
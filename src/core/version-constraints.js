@@ -0,0 +1,351 @@
+const semver = require('semver');
+
+/**
+ * Version Constraints Module
+ *
+ * Compares installed package versions with the constraints written in
+ * manifests:
+ *   - semver (npm packages, Node.js and system packages), with the semver
+ *     package npm itself uses: ^8, ~1.2, >=18 <21, 1.x, 2.0.0 - 3.1, ^1 || ^2
+ *   - PEP 440 (Python packages), a subset of the specifiers pip accepts:
+ *       >=23, ~=1.4.5, ==23.1.*, !=2.0, >=1.0,<2.0
+ *     Arbitrary equality (===), local version labels (==1.0+cpu) and other
+ *     operators are rejected when the manifest is validated.
+ *
+ * npm dist-tags (eslint@latest, typescript@beta) name no version range; they
+ * are passed to npm as written and any installed version satisfies them.
+ *
+ * System package managers report versions such as "1:2.34.1-1ubuntu1";
+ * those are reduced to their numeric part before comparing (see coerceVersion).
+ */
+
+const SCHEMES = ['semver', 'pep440'];
+
+// Characters a constraint may contain; anything else could reach a shell
+const CONSTRAINT_PATTERN = /^[0-9A-Za-z.*+^~<>=!|, -]+$/;
+
+// npm tag names: not a range, so they start with a letter other than v + digit
+const DIST_TAG_PATTERN = /^[A-Za-z][0-9A-Za-z._-]*$/;
+
+// Partial versions reported by some tools ("8", "20.11"), compared as 8.0.0 and 20.11.0
+const PARTIAL_SEMVER_PATTERN = /^v?\d+(\.\d+)?$/;
+
+const PEP440_PATTERN = /^v?(?:(\d+)!)?(\d+(?:\.\d+)*)(?:[-_.]?(a|b|c|rc|alpha|beta|pre|preview)[-_.]?(\d*))?(?:-(\d+)|[-_.]?(?:post|rev|r)[-_.]?(\d*))?(?:[-_.]?dev[-_.]?(\d*))?(?:\+[a-z0-9.]+)?$/i;
+const PEP440_OPERATOR_PATTERN = /^([<>=!~^]*)\s*(.*)$/;
+const PEP440_OPERATORS = ['~=', '==', '!=', '<=', '>=', '<', '>'];
+
+// Types whose versions follow PEP 440
+const PYTHON_TYPES = ['python', 'pip', 'pipx', 'venv', 'uv', 'poetry'];
+
+const PEP440_PHASES = { a: 0, alpha: 0, b: 1, beta: 1, c: 2, rc: 2, pre: 2, preview: 2 };
+
+/**
+ * Version scheme used for a dependency type
+ * @param {string} type - Dependency type ('system', 'npm', 'python', 'node') or a
+ *   Python install mode ('pip', 'pipx', 'venv', 'uv', 'poetry')
+ * @returns {string} 'semver' or 'pep440'
+ */
+function getScheme(type) {
+  return PYTHON_TYPES.includes(type) ? 'pep440' : 'semver';
+}
+
+/**
+ * Check whether a semver constraint is an npm dist-tag such as "latest" or "next"
+ * @param {string} constraint - Text after the @ of a package
+ * @param {string} scheme - 'semver' or 'pep440'
+ * @returns {boolean} True for a dist-tag
+ */
+function isDistTag(constraint, scheme = 'semver') {
+  return scheme === 'semver' &&
+    typeof constraint === 'string' &&
+    DIST_TAG_PATTERN.test(constraint) &&
+    semver.validRange(constraint) === null;
+}
+
+/**
+ * Check that a constraint is well-formed
+ * @param {string} constraint - Constraint, e.g. "^8" or ">=23,<24"
+ * @param {string} scheme - 'semver' or 'pep440'
+ * @returns {boolean} True if valid
+ * @throws {Error} If the constraint is malformed, uses an unsupported operator
+ *   or contains unsafe characters
+ */
+function validateConstraint(constraint, scheme = 'semver') {
+  if (!SCHEMES.includes(scheme)) {
+    throw new Error(`Unknown version scheme: ${scheme}`);
+  }
+  if (typeof constraint !== 'string' || !CONSTRAINT_PATTERN.test(constraint) || constraint.trim().length === 0) {
+    throw new Error(`Invalid version constraint "${constraint}"`);
+  }
+
+  parseConstraint(constraint, scheme);
+  return true;
+}
+
+/**
+ * Check whether a version satisfies a constraint
+ * @param {string} version - Installed version
+ * @param {string} constraint - Constraint (null, empty or an npm dist-tag accepts any version)
+ * @param {string} scheme - 'semver' or 'pep440'
+ * @returns {boolean} True if the version satisfies the constraint
+ * @throws {Error} If the constraint is malformed
+ */
+function satisfies(version, constraint, scheme = 'semver') {
+  if (!constraint || isDistTag(constraint, scheme)) {
+    return true;
+  }
+
+  const range = parseConstraint(constraint, scheme);
+  const parsed = parseVersion(version, scheme);
+  if (!parsed) {
+    return false;
+  }
+
+  if (scheme === 'semver') {
+    return semver.satisfies(parsed, range);
+  }
+  return range.every(specifier => test(parsed, specifier));
+}
+
+/**
+ * Whether reaching a constraint means moving to a newer or an older version
+ * @param {string} version - Installed version that does not satisfy the constraint
+ * @param {string} constraint - Constraint
+ * @param {string} scheme - 'semver' or 'pep440'
+ * @returns {string} 'upgrade' or 'downgrade'
+ */
+function getDirection(version, constraint, scheme = 'semver') {
+  const parsed = parseVersion(version, scheme);
+  if (!parsed) {
+    return 'upgrade';
+  }
+
+  if (scheme === 'semver') {
+    return semver.gtr(parsed, parseConstraint(constraint, scheme)) ? 'downgrade' : 'upgrade';
+  }
+
+  // The installed version is too old if it fails one of the lower bounds
+  const tooOld = parseConstraint(constraint, scheme).some(specifier => !test(parsed, specifier) && (
+    specifier.operator === '>' || specifier.operator === '>=' ||
+    (['==', '~='].includes(specifier.operator) && compare(parsed, specifier.version) < 0)
+  ));
+
+  return tooOld ? 'upgrade' : 'downgrade';
+}
+
+/**
+ * Compare two versions
+ * @param {string} a - Version
+ * @param {string} b - Version
+ * @param {string} scheme - 'semver' or 'pep440'
+ * @returns {number} Negative if a < b, 0 if equal, positive if a > b
+ * @throws {Error} If either version cannot be parsed
+ */
+function compareVersions(a, b, scheme = 'semver') {
+  const left = parseVersion(a, scheme);
+  const right = parseVersion(b, scheme);
+  if (!left || !right) {
+    throw new Error(`Cannot compare versions "${a}" and "${b}"`);
+  }
+  return scheme === 'semver' ? semver.compare(left, right) : compare(left, right);
+}
+
+/**
+ * Reduce a version reported by a package manager to a comparable one
+ * e.g. "1:2.34.1-1ubuntu1" -> "2.34.1", "v18.19.0" -> "18.19.0"
+ * @param {string} text - Reported version
+ * @returns {string|null} Version, or null if it has no numeric part
+ */
+function coerceVersion(text) {
+  if (typeof text !== 'string') {
+    return null;
+  }
+  const match = text.replace(/^\d+:/, '').match(/\d+(?:\.\d+){0,2}/);
+  return match ? match[0] : null;
+}
+
+/**
+ * Parse a version: a semver string (partial versions such as "8" or "8.1"
+ * fill in zeros) or the parts of a PEP 440 version
+ * @private
+ */
+function parseVersion(text, scheme) {
+  const value = String(text).trim();
+
+  if (scheme === 'semver') {
+    if (PARTIAL_SEMVER_PATTERN.test(value)) {
+      return semver.coerce(value).version;
+    }
+    return semver.valid(value);
+  }
+
+  const match = value.match(PEP440_PATTERN);
+  if (!match) {
+    return null;
+  }
+  const [, epoch, release, phase, preNumber, implicitPost, post, dev] = match;
+  const postNumber = implicitPost !== undefined ? implicitPost : post;
+  return {
+    epoch: Number(epoch || 0),
+    release: release.split('.').map(Number),
+    pre: phase ? [PEP440_PHASES[phase.toLowerCase()], Number(preNumber || 0)] : null,
+    post: postNumber !== undefined ? Number(postNumber || 0) : null,
+    dev: dev !== undefined ? Number(dev || 0) : null
+  };
+}
+
+/**
+ * Compare two parsed PEP 440 versions
+ * @private
+ */
+function compare(a, b) {
+  return (a.epoch - b.epoch) ||
+    compareReleases(a.release, b.release) ||
+    compareKeys(pep440Key(a), pep440Key(b));
+}
+
+/**
+ * @private
+ */
+function compareReleases(a, b) {
+  const length = Math.max(a.length, b.length);
+  for (let i = 0; i < length; i++) {
+    const difference = (a[i] || 0) - (b[i] || 0);
+    if (difference !== 0) {
+      return difference;
+    }
+  }
+  return 0;
+}
+
+/**
+ * Sort key for the pre, post and dev parts of a PEP 440 version
+ * (1.0.dev1 < 1.0a1 < 1.0 < 1.0.post1)
+ * @private
+ */
+function pep440Key(version) {
+  let pre;
+  if (version.pre) {
+    pre = version.pre;
+  } else if (version.dev !== null && version.post === null) {
+    pre = [-Infinity, 0];
+  } else {
+    pre = [Infinity, 0];
+  }
+  return [
+    ...pre,
+    version.post === null ? -Infinity : version.post,
+    version.dev === null ? Infinity : version.dev
+  ];
+}
+
+/**
+ * @private
+ */
+function compareKeys(a, b) {
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    const left = a[i] === undefined ? -Infinity : a[i];
+    const right = b[i] === undefined ? -Infinity : b[i];
+    if (left !== right) {
+      return left < right ? -1 : 1;
+    }
+  }
+  return 0;
+}
+
+/**
+ * Parse a constraint: a normalized semver range, or the list of PEP 440
+ * specifiers a version must all satisfy
+ * @returns {string|Array<object>} Range, or specifiers { operator, version, prefix }
+ * @private
+ */
+function parseConstraint(constraint, scheme) {
+  const fail = (reason) => {
+    throw new Error(`Invalid version constraint "${constraint}": ${reason}`);
+  };
+
+  if (scheme === 'semver') {
+    const range = semver.validRange(constraint);
+    if (range === null) {
+      fail('not a semver range');
+    }
+    return range;
+  }
+
+  return constraint.split(',').map(part => parsePep440Specifier(part.trim(), fail));
+}
+
+/**
+ * Parse one PEP 440 specifier such as ">=23" or "==1.4.*"
+ * @private
+ */
+function parsePep440Specifier(text, fail) {
+  const [, operator, raw] = text.match(PEP440_OPERATOR_PATTERN);
+  if (!operator) {
+    fail(`"${text}" must start with ${PEP440_OPERATORS.join(', ')}`);
+  }
+  if (!PEP440_OPERATORS.includes(operator)) {
+    fail(`operator "${operator}" is not supported, use ${PEP440_OPERATORS.join(', ')}`);
+  }
+  if (raw.includes('+')) {
+    fail('local version labels (+...) are not supported');
+  }
+
+  const prefix = raw.endsWith('.*');
+  if (prefix && operator !== '==' && operator !== '!=') {
+    fail(`".*" is only allowed with == and !=`);
+  }
+
+  const version = parseVersion(prefix ? raw.slice(0, -2) : raw, 'pep440');
+  if (!version) {
+    fail(`"${raw}" is not a version`);
+  }
+  if (operator === '~=' && version.release.length < 2) {
+    fail('~= needs at least two version parts, e.g. ~=1.4');
+  }
+
+  return { operator, version, prefix };
+}
+
+/**
+ * Check one PEP 440 specifier
+ * @private
+ */
+function test(version, specifier) {
+  const { operator, version: target } = specifier;
+
+  if (specifier.prefix) {
+    const matches = version.epoch === target.epoch &&
+      target.release.every((part, i) => (version.release[i] || 0) === part);
+    return operator === '==' ? matches : !matches;
+  }
+
+  const difference = compare(version, target);
+  const sameRelease = version.epoch === target.epoch && compareReleases(version.release, target.release) === 0;
+
+  switch (operator) {
+    case '~=': {
+      const stem = target.release.slice(0, -1);
+      return difference >= 0 && stem.every((part, i) => (version.release[i] || 0) === part);
+    }
+    // <2.0 excludes 2.0rc1 and >1.0 excludes 1.0.post1, unless the specifier names one
+    case '<':
+      return difference < 0 && !(sameRelease && (version.pre || version.dev !== null) && !target.pre && target.dev === null);
+    case '>':
+      return difference > 0 && !(sameRelease && version.post !== null && target.post === null);
+    case '<=': return difference <= 0;
+    case '>=': return difference >= 0;
+    case '!=': return difference !== 0;
+    default: return difference === 0;
+  }
+}
+
+module.exports = {
+  getScheme,
+  isDistTag,
+  validateConstraint,
+  satisfies,
+  getDirection,
+  compareVersions,
+  coerceVersion
+};
@@ -108,6 +108,7 @@ class EnvironmentAnalyzer {
       npm: await this.checkCommand('npm'),
       yarn: await this.checkCommand('yarn'),
       pnpm: await this.checkCommand('pnpm'),
+      bun: await this.checkCommand('bun'),
     };
 
     if (process.platform === 'win32') {
@@ -118,7 +119,11 @@ class EnvironmentAnalyzer {
       managers.homebrew = await this.checkCommand('brew');
     } else if (process.platform === 'linux') {
       managers.apt = await this.checkCommand('apt-get');
+      managers.dnf = await this.checkCommand('dnf');
       managers.yum = await this.checkCommand('yum');
+      managers.pacman = await this.checkCommand('pacman');
+      managers.zypper = await this.checkCommand('zypper');
+      managers.apk = await this.checkCommand('apk');
     }
 
     return managers;
@@ -0,0 +1,440 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('yaml');
+
+/**
+ * Manifest Composer - Resolves `extends` and `include` in .onboard.yaml
+ *
+ * A manifest is merged in this order, later layers winning:
+ *   1. every `extends` entry (local path or https:// URL), in order
+ *   2. every `include` fragment, in order
+ *   3. the manifest itself
+ *
+ * Merge rules: objects deep-merge, arrays concatenate (identical scalar
+ * items are kept once), anything else is replaced by the later layer.
+ * Referenced files may extend or include further files.
+ *
+ * Values keep their origin ({ file, line, column }) so validation errors
+ * can name the file a value came from. `file` is null for the root manifest.
+ *
+ * A profile from `profiles:` (see applyProfile) is merged last, over the
+ * manifest itself.
+ */
+
+const COMPOSE_KEYS = ['extends', 'include'];
+const MAX_DEPTH = 10;
+
+/**
+ * Compose manifest content with everything it extends or includes
+ * @param {string} content - Root manifest YAML content
+ * @param {object} options - Compose options
+ * @param {string} options.filePath - Path of the root manifest, if it is a file
+ * @param {string} options.baseDir - Directory for relative references (default: file directory or cwd)
+ * @param {string} options.baseUrl - URL for relative references of remote root content
+ * @param {Function} options.readRemote - (url) => content, for https:// references
+ * @returns {object} { tree, sources, errors } - tree is null when errors is not empty
+ */
+function compose(content, options = {}) {
+  const rootDir = options.baseDir || (options.filePath ? path.dirname(path.resolve(options.filePath)) : process.cwd());
+  const context = {
+    rootDir,
+    readRemote: options.readRemote || readRemoteManifest,
+    sources: [],
+    errors: []
+  };
+
+  const root = {
+    id: options.filePath ? path.resolve(options.filePath) : null,
+    dir: rootDir,
+    url: options.baseUrl || null,
+    label: null
+  };
+
+  const tree = loadSource(content, root, [], context);
+
+  return {
+    tree: context.errors.length > 0 ? null : tree,
+    sources: context.sources,
+    errors: context.errors
+  };
+}
+
+/**
+ * Parse one source and merge it over the layers it references
+ * @private
+ */
+function loadSource(content, source, chain, context) {
+  const lineCounter = new yaml.LineCounter();
+  const document = yaml.parseDocument(content, { lineCounter });
+
+  if (document.errors.length > 0) {
+    document.errors.forEach(error => context.errors.push({
+      path: '',
+      keyword: 'syntax',
+      message: error.message.split('\n')[0].replace(/ at line \d+, column \d+:?$/, ''),
+      ...positionOf({
+        file: source.label,
+        line: error.linePos ? error.linePos[0].line : null,
+        column: error.linePos ? error.linePos[0].col : null
+      })
+    }));
+    return null;
+  }
+
+  const tree = fromNode(document.contents, { document, lineCounter, file: source.label });
+  if (!isMap(tree)) {
+    return tree;
+  }
+
+  const layers = [];
+  for (const key of COMPOSE_KEYS) {
+    const entry = tree.entries.get(key);
+    if (!entry) {
+      continue;
+    }
+    tree.entries.delete(key);
+
+    const references = isSeq(entry.node) ? entry.node.items : [entry.node];
+    for (const reference of references) {
+      if (!reference || reference.value === undefined || typeof reference.value !== 'string' || !reference.value.trim()) {
+        addError(context, `"${key}" must be a path or URL, or a list of them`, (reference || entry.node).origin);
+        continue;
+      }
+
+      const layer = loadReference(reference, source, chain, context);
+      if (layer) {
+        layers.push(layer);
+      }
+    }
+  }
+
+  return [...layers, tree].reduce(merge);
+}
+
+/**
+ * Load a referenced manifest or fragment
+ * @private
+ */
+function loadReference(reference, source, chain, context) {
+  const value = reference.value.trim();
+  const target = resolveReference(value, source, context);
+
+  if (target.error) {
+    addError(context, target.error, reference.origin);
+    return null;
+  }
+
+  const visited = [...chain, source];
+  if (visited.some(s => s.id === target.id)) {
+    const cycle = [...visited.slice(visited.findIndex(s => s.id === target.id)), target];
+    addError(context, `Circular manifest reference: ${cycle.map(s => s.label || 'manifest').join(' -> ')}`, reference.origin);
+    return null;
+  }
+
+  if (visited.length > MAX_DEPTH) {
+    addError(context, `Manifest references are nested more than ${MAX_DEPTH} levels deep`, reference.origin);
+    return null;
+  }
+
+  let content;
+  try {
+    content = target.url ? context.readRemote(target.url) : fs.readFileSync(target.path, 'utf8');
+  } catch (error) {
+    const reason = error.code === 'ENOENT' ? 'file not found' : error.message;
+    addError(context, `Cannot load "${value}": ${reason}`, reference.origin);
+    return null;
+  }
+
+  context.sources.push(target.label);
+  return loadSource(content, target, visited, context);
+}
+
+/**
+ * Resolve a reference against the source that contains it
+ * Relative references in remote manifests resolve against their URL.
+ * @private
+ */
+function resolveReference(value, source, context) {
+  if (/^[a-z][a-z0-9+.-]*:\/\//i.test(value) || source.url) {
+    let url;
+    try {
+      url = new URL(value, source.url || undefined);
+    } catch (error) {
+      return { error: `Invalid manifest reference "${value}"` };
+    }
+
+    if (url.protocol !== 'https:') {
+      return { error: `Remote manifests must use https:// ("${value}")` };
+    }
+
+    return { id: url.href, url: url.href, label: url.href };
+  }
+
+  const filePath = path.resolve(source.dir, value);
+  return {
+    id: filePath,
+    path: filePath,
+    dir: path.dirname(filePath),
+    label: path.relative(context.rootDir, filePath) || path.basename(filePath)
+  };
+}
+
+/**
+ * Fetch a remote manifest (https only)
+ * @param {string} url - Manifest URL
+ * @returns {string} Manifest content
+ * @private
+ */
+function readRemoteManifest(url) {
+  // Required lazily: the fetcher creates the cache directory on load
+  const { fetchManifestUrl } = require('../core/manifest-fetcher');
+  return fetchManifestUrl(url);
+}
+
+/**
+ * Convert a YAML node into a tree whose nodes remember their origin
+ * Maps: { entries: Map<key, { node, keyOrigin }>, origin }
+ * Sequences: { items: Array<node>, origin }
+ * Scalars: { value, origin }
+ * @private
+ */
+function fromNode(node, ctx, fallbackOrigin = null) {
+  if (!node) {
+    return { value: null, origin: fallbackOrigin || originOf(null, ctx) };
+  }
+
+  if (yaml.isAlias(node)) {
+    return fromNode(node.resolve(ctx.document), ctx, originOf(node, ctx));
+  }
+
+  const origin = fallbackOrigin || originOf(node, ctx);
+
+  if (yaml.isMap(node)) {
+    const entries = new Map();
+    node.items.forEach(pair => {
+      const key = yaml.isScalar(pair.key) ? pair.key.value : String(pair.key);
+      const keyOrigin = originOf(pair.key, ctx);
+      entries.set(key, { keyOrigin, node: fromNode(pair.value, ctx, pair.value ? null : keyOrigin) });
+    });
+    return { entries, origin };
+  }
+
+  if (yaml.isSeq(node)) {
+    return { items: node.items.map(item => fromNode(item, ctx)), origin };
+  }
+
+  return { value: node.toJSON(), origin };
+}
+
+/**
+ * Merge two trees; the override wins for scalars
+ * @private
+ */
+function merge(base, override) {
+  if (isMap(base) && isMap(override)) {
+    const entries = new Map(base.entries);
+    for (const [key, entry] of override.entries) {
+      const existing = entries.get(key);
+      entries.set(key, existing
+        ? { keyOrigin: entry.keyOrigin, node: merge(existing.node, entry.node) }
+        : entry);
+    }
+    return { entries, origin: override.origin };
+  }
+
+  if (isSeq(base) && isSeq(override)) {
+    const items = [...base.items];
+    override.items.forEach(item => {
+      const duplicate = isScalar(item) && items.some(existing => isScalar(existing) && existing.value === item.value);
+      if (!duplicate) {
+        items.push(item);
+      }
+    });
+    return { items, origin: override.origin };
+  }
+
+  return override;
+}
+
+/**
+ * Layer one entry of `profiles:` over the composed manifest
+ * The profile merges like a final include. Its `environment` joins the
+ * environment section the base uses (top-level or dependencies.environment).
+ * @param {object} tree - Tree from compose()
+ * @param {string} name - Profile name
+ * @returns {object} New tree; the `profiles` section itself is kept
+ * @throws {Error} If the manifest has no profile with that name
+ */
+function applyProfile(tree, name) {
+  const profiles = nodeAt(tree, ['profiles']);
+  const profile = nodeAt(profiles, [name]);
+
+  if (!isMap(profile)) {
+    const available = isMap(profiles) ? [...profiles.entries.keys()] : [];
+    throw new Error(available.length > 0
+      ? `Unknown profile "${name}" (available: ${available.join(', ')})`
+      : `Unknown profile "${name}": the manifest defines no profiles`);
+  }
+
+  const entries = new Map(profile.entries);
+  const environment = entries.get('environment');
+  entries.delete('description');
+  entries.delete('environment');
+
+  let layer = { entries, origin: profile.origin };
+
+  if (environment) {
+    const envPath = !tree.entries.has('environment') && nodeAt(tree, ['dependencies', 'environment'])
+      ? ['dependencies', 'environment']
+      : ['environment'];
+    const base = nodeAt(tree, envPath);
+    // A list means "all required"; mixing it with { required, optional } merges as a map
+    const node = base && isSeq(base) !== isSeq(environment.node)
+      ? merge(asEnvironmentMap(base), asEnvironmentMap(environment.node))
+      : environment.node;
+    const wrapped = envPath.reduceRight((child, key) => ({
+      entries: new Map([[key, { keyOrigin: environment.keyOrigin, node: child }]]),
+      origin: environment.keyOrigin
+    }), node);
+    layer = merge(layer, wrapped);
+  }
+
+  // Missing top-level keys are still reported at the start of the manifest
+  return { ...merge(tree, layer), origin: tree.origin };
+}
+
+/**
+ * Node at a path of map keys, or null
+ * @private
+ */
+function nodeAt(tree, keys) {
+  let node = tree;
+  for (const key of keys) {
+    if (!isMap(node) || !node.entries.has(key)) {
+      return null;
+    }
+    node = node.entries.get(key).node;
+  }
+  return node;
+}
+
+/**
+ * Environment list as { required: [...] }
+ * @private
+ */
+function asEnvironmentMap(node) {
+  if (!isSeq(node)) {
+    return node;
+  }
+  return { entries: new Map([['required', { keyOrigin: node.origin, node }]]), origin: node.origin };
+}
+
+/**
+ * Convert a composed tree to plain JavaScript values
+ * @param {object} tree - Tree from compose()
+ * @returns {*} Plain value
+ */
+function toJS(tree) {
+  if (!tree) {
+    return null;
+  }
+  if (isMap(tree)) {
+    const object = {};
+    for (const [key, entry] of tree.entries) {
+      object[key] = toJS(entry.node);
+    }
+    return object;
+  }
+  if (isSeq(tree)) {
+    return tree.items.map(toJS);
+  }
+  return tree.value;
+}
+
+/**
+ * Find where a value came from
+ * Falls back to the nearest parent that exists (e.g. for missing required keys).
+ * @param {object} tree - Tree from compose()
+ * @param {Array<string|number>} valuePath - Path segments
+ * @param {boolean} atKey - Point at the key instead of the value (unknown keys)
+ * @returns {object} { line, column } plus `file` when the value came from another file
+ */
+function locate(tree, valuePath, atKey = false) {
+  let node = tree;
+  let origin = tree ? tree.origin : null;
+
+  for (let i = 0; i < valuePath.length && node; i++) {
+    const segment = valuePath[i];
+    if (isMap(node) && node.entries.has(segment)) {
+      const entry = node.entries.get(segment);
+      origin = atKey && i === valuePath.length - 1 ? entry.keyOrigin : entry.node.origin;
+      node = entry.node;
+    } else if (isSeq(node) && node.items[segment]) {
+      node = node.items[segment];
+      origin = node.origin;
+    } else {
+      break;
+    }
+  }
+
+  return positionOf(origin);
+}
+
+/**
+ * Position of an origin; `file` is only set for values from other files
+ * @private
+ */
+function positionOf(origin) {
+  if (!origin || origin.line === null) {
+    return origin && origin.file ? { file: origin.file, line: null, column: null } : { line: null, column: null };
+  }
+
+  const position = { line: origin.line, column: origin.column };
+  return origin.file ? { file: origin.file, ...position } : position;
+}
+
+/**
+ * @private
+ */
+function originOf(node, ctx) {
+  if (!node || !node.range) {
+    return { file: ctx.file, line: null, column: null };
+  }
+  const { line, col } = ctx.lineCounter.linePos(node.range[0]);
+  return { file: ctx.file, line, column: col };
+}
+
+/**
+ * @private
+ */
+function addError(context, message, origin) {
+  context.errors.push({ path: '', keyword: 'reference', message, ...positionOf(origin) });
+}
+
+/**
+ * @private
+ */
+function isMap(node) {
+  return Boolean(node && node.entries);
+}
+
+/**
+ * @private
+ */
+function isSeq(node) {
+  return Boolean(node && node.items);
+}
+
+/**
+ * @private
+ */
+function isScalar(node) {
+  return Boolean(node && !node.entries && !node.items);
+}
+
+module.exports = {
+  compose,
+  applyProfile,
+  toJS,
+  locate
+};
@@ -0,0 +1,219 @@
+const os = require('os');
+const manifestComposer = require('./manifest-composer');
+
+/**
+ * Manifest Interpolator - Resolves ${{ ... }} references in manifest values
+ *
+ * Runs on the composed tree (see manifest-composer) before schema validation:
+ *   ${{ env.PORT }}       process environment, then environment.defaults
+ *   ${{ vars.API_URL }}   top-level `vars:` (which may reference anything else)
+ *   ${{ project.name }}   name, description or author of the manifest
+ *   ${{ os.platform }}    platform, arch, home or user
+ *
+ * A value that is exactly one reference takes the type the result would
+ * have if it were written in YAML (e.g. "3000" becomes the number 3000).
+ * $${{ ... }} is kept as the literal text ${{ ... }}, e.g. for GitHub Actions
+ * expressions in generated files.
+ *
+ * `profiles:` is left as written; the selected profile is merged into the
+ * manifest before interpolation (see manifestComposer.applyProfile).
+ */
+
+// The optional leading $ escapes the reference
+const EXPRESSION_PATTERN = /(\$?)\$\{\{\s*(.*?)\s*\}\}/g;
+const WHOLE_EXPRESSION_PATTERN = /^\$\{\{\s*(.*?)\s*\}\}$/;
+const REFERENCE_PATTERN = /^(env|vars|project|os)\.([A-Za-z_][A-Za-z0-9_-]*)$/;
+
+const PROJECT_KEYS = ['name', 'description', 'author'];
+const OS_VALUES = {
+  platform: () => process.platform,
+  arch: () => process.arch,
+  home: () => os.homedir(),
+  user: () => os.userInfo().username
+};
+
+/**
+ * Resolve every ${{ ... }} reference in a composed tree, in place
+ * @param {object} tree - Tree from manifestComposer.compose()
+ * @param {object} options - Options
+ * @param {object} options.env - Environment variables (default: process.env)
+ * @returns {Array<object>} Errors { path: Array, keyword, message, line, column }
+ */
+function interpolate(tree, options = {}) {
+  const resolver = {
+    tree,
+    env: options.env || process.env,
+    resolving: new Set(),
+    done: new Set(),
+    errors: []
+  };
+
+  walk(tree, [], resolver);
+  return resolver.errors;
+}
+
+/**
+ * Resolve all string values below a node
+ * @private
+ */
+function walk(node, path, resolver) {
+  if (!node) {
+    return;
+  }
+  if (node.entries) {
+    for (const [key, entry] of node.entries) {
+      if (path.length === 0 && key === 'profiles') {
+        continue;
+      }
+      walk(entry.node, [...path, key], resolver);
+    }
+  } else if (node.items) {
+    node.items.forEach((item, index) => walk(item, [...path, index], resolver));
+  } else {
+    render(node, path, resolver);
+  }
+}
+
+/**
+ * Resolve the references in one scalar node
+ * @private
+ */
+function render(node, path, resolver) {
+  if (typeof node.value !== 'string' || !node.value.includes('${{') || resolver.done.has(node)) {
+    return node.value;
+  }
+
+  if (resolver.resolving.has(node)) {
+    addError(resolver, path, `Circular reference in "${node.value}"`);
+    return node.value;
+  }
+
+  resolver.resolving.add(node);
+  const text = node.value;
+  const whole = text.match(WHOLE_EXPRESSION_PATTERN);
+
+  if (whole && !whole[1].includes('}}')) {
+    const value = lookup(whole[1], path, resolver);
+    node.value = value === undefined ? text : coerce(value);
+  } else {
+    node.value = text.replace(EXPRESSION_PATTERN, (match, escape, expression) => {
+      if (escape) {
+        return match.slice(1);
+      }
+      const value = lookup(expression, path, resolver);
+      return value === undefined ? match : String(value);
+    });
+  }
+
+  resolver.resolving.delete(node);
+  resolver.done.add(node);
+  return node.value;
+}
+
+/**
+ * Look up one reference such as env.PORT
+ * @returns {*} Value, or undefined after recording an error
+ * @private
+ */
+function lookup(expression, path, resolver) {
+  const reference = `\${{ ${expression} }}`;
+  const match = expression.match(REFERENCE_PATTERN);
+
+  if (!match) {
+    addError(resolver, path, `Invalid reference "${reference}" - use env.NAME, vars.NAME, project.name or os.platform`);
+    return undefined;
+  }
+
+  const [, namespace, key] = match;
+  let value;
+
+  switch (namespace) {
+    case 'env':
+      value = resolver.env[key];
+      if (value === undefined) {
+        value = valueAt(['environment', 'defaults', key], resolver);
+      }
+      if (value === undefined) {
+        value = valueAt(['dependencies', 'environment', 'defaults', key], resolver);
+      }
+      if (value === undefined) {
+        addError(resolver, path, `Unresolved reference "${reference}": ${key} is not set and has no default in environment.defaults`);
+      }
+      return value;
+
+    case 'vars':
+      value = valueAt(['vars', key], resolver);
+      if (value === undefined) {
+        addError(resolver, path, `Unresolved reference "${reference}": "${key}" is not defined in vars`);
+      }
+      return value;
+
+    case 'project':
+      value = PROJECT_KEYS.includes(key) ? valueAt([key], resolver) : undefined;
+      if (value === undefined) {
+        addError(resolver, path, `Unresolved reference "${reference}": use ${PROJECT_KEYS.map(k => `project.${k}`).join(', ')} (and set it in the manifest)`);
+      }
+      return value;
+
+    default:
+      if (!OS_VALUES[key]) {
+        addError(resolver, path, `Unresolved reference "${reference}": use ${Object.keys(OS_VALUES).map(k => `os.${k}`).join(', ')}`);
+        return undefined;
+      }
+      return OS_VALUES[key]();
+  }
+}
+
+/**
+ * Resolved scalar value at a path of the tree, or undefined
+ * @private
+ */
+function valueAt(path, resolver) {
+  let node = resolver.tree;
+  for (const segment of path) {
+    const entry = node && node.entries ? node.entries.get(segment) : null;
+    if (!entry) {
+      return undefined;
+    }
+    node = entry.node;
+  }
+
+  if (!node || node.entries || node.items || node.value === null) {
+    return undefined;
+  }
+
+  return render(node, path, resolver);
+}
+
+/**
+ * Give a whole-value reference the type YAML would give the same text
+ * @private
+ */
+function coerce(value) {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  if (/^-?\d+$/.test(value)) {
+    return Number(value);
+  }
+  if (value === 'true' || value === 'false') {
+    return value === 'true';
+  }
+  return value;
+}
+
+/**
+ * @private
+ */
+function addError(resolver, path, message) {
+  resolver.errors.push({
+    path,
+    keyword: 'interpolation',
+    message,
+    ...manifestComposer.locate(resolver.tree, path)
+  });
+}
+
+module.exports = {
+  interpolate
+};
@@ -0,0 +1,282 @@
+const NetworkUtils = require('../verification/utils/NetworkUtils');
+const schemaValidator = require('./schema-validator');
+const {
+  validateManifestContent,
+  validatePackageName
+} = require('./manifest-parser');
+const versionConstraints = require('../core/version-constraints');
+
+/**
+ * Manifest Linter - Schema validation plus semantic lint rules
+ *
+ * Used by `jetpack validate`. Finds problems that would otherwise only
+ * show up while running `jetpack init`.
+ *
+ * Every issue has the shape:
+ *   { rule, severity: 'error'|'warning', path, message, line, column }
+ */
+
+// Variables every shell provides; never expected in the manifest
+const SHELL_VARIABLES = ['HOME', 'PATH', 'USER', 'PWD', 'SHELL', 'TMPDIR', 'TEMP', 'LANG', 'CI', 'USERPROFILE'];
+const ENV_REFERENCE_PATTERN = /\$\{?([A-Z][A-Z0-9_]*)\}?/g;
+const URL_TIMEOUT = 5000;
+
+// Rule ids for parser errors that are not schema violations
+const RULES_BY_KEYWORD = {
+  reference: 'manifest-reference',
+  interpolation: 'interpolation',
+  condition: 'condition'
+};
+
+class ManifestLinter {
+  constructor() {
+    this.rules = [
+      { id: 'duplicate-step-name', severity: 'error', run: this.checkDuplicateStepNames },
+      { id: 'check-missing-name', severity: 'error', run: this.checkMissingCheckNames },
+      { id: 'invalid-package-name', severity: 'error', run: this.checkPackageNames },
+      { id: 'undeclared-env-var', severity: 'warning', run: this.checkUndeclaredEnvVars },
+      { id: 'unreachable-url', severity: 'warning', run: this.checkDocumentationUrls, network: true }
+    ];
+  }
+
+  /**
+   * Lint manifest YAML content
+   * @param {string} content - YAML content
+   * @param {object} options - Options
+   * @param {boolean} options.offline - Skip rules that need the network
+   * @param {string} options.filePath - Manifest path, for relative extends/include
+   * @returns {Promise<object>} { valid, errors, warnings }
+   */
+  async lint(content, options = {}) {
+    const { manifest, errors, warnings, locate } = validateManifestContent(content, { filePath: options.filePath });
+    const issues = [
+      ...errors.map(({ keyword, ...issue }) => ({ rule: RULES_BY_KEYWORD[keyword] || 'schema', severity: 'error', ...issue })),
+      ...warnings.map(issue => ({ rule: 'unknown-key', severity: 'warning', ...issue }))
+    ];
+
+    if (manifest) {
+      for (const rule of this.rules) {
+        if (rule.network && options.offline) {
+          continue;
+        }
+
+        const findings = await rule.run.call(this, manifest);
+        findings.forEach(finding => {
+          issues.push({
+            rule: rule.id,
+            severity: rule.severity,
+            path: schemaValidator.formatPath(finding.path),
+            message: finding.message,
+            ...locate(finding.path)
+          });
+        });
+      }
+    } else if (issues.length === 0) {
+      issues.push({ rule: 'schema', severity: 'error', path: '', message: 'Manifest contains no valid data', line: null, column: null });
+    }
+
+    issues.sort((a, b) => (a.line || 0) - (b.line || 0));
+
+    const result = {
+      errors: issues.filter(i => i.severity === 'error'),
+      warnings: issues.filter(i => i.severity === 'warning')
+    };
+    result.valid = result.errors.length === 0;
+    return result;
+  }
+
+  /**
+   * Setup step names must be unique (they identify failed steps)
+   */
+  checkDuplicateStepNames(manifest) {
+    const seen = new Map();
+    const findings = [];
+
+    asArray(manifest.setup_steps).forEach((step, index) => {
+      if (!step || typeof step.name !== 'string') {
+        return;
+      }
+      if (seen.has(step.name)) {
+        findings.push({
+          path: ['setup_steps', index, 'name'],
+          message: `Duplicate setup step name "${step.name}" (first used by setup_steps[${seen.get(step.name)}])`
+        });
+      } else {
+        seen.set(step.name, index);
+      }
+    });
+
+    return findings;
+  }
+
+  /**
+   * Verification checks need a name; BaseCheck.validate rejects them at runtime
+   */
+  checkMissingCheckNames(manifest) {
+    return this.getChecks(manifest)
+      .filter(({ check }) => !check.name || typeof check.name !== 'string' || !check.name.trim())
+      .map(({ index }) => ({
+        path: ['verification', 'checks', index],
+        message: `verification.checks[${index}] has no "name" - the check will be rejected at runtime`
+      }));
+  }
+
+  /**
+   * Package names (and their version constraints) must pass validatePackageName
+   */
+  checkPackageNames(manifest) {
+    const findings = [];
+    const dependencies = manifest.dependencies || {};
+
+    const lists = [];
+    for (const type of ['system', 'npm', 'python']) {
+      const value = dependencies[type];
+      if (type === 'python' && value && typeof value === 'object' && !Array.isArray(value)) {
+        // { mode, packages }; constraints follow PEP 440 in every mode
+        lists.push({ type, path: ['dependencies', type, 'packages'], names: value.packages });
+      } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+        // Per-platform system packages
+        Object.entries(value).forEach(([platform, names]) => lists.push({ type, path: ['dependencies', type, platform], names }));
+      } else {
+        lists.push({ type, path: ['dependencies', type], names: value });
+      }
+    }
+
+    for (const list of lists) {
+      asArray(list.names).forEach((name, index) => {
+        if (typeof name !== 'string') {
+          return;
+        }
+        try {
+          validatePackageName(name.trim(), list.type);
+        } catch (error) {
+          findings.push({
+            path: [...list.path, index],
+            message: error.message.startsWith('Invalid version constraint')
+              ? error.message
+              : `Invalid package name "${name}" - only letters, numbers, ".", "_", "-", "@" and "/" are allowed`
+          });
+        }
+      });
+    }
+
+    if (typeof dependencies.node === 'string') {
+      try {
+        versionConstraints.validateConstraint(dependencies.node, 'semver');
+      } catch (error) {
+        findings.push({ path: ['dependencies', 'node'], message: error.message });
+      }
+    }
+
+    return findings;
+  }
+
+  /**
+   * Environment variables used in checks must be declared in the manifest
+   */
+  checkUndeclaredEnvVars(manifest) {
+    const declared = new Set(this.getDeclaredEnvVars(manifest));
+    const findings = [];
+
+    this.getChecks(manifest).forEach(({ check, index }) => {
+      const local = new Set(Object.keys(check.env || {}));
+      const label = check.name ? `Check "${check.name}"` : `verification.checks[${index}]`;
+      const fields = ['command', 'url', 'path', 'host', 'body', 'headers'];
+
+      for (const field of fields) {
+        if (check[field] === undefined) {
+          continue;
+        }
+
+        const text = typeof check[field] === 'string' ? check[field] : JSON.stringify(check[field]);
+        const referenced = [...text.matchAll(ENV_REFERENCE_PATTERN)].map(match => match[1]);
+
+        [...new Set(referenced)]
+          .filter(name => !declared.has(name) && !local.has(name) && !SHELL_VARIABLES.includes(name))
+          .forEach(name => findings.push({
+            path: ['verification', 'checks', index, field],
+            message: `${label} uses $${name}, which is not declared in environment`
+          }));
+      }
+    });
+
+    return findings;
+  }
+
+  /**
+   * URLs in documentation.custom should respond
+   */
+  async checkDocumentationUrls(manifest) {
+    const custom = (manifest.documentation && manifest.documentation.custom) || {};
+    const findings = [];
+
+    for (const [key, value] of Object.entries(custom)) {
+      if (typeof value !== 'string' || !/^https?:\/\//.test(value)) {
+        continue;
+      }
+
+      const problem = await this.probeUrl(value);
+      if (problem) {
+        findings.push({
+          path: ['documentation', 'custom', key],
+          message: `documentation.custom.${key} is unreachable: ${value} (${problem})`
+        });
+      }
+    }
+
+    return findings;
+  }
+
+  /**
+   * Request a URL and describe why it is unreachable
+   * @param {string} url - URL to probe
+   * @returns {Promise<string|null>} Problem description, or null if reachable
+   */
+  async probeUrl(url) {
+    try {
+      const response = await NetworkUtils.httpRequest(url, { method: 'HEAD', timeout: URL_TIMEOUT });
+      return response.status >= 400 ? `HTTP ${response.status}` : null;
+    } catch (error) {
+      return error.message;
+    }
+  }
+
+  /**
+   * Variables declared in dependencies.environment or environment
+   * @private
+   */
+  getDeclaredEnvVars(manifest) {
+    const sources = [manifest.environment, manifest.dependencies && manifest.dependencies.environment];
+    const names = [];
+
+    for (const env of sources) {
+      if (Array.isArray(env)) {
+        names.push(...env);
+      } else if (env && typeof env === 'object') {
+        names.push(...asArray(env.required), ...asArray(env.optional), ...Object.keys(env.defaults || {}));
+      }
+    }
+
+    return names;
+  }
+
+  /**
+   * Verification checks with their index
+   * @private
+   */
+  getChecks(manifest) {
+    const checks = manifest.verification ? asArray(manifest.verification.checks) : [];
+    return checks
+      .map((check, index) => ({ check, index }))
+      .filter(({ check }) => check && typeof check === 'object');
+  }
+}
+
+/**
+ * @private
+ */
+function asArray(value) {
+  return Array.isArray(value) ? value : [];
+}
+
+module.exports = new ManifestLinter();
@@ -1,18 +1,33 @@
 const fs = require('fs');
-const path = require('path');
-const yaml = require('yaml');
+const crypto = require('crypto');
+const logger = require('../ui/logger');
+const schemaValidator = require('./schema-validator');
+const manifestComposer = require('./manifest-composer');
+const manifestInterpolator = require('./manifest-interpolator');
+const platformConditions = require('./platform-conditions');
+const versionConstraints = require('../core/version-constraints');
+const { parsePackageName } = require('../core/package-managers');
+const manifestSchema = require('../../schema/onboard.schema.json');
 
 /**
  * Manifest Parser - Parses and validates .onboard.yaml manifests
+ *
+ * Validation uses the published JSON Schema (schema/onboard.schema.json).
+ * Errors and unknown-key warnings carry the YAML line and column.
+ * `extends` and `include` are resolved by manifest-composer before validation,
+ * followed by the profile selected with the `profile` option.
  */
 
 /**
  * Parse manifest file from given path
+ * Relative `extends`/`include` references resolve against the file's directory.
  * @param {string} filePath - Path to .onboard.yaml file
+ * @param {object} options - Compose options (readRemote), interpolation options (env)
+ *   and the profile to apply
  * @returns {object} Parsed and validated manifest object
  * @throws {Error} If file not found, invalid YAML, or validation fails
  */
-function parseManifest(filePath) {
+function parseManifest(filePath, options = {}) {
   // Validate file exists
   if (!fs.existsSync(filePath)) {
     throw new Error(`Manifest file not found: ${filePath}`);
@@ -31,41 +46,21 @@ function parseManifest(filePath) {
     throw new Error('Manifest file is empty');
   }
 
-  // Parse YAML
-  let manifest;
-  try {
-    manifest = yaml.parse(fileContent);
-  } catch (error) {
-    throw new Error(`Invalid YAML syntax: ${error.message}`);
-  }
-
-  // Check if parsed content is empty
-  if (!manifest || typeof manifest !== 'object') {
-    throw new Error('Manifest file contains no valid data');
-  }
-
-  // Validate schema
-  const validationErrors = validateManifestSchema(manifest);
-  if (validationErrors.length > 0) {
-    throw new Error(`Manifest validation failed:\n  - ${validationErrors.join('\n  - ')}`);
-  }
+  const { manifest, warnings, sources, hash } = loadManifestContent(
+    fileContent,
+    { ...options, filePath },
+    'Manifest file contains no valid data'
+  );
 
   // Return structured manifest
-  return {
-    name: manifest.name,
-    description: manifest.description || '',
-    dependencies: extractDependencies(manifest),
-    environment: extractEnvironment(manifest),
-    setupSteps: extractSetupSteps(manifest),
-    verification: manifest.verification || null,  // Phase 6: Verification checks
-    ssh: manifest.ssh || null,
-    git: manifest.git || null,
-    documentation: manifest.documentation || null,  // Phase 7: Documentation config
-    metadata: {
-      parsedAt: new Date().toISOString(),
-      filePath: filePath
-    }
-  };
+  return buildManifest(manifest, {
+    parsedAt: new Date().toISOString(),
+    filePath: filePath,
+    sources,
+    hash,
+    profile: options.profile || null,
+    warnings
+  });
 }
 
 /**
@@ -74,143 +69,164 @@ function parseManifest(filePath) {
  * @returns {Array<string>} Array of validation error messages (empty if valid)
  */
 function validateManifestSchema(manifest) {
-  const errors = [];
+  return schemaValidator.validate(manifest, manifestSchema).errors.map(error => error.message);
+}
 
-  // Check required fields
-  if (!manifest.name || typeof manifest.name !== 'string' || manifest.name.trim().length === 0) {
-    errors.push('Missing or invalid "name" field (must be non-empty string)');
+/**
+ * Validate raw manifest YAML against the schema, with positions
+ * `extends` and `include` references are resolved first (see manifest-composer),
+ * then the selected profile, then ${{ ... }} references (see manifest-interpolator).
+ * @param {string} content - YAML content as string
+ * @param {object} options - Compose options (filePath, baseDir, baseUrl, readRemote),
+ *   interpolation options (env) and the profile to apply
+ * @returns {object} { manifest, errors, warnings, sources, locate, hash } where each issue is
+ *   { path, message, line, column } plus `file` when it is in an extended or
+ *   included file; syntax and reference errors leave manifest null.
+ *   locate(path) returns the position of a path for further checks.
+ *   hash covers the composed manifest, so edits to extended and included files count.
+ */
+function validateManifestContent(content, options = {}) {
+  const composed = manifestComposer.compose(content, options);
+  const { sources, errors: composeErrors } = composed;
+  let tree = composed.tree;
+  const locate = path => manifestComposer.locate(tree, path);
+
+  if (composeErrors.length > 0) {
+    return { manifest: null, errors: composeErrors, warnings: [], sources, locate };
   }
 
-  // Validate dependencies structure
-  if (!manifest.dependencies) {
-    errors.push('Missing "dependencies" field');
-  } else if (typeof manifest.dependencies !== 'object') {
-    errors.push('"dependencies" must be an object');
-  } else {
-    // Validate dependency categories
-    const validCategories = ['system', 'npm', 'python', 'environment'];
-    const hasValidCategory = Object.keys(manifest.dependencies).some(key =>
-      validCategories.includes(key)
-    );
+  // Before the profile (checked on its own) and ${{ }} values (which change with the environment)
+  const hash = computeManifestHash(JSON.stringify(manifestComposer.toJS(tree)));
 
-    if (!hasValidCategory) {
-      errors.push(`"dependencies" must contain at least one of: ${validCategories.join(', ')}`);
+  if (options.profile) {
+    try {
+      tree = manifestComposer.applyProfile(tree, options.profile);
+    } catch (error) {
+      const issue = { path: 'profiles', keyword: 'profile', message: error.message, ...locate(['profiles']) };
+      return { manifest: null, errors: [issue], warnings: [], sources, locate };
     }
+  }
 
-    // Validate system dependencies
-    if (manifest.dependencies.system) {
-      if (!Array.isArray(manifest.dependencies.system)) {
-        errors.push('"dependencies.system" must be an array');
-      }
-    }
+  const interpolationErrors = manifestInterpolator.interpolate(tree, options)
+    .map(error => ({ ...error, path: schemaValidator.formatPath(error.path) }));
 
-    // Validate npm dependencies
-    if (manifest.dependencies.npm) {
-      if (!Array.isArray(manifest.dependencies.npm)) {
-        errors.push('"dependencies.npm" must be an array');
-      }
-    }
+  const manifest = manifestComposer.toJS(tree);
+  if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) {
+    return { manifest: null, errors: [], warnings: [], sources, locate };
+  }
 
-    // Validate python dependencies
-    if (manifest.dependencies.python) {
-      if (!Array.isArray(manifest.dependencies.python)) {
-        errors.push('"dependencies.python" must be an array');
-      }
-    }
+  const { errors, warnings } = schemaValidator.validate(manifest, manifestSchema);
+  // Unknown keys point at the key itself, other issues at the value
+  const withPosition = issue => ({
+    path: schemaValidator.formatPath(issue.path),
+    message: issue.message,
+    suggestion: issue.suggestion,
+    ...manifestComposer.locate(tree, issue.path, issue.keyword === 'additionalProperties')
+  });
 
-    // Validate environment variables structure
-    if (manifest.dependencies.environment) {
-      const env = manifest.dependencies.environment;
-
-      // Allow both array format and object format
-      if (Array.isArray(env)) {
-        // Empty array is valid - means no environment variables needed
-      } else if (typeof env === 'object') {
-        // Validate required/optional structure
-        if (env.required && !Array.isArray(env.required)) {
-          errors.push('"dependencies.environment.required" must be an array');
-        }
-        if (env.optional && !Array.isArray(env.optional)) {
-          errors.push('"dependencies.environment.optional" must be an array');
-        }
-        if (!env.required && !env.optional) {
-          errors.push('"dependencies.environment" must have "required" or "optional" field');
-        }
-      } else {
-        errors.push('"dependencies.environment" must be an array or object with required/optional fields');
-      }
-    }
-  }
+  return {
+    manifest,
+    errors: [
+      ...interpolationErrors,
+      ...errors.map(withPosition),
+      ...platformConditions.validateConditions(manifest, options.profile).map(issue => ({ ...withPosition(issue), keyword: issue.keyword }))
+    ],
+    warnings: warnings.map(withPosition),
+    sources,
+    locate,
+    hash
+  };
+}
 
-  // Validate setup_steps
-  if (!manifest.setup_steps) {
-    errors.push('Missing "setup_steps" field');
-  } else if (!Array.isArray(manifest.setup_steps)) {
-    errors.push('"setup_steps" must be an array');
-  } else if (manifest.setup_steps.length === 0) {
-    errors.push('"setup_steps" cannot be empty');
-  } else {
-    // Validate each setup step
-    manifest.setup_steps.forEach((step, index) => {
-      if (typeof step !== 'object') {
-        errors.push(`setup_steps[${index}] must be an object`);
-        return;
-      }
+/**
+ * Format a positioned issue for display
+ * @param {object} issue - Issue from validateManifestContent
+ * @returns {string} e.g. 'line 7, column 5: "setup_steps[0].command" must be a string'
+ *   or 'base.onboard.yaml line 7, column 5: ...' for issues in other files
+ */
+function formatIssue(issue) {
+  const position = issue.line ? `line ${issue.line}, column ${issue.column}` : '';
+  const location = [issue.file, position].filter(Boolean).join(' ');
+  return location ? `${location}: ${issue.message}` : issue.message;
+}
 
-      if (!step.name || typeof step.name !== 'string') {
-        errors.push(`setup_steps[${index}].name is required and must be a string`);
-      }
+/**
+ * Parse and validate YAML content, throwing on errors and warning on unknown keys
+ * @param {string} content - YAML content as string
+ * @param {object} options - Compose options for validateManifestContent
+ * @param {string} emptyMessage - Error message when the YAML holds no mapping
+ * @returns {object} { manifest, warnings, sources, hash } - raw manifest, formatted
+ *   warnings, the extended/included files and the hash of the composed manifest
+ * @private
+ */
+function loadManifestContent(content, options, emptyMessage) {
+  const { manifest, errors, warnings, sources, hash } = validateManifestContent(content, options);
 
-      if (!step.command || typeof step.command !== 'string') {
-        errors.push(`setup_steps[${index}].command is required and must be a string`);
-      }
-    });
+  if (!manifest && errors.length > 0 && errors[0].keyword === 'profile') {
+    throw new Error(errors[0].message);
   }
 
-  // Optional: ssh section validation (Phase 5 - P1)
-  if (manifest.ssh && typeof manifest.ssh === 'object') {
-    if (typeof manifest.ssh.generate !== 'undefined' && typeof manifest.ssh.generate !== 'boolean') {
-      errors.push('ssh.generate must be a boolean');
-    }
-    if (manifest.ssh.comment && typeof manifest.ssh.comment !== 'string') {
-      errors.push('ssh.comment must be a string');
-    }
-    if (manifest.ssh.algorithm && typeof manifest.ssh.algorithm !== 'string') {
-      errors.push('ssh.algorithm must be a string');
-    }
+  if (!manifest && errors.length > 0) {
+    const reason = errors[0].keyword === 'reference' ? 'Manifest composition failed' : 'Invalid YAML syntax';
+    throw new Error(`${reason}: ${formatIssue(errors[0])}`);
   }
 
-  // Optional: git section validation (Phase 5 - P2)
-  if (manifest.git && typeof manifest.git === 'object') {
-    if (typeof manifest.git.configure !== 'undefined' && typeof manifest.git.configure !== 'boolean') {
-      errors.push('git.configure must be a boolean');
-    }
-    if (manifest.git.user && typeof manifest.git.user === 'object') {
-      if (manifest.git.user.name && typeof manifest.git.user.name !== 'string') {
-        errors.push('git.user.name must be a string');
-      }
-      if (manifest.git.user.email && typeof manifest.git.user.email !== 'string') {
-        errors.push('git.user.email must be a string');
-      }
-    }
+  if (!manifest) {
+    throw new Error(emptyMessage);
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Manifest validation failed:\n  - ${errors.map(formatIssue).join('\n  - ')}`);
   }
 
-  return errors;
+  warnings.forEach(warning => logger.warning(`⚠️  ${formatIssue(warning)}`));
+
+  return { manifest, warnings: warnings.map(formatIssue), sources, hash };
+}
+
+/**
+ * Build the structured manifest returned by the parse functions
+ * @param {object} manifest - Validated raw manifest
+ * @param {object} metadata - Parse metadata (source, path, time, warnings)
+ * @returns {object} Structured manifest
+ * @private
+ */
+function buildManifest(manifest, metadata) {
+  return {
+    name: manifest.name,
+    description: manifest.description || '',
+    dependencies: extractDependencies(manifest),
+    packageManager: manifest.packageManager || null,
+    runtimes: extractRuntimes(manifest),
+    environment: extractEnvironment(manifest),
+    setupSteps: extractSetupSteps(manifest),
+    verification: manifest.verification || null,  // Phase 6: Verification checks
+    ssh: manifest.ssh || null,
+    git: manifest.git || null,
+    documentation: manifest.documentation || null,  // Phase 7: Documentation config
+    plugins: extractPlugins(manifest),
+    profiles: extractProfiles(manifest),
+    metadata
+  };
 }
 
 /**
  * Validate package name for security
- * Prevents command injection by allowing only safe characters
+ * Prevents command injection by allowing only safe characters.
+ * A version constraint after the name (eslint@^8, black>=23) must be valid
+ * for the package type's version scheme.
  * @param {string} packageName - Package name to validate
+ * @param {string} type - Package type ('system', 'npm', 'python')
  * @returns {boolean} True if valid
- * @throws {Error} If package name contains unsafe characters
+ * @throws {Error} If package name contains unsafe characters or the constraint is invalid
  */
-function validatePackageName(packageName) {
+function validatePackageName(packageName, type = 'npm') {
   // Allow: letters, numbers, hyphens, underscores, dots, @ (for scoped packages), forward slashes
   // Disallow: shell metacharacters like ; && || | $ ` etc.
   const validPattern = /^[@a-zA-Z0-9._/-]+$/;
+  const { name, version } = parsePackageName(packageName);
 
-  if (!validPattern.test(packageName)) {
+  if (!validPattern.test(name)) {
     throw new Error(
       `Invalid package name: "${packageName}". ` +
       `Package names can only contain letters, numbers, hyphens, underscores, dots, @ and /. ` +
@@ -218,11 +234,24 @@ function validatePackageName(packageName) {
     );
   }
 
+  // npm dist-tags (eslint@latest) go to npm as written
+  if (version !== null && !(type === 'npm' && versionConstraints.isDistTag(version))) {
+    try {
+      versionConstraints.validateConstraint(version, versionConstraints.getScheme(type));
+    } catch (error) {
+      throw new Error(`${error.message} in "${packageName}"`);
+    }
+  }
+
   return true;
 }
 
 /**
  * Extract and categorize dependencies from manifest
+ * A per-platform `system` map is kept as `systemByPlatform` until the
+ * environment is known (see platform-conditions.resolveManifest). Python
+ * packages may be given as { mode, packages }; the mode is kept as
+ * `pythonMode` ('pip' by default).
  * @param {object} manifest - Parsed manifest object
  * @returns {object} Categorized dependencies object
  */
@@ -230,49 +259,67 @@ function extractDependencies(manifest) {
   const dependencies = {
     system: [],
     npm: [],
-    python: []
+    python: [],
+    pythonMode: 'pip'
   };
 
   if (!manifest.dependencies) {
     return dependencies;
   }
 
-  // Extract and validate system dependencies
-  if (manifest.dependencies.system && Array.isArray(manifest.dependencies.system)) {
-    dependencies.system = manifest.dependencies.system
-      .filter(dep => typeof dep === 'string' && dep.trim().length > 0)
-      .map(dep => {
-        const trimmed = dep.trim();
-        validatePackageName(trimmed);
-        return trimmed;
-      });
+  // Extract and validate system dependencies (a list, or a per-platform map)
+  const system = manifest.dependencies.system;
+  if (Array.isArray(system)) {
+    dependencies.system = extractPackageList(system, 'system');
+  } else if (system && typeof system === 'object') {
+    dependencies.systemByPlatform = {};
+    for (const [platform, packages] of Object.entries(system)) {
+      dependencies.systemByPlatform[platform] = extractPackageList(packages, 'system');
+    }
   }
 
   // Extract and validate npm dependencies
-  if (manifest.dependencies.npm && Array.isArray(manifest.dependencies.npm)) {
-    dependencies.npm = manifest.dependencies.npm
-      .filter(dep => typeof dep === 'string' && dep.trim().length > 0)
-      .map(dep => {
-        const trimmed = dep.trim();
-        validatePackageName(trimmed);
-        return trimmed;
-      });
+  dependencies.npm = extractPackageList(manifest.dependencies.npm, 'npm');
+
+  // Extract and validate python dependencies (a list, or { mode, packages })
+  const python = manifest.dependencies.python;
+  if (python && typeof python === 'object' && !Array.isArray(python)) {
+    dependencies.pythonMode = python.mode || 'pip';
+    dependencies.python = extractPackageList(python.packages, dependencies.pythonMode);
+  } else {
+    dependencies.python = extractPackageList(python, 'python');
   }
 
-  // Extract and validate python dependencies
-  if (manifest.dependencies.python && Array.isArray(manifest.dependencies.python)) {
-    dependencies.python = manifest.dependencies.python
-      .filter(dep => typeof dep === 'string' && dep.trim().length > 0)
-      .map(dep => {
-        const trimmed = dep.trim();
-        validatePackageName(trimmed);
-        return trimmed;
-      });
+  // Required Node.js version range, e.g. ">=18 <21"
+  if (typeof manifest.dependencies.node === 'string') {
+    versionConstraints.validateConstraint(manifest.dependencies.node, 'semver');
+    dependencies.node = manifest.dependencies.node.trim();
   }
 
   return dependencies;
 }
 
+/**
+ * Trim and validate a list of package names
+ * @param {Array} packages - Package names from the manifest
+ * @param {string} type - Package type, for the version scheme of constraints
+ * @returns {Array<string>} Validated names
+ * @private
+ */
+function extractPackageList(packages, type) {
+  if (!Array.isArray(packages)) {
+    return [];
+  }
+
+  return packages
+    .filter(dep => typeof dep === 'string' && dep.trim().length > 0)
+    .map(dep => {
+      const trimmed = dep.trim();
+      validatePackageName(trimmed, type);
+      return trimmed;
+    });
+}
+
 /**
  * Extract environment variables from manifest
  * @param {object} manifest - Parsed manifest object
@@ -352,59 +399,118 @@ function extractSetupSteps(manifest) {
       id: index + 1,
       name: step.name || `Step ${index + 1}`,
       command: step.command || '',
-      description: step.description || ''
+      description: step.description || '',
+      ...(step.timeout ? { timeout: step.timeout } : {}),
+      ...(step.when ? { when: step.when } : {})
     }));
 }
 
+/**
+ * Extract plugin declarations from manifest
+ * A step may be declared by its id alone (`steps: [seed-db]`).
+ * @param {object} manifest - Parsed manifest object
+ * @returns {Array<object>} Plugin entries { path, config, steps }
+ */
+function extractPlugins(manifest) {
+  if (!Array.isArray(manifest.plugins)) {
+    return [];
+  }
+
+  return manifest.plugins
+    .filter(plugin => plugin && typeof plugin.path === 'string')
+    .map(plugin => ({
+      path: plugin.path.trim(),
+      config: plugin.config || {},
+      steps: (Array.isArray(plugin.steps) ? plugin.steps : [])
+        .map(step => (typeof step === 'string' ? { id: step } : step))
+    }));
+}
+
+/**
+ * Extract the language runtimes to install through a version manager
+ * @param {object} manifest - Parsed manifest object
+ * @returns {object|null} { node, python, manager } - versions are prefixes
+ *   such as "20.11"; null when the manifest has no runtimes
+ */
+function extractRuntimes(manifest) {
+  const runtimes = manifest.runtimes;
+  if (!runtimes || typeof runtimes !== 'object' || (!runtimes.node && !runtimes.python)) {
+    return null;
+  }
+
+  return {
+    node: runtimes.node || null,
+    python: runtimes.python || null,
+    manager: runtimes.manager || null
+  };
+}
+
+/**
+ * Extract the profiles a manifest offers
+ * @param {object} manifest - Parsed manifest object
+ * @returns {Array<object>} Profile entries { name, description }
+ */
+function extractProfiles(manifest) {
+  if (!manifest.profiles || typeof manifest.profiles !== 'object') {
+    return [];
+  }
+
+  return Object.entries(manifest.profiles).map(([name, profile]) => ({
+    name,
+    description: (profile && profile.description) || ''
+  }));
+}
+
 /**
  * Parse manifest from string content (useful for testing or remote fetching)
  * @param {string} content - YAML content as string
+ * @param {object} options - Compose options
+ * @param {string} options.baseDir - Directory for relative `extends`/`include` (default: cwd)
+ * @param {string} options.baseUrl - URL for relative references when the content was fetched
+ * @param {object} options.env - Environment for ${{ env.NAME }} references (default: process.env)
+ * @param {string} options.profile - Entry of `profiles:` to layer over the manifest
  * @returns {object} Parsed and validated manifest object
  * @throws {Error} If invalid YAML or validation fails
  */
-function parseManifestFromString(content) {
+function parseManifestFromString(content, options = {}) {
   if (!content || content.trim().length === 0) {
     throw new Error('Manifest content is empty');
   }
 
-  let manifest;
-  try {
-    manifest = yaml.parse(content);
-  } catch (error) {
-    throw new Error(`Invalid YAML syntax: ${error.message}`);
-  }
-
-  if (!manifest || typeof manifest !== 'object') {
-    throw new Error('Manifest content contains no valid data');
-  }
+  const { manifest, warnings, sources, hash } = loadManifestContent(content, options, 'Manifest content contains no valid data');
 
-  const validationErrors = validateManifestSchema(manifest);
-  if (validationErrors.length > 0) {
-    throw new Error(`Manifest validation failed:\n  - ${validationErrors.join('\n  - ')}`);
-  }
+  return buildManifest(manifest, {
+    parsedAt: new Date().toISOString(),
+    source: 'string',
+    sources,
+    hash,
+    profile: options.profile || null,
+    warnings
+  });
+}
 
-  return {
-    name: manifest.name,
-    description: manifest.description || '',
-    dependencies: extractDependencies(manifest),
-    environment: extractEnvironment(manifest),
-    setupSteps: extractSetupSteps(manifest),
-    verification: manifest.verification || null,
-    ssh: manifest.ssh || null,
-    git: manifest.git || null,
-    documentation: manifest.documentation || null,
-    metadata: {
-      parsedAt: new Date().toISOString(),
-      source: 'string'
-    }
-  };
+/**
+ * Compute a stable hash of manifest content
+ * Used to detect manifest changes between runs (e.g. before resuming); parsed
+ * manifests carry the hash of their composed content in metadata.hash.
+ * @param {string} content - YAML or JSON content as string
+ * @returns {string} SHA-256 hex digest
+ */
+function computeManifestHash(content) {
+  return crypto.createHash('sha256').update(content || '', 'utf8').digest('hex');
 }
 
 module.exports = {
   parseManifest,
   parseManifestFromString,
   validateManifestSchema,
+  validateManifestContent,
+  formatIssue,
+  validatePackageName,
   extractDependencies,
   extractEnvironment,
-  extractSetupSteps
+  extractSetupSteps,
+  extractPlugins,
+  extractProfiles,
+  computeManifestHash
 };
@@ -0,0 +1,270 @@
+/**
+ * Platform Conditions - Per-platform system packages and `when:` conditions
+ *
+ * `dependencies.system` may be a map instead of a list:
+ *   system:
+ *     all: [git]                  # every platform
+ *     linux-apt: [postgresql-client]
+ *     linux: [postgresql]         # linux without a more specific key
+ *     darwin: [postgresql]
+ *
+ * The most specific key wins: `<os>-<packageManager>`, then `<os>`.
+ * Packages under `all` are always installed first.
+ *
+ * Setup steps and verification checks accept a `when:` condition:
+ *   when: os == 'linux' && arch == 'arm64'
+ *
+ * Conditions compare the variables os (linux, darwin, win32), arch (x64,
+ * arm64, ...) and packageManager (apt, dnf, yum, pacman, zypper, apk, brew,
+ * choco, scoop, winget)
+ * with quoted strings using ==, !=, &&, ||, ! and parentheses.
+ * Values come from the EnvironmentAnalyzer.detect() result.
+ */
+
+const CONDITION_VARIABLES = ['os', 'arch', 'packageManager'];
+
+// Short names used in manifests for detectSystemPackageManager results
+const PACKAGE_MANAGER_NAMES = {
+  homebrew: 'brew',
+  chocolatey: 'choco'
+};
+
+/**
+ * Variables available to conditions for a detected environment
+ * @param {object} environment - Result of EnvironmentAnalyzer.detect()
+ * @returns {object} { os, arch, packageManager }
+ */
+function getConditionVariables(environment) {
+  const { detectSystemPackageManager } = require('../core/package-managers');
+  const manager = environment.packageManagers ? detectSystemPackageManager(environment) : null;
+
+  return {
+    os: environment.platform,
+    arch: environment.arch,
+    packageManager: manager ? (PACKAGE_MANAGER_NAMES[manager] || manager) : null
+  };
+}
+
+/**
+ * Select the system packages for an environment from a per-platform map
+ * @param {object} byPlatform - Map of platform key -> package list
+ * @param {object} variables - Condition variables ({ os, packageManager })
+ * @returns {Array<string>} Packages to install
+ */
+function selectSystemPackages(byPlatform, variables) {
+  const specific = byPlatform[`${variables.os}-${variables.packageManager}`] || byPlatform[variables.os] || [];
+  return [...new Set([...(byPlatform.all || []), ...specific])];
+}
+
+/**
+ * Evaluate a `when:` condition
+ * @param {string} expression - Condition, e.g. "os == 'linux' && arch == 'arm64'"
+ * @param {object} variables - Condition variables
+ * @returns {boolean} Whether the condition holds
+ * @throws {Error} If the condition is invalid
+ */
+function evaluateCondition(expression, variables) {
+  return evaluate(parseCondition(expression), variables);
+}
+
+/**
+ * Parse a `when:` condition into a syntax tree
+ * @param {string} expression - Condition
+ * @returns {object} Syntax tree
+ * @throws {Error} If the condition is invalid
+ */
+function parseCondition(expression) {
+  const tokens = tokenize(String(expression));
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const next = () => tokens[position++];
+  const fail = (message) => {
+    throw new Error(`Invalid when condition "${expression}": ${message}`);
+  };
+
+  const parsePrimary = () => {
+    const token = next();
+    if (!token) {
+      fail('unexpected end of condition');
+    }
+    if (token.type === '!') {
+      return { type: 'not', operand: parsePrimary() };
+    }
+    if (token.type === '(') {
+      const inner = parseOr();
+      if (!peek() || peek().type !== ')') {
+        fail('missing ")"');
+      }
+      next();
+      return inner;
+    }
+    if (token.type === 'identifier') {
+      if (!CONDITION_VARIABLES.includes(token.value)) {
+        fail(`unknown variable "${token.value}" (use ${CONDITION_VARIABLES.join(', ')})`);
+      }
+      const operator = next();
+      if (!operator || (operator.type !== '==' && operator.type !== '!=')) {
+        fail(`expected == or != after "${token.value}"`);
+      }
+      const literal = next();
+      if (!literal || literal.type !== 'string') {
+        fail(`expected a quoted value after "${token.value} ${operator.type}"`);
+      }
+      return { type: operator.type, variable: token.value, value: literal.value };
+    }
+    return fail(`unexpected "${token.value || token.type}"`);
+  };
+
+  const parseAnd = () => {
+    let node = parsePrimary();
+    while (peek() && peek().type === '&&') {
+      next();
+      node = { type: 'and', left: node, right: parsePrimary() };
+    }
+    return node;
+  };
+
+  const parseOr = () => {
+    let node = parseAnd();
+    while (peek() && peek().type === '||') {
+      next();
+      node = { type: 'or', left: node, right: parseAnd() };
+    }
+    return node;
+  };
+
+  const tree = parseOr();
+  if (position < tokens.length) {
+    fail(`unexpected "${tokens[position].value || tokens[position].type}"`);
+  }
+  return tree;
+}
+
+/**
+ * Split a condition into tokens
+ * @private
+ */
+function tokenize(expression) {
+  const tokens = [];
+  const pattern = /\s*(?:(==|!=|&&|\|\||[!()])|'([^']*)'|"([^"]*)"|([A-Za-z_][A-Za-z0-9_]*)|(\S))/g;
+  let match;
+
+  while ((match = pattern.exec(expression)) !== null) {
+    if (match[1]) {
+      tokens.push({ type: match[1] });
+    } else if (match[2] !== undefined || match[3] !== undefined) {
+      tokens.push({ type: 'string', value: match[2] !== undefined ? match[2] : match[3] });
+    } else if (match[4]) {
+      tokens.push({ type: 'identifier', value: match[4] });
+    } else {
+      tokens.push({ type: 'unknown', value: match[5] });
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * @private
+ */
+function evaluate(node, variables) {
+  switch (node.type) {
+    case 'and': return evaluate(node.left, variables) && evaluate(node.right, variables);
+    case 'or': return evaluate(node.left, variables) || evaluate(node.right, variables);
+    case 'not': return !evaluate(node.operand, variables);
+    case '==': return variables[node.variable] === node.value;
+    default: return variables[node.variable] !== node.value;
+  }
+}
+
+/**
+ * Find invalid `when:` conditions in a raw manifest
+ * @param {object} manifest - Raw manifest
+ * @param {string} appliedProfile - Profile already merged into the manifest (not checked twice)
+ * @returns {Array<object>} Issues { path: Array, keyword, message }
+ */
+function validateConditions(manifest, appliedProfile = null) {
+  const issues = [];
+  const check = (value, path) => {
+    if (typeof value !== 'string') {
+      return;
+    }
+    try {
+      parseCondition(value);
+    } catch (error) {
+      issues.push({ path, keyword: 'condition', message: error.message });
+    }
+  };
+
+  const checkSection = (section, prefix) => {
+    if (Array.isArray(section.setup_steps)) {
+      section.setup_steps.forEach((step, index) => step && check(step.when, [...prefix, 'setup_steps', index, 'when']));
+    }
+    if (section.verification && Array.isArray(section.verification.checks)) {
+      section.verification.checks.forEach((c, index) => c && check(c.when, [...prefix, 'verification', 'checks', index, 'when']));
+    }
+  };
+
+  checkSection(manifest, []);
+  // Profiles are checked even when they are not selected
+  if (manifest.profiles && typeof manifest.profiles === 'object') {
+    for (const [name, profile] of Object.entries(manifest.profiles)) {
+      if (profile && typeof profile === 'object' && name !== appliedProfile) {
+        checkSection(profile, ['profiles', name]);
+      }
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Resolve a parsed manifest for a detected environment
+ * Selects per-platform system packages and drops setup steps and checks
+ * whose `when:` condition does not hold.
+ * @param {object} manifest - Structured manifest from the parser
+ * @param {object} environment - Result of EnvironmentAnalyzer.detect()
+ * @returns {object} New manifest; metadata.platform lists what was skipped
+ */
+function resolveManifest(manifest, environment) {
+  const variables = getConditionVariables(environment);
+  const applies = item => !item.when || evaluateCondition(item.when, variables);
+  const { systemByPlatform, ...dependencies } = manifest.dependencies;
+
+  if (systemByPlatform) {
+    dependencies.system = [...new Set([...dependencies.system, ...selectSystemPackages(systemByPlatform, variables)])];
+  }
+
+  const setupSteps = manifest.setupSteps.filter(applies);
+  const checks = manifest.verification && Array.isArray(manifest.verification.checks)
+    ? manifest.verification.checks.filter(applies)
+    : null;
+
+  return {
+    ...manifest,
+    dependencies,
+    setupSteps,
+    verification: checks ? { ...manifest.verification, checks } : manifest.verification,
+    metadata: {
+      ...manifest.metadata,
+      platform: {
+        ...variables,
+        skipped: {
+          setupSteps: manifest.setupSteps.filter(step => !applies(step)).map(step => step.name),
+          checks: checks ? manifest.verification.checks.filter(c => !applies(c)).map(c => c.name) : []
+        }
+      }
+    }
+  };
+}
+
+module.exports = {
+  CONDITION_VARIABLES,
+  getConditionVariables,
+  selectSystemPackages,
+  evaluateCondition,
+  parseCondition,
+  validateConditions,
+  resolveManifest
+};
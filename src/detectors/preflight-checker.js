@@ -0,0 +1,371 @@
+const { execSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { LINUX_PACKAGE_MANAGERS } = require('../core/package-managers');
+
+/**
+ * Preflight Checker - Diagnoses problems before Jetpack changes anything
+ *
+ * Used by `jetpack doctor`. Every check returns:
+ *   { id, name, status: 'ok'|'warning'|'error'|'skipped', message, fix }
+ * where `fix` is an actionable hint for warnings and errors.
+ */
+
+const GB = 1024 * 1024 * 1024;
+const MIN_FREE_DISK = 1 * GB;
+const LOW_FREE_DISK = 5 * GB;
+const PROXY_VARIABLES = ['HTTPS_PROXY', 'HTTP_PROXY', 'https_proxy', 'http_proxy'];
+const PROXY_PROTOCOLS = ['http:', 'https:', 'socks:', 'socks5:'];
+
+class PreflightChecker {
+  constructor() {
+    this.checks = [
+      { id: 'disk-space', name: 'Disk space', run: this.checkDiskSpace },
+      { id: 'project-write', name: 'Project directory permissions', run: this.checkProjectWritable },
+      { id: 'ssh-dir', name: '~/.ssh permissions', run: this.checkSshDir },
+      { id: 'sudo', name: 'sudo for system packages', run: this.checkSudo },
+      { id: 'proxy', name: 'Proxy settings', run: this.checkProxy },
+      { id: 'git-identity', name: 'Git identity', run: this.checkGitIdentity },
+      { id: 'npm-prefix', name: 'npm global prefix', run: this.checkNpmPrefix },
+      { id: 'pip', name: 'pip', run: this.checkPip },
+      { id: 'gh-auth', name: 'GitHub CLI authentication', run: this.checkGhAuth },
+      { id: 'gh-copilot', name: 'GitHub Copilot CLI', run: this.checkGhCopilot }
+    ];
+  }
+
+  /**
+   * Run all preflight checks
+   * @param {object} options - Options
+   * @param {string} options.cwd - Project directory (default: process.cwd())
+   * @returns {Promise<object>} { success, checks, summary }
+   */
+  async run(options = {}) {
+    const context = { cwd: options.cwd || process.cwd() };
+    const checks = [];
+
+    for (const check of this.checks) {
+      let outcome;
+      try {
+        outcome = await check.run.call(this, context);
+      } catch (error) {
+        outcome = { status: 'error', message: `Check could not run: ${error.message}`, fix: null };
+      }
+      checks.push({ id: check.id, name: check.name, fix: null, ...outcome });
+    }
+
+    const summary = { ok: 0, warning: 0, error: 0, skipped: 0 };
+    checks.forEach(c => summary[c.status]++);
+
+    return {
+      success: summary.error === 0,
+      checks,
+      summary
+    };
+  }
+
+  /**
+   * Check free space on the project's filesystem
+   */
+  checkDiskSpace(context) {
+    if (typeof fs.statfsSync !== 'function') {
+      return { status: 'skipped', message: 'Disk space check needs Node.js 18.15 or newer' };
+    }
+
+    const stats = fs.statfsSync(context.cwd);
+    const free = stats.bavail * stats.bsize;
+    const freeGb = (free / GB).toFixed(1);
+
+    if (free < MIN_FREE_DISK) {
+      return {
+        status: 'error',
+        message: `Only ${freeGb} GB free`,
+        fix: 'Free at least 1 GB (e.g. clear caches with "npm cache clean --force" or remove unused Docker images)'
+      };
+    }
+
+    if (free < LOW_FREE_DISK) {
+      return {
+        status: 'warning',
+        message: `${freeGb} GB free - dependency installs may run out of space`,
+        fix: 'Free up disk space before installing large dependencies'
+      };
+    }
+
+    return { status: 'ok', message: `${freeGb} GB free` };
+  }
+
+  /**
+   * Check the project directory is writable (config files, docs, state)
+   */
+  checkProjectWritable(context) {
+    if (this.isWritable(context.cwd)) {
+      return { status: 'ok', message: `${context.cwd} is writable` };
+    }
+
+    return {
+      status: 'error',
+      message: `${context.cwd} is not writable`,
+      fix: `Fix ownership: sudo chown -R "$(whoami)" "${context.cwd}"`
+    };
+  }
+
+  /**
+   * Check ~/.ssh can be written for SSH key generation
+   */
+  checkSshDir() {
+    const sshDir = path.join(os.homedir(), '.ssh');
+
+    if (!fs.existsSync(sshDir)) {
+      if (this.isWritable(os.homedir())) {
+        return { status: 'ok', message: '~/.ssh does not exist yet and can be created' };
+      }
+      return {
+        status: 'error',
+        message: 'Home directory is not writable, ~/.ssh cannot be created',
+        fix: `Fix ownership: sudo chown "$(whoami)" "${os.homedir()}"`
+      };
+    }
+
+    if (!this.isWritable(sshDir)) {
+      return {
+        status: 'error',
+        message: '~/.ssh is not writable',
+        fix: 'Fix ownership and permissions: sudo chown -R "$(whoami)" ~/.ssh && chmod 700 ~/.ssh'
+      };
+    }
+
+    const mode = fs.statSync(sshDir).mode & 0o777;
+    if (process.platform !== 'win32' && (mode & 0o077) !== 0) {
+      return {
+        status: 'warning',
+        message: `~/.ssh permissions are ${mode.toString(8)} (ssh expects 700)`,
+        fix: 'Restrict permissions: chmod 700 ~/.ssh'
+      };
+    }
+
+    return { status: 'ok', message: '~/.ssh is writable' };
+  }
+
+  /**
+   * Check sudo is usable where system packages need it (apt, dnf, yum, pacman, zypper, apk)
+   */
+  checkSudo() {
+    if (process.platform !== 'linux') {
+      return { status: 'skipped', message: 'Only needed for Linux package managers' };
+    }
+
+    const managers = Object.values(LINUX_PACKAGE_MANAGERS);
+    const manager = managers.find(({ binary }) => this.commandExists(binary));
+    if (!manager) {
+      return { status: 'skipped', message: `No ${managers.map(({ binary }) => binary).join(', ')} found` };
+    }
+
+    if (typeof process.getuid === 'function' && process.getuid() === 0) {
+      return { status: 'ok', message: 'Running as root' };
+    }
+
+    if (!this.commandExists('sudo')) {
+      return {
+        status: 'error',
+        message: 'sudo is not installed - system packages cannot be installed',
+        fix: `Install sudo as root (${manager.install.replace(/^sudo /, '')} sudo) or run with --skip-install`
+      };
+    }
+
+    if (this.exec('sudo -n true') !== null) {
+      return { status: 'ok', message: 'sudo available without a password prompt' };
+    }
+
+    return {
+      status: 'warning',
+      message: 'sudo requires a password - system package installs will prompt',
+      fix: 'Run "sudo -v" before "jetpack init" to cache your credentials'
+    };
+  }
+
+  /**
+   * Check proxy environment variables are well-formed
+   */
+  checkProxy() {
+    const configured = PROXY_VARIABLES.filter(name => process.env[name]);
+
+    if (configured.length === 0) {
+      return { status: 'ok', message: 'No proxy configured' };
+    }
+
+    const invalid = configured.filter(name => {
+      try {
+        const url = new URL(process.env[name]);
+        return !PROXY_PROTOCOLS.includes(url.protocol) || !url.hostname;
+      } catch (error) {
+        return true;
+      }
+    });
+
+    if (invalid.length > 0) {
+      return {
+        status: 'error',
+        message: `Invalid proxy URL in ${invalid.join(', ')}`,
+        fix: `Use a full URL, e.g. export ${invalid[0]}=http://proxy.example.com:8080`
+      };
+    }
+
+    return { status: 'ok', message: `Proxy configured (${configured.join(', ')})` };
+  }
+
+  /**
+   * Check git user.name and user.email are set
+   */
+  checkGitIdentity() {
+    if (!this.commandExists('git')) {
+      return {
+        status: 'error',
+        message: 'git is not installed',
+        fix: 'Install git: https://git-scm.com/downloads'
+      };
+    }
+
+    const name = this.exec('git config --global user.name');
+    const email = this.exec('git config --global user.email');
+    const missing = [!name && 'user.name', !email && 'user.email'].filter(Boolean);
+
+    if (missing.length > 0) {
+      return {
+        status: 'warning',
+        message: `git ${missing.join(' and ')} not set`,
+        fix: missing.map(key => `git config --global ${key} "${key === 'user.name' ? 'Your Name' : 'you@example.com'}"`).join(' && ')
+      };
+    }
+
+    return { status: 'ok', message: `${name} <${email}>` };
+  }
+
+  /**
+   * Check global npm installs work without sudo
+   */
+  checkNpmPrefix() {
+    const prefix = this.exec('npm config get prefix');
+
+    if (prefix === null) {
+      return {
+        status: 'error',
+        message: 'npm is not installed',
+        fix: 'Install Node.js and npm: https://nodejs.org'
+      };
+    }
+
+    const globalDir = process.platform === 'win32' ? prefix : path.join(prefix, 'lib');
+    const target = fs.existsSync(globalDir) ? globalDir : prefix;
+
+    if (!this.isWritable(target)) {
+      return {
+        status: 'warning',
+        message: `Global prefix ${prefix} is not writable - global npm installs need sudo`,
+        fix: 'Use a user prefix: npm config set prefix ~/.npm-global && export PATH=~/.npm-global/bin:$PATH'
+      };
+    }
+
+    return { status: 'ok', message: `Global prefix ${prefix} is writable` };
+  }
+
+  /**
+   * Check pip is available for Python dependencies
+   */
+  checkPip() {
+    const version = this.exec('pip3 --version') || this.exec('pip --version');
+
+    if (!version) {
+      return {
+        status: 'warning',
+        message: 'pip is not installed - Python dependencies cannot be installed',
+        fix: 'Install pip: python3 -m ensurepip --upgrade'
+      };
+    }
+
+    return { status: 'ok', message: version.split(' from ')[0] };
+  }
+
+  /**
+   * Check the GitHub CLI is installed and logged in
+   */
+  checkGhAuth() {
+    if (!this.commandExists('gh')) {
+      return {
+        status: 'warning',
+        message: 'GitHub CLI (gh) is not installed - private manifests and Copilot features are unavailable',
+        fix: 'Install gh: https://cli.github.com'
+      };
+    }
+
+    if (this.exec('gh auth status') === null) {
+      return {
+        status: 'warning',
+        message: 'GitHub CLI is not authenticated',
+        fix: 'Log in: gh auth login'
+      };
+    }
+
+    return { status: 'ok', message: 'GitHub CLI authenticated' };
+  }
+
+  /**
+   * Check the gh copilot extension responds
+   */
+  checkGhCopilot() {
+    if (!this.commandExists('gh')) {
+      return { status: 'skipped', message: 'Requires GitHub CLI' };
+    }
+
+    if (this.exec('gh copilot --version') === null) {
+      return {
+        status: 'warning',
+        message: 'gh copilot is not available - Copilot features will use fallbacks',
+        fix: 'Install the extension: gh extension install github/gh-copilot'
+      };
+    }
+
+    return { status: 'ok', message: 'gh copilot available' };
+  }
+
+  /**
+   * Run a command and return trimmed output, or null on failure
+   * @private
+   */
+  exec(command) {
+    try {
+      const output = execSync(command, {
+        encoding: 'utf8',
+        stdio: ['ignore', 'pipe', 'ignore'],
+        timeout: 5000
+      });
+      return (output || '').trim();
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Check if a command is on the PATH
+   * @private
+   */
+  commandExists(command) {
+    const lookup = process.platform === 'win32' ? `where ${command}` : `which ${command}`;
+    return this.exec(lookup) !== null;
+  }
+
+  /**
+   * Check if the current user can write to a path
+   * @private
+   */
+  isWritable(target) {
+    try {
+      fs.accessSync(target, fs.constants.W_OK);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+module.exports = new PreflightChecker();
@@ -0,0 +1,321 @@
+/**
+ * Schema Validator - Validates plain values against a JSON Schema
+ *
+ * Implements the draft-07 subset used by schema/onboard.schema.json:
+ * type, enum, const, required, properties, additionalProperties, items,
+ * minItems, minLength, pattern, minimum, maximum, anyOf, oneOf, allOf,
+ * if/then and local $ref ("#/definitions/...").
+ *
+ * `oneOf` is treated like `anyOf`. Unknown keys under
+ * `additionalProperties: false` are reported as warnings (with a
+ * "did you mean" suggestion) rather than errors, so manifests written for
+ * newer Jetpack versions still load.
+ *
+ * Issues are returned as { path: Array<string|number>, message, keyword }.
+ */
+
+const TYPE_NAMES = {
+  string: 'a string',
+  number: 'a number',
+  integer: 'an integer',
+  boolean: 'a boolean',
+  array: 'an array',
+  object: 'an object',
+  null: 'null'
+};
+
+/**
+ * Validate a value against a schema
+ * @param {*} value - Value to validate
+ * @param {object} schema - JSON Schema
+ * @returns {object} { errors: Array<object>, warnings: Array<object> }
+ */
+function validate(value, schema) {
+  const result = { errors: [], warnings: [] };
+  validateNode(value, schema, [], schema, result);
+  return result;
+}
+
+/**
+ * Validate one value and collect issues into result
+ * @private
+ */
+function validateNode(value, schema, path, root, result) {
+  if (schema.$ref) {
+    return validateNode(value, resolveRef(schema.$ref, root), path, root, result);
+  }
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    const types = [].concat(schema.type).map(t => TYPE_NAMES[t] || t).join(' or ');
+    return addError(result, path, 'type', `must be ${types}`);
+  }
+
+  if (schema.const !== undefined && value !== schema.const) {
+    addError(result, path, 'const', `must be ${JSON.stringify(schema.const)}`);
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    const suggestion = typeof value === 'string' ? suggest(value, schema.enum.map(String)) : null;
+    addError(result, path, 'enum', `must be one of: ${schema.enum.join(', ')}${didYouMean(suggestion)}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      addError(result, path, 'minLength', 'must not be empty');
+    } else if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      addError(result, path, 'pattern', schema.errorMessage || `must match ${schema.pattern}`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      addError(result, path, 'minimum', `must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      addError(result, path, 'maximum', `must be <= ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      addError(result, path, 'minItems', schema.minItems === 1 ? 'cannot be empty' : `must have at least ${schema.minItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => validateNode(item, schema.items, [...path, index], root, result));
+    }
+  }
+
+  if (isObject(value)) {
+    validateObject(value, schema, path, root, result);
+  }
+
+  if (schema.allOf) {
+    schema.allOf.forEach(sub => validateNode(value, sub, path, root, result));
+  }
+
+  if (schema.if && schema.then && isValid(value, schema.if, path, root)) {
+    validateNode(value, schema.then, path, root, result);
+  }
+
+  const alternatives = schema.anyOf || schema.oneOf;
+  if (alternatives) {
+    validateAlternatives(value, alternatives, path, root, result);
+  }
+}
+
+/**
+ * Validate required keys, known properties and unknown keys
+ * @private
+ */
+function validateObject(value, schema, path, root, result) {
+  (schema.required || []).forEach(key => {
+    if (value[key] === undefined || value[key] === null) {
+      addError(result, path, 'required', `"${formatPath([...path, key])}" is required`, false);
+    }
+  });
+
+  const properties = schema.properties || {};
+
+  for (const [key, child] of Object.entries(value)) {
+    if (properties[key]) {
+      if (child !== undefined && child !== null) {
+        validateNode(child, properties[key], [...path, key], root, result);
+      }
+    } else if (schema.additionalProperties === false) {
+      const suggestion = suggest(key, Object.keys(properties));
+      result.warnings.push({
+        path: [...path, key],
+        keyword: 'additionalProperties',
+        message: `Unknown key "${key}" in ${path.length ? `"${formatPath(path)}"` : 'manifest'}${didYouMean(suggestion)}`,
+        suggestion
+      });
+    } else if (isObject(schema.additionalProperties)) {
+      validateNode(child, schema.additionalProperties, [...path, key], root, result);
+    }
+  }
+}
+
+/**
+ * Validate anyOf/oneOf: pass if any branch passes, otherwise report the closest branch
+ * @private
+ */
+function validateAlternatives(value, alternatives, path, root, result) {
+  const attempts = alternatives.map(sub => {
+    const attempt = { errors: [], warnings: [] };
+    validateNode(value, sub, path, root, attempt);
+    return attempt;
+  });
+
+  const passing = attempts.find(a => a.errors.length === 0);
+  if (passing) {
+    result.warnings.push(...passing.warnings);
+    return;
+  }
+
+  // Branches that only differ in required keys ("at least one of")
+  const requiredOnly = alternatives.every(sub => sub.required && Object.keys(sub).length === 1);
+  if (requiredOnly) {
+    const keys = alternatives.map(sub => sub.required[0]);
+    return addError(result, path, 'anyOf', `must contain at least one of: ${keys.join(', ')}`);
+  }
+
+  // Prefer branches whose type matched, then the one with the fewest errors
+  const typed = attempts.filter(a => !a.errors.some(e => e.keyword === 'type' && e.path.length === path.length));
+  const candidates = typed.length > 0 ? typed : attempts;
+
+  if (typed.length === 0) {
+    const types = alternatives.map(sub => describe(sub, root)).filter(Boolean);
+    return addError(result, path, 'type', `must be ${[...new Set(types)].join(' or ')}`);
+  }
+
+  const closest = candidates.reduce((best, a) => (a.errors.length < best.errors.length ? a : best));
+  result.errors.push(...closest.errors);
+  result.warnings.push(...closest.warnings);
+}
+
+/**
+ * Check whether a value passes a schema without collecting issues
+ * @private
+ */
+function isValid(value, schema, path, root) {
+  const attempt = { errors: [], warnings: [] };
+  validateNode(value, schema, path, root, attempt);
+  return attempt.errors.length === 0;
+}
+
+/**
+ * Short type description of a schema (for oneOf messages)
+ * @private
+ */
+function describe(schema, root) {
+  const resolved = schema.$ref ? resolveRef(schema.$ref, root) : schema;
+  return resolved.type ? [].concat(resolved.type).map(t => TYPE_NAMES[t] || t).join(' or ') : null;
+}
+
+/**
+ * Resolve a local "#/definitions/name" reference
+ * @private
+ */
+function resolveRef(ref, root) {
+  const target = ref.replace(/^#\//, '').split('/').reduce((node, key) => (node ? node[key] : undefined), root);
+  if (!target) {
+    throw new Error(`Unresolved schema reference: ${ref}`);
+  }
+  return target;
+}
+
+/**
+ * Check a value against a JSON Schema type name (or list of names)
+ * @private
+ */
+function matchesType(value, type) {
+  return [].concat(type).some(t => {
+    switch (t) {
+      case 'array': return Array.isArray(value);
+      case 'object': return isObject(value);
+      case 'integer': return Number.isInteger(value);
+      case 'number': return typeof value === 'number';
+      case 'null': return value === null;
+      default: return typeof value === t;
+    }
+  });
+}
+
+/**
+ * @private
+ */
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Record an error; messages are prefixed with the path unless they name it already
+ * @private
+ */
+function addError(result, path, keyword, message, prefix = true) {
+  const label = path.length ? `"${formatPath(path)}"` : 'Manifest';
+  result.errors.push({ path, keyword, message: prefix ? `${label} ${message}` : message });
+}
+
+/**
+ * Format a path as dotted notation with array indexes: setup_steps[0].command
+ * @param {Array<string|number>} path - Path segments
+ * @returns {string}
+ */
+function formatPath(path) {
+  return path.reduce((text, segment) => {
+    if (typeof segment === 'number') {
+      return `${text}[${segment}]`;
+    }
+    return text ? `${text}.${segment}` : segment;
+  }, '');
+}
+
+/**
+ * Suggest the closest known key for a misspelled one
+ * Matches case/underscore variants (expected_output -> expectedOutput)
+ * and small typos (Levenshtein distance).
+ * @param {string} input - Unknown key or value
+ * @param {Array<string>} candidates - Known keys or values
+ * @returns {string|null} Best match or null
+ */
+function suggest(input, candidates) {
+  const normalize = s => String(s).toLowerCase().replace(/[-_\s]/g, '');
+  const normalized = normalize(input);
+
+  const exact = candidates.find(c => normalize(c) === normalized);
+  if (exact) {
+    return exact;
+  }
+
+  const maxDistance = Math.max(1, Math.floor(normalized.length / 3));
+  let best = null;
+  let bestDistance = Infinity;
+
+  for (const candidate of candidates) {
+    const distance = levenshtein(normalized, normalize(candidate));
+    if (distance <= maxDistance && distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * @private
+ */
+function didYouMean(suggestion) {
+  return suggestion ? ` (did you mean "${suggestion}"?)` : '';
+}
+
+/**
+ * Edit distance between two strings
+ * @private
+ */
+function levenshtein(a, b) {
+  const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      previous[j] = Math.min(
+        previous[j] + 1,
+        previous[j - 1] + 1,
+        diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      diagonal = above;
+    }
+  }
+
+  return previous[b.length];
+}
+
+module.exports = {
+  validate,
+  formatPath,
+  suggest
+};
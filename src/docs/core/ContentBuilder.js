@@ -25,7 +25,8 @@ class ContentBuilder {
             hasRows = true;
         }
         if (dependencies.python && dependencies.python.length > 0) {
-            markdown += `| Python | ${dependencies.python.join(', ')} |\n`;
+            const mode = dependencies.pythonMode && dependencies.pythonMode !== 'pip' ? ` (${dependencies.pythonMode})` : '';
+            markdown += `| Python${mode} | ${dependencies.python.join(', ')} |\n`;
             hasRows = true;
         }
 
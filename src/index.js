@@ -0,0 +1,229 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./ui/logger');
+const stateManager = require('./core/state-manager');
+const stateSummary = require('./core/state-summary');
+const envAnalyzer = require('./detectors/env-analyzer');
+const { Orchestrator } = require('./core/orchestrator');
+const {
+  parseManifest,
+  parseManifestFromString,
+  computeManifestHash
+} = require('./detectors/manifest-parser');
+
+/**
+ * Jetpack Node API
+ *
+ * Programmatic entry point for embedding onboarding in other tools.
+ * Progress is reported through events on `jetpack.orchestrator` (an
+ * EventEmitter) instead of console output.
+ *
+ * Calls temporarily switch the process working directory to `cwd` (the
+ * installers, state manager and detectors resolve files against it), so calls
+ * of all instances in a process run one at a time, in the order they were
+ * made, and other code in the host process sees `cwd` while a call runs.
+ * Run each project in its own process to onboard several in parallel.
+ *
+ * @example
+ * const { createJetpack } = require('jetpack-cli');
+ * const jetpack = createJetpack({ cwd: '/work/app', manifest: '.onboard.yaml', logger: console });
+ * jetpack.on('step:complete', ({ id }) => console.log(`done: ${id}`));
+ * await jetpack.init({ skip: 'verify' });
+ */
+
+// Tail of the calls waiting for the process working directory (see withContext)
+let queue = Promise.resolve();
+
+/**
+ * Create a Jetpack instance
+ * @param {object} config - Instance configuration
+ * @param {string} config.cwd - Project directory (default: process.cwd())
+ * @param {string|object} config.manifest - Manifest file path, YAML string or parsed manifest
+ * @param {object} config.logger - Console-like logger ({ info, warn, error, debug }); output is silenced if omitted
+ * @returns {object} Jetpack instance
+ */
+function createJetpack(config = {}) {
+  const cwd = path.resolve(config.cwd || process.cwd());
+  const orchestrator = new Orchestrator();
+  const transport = config.logger || { log() {} };
+
+  /**
+   * Run a function inside the project directory with output routed to the transport
+   * Waits for calls already running, since they share the working directory.
+   * @private
+   */
+  function withContext(fn) {
+    const result = queue.then(() => runInContext(fn));
+    queue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Switch to the project directory and transport for one call
+   * @private
+   */
+  async function runInContext(fn) {
+    const previousCwd = process.cwd();
+    const previousStateFile = stateManager.getStateFilePath();
+    const previousTransport = logger.transport;
+
+    process.chdir(cwd);
+    stateManager.setStateFilePath(path.join(cwd, '.jetpack-state.json'));
+    logger.setTransport(transport);
+
+    try {
+      return await fn();
+    } finally {
+      logger.setTransport(previousTransport);
+      stateManager.setStateFilePath(previousStateFile);
+      process.chdir(previousCwd);
+    }
+  }
+
+  return {
+    orchestrator,
+
+    /**
+     * Subscribe to a lifecycle event
+     * @param {string} event - Event name (e.g. 'step:complete')
+     * @param {Function} listener - Event listener
+     * @returns {object} This instance for chaining
+     */
+    on(event, listener) {
+      orchestrator.on(event, listener);
+      return this;
+    },
+
+    /**
+     * Run the onboarding workflow
+     * @param {object} options - Same options as `jetpack init` (dryRun, skipInstall, concurrency, autoResolve,
+     *   confirmResolution, only, skip, resume, profile)
+     * @returns {Promise<object>} Final workflow state
+     */
+    async init(options = {}) {
+      return withContext(async () => {
+        // Resumed and partial runs keep the profile of the previous run unless one is given
+        const previousProfile = options.resume || options.only || options.skip
+          ? (stateManager.load() || {}).profile
+          : null;
+        const { manifest, manifestHash } = loadManifest(config.manifest || options.manifest, cwd, options.profile || previousProfile);
+        const environment = await envAnalyzer.detect();
+
+        const profile = (manifest.metadata && manifest.metadata.profile) || null;
+        const runOptions = { ...options, manifest, manifestHash, profile };
+        if (options.resume) {
+          runOptions.resumeState = orchestrator.loadResumableState(manifestHash, profile);
+        } else if (options.only || options.skip) {
+          runOptions.previousState = stateManager.load();
+        }
+
+        return orchestrator.run(options.repoUrl || cwd, environment, runOptions);
+      });
+    },
+
+    /**
+     * Run verification checks from the installed manifest
+     * @param {object} options - Verification options (priority, tags)
+     * @returns {Promise<object>} VerificationResult as JSON
+     */
+    async verify(options = {}) {
+      return withContext(async () => {
+        const VerificationOrchestrator = require('./verification/core/VerificationOrchestrator');
+        const state = stateManager.load();
+
+        if (!state || !state.manifest) {
+          throw new Error('No installation state found. Run init first');
+        }
+
+        const verifier = new VerificationOrchestrator();
+        const result = await verifier.verifySetup(state.manifest.verification || {}, {
+          environment: await envAnalyzer.detect(),
+          priority: options.priority,
+          tags: options.tags,
+          cwd,
+          onCheckResult: checkResult => orchestrator.emit('check:result', checkResult.toJSON())
+        });
+
+        return result.toJSON();
+      });
+    },
+
+    /**
+     * Roll back changes recorded in the state file
+     * @param {object} options - Rollback options (dryRun, partial, unsafe, force)
+     * @returns {Promise<object>} Rollback results
+     */
+    async rollback(options = {}) {
+      return withContext(async () => {
+        const rollbackOrchestrator = require('./rollback/rollback-orchestrator');
+        return rollbackOrchestrator.rollback(options);
+      });
+    },
+
+    /**
+     * Write a redacted support bundle (same archive as `jetpack support-bundle`)
+     * @param {object} options - Bundle options (output)
+     * @returns {Promise<object>} { path, files, redactions }
+     */
+    async supportBundle(options = {}) {
+      return withContext(async () => {
+        const supportBundle = require('./core/support-bundle');
+        const bundle = supportBundle.collect({ cwd, environment: await envAnalyzer.detect() });
+        const archivePath = supportBundle.write(bundle, options.output ? path.resolve(cwd, options.output) : supportBundle.getDefaultPath(cwd, bundle));
+        return { path: archivePath, files: bundle.files.map(file => file.path), redactions: bundle.redactions };
+      });
+    },
+
+    /**
+     * Read the current state file
+     * @returns {object|null} State object or null if none exists
+     */
+    getState() {
+      return stateManager.load(path.join(cwd, '.jetpack-state.json'));
+    },
+
+    /**
+     * Summarize the current state (same data as `jetpack status --json`)
+     * @returns {object|null} Status summary or null if no state exists
+     */
+    getStatus() {
+      const state = this.getState();
+      return state ? stateSummary.summarize(state) : null;
+    }
+  };
+}
+
+/**
+ * Resolve the manifest option to a parsed manifest and its hash
+ * @param {string|object} manifest - File path, YAML string or parsed manifest
+ * @param {string} cwd - Project directory
+ * @param {string|null} profile - Entry of `profiles:` to apply (ignored for parsed manifests)
+ * @returns {object} { manifest, manifestHash }
+ * @throws {Error} If no manifest is given or it cannot be parsed
+ * @private
+ */
+function loadManifest(manifest, cwd, profile = null) {
+  if (!manifest) {
+    const defaultPath = path.join(cwd, '.onboard.yaml');
+    if (!fs.existsSync(defaultPath)) {
+      throw new Error('No manifest given and no .onboard.yaml found in project directory');
+    }
+    manifest = defaultPath;
+  }
+
+  if (typeof manifest === 'object') {
+    const { metadata, ...content } = manifest;
+    return { manifest, manifestHash: computeManifestHash(JSON.stringify(content)) };
+  }
+
+  const filePath = path.resolve(cwd, manifest);
+  const parsed = !manifest.includes('\n') && fs.existsSync(filePath)
+    ? parseManifest(filePath, { profile })
+    : parseManifestFromString(manifest, { baseDir: cwd, profile });
+
+  return { manifest: parsed, manifestHash: parsed.metadata.hash };
+}
+
+module.exports = {
+  createJetpack
+};
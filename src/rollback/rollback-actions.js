@@ -4,12 +4,14 @@ const os = require('os');
 const { execSync } = require('child_process');
 const logger = require('../ui/logger');
 const pm = require('../core/package-managers');
+const runtimeManager = require('../core/runtime-manager');
 
 /**
  * Rollback Actions Module
  * 
  * Executes actual rollback operations:
  * - Uninstall packages (npm, pip, system)
+ * - Restore runtime pin files and uninstall runtime versions
  * - Restore config files from backups
  * - Remove SSH keys
  * - Restore git config
@@ -20,11 +22,12 @@ class RollbackActions {
    * Rollback dependencies (packages)
    * @param {object} state - Enhanced state object
    * @param {object} options - Rollback options
-   * @returns {Promise<object>} { uninstalled: [], skipped: [], failed: [] }
+   * @returns {Promise<object>} { uninstalled: [], restored: [], skipped: [], failed: [] }
    */
   async rollbackDependencies(state, options = {}) {
     const results = {
       uninstalled: [],
+      restored: [],
       skipped: [],
       failed: []
     };
@@ -42,15 +45,23 @@ class RollbackActions {
         results.skipped.push({ name: pkg.name, reason: 'Was not installed by Jetpack' });
         continue;
       }
+
+      // Use the package manager that installed it (yarn, pnpm, bun)
+      const manager = pkg.manager || 'npm';
+
+      if (pkg.previousVersion) {
+        this.restorePackageVersion(manager, pkg, results, options);
+        continue;
+      }
       
       try {
-        const cmd = pm.getUninstallCommand('npm', pkg.name);
+        const cmd = pm.getUninstallCommand(manager, pkg.name);
         if (cmd) {
           if (!options.dryRun) {
             execSync(cmd, { stdio: 'ignore' });
           }
           results.uninstalled.push({ name: pkg.name, type: 'npm' });
-          logger.success(`    ✓ Uninstalled npm package: ${pkg.name}`);
+          logger.success(`    ✓ Uninstalled ${manager} package: ${pkg.name}`);
         } else {
           results.skipped.push({ name: pkg.name, reason: 'No uninstall command' });
         }
@@ -66,15 +77,23 @@ class RollbackActions {
         results.skipped.push({ name: pkg.name, reason: 'Was not installed by Jetpack' });
         continue;
       }
+
+      // Remove from the environment it was installed into (pipx, .venv, poetry)
+      const mode = pkg.mode || 'pip';
+
+      if (pkg.previousVersion) {
+        this.restorePackageVersion(mode, pkg, results, options);
+        continue;
+      }
       
       try {
-        const cmd = pm.getUninstallCommand('pip', pkg.name);
+        const cmd = pm.getUninstallCommand(mode, pkg.name);
         if (cmd) {
           if (!options.dryRun) {
             execSync(cmd, { stdio: 'ignore' });
           }
           results.uninstalled.push({ name: pkg.name, type: 'pip' });
-          logger.success(`    ✓ Uninstalled pip package: ${pkg.name}`);
+          logger.success(`    ✓ Uninstalled ${mode} package: ${pkg.name}`);
         } else {
           results.skipped.push({ name: pkg.name, reason: 'No uninstall command' });
         }
@@ -90,6 +109,12 @@ class RollbackActions {
         results.skipped.push({ name: pkg.name, reason: 'Was not installed by Jetpack' });
         continue;
       }
+
+      // Uninstalling would remove a package that was present before Jetpack
+      if (pkg.previousVersion) {
+        results.skipped.push({ name: pkg.name, reason: `Was upgraded from ${pkg.previousVersion}; restore it manually` });
+        continue;
+      }
       
       try {
         const cmd = pm.getUninstallCommand('system', pkg.name, pkg.platform);
@@ -111,6 +136,103 @@ class RollbackActions {
     return results;
   }
   
+  /**
+   * Reinstall the version a package had before Jetpack changed it
+   * @param {string} type - A Python mode ('pip', 'pipx', 'venv', 'uv', 'poetry') or a
+   *   JavaScript package manager ('npm', 'yarn', 'pnpm', 'bun')
+   * @param {object} pkg - Rollback entry { name, version, previousVersion }
+   * @param {object} results - Dependency rollback results to add to
+   * @param {object} options - Rollback options
+   * @private
+   */
+  restorePackageVersion(type, pkg, results, options) {
+    try {
+      const cmd = pm.getRestoreCommand(type, pkg.name, pkg.previousVersion);
+      if (!options.dryRun) {
+        execSync(cmd, { stdio: 'ignore' });
+      }
+      results.restored.push({ name: pkg.name, type, version: pkg.previousVersion });
+      logger.success(`    ✓ Restored ${type} package: ${pkg.name}@${pkg.previousVersion}`);
+    } catch (error) {
+      results.failed.push({ name: pkg.name, type, error: error.message });
+      logger.error(`    ✗ Failed to restore ${pkg.name}@${pkg.previousVersion}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Rollback runtimes
+   * Pin files are always restored; runtime versions are only uninstalled
+   * with --unsafe, since other projects may use them.
+   * @param {object} state - Enhanced state object
+   * @param {object} options - Rollback options
+   * @returns {Promise<object>} { restored: [], removed: [], uninstalled: [], skipped: [], failed: [] }
+   */
+  async rollbackRuntimes(state, options = {}) {
+    const results = {
+      restored: [],
+      removed: [],
+      uninstalled: [],
+      skipped: [],
+      failed: []
+    };
+
+    const { installed = [], pinFiles = [], projectRoot = process.cwd() } = state.rollback.runtimes || {};
+
+    if (installed.length === 0 && pinFiles.length === 0) {
+      logger.info('    → No runtimes to roll back');
+      return results;
+    }
+
+    // Put back the pin files as they were before Jetpack wrote them
+    for (const { path: pinFile, previousContent } of pinFiles) {
+      const filePath = path.join(projectRoot, pinFile);
+
+      try {
+        if (previousContent === null) {
+          if (fs.existsSync(filePath) && !options.dryRun) {
+            fs.unlinkSync(filePath);
+          }
+          results.removed.push({ file: pinFile });
+          logger.success(`    ✓ Removed ${pinFile}`);
+        } else {
+          if (!options.dryRun) {
+            fs.writeFileSync(filePath, previousContent, 'utf8');
+          }
+          results.restored.push({ file: pinFile });
+          logger.success(`    ✓ Restored ${pinFile}`);
+        }
+      } catch (error) {
+        results.failed.push({ file: pinFile, error: error.message });
+        logger.error(`    ✗ Failed to restore ${pinFile}: ${error.message}`);
+      }
+    }
+
+    for (const { runtime, version, manager } of installed) {
+      if (!options.unsafe) {
+        results.skipped.push({ runtime, version, reason: 'Requires --unsafe flag' });
+        continue;
+      }
+
+      try {
+        const cmd = runtimeManager.getCommands(manager, runtime).uninstall(version);
+        if (!options.dryRun) {
+          execSync(cmd, { stdio: 'ignore' });
+        }
+        results.uninstalled.push({ runtime, version, manager });
+        logger.success(`    ✓ Uninstalled ${runtime} ${version} (${manager})`);
+      } catch (error) {
+        results.failed.push({ runtime, version, error: error.message });
+        logger.error(`    ✗ Failed to uninstall ${runtime} ${version}: ${error.message}`);
+      }
+    }
+
+    if (!options.unsafe && installed.length > 0) {
+      logger.info('    → Keeping installed runtime versions (requires --unsafe flag)');
+    }
+
+    return results;
+  }
+
   /**
    * Rollback configuration files
    * @param {object} state - Enhanced state object
@@ -288,6 +410,51 @@ class RollbackActions {
     return results;
   }
   
+  /**
+   * Rollback custom plugin steps (most recent first)
+   * @param {object} state - Enhanced state object
+   * @param {object} options - Rollback options
+   * @returns {Promise<object>} { removed: [], skipped: [], failed: [] }
+   */
+  async rollbackPlugins(state, options = {}) {
+    const results = {
+      removed: [],
+      skipped: [],
+      failed: []
+    };
+
+    const pluginLoader = require('../core/plugin-loader');
+    const records = Object.entries(state.rollback.plugins || {}).reverse();
+
+    if (records.length === 0) {
+      logger.info('    → No plugin steps to roll back');
+      return results;
+    }
+
+    for (const [stepId, record] of records) {
+      try {
+        if (options.dryRun) {
+          results.removed.push({ step: stepId, plugin: record.plugin });
+          continue;
+        }
+
+        const rolledBack = await pluginLoader.rollbackStep(stepId, record, state, options);
+        if (rolledBack) {
+          results.removed.push({ step: stepId, plugin: record.plugin });
+          logger.success(`    ✓ Rolled back plugin step: ${record.name || stepId}`);
+        } else {
+          results.skipped.push({ step: stepId, reason: 'Plugin defines no rollback' });
+          logger.info(`    → No rollback defined for plugin step: ${record.name || stepId}`);
+        }
+      } catch (error) {
+        results.failed.push({ step: stepId, error: error.message });
+        logger.error(`    ✗ Failed to roll back ${stepId}: ${error.message}`);
+      }
+    }
+
+    return results;
+  }
+
   /**
    * Rollback documentation
    * @param {object} state - Enhanced state object
@@ -4,8 +4,13 @@ const logger = require('../ui/logger');
 /**
  * Rollback Diff Generator Module
  * 
- * Generates color-coded preview of rollback changes for dry-run mode
+ * Generates color-coded preview of rollback changes for dry-run mode,
+ * and the same preview as data for `rollback --dry-run --json`
  */
+
+// Phases in the order rollback-orchestrator runs them
+const PHASES = ['plugins', 'docs', 'git', 'ssh', 'config', 'dependencies', 'runtimes'];
+
 class RollbackDiffGenerator {
   /**
    * Generate full diff preview
@@ -28,6 +33,13 @@ class RollbackDiffGenerator {
       lines.push('');
     }
     
+    // Runtimes section
+    const runtimeLines = this.formatRuntimeChanges(state, options);
+    if (runtimeLines.length > 0) {
+      lines.push(...runtimeLines);
+      lines.push('');
+    }
+    
     // Config section
     const configLines = this.formatConfigChanges(state);
     if (configLines.length > 0) {
@@ -56,6 +68,13 @@ class RollbackDiffGenerator {
       lines.push('');
     }
     
+    // Plugin steps section
+    const pluginLines = this.formatPluginChanges(state);
+    if (pluginLines.length > 0) {
+      lines.push(...pluginLines);
+      lines.push('');
+    }
+    
     lines.push(chalk.gray('─'.repeat(60)));
     
     if (!options.unsafe) {
@@ -68,6 +87,137 @@ class RollbackDiffGenerator {
     return lines.join('\n');
   }
   
+  /**
+   * Build the preview as data, one list of planned actions per phase
+   * @param {object} state - Enhanced state object
+   * @param {object} options - Rollback options
+   * @param {string[]|null} phases - Phases of a partial rollback (null: all)
+   * @returns {object} e.g. { docs: [{ action: 'remove', path: 'docs', files: 5 }], ... } -
+   *   action is one of uninstall, restore, remove, unset, keep, skip or rollback
+   */
+  getPreview(state, options = {}, phases = null) {
+    const rollback = state.rollback || {};
+    const builders = {
+      plugins: () => this.previewPlugins(rollback),
+      docs: () => this.previewDocs(rollback),
+      git: () => this.previewGitConfig(rollback),
+      ssh: () => this.previewSshKeys(rollback),
+      config: () => this.previewConfig(rollback),
+      dependencies: () => this.previewPackages(rollback, options),
+      runtimes: () => this.previewRuntimes(rollback, options)
+    };
+    
+    const preview = {};
+    for (const phase of PHASES) {
+      if (!phases || phases.length === 0 || phases.includes(phase)) {
+        preview[phase] = builders[phase]();
+      }
+    }
+    return preview;
+  }
+  
+  /**
+   * Planned package actions
+   * @private
+   */
+  previewPackages(rollback, options) {
+    const { npm = [], pip = [], system = [] } = rollback.dependencies || {};
+    const entry = (type, pkg, where) => {
+      const base = { type, name: pkg.name, version: pkg.version || null, ...where };
+      if (!pkg.installed) {
+        return { action: 'skip', ...base, reason: 'not installed by Jetpack' };
+      }
+      if (!options.unsafe) {
+        return { action: 'skip', ...base, reason: 'requires --unsafe' };
+      }
+      if (pkg.previousVersion && type === 'system') {
+        return { action: 'skip', ...base, previousVersion: pkg.previousVersion, reason: 'upgraded, restore manually' };
+      }
+      if (pkg.previousVersion) {
+        return { action: 'restore', ...base, previousVersion: pkg.previousVersion };
+      }
+      return { action: 'uninstall', ...base };
+    };
+    
+    return [
+      ...npm.map(pkg => entry('npm', pkg, { manager: pkg.manager || 'npm' })),
+      ...pip.map(pkg => entry('pip', pkg, { mode: pkg.mode || 'pip' })),
+      ...system.map(pkg => entry('system', pkg, { platform: pkg.platform || null }))
+    ];
+  }
+  
+  /**
+   * Planned runtime actions
+   * @private
+   */
+  previewRuntimes(rollback, options) {
+    const { installed = [], pinFiles = [] } = rollback.runtimes || {};
+    return [
+      ...pinFiles.map(({ path: pinFile, previousContent }) => ({ action: previousContent === null ? 'remove' : 'restore', path: pinFile })),
+      ...installed.map(({ runtime, version, manager }) => (options.unsafe
+        ? { action: 'uninstall', runtime, version, manager }
+        : { action: 'keep', runtime, version, manager, reason: 'requires --unsafe' }))
+    ];
+  }
+  
+  /**
+   * Planned configuration file actions
+   * @private
+   */
+  previewConfig(rollback) {
+    const backups = (rollback.config && rollback.config.backups) || {};
+    const entries = [];
+    if (backups.env) {
+      entries.push(
+        { action: 'restore', path: '.env', backup: backups.env },
+        { action: 'remove', path: '.env.template' },
+        { action: 'remove', path: '.env.example' }
+      );
+    }
+    if (backups.gitignore) {
+      entries.push({ action: 'restore', path: '.gitignore', backup: backups.gitignore });
+    }
+    return entries;
+  }
+  
+  /**
+   * Planned SSH key actions
+   * @private
+   */
+  previewSshKeys(rollback) {
+    const { keyPath, publicKeyPath } = rollback.ssh || {};
+    return [keyPath, publicKeyPath].filter(Boolean).map(keyFile => ({ action: 'remove', path: keyFile }));
+  }
+  
+  /**
+   * Planned git config actions
+   * @private
+   */
+  previewGitConfig(rollback) {
+    const originalGitConfig = (rollback.config && rollback.config.originalGitConfig) || {};
+    return Object.entries(originalGitConfig).map(([key, value]) => (value === null || value === undefined
+      ? { action: 'unset', key }
+      : { action: 'restore', key, value }));
+  }
+  
+  /**
+   * Planned documentation actions
+   * @private
+   */
+  previewDocs(rollback) {
+    const { outputDir, filesCreated } = rollback.docs || {};
+    return outputDir ? [{ action: 'remove', path: outputDir, files: filesCreated || 0 }] : [];
+  }
+  
+  /**
+   * Planned plugin step actions, last step first
+   * @private
+   */
+  previewPlugins(rollback) {
+    return Object.entries(rollback.plugins || {}).reverse()
+      .map(([stepId, record]) => ({ action: 'rollback', step: stepId, name: record.name || stepId, plugin: record.plugin }));
+  }
+  
   /**
    * Format package changes (dependencies)
    * @param {object} state - Enhanced state object
@@ -96,9 +246,11 @@ class RollbackDiffGenerator {
     // NPM packages
     if (npm && npm.length > 0) {
       for (const pkg of npm) {
-        if (pkg.installed) {
+        if (pkg.installed && pkg.previousVersion) {
+          lines.push(chalk.yellow(`  ~ Would restore: ${pkg.name}@${pkg.previousVersion} (${pkg.manager || 'npm'} global, now ${pkg.version || 'unknown'})`));
+        } else if (pkg.installed) {
           const version = pkg.version ? `@${pkg.version}` : '';
-          lines.push(chalk.red(`  - Would uninstall: ${pkg.name}${version} (npm global)`));
+          lines.push(chalk.red(`  - Would uninstall: ${pkg.name}${version} (${pkg.manager || 'npm'} global)`));
         } else {
           lines.push(chalk.gray(`  ⊘ Would skip: ${pkg.name} (not installed by Jetpack)`));
         }
@@ -108,9 +260,11 @@ class RollbackDiffGenerator {
     // Pip packages
     if (pip && pip.length > 0) {
       for (const pkg of pip) {
-        if (pkg.installed) {
+        if (pkg.installed && pkg.previousVersion) {
+          lines.push(chalk.yellow(`  ~ Would restore: ${pkg.name}@${pkg.previousVersion} (${pkg.mode || 'pip'}, now ${pkg.version || 'unknown'})`));
+        } else if (pkg.installed) {
           const version = pkg.version ? `@${pkg.version}` : '';
-          lines.push(chalk.red(`  - Would uninstall: ${pkg.name}${version} (pip)`));
+          lines.push(chalk.red(`  - Would uninstall: ${pkg.name}${version} (${pkg.mode || 'pip'})`));
         } else {
           lines.push(chalk.gray(`  ⊘ Would skip: ${pkg.name} (not installed by Jetpack)`));
         }
@@ -120,7 +274,9 @@ class RollbackDiffGenerator {
     // System packages
     if (system && system.length > 0) {
       for (const pkg of system) {
-        if (pkg.installed) {
+        if (pkg.installed && pkg.previousVersion) {
+          lines.push(chalk.gray(`  ⊘ Would skip: ${pkg.name} (upgraded from ${pkg.previousVersion}, restore manually)`));
+        } else if (pkg.installed) {
           lines.push(chalk.red(`  - Would uninstall: ${pkg.name} (${pkg.platform})`));
         } else {
           lines.push(chalk.gray(`  ⊘ Would skip: ${pkg.name} (not installed by Jetpack)`));
@@ -159,6 +315,41 @@ class RollbackDiffGenerator {
     return lines;
   }
   
+  /**
+   * Format runtime changes
+   * @param {object} state - Enhanced state object
+   * @param {object} options - Rollback options
+   * @returns {string[]} Formatted lines
+   */
+  formatRuntimeChanges(state, options = {}) {
+    const lines = [];
+    const { installed = [], pinFiles = [] } = state.rollback.runtimes || {};
+    
+    if (installed.length === 0 && pinFiles.length === 0) {
+      return lines;
+    }
+    
+    lines.push(chalk.blue.bold('🧰 Runtimes'));
+    
+    pinFiles.forEach(({ path: pinFile, previousContent }) => {
+      if (previousContent === null) {
+        lines.push(chalk.red(`  - Would remove: ${pinFile}`));
+      } else {
+        lines.push(chalk.green(`  ~ Would restore: ${pinFile}`));
+      }
+    });
+    
+    installed.forEach(({ runtime, version, manager }) => {
+      if (options.unsafe) {
+        lines.push(chalk.red(`  - Would uninstall: ${runtime} ${version} (${manager})`));
+      } else {
+        lines.push(chalk.gray(`  ⊘ Would keep: ${runtime} ${version} (requires --unsafe)`));
+      }
+    });
+    
+    return lines;
+  }
+  
   /**
    * Format SSH key changes
    * @param {object} state - Enhanced state object
@@ -229,6 +420,28 @@ class RollbackDiffGenerator {
     
     return lines;
   }
+  
+  /**
+   * Format plugin step changes
+   * @param {object} state - Enhanced state object
+   * @returns {string[]} Formatted lines
+   */
+  formatPluginChanges(state) {
+    const lines = [];
+    const records = Object.entries(state.rollback.plugins || {});
+    
+    if (records.length === 0) {
+      return lines;
+    }
+    
+    lines.push(chalk.blue.bold('🧩 Plugin Steps'));
+    
+    for (const [stepId, record] of records.reverse()) {
+      lines.push(chalk.red(`  - Would roll back: ${record.name || stepId} (${record.plugin})`));
+    }
+    
+    return lines;
+  }
 }
 
 module.exports = new RollbackDiffGenerator();
@@ -45,6 +45,9 @@ class RollbackOrchestrator {
     const components = rollbackState.getPhaseComponents(phases);
     
     logger.info(`  → Rollback scope: ${phases ? phases.join(', ') : 'full'}`);
+    if (state.profile) {
+      logger.info(`  → Profile: ${state.profile}`);
+    }
     logger.info(`  → Unsafe mode: ${options.unsafe ? 'enabled' : 'disabled'}`);
     
     // Step 3: Run safety validator
@@ -78,8 +81,8 @@ class RollbackOrchestrator {
     if (options.dryRun) {
       logger.newLine();
       const diff = rollbackDiffGenerator.generateDiff(state, options);
-      console.log(diff);
-      return { success: true, dryRun: true };
+      logger.print(diff);
+      return { success: true, dryRun: true, results: rollbackDiffGenerator.getPreview(state, options, phases) };
     }
     
     // Step 5: Execute rollback phases
@@ -89,36 +92,48 @@ class RollbackOrchestrator {
     const results = {};
     
     try {
-      // Phase 1: Documentation (always safe)
+      // Phase 1: Plugin steps (undo custom steps before the core changes they build on)
+      if (!phases || phases.includes('plugins')) {
+        logger.info('  Phase 1: Plugin Steps');
+        results.plugins = await rollbackActions.rollbackPlugins(state, options);
+      }
+      
+      // Phase 2: Documentation (always safe)
       if (!phases || phases.includes('docs')) {
-        logger.info('  Phase 1: Documentation');
+        logger.info('  Phase 2: Documentation');
         results.docs = await rollbackActions.rollbackDocumentation(state, options);
       }
       
-      // Phase 2: Git config
+      // Phase 3: Git config
       if (!phases || phases.includes('git')) {
-        logger.info('  Phase 2: Git Configuration');
+        logger.info('  Phase 3: Git Configuration');
         results.git = await rollbackActions.rollbackGitConfig(state, options);
       }
       
-      // Phase 3: SSH keys
+      // Phase 4: SSH keys
       if (!phases || phases.includes('ssh')) {
-        logger.info('  Phase 3: SSH Keys');
+        logger.info('  Phase 4: SSH Keys');
         results.ssh = await rollbackActions.rollbackSshKeys(state, options);
       }
       
-      // Phase 4: Config files
+      // Phase 5: Config files
       if (!phases || phases.includes('config')) {
-        logger.info('  Phase 4: Configuration Files');
+        logger.info('  Phase 5: Configuration Files');
         results.config = await rollbackActions.rollbackConfigs(state, options);
       }
       
-      // Phase 5: Dependencies (requires --unsafe)
+      // Phase 6: Dependencies (requires --unsafe)
       if (!phases || phases.includes('dependencies')) {
-        logger.info('  Phase 5: Dependencies');
+        logger.info('  Phase 6: Dependencies');
         results.dependencies = await rollbackActions.rollbackDependencies(state, options);
       }
       
+      // Phase 7: Runtimes (after the packages installed with them)
+      if (!phases || phases.includes('runtimes')) {
+        logger.info('  Phase 7: Runtimes');
+        results.runtimes = await rollbackActions.rollbackRuntimes(state, options);
+      }
+      
     } catch (error) {
       logger.error(`Rollback error: ${error.message}`);
       results.error = error.message;
@@ -142,7 +157,7 @@ class RollbackOrchestrator {
     
     logger.newLine();
     const summary = rollbackSummary.generateSummary(results, options);
-    console.log(summary);
+    logger.print(summary);
     
     return {
       success: this.isSuccessful(results),
@@ -70,7 +70,12 @@ class RollbackState {
       docs: {
         outputDir: null,
         filesCreated: 0
-      }
+      },
+      runtimes: {
+        installed: [],
+        pinFiles: []
+      },
+      plugins: {}
     };
     
     // Try to extract dependency info from steps
@@ -145,7 +150,9 @@ class RollbackState {
       git: ['gitConfig'],
       ssh: ['sshKeys'],
       config: ['envFiles', 'gitignore'],
-      dependencies: ['systemPackages', 'npmPackages', 'pythonPackages']
+      dependencies: ['systemPackages', 'npmPackages', 'pythonPackages'],
+      runtimes: ['runtimeVersions', 'pinFiles'],
+      plugins: ['pluginSteps']
     };
     
     // If no specific phases, return all
@@ -193,7 +200,7 @@ class RollbackState {
     return partialOption
       .split(',')
       .map(p => p.trim().toLowerCase())
-      .filter(p => ['docs', 'git', 'ssh', 'config', 'dependencies'].includes(p));
+      .filter(p => ['docs', 'git', 'ssh', 'config', 'dependencies', 'runtimes', 'plugins'].includes(p));
   }
 }
 
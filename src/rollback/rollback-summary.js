@@ -41,6 +41,11 @@ class RollbackSummary {
       lines.push('');
     }
     
+    if (results.runtimes && this.hasResults(results.runtimes)) {
+      lines.push(...this.formatRuntimeResults(results.runtimes));
+      lines.push('');
+    }
+    
     if (results.config && this.hasResults(results.config)) {
       lines.push(...this.formatConfigResults(results.config));
       lines.push('');
@@ -61,6 +66,11 @@ class RollbackSummary {
       lines.push('');
     }
     
+    if (results.plugins && this.hasResults(results.plugins)) {
+      lines.push(...this.formatPluginResults(results.plugins));
+      lines.push('');
+    }
+    
     // Manual cleanup notes
     const manualSteps = this.getManualCleanupSteps(results);
     if (manualSteps.length > 0) {
@@ -143,6 +153,13 @@ class RollbackSummary {
       }
     }
     
+    if (deps.restored && deps.restored.length > 0) {
+      lines.push(chalk.green(`  ✓ Restored ${deps.restored.length} package version(s):`));
+      deps.restored.forEach(pkg => {
+        lines.push(chalk.green(`    • ${pkg.name}@${pkg.version} (${pkg.type})`));
+      });
+    }
+    
     if (deps.skipped && deps.skipped.length > 0) {
       lines.push(chalk.yellow(`  ⊘ Skipped ${deps.skipped.length} package(s):`));
       deps.skipped.slice(0, 5).forEach(pkg => {
@@ -163,6 +180,39 @@ class RollbackSummary {
     return lines;
   }
   
+  /**
+   * Format runtime results
+   * @param {object} runtimes - Runtime results
+   * @returns {string[]} Formatted lines
+   */
+  formatRuntimeResults(runtimes) {
+    const lines = [];
+    
+    lines.push(chalk.blue.bold('🧰 Runtimes:'));
+    
+    runtimes.restored.forEach(item => {
+      lines.push(chalk.green(`  ✓ Restored: ${item.file}`));
+    });
+    
+    runtimes.removed.forEach(item => {
+      lines.push(chalk.green(`  ✓ Removed: ${item.file}`));
+    });
+    
+    runtimes.uninstalled.forEach(item => {
+      lines.push(chalk.green(`  ✓ Uninstalled: ${item.runtime} ${item.version} (${item.manager})`));
+    });
+    
+    runtimes.skipped.forEach(item => {
+      lines.push(chalk.yellow(`  ⊘ Kept: ${item.runtime} ${item.version} (${item.reason})`));
+    });
+    
+    runtimes.failed.forEach(item => {
+      lines.push(chalk.red(`  ✗ Failed: ${item.file || `${item.runtime} ${item.version}`} - ${item.error}`));
+    });
+    
+    return lines;
+  }
+  
   /**
    * Format config results
    * @param {object} config - Config results
@@ -287,6 +337,37 @@ class RollbackSummary {
     return lines;
   }
   
+  /**
+   * Format plugin step results
+   * @param {object} plugins - Plugin results
+   * @returns {string[]} Formatted lines
+   */
+  formatPluginResults(plugins) {
+    const lines = [];
+    
+    lines.push(chalk.blue.bold('🧩 Plugin Steps:'));
+    
+    if (plugins.removed && plugins.removed.length > 0) {
+      plugins.removed.forEach(item => {
+        lines.push(chalk.green(`  ✓ Rolled back: ${item.step} (${item.plugin})`));
+      });
+    }
+    
+    if (plugins.skipped && plugins.skipped.length > 0) {
+      plugins.skipped.forEach(item => {
+        lines.push(chalk.yellow(`  ⊘ Skipped: ${item.step} (${item.reason})`));
+      });
+    }
+    
+    if (plugins.failed && plugins.failed.length > 0) {
+      plugins.failed.forEach(item => {
+        lines.push(chalk.red(`  ✗ Failed: ${item.step} - ${item.error}`));
+      });
+    }
+    
+    return lines;
+  }
+  
   /**
    * Get manual cleanup steps
    * @param {object} results - All rollback results
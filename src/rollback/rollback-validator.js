@@ -3,6 +3,7 @@ const path = require('path');
 const os = require('os');
 const { execSync } = require('child_process');
 const logger = require('../ui/logger');
+const pm = require('../core/package-managers');
 
 /**
  * Rollback Validator Module
@@ -95,7 +96,7 @@ class RollbackValidator {
     const npmPackages = state.rollback.dependencies.npm || [];
     for (const pkg of npmPackages) {
       if (pkg.installed) {
-        const dependents = await this.checkNpmDependents(pkg.name);
+        const dependents = await this.checkNpmDependents(pkg.name, pkg.manager);
         if (dependents.length > 0) {
           warnings.push(
             `Package ${pkg.name} has ${dependents.length} dependent(s): ${dependents.slice(0, 3).join(', ')}${dependents.length > 3 ? '...' : ''}`
@@ -108,7 +109,7 @@ class RollbackValidator {
     const pipPackages = state.rollback.dependencies.pip || [];
     for (const pkg of pipPackages) {
       if (pkg.installed) {
-        const dependents = await this.checkPipDependents(pkg.name);
+        const dependents = await this.checkPipDependents(pkg.name, pkg.mode);
         if (dependents.length > 0) {
           warnings.push(
             `Package ${pkg.name} has ${dependents.length} dependent(s): ${dependents.slice(0, 3).join(', ')}${dependents.length > 3 ? '...' : ''}`
@@ -123,11 +124,12 @@ class RollbackValidator {
   /**
    * Check npm package dependents
    * @param {string} packageName - NPM package name
+   * @param {string} manager - Package manager that installed it ('npm', 'yarn', 'pnpm', 'bun')
    * @returns {Promise<string[]>} Array of dependent package names
    */
-  async checkNpmDependents(packageName) {
+  async checkNpmDependents(packageName, manager = 'npm') {
     try {
-      const output = execSync(`npm ls -g --depth=0`, {
+      const output = execSync(pm.getJsListCommand(manager), {
         encoding: 'utf8',
         stdio: ['pipe', 'pipe', 'ignore']
       });
@@ -153,11 +155,18 @@ class RollbackValidator {
   /**
    * Check pip package dependents
    * @param {string} packageName - pip package name
+   * @param {string} mode - Python mode it was installed in ('pip', 'venv', 'uv', 'poetry'); pipx
+   *   gives each tool its own environment, so nothing depends on it
    * @returns {Promise<string[]>} Array of dependent package names
    */
-  async checkPipDependents(packageName) {
+  async checkPipDependents(packageName, mode = 'pip') {
+    const { show } = pm.getPythonCommands(mode);
+    if (!show) {
+      return [];
+    }
+
     try {
-      const output = execSync(`pip show ${packageName}`, {
+      const output = execSync(`${show} ${packageName}`, {
         encoding: 'utf8',
         stdio: ['pipe', 'pipe', 'ignore']
       });
@@ -4,11 +4,39 @@ const chalk = require('chalk');
  * Logger - Formatted console output with colors and emojis
  */
 class Logger {
+  constructor() {
+    // Console-like logger ({ info, warn, error, debug }) that replaces
+    // terminal output, e.g. when Jetpack is embedded through the Node API
+    this.transport = null;
+  }
+
+  /**
+   * Route all output to a custom logger instead of the console
+   * @param {object|null} transport - Console-like logger, or null to restore console output
+   */
+  setTransport(transport) {
+    this.transport = transport || null;
+  }
+
+  /**
+   * Forward a plain message to the custom transport
+   * @param {string} level - Transport method (info, warn, error, debug)
+   * @param {string} message - Message without styling
+   * @private
+   */
+  forward(level, message) {
+    const fn = this.transport[level] || this.transport.log;
+    if (typeof fn === 'function') {
+      fn.call(this.transport, message);
+    }
+  }
+
   /**
    * Display header with styling
    * @param {string} text - Header text
    */
   header(text) {
+    if (this.transport) return this.forward('info', text.trim());
     console.log(chalk.bold.cyan('\n' + text));
     console.log(chalk.cyan('='.repeat(text.length)));
   }
@@ -18,6 +46,7 @@ class Logger {
    * @param {string} message - Info message
    */
   info(message) {
+    if (this.transport) return this.forward('info', message);
     console.log(chalk.blue('ℹ'), message);
   }
 
@@ -26,6 +55,7 @@ class Logger {
    * @param {string} message - Success message
    */
   success(message) {
+    if (this.transport) return this.forward('info', message);
     console.log(chalk.green(message));
   }
 
@@ -35,6 +65,7 @@ class Logger {
    * @param {string} details - Optional error details
    */
   error(message, details = '') {
+    if (this.transport) return this.forward('error', details ? `${message} ${details}` : message);
     console.error(chalk.red(message));
     if (details) {
       console.error(chalk.gray(details));
@@ -46,6 +77,7 @@ class Logger {
    * @param {string} message - Warning message
    */
   warning(message) {
+    if (this.transport) return this.forward('warn', message);
     console.log(chalk.yellow(message));
   }
 
@@ -55,6 +87,7 @@ class Logger {
    * @param {string} description - Step description
    */
   step(stepNumber, description) {
+    if (this.transport) return this.forward('info', `[${stepNumber}] ${description}`);
     console.log(chalk.bold.magenta(`\n[${stepNumber}] ${description}`));
   }
 
@@ -62,6 +95,7 @@ class Logger {
    * Print a new line
    */
   newLine() {
+    if (this.transport) return;
     console.log('');
   }
 
@@ -69,14 +103,34 @@ class Logger {
    * Display a separator line
    */
   separator() {
+    if (this.transport) return;
     console.log(chalk.gray('─'.repeat(60)));
   }
 
+  /**
+   * Print pre-formatted text as-is (reports, diffs, summaries)
+   * @param {string} text - Text to print
+   */
+  print(text) {
+    if (this.transport) return this.forward('info', text);
+    console.log(text);
+  }
+
+  /**
+   * Write a machine-readable result document to stdout
+   * Bypasses the transport so --json output is never silenced.
+   * @param {object} document - JSON-serializable result
+   */
+  json(document) {
+    process.stdout.write(JSON.stringify(document, null, 2) + '\n');
+  }
+
   /**
    * Display debug message (only in verbose mode)
    * @param {string} message - Debug message
    */
   debug(message) {
+    if (this.transport) return this.forward('debug', message);
     if (process.env.DEBUG) {
       console.log(chalk.gray('[DEBUG]'), message);
     }
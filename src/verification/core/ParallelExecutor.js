@@ -33,6 +33,7 @@ class ParallelExecutor {
       
       const result = await this.executor.executeWithRetry(check, context);
       results.push(result);
+      this._notifyResult(context, result);
       
       this.progress.completed++;
       this.progress.running = 0;
@@ -71,6 +72,7 @@ class ParallelExecutor {
         const promise = this.executor.executeWithRetry(check, context)
           .then(result => {
             results.push(result);
+            this._notifyResult(context, result);
             running.delete(promise);
             this.progress.completed++;
             this.progress.running = running.size;
@@ -91,6 +93,7 @@ class ParallelExecutor {
             const result = check.createResult();
             result.markFailed(`Unexpected error: ${error.message}`, error);
             results.push(result);
+            this._notifyResult(context, result);
             return result;
           });
 
@@ -147,6 +150,16 @@ class ParallelExecutor {
     return allResults;
   }
 
+  /**
+   * Report a finished check to the context's onResult callback, if any
+   * @private
+   */
+  _notifyResult(context, result) {
+    if (typeof context.onResult === 'function') {
+      context.onResult(result);
+    }
+  }
+
   /**
    * Group checks by priority
    * @private
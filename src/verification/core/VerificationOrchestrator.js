@@ -18,7 +18,7 @@ class VerificationOrchestrator {
   /**
    * Verify setup based on manifest configuration
    * @param {object} verificationConfig - Verification section from manifest
-   * @param {object} options - Execution options
+   * @param {object} options - Execution options (onCheckResult is called as each check finishes)
    * @returns {Promise<VerificationResult>}
    */
   async verifySetup(verificationConfig, options = {}) {
@@ -55,17 +55,17 @@ class VerificationOrchestrator {
       const executionStrategy = this._determineExecutionStrategy(verificationConfig);
 
       // Execute checks
+      const context = {
+        cwd: options.cwd || process.cwd(),
+        verbose: options.verbose || false,
+        onResult: options.onCheckResult
+      };
+
       let checkResults;
       if (executionStrategy === 'serial') {
-        checkResults = await this.parallelExecutor.executeSerial(filteredChecks, {
-          cwd: options.cwd || process.cwd(),
-          verbose: options.verbose || false
-        });
+        checkResults = await this.parallelExecutor.executeSerial(filteredChecks, context);
       } else {
-        checkResults = await this.parallelExecutor.executeBatch(filteredChecks, {
-          cwd: options.cwd || process.cwd(),
-          verbose: options.verbose || false
-        });
+        checkResults = await this.parallelExecutor.executeBatch(filteredChecks, context);
       }
 
       // Build result
@@ -0,0 +1,128 @@
+/**
+ * Test suite for the programmatic Node API
+ * Runs the workflow in dry-run mode inside a temporary project
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createJetpack } = require('../src/index');
+
+describe('Node API Tests', () => {
+
+  const manifestYaml = `
+name: api-test-project
+dependencies:
+  npm:
+    - eslint
+setup_steps:
+  - name: Say hello
+    command: echo hello
+verification:
+  checks:
+    - name: Manifest exists
+      type: file
+      path: .onboard.yaml
+`;
+
+  let projectDir;
+  const originalCwd = process.cwd();
+
+  beforeEach(() => {
+    projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jetpack-api-'));
+    fs.writeFileSync(path.join(projectDir, '.onboard.yaml'), manifestYaml);
+  });
+
+  afterEach(() => {
+    fs.rmSync(projectDir, { recursive: true, force: true });
+  });
+
+  test('Emit lifecycle events and return final state', async () => {
+    const messages = [];
+    const jetpack = createJetpack({
+      cwd: projectDir,
+      logger: { info: m => messages.push(m), warn: m => messages.push(m), error: m => messages.push(m) }
+    });
+
+    const events = [];
+    ['step:start', 'step:complete', 'step:skipped', 'package:installed', 'setup:step', 'check:result']
+      .forEach(event => jetpack.on(event, payload => events.push({ event, payload })));
+
+    const state = await jetpack.init({ dryRun: true, skip: 'config,docs' });
+
+    expect(state.installed).toBe(true);
+    expect(state.manifest.name).toBe('api-test-project');
+    expect(process.cwd()).toBe(originalCwd);
+
+    const started = events.filter(e => e.event === 'step:start').map(e => e.payload.id);
+    expect(started).toEqual(['environment', 'manifest', 'runtimes', 'dependencies', 'setup', 'verify']);
+
+    const skipped = events.filter(e => e.event === 'step:skipped').map(e => e.payload.id);
+    expect(skipped).toEqual(['config', 'docs']);
+
+    const installed = events.find(e => e.event === 'package:installed');
+    expect(installed.payload).toMatchObject({ type: 'npm', name: 'eslint', dryRun: true });
+
+    expect(events.some(e => e.event === 'setup:step')).toBe(true);
+
+    const check = events.find(e => e.event === 'check:result');
+    expect(check.payload.name).toBe('Manifest exists');
+
+    // Output goes to the custom logger instead of the console
+    expect(messages.length).toBeGreaterThan(0);
+    expect(fs.existsSync(path.join(projectDir, '.jetpack-state.json'))).toBe(true);
+    expect(jetpack.getState().manifest.name).toBe('api-test-project');
+  });
+
+  test('Accept manifest as YAML string', async () => {
+    const jetpack = createJetpack({ cwd: projectDir, manifest: manifestYaml });
+
+    const state = await jetpack.init({ dryRun: true, only: 'setup' });
+
+    expect(state.manifest.name).toBe('api-test-project');
+    expect(state.manifestHash).toHaveLength(64);
+  });
+
+  test('Fail when no manifest can be found', async () => {
+    fs.unlinkSync(path.join(projectDir, '.onboard.yaml'));
+    const jetpack = createJetpack({ cwd: projectDir });
+
+    await expect(jetpack.init({ dryRun: true })).rejects.toThrow('No manifest given');
+    expect(process.cwd()).toBe(originalCwd);
+  });
+
+  test('Run overlapping calls one after another in their own directory', async () => {
+    const otherDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jetpack-api-'));
+    fs.writeFileSync(path.join(otherDir, '.onboard.yaml'), manifestYaml.replace('api-test-project', 'other-project'));
+    const seen = [];
+    const track = (jetpack, name) => jetpack
+      .on('workflow:start', () => seen.push(`${name} start ${process.cwd()}`))
+      .on('workflow:complete', () => seen.push(`${name} complete ${process.cwd()}`));
+
+    try {
+      const first = track(createJetpack({ cwd: projectDir }), 'first');
+      const second = track(createJetpack({ cwd: otherDir }), 'second');
+      const failing = createJetpack({ cwd: projectDir, manifest: 'missing.yaml' });
+
+      const [firstState, failed, secondState] = await Promise.allSettled([
+        first.init({ dryRun: true, only: 'setup' }),
+        failing.init({ dryRun: true }),
+        second.init({ dryRun: true, only: 'setup' })
+      ]);
+
+      expect(firstState.value.manifest.name).toBe('api-test-project');
+      expect(failed.status).toBe('rejected');
+      expect(secondState.value.manifest.name).toBe('other-project');
+      expect(seen).toEqual([
+        `first start ${projectDir}`,
+        `first complete ${projectDir}`,
+        `second start ${otherDir}`,
+        `second complete ${otherDir}`
+      ]);
+      expect(process.cwd()).toBe(originalCwd);
+    } finally {
+      fs.rmSync(otherDir, { recursive: true, force: true });
+    }
+  });
+
+});
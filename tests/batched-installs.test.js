@@ -0,0 +1,124 @@
+/**
+ * Test suite for batched and concurrent dependency installs
+ */
+
+jest.mock('child_process');
+
+const childProcess = require('child_process');
+const pm = require('../src/core/package-managers');
+const installer = require('../src/core/dependency-installer');
+
+describe('Batched Install Tests', () => {
+
+  const dnf = { platform: 'linux', packageManagers: { dnf: true } };
+  let commands;
+
+  // getPackagePlan() result for a package string, e.g. "eslint@^8" or "black>=23"
+  const planFor = (pkg, action = 'install') => {
+    const { name, version } = pm.parsePackageName(pkg);
+    return { package: pkg, name, constraint: version, currentVersion: action === 'install' ? null : '1.0.0', action };
+  };
+
+  beforeEach(() => {
+    // Map of command -> output; unknown commands fail
+    commands = { 'npm --version': '10.2.4', 'pip --version': 'pip 24.0' };
+    childProcess.execSync.mockImplementation((command) => {
+      if (command in commands) {
+        return commands[command];
+      }
+      throw new Error(`Command failed: ${command}`);
+    });
+    jest.spyOn(pm, 'getInstalledPackage').mockResolvedValue({ installed: true, version: null });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('Install missing npm packages with one command', async () => {
+    jest.spyOn(pm, 'getPackagePlan').mockImplementation(async pkg => planFor(pkg, pkg === 'prettier' ? 'skip' : 'install'));
+    const execute = jest.spyOn(pm, 'executeCommand').mockResolvedValue({ success: true, output: '' });
+
+    const result = await installer.installNpmDependencies(['eslint@^8', 'prettier', 'typescript'], {});
+
+    expect(execute).toHaveBeenCalledTimes(1);
+    expect(execute).toHaveBeenCalledWith('npm install -g "eslint@^8" typescript', {});
+    expect(result.installed).toEqual(['eslint@^8', 'typescript']);
+    expect(result.skipped).toEqual(['prettier']);
+  });
+
+  test('Retry a failed batch one package at a time', async () => {
+    jest.spyOn(pm, 'getPackagePlan').mockImplementation(async pkg => planFor(pkg));
+    const execute = jest.spyOn(pm, 'executeCommand').mockImplementation(async cmd => (
+      cmd.includes('no-such-package')
+        ? { success: false, error: 'npm ERR! 404 Not Found - no-such-package' }
+        : { success: true, output: '' }
+    ));
+
+    const result = await installer.installNpmDependencies(['eslint', 'no-such-package'], {});
+
+    expect(execute.mock.calls.map(([cmd]) => cmd)).toEqual([
+      'npm install -g eslint no-such-package',
+      'npm install -g eslint',
+      'npm install -g no-such-package'
+    ]);
+    expect(result.installed).toEqual(['eslint']);
+    expect(result.failed).toEqual([{ package: 'no-such-package', reason: 'npm ERR! 404 Not Found - no-such-package' }]);
+  });
+
+  test('Batch system installs and upgrades separately with translated names', async () => {
+    jest.spyOn(pm, 'getPackagePlan').mockImplementation(async pkg => planFor(pkg, pkg === 'curl' ? 'upgrade' : 'install'));
+    const execute = jest.spyOn(pm, 'executeCommand').mockResolvedValue({ success: true, output: '' });
+
+    const result = await installer.installSystemDependencies(['libssl-dev', 'git', 'curl'], dnf, {});
+
+    expect(execute.mock.calls.map(([cmd]) => cmd)).toEqual([
+      'sudo dnf install -y openssl-devel git',
+      'sudo dnf upgrade -y curl'
+    ]);
+    expect(result.installed).toEqual(['libssl-dev', 'git', 'curl']);
+    expect(pm.getSystemBatchCommand(['git', 'jq'], { platform: 'win32', packageManagers: { winget: true } })).toBeNull();
+  });
+
+  test('Do not retry pip packages one at a time on a PEP 668 refusal', async () => {
+    jest.spyOn(pm, 'getPackagePlan').mockImplementation(async pkg => planFor(pkg));
+    const execute = jest.spyOn(pm, 'executeCommand')
+      .mockResolvedValueOnce({ success: false, error: 'error: externally-managed-environment' })
+      .mockResolvedValueOnce({ success: false, error: 'No matching distribution found for blak' })
+      .mockResolvedValueOnce({ success: false, error: 'No matching distribution found for blak' })
+      .mockResolvedValue({ success: true, output: '' });
+
+    const refused = await installer.installPythonDependencies(['black', 'requests'], {});
+    expect(execute).toHaveBeenCalledTimes(1);
+    expect(refused.failed.map(failure => failure.package)).toEqual(['black', 'requests']);
+
+    const retried = await installer.installPythonDependencies(['blak', 'requests'], {});
+    expect(execute.mock.calls.slice(1).map(([cmd]) => cmd)).toEqual([
+      'pip install blak requests',
+      'pip install blak',
+      'pip install requests'
+    ]);
+    expect(retried.installed).toEqual(['requests']);
+    expect(retried.failed).toEqual([{ package: 'blak', reason: 'No matching distribution found for blak' }]);
+  });
+
+  test('Run npm and Python phases concurrently unless the limit is 1', async () => {
+    jest.spyOn(pm, 'getPackagePlan').mockImplementation(async pkg => planFor(pkg));
+    const order = [];
+    jest.spyOn(pm, 'executeCommand').mockImplementation(async (cmd) => {
+      order.push(`start ${cmd.split(' ')[0]}`);
+      await new Promise(resolve => setImmediate(resolve));
+      order.push(`end ${cmd.split(' ')[0]}`);
+      return { success: true, output: '' };
+    });
+    const dependencies = { system: [], npm: ['eslint'], python: ['black'] };
+
+    await installer.installDependencies(dependencies, dnf, {});
+    expect(order).toEqual(['start npm', 'start pip', 'end npm', 'end pip']);
+
+    order.length = 0;
+    await installer.installDependencies(dependencies, dnf, { concurrency: '1' });
+    expect(order).toEqual(['start npm', 'end npm', 'start pip', 'end pip']);
+  });
+
+});
@@ -7,6 +7,7 @@ const configGenerator = require('../src/core/config-generator');
 const manifestParser = require('../src/detectors/manifest-parser');
 const path = require('path');
 const fs = require('fs');
+const os = require('os');
 
 // Mock config-utils to control environment and git checks
 jest.mock('../src/core/config-utils', () => {
@@ -26,10 +27,15 @@ const configUtils = require('../src/core/config-utils');
 
 describe('Config Generator Tests', () => {
 
-  const projectRoot = process.cwd();
+  const originalCwd = process.cwd();
   const envFiles = ['.env.template', '.env.example', '.env'];
+  let projectRoot;
 
   beforeEach(() => {
+    // Generated files (.env*, .gitignore) go to a scratch project, never the checkout
+    projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'jetpack-config-'));
+    process.chdir(projectRoot);
+
     // Default mocks
     configUtils.getGitConfig.mockReturnValue(null);
     configUtils.setGitConfig.mockReturnValue({ success: true });
@@ -40,16 +46,8 @@ describe('Config Generator Tests', () => {
   });
 
   afterEach(() => {
-    // Cleanup test files
-    envFiles.forEach(file => {
-      try {
-        if (fs.existsSync(path.join(projectRoot, file))) {
-          fs.unlinkSync(path.join(projectRoot, file));
-        }
-      } catch (err) {
-        // Ignore
-      }
-    });
+    process.chdir(originalCwd);
+    fs.rmSync(projectRoot, { recursive: true, force: true });
   });
 
   test('Dry-run mode (All features)', async () => {
@@ -81,6 +79,7 @@ describe('Config Generator Tests', () => {
 
     expect(actualResult.generated).toBe(true);
     expect(actualResult.files.env.created.length).toBeGreaterThan(0);
+    expect(fs.readFileSync(path.join(projectRoot, '.gitignore'), 'utf8')).toContain('.jetpack/support/');
 
     // Verify files exist
     envFiles.forEach(file => {
@@ -96,4 +96,73 @@ describe('Dependency Installer Tests', () => {
     expect(typeof result.summary.installed).toBe('number');
   });
 
+  test('Upgrade packages that do not satisfy their constraint and record versions', async () => {
+    const pm = require('../src/core/package-managers');
+    const orchestrator = require('../src/core/orchestrator');
+    const plans = {
+      'eslint@^8': { package: 'eslint@^8', name: 'eslint', constraint: '^8', currentVersion: '7.32.0', action: 'upgrade' },
+      prettier: { package: 'prettier', name: 'prettier', constraint: null, currentVersion: '3.2.0', action: 'skip' }
+    };
+
+    jest.spyOn(pm, 'getPackagePlan').mockImplementation(async (pkg) => plans[pkg]);
+    jest.spyOn(pm, 'getInstalledPackage').mockResolvedValue({ installed: true, version: '8.57.0' });
+    jest.spyOn(pm, 'checkPackageUsable').mockResolvedValue({ usable: true, probe: 'npm ls -g eslint', reason: null });
+    const execute = jest.spyOn(pm, 'executeCommand').mockResolvedValue({ success: true, output: '' });
+
+    try {
+      const result = await installer.installDependencies(
+        { system: [], npm: ['eslint@^8', 'prettier'], python: [] },
+        mockEnvironment,
+        {}
+      );
+
+      expect(execute).toHaveBeenCalledWith('npm install -g "eslint@^8"', {});
+      expect(result.npm.installed).toEqual(['eslint@^8']);
+      expect(result.npm.skipped).toEqual(['prettier']);
+      expect(orchestrator.trackPackage('eslint@^8', true, result.npm)).toEqual({
+        name: 'eslint',
+        installed: true,
+        version: '8.57.0',
+        constraint: '^8',
+        previousVersion: '7.32.0'
+      });
+      expect(orchestrator.trackPackage('prettier', false, result.npm))
+        .toEqual({ name: 'prettier', installed: false, version: '3.2.0' });
+    } finally {
+      jest.restoreAllMocks();
+    }
+  });
+
+  test('Run install commands without blocking and report their stderr', async () => {
+    const pm = require('../src/core/package-managers');
+
+    const succeeded = await pm.executeCommand('node -e "console.log(42)"');
+    const failed = await pm.executeCommand('node -e "console.error(\'ERESOLVE\'); process.exit(3)"');
+
+    expect(succeeded).toEqual({ success: true, output: '42' });
+    expect(failed).toMatchObject({ success: false, exitCode: 3 });
+    expect(failed.error).toContain('ERESOLVE');
+  });
+
+  test('Run an argument list without a shell', async () => {
+    const pm = require('../src/core/package-managers');
+
+    const result = await pm.executeCommand([process.execPath, '-e', 'console.log(process.argv[1])', '$(id); echo <2.32']);
+    const missing = await pm.executeCommand(['jetpack-no-such-program', 'install']);
+
+    expect(result).toEqual({ success: true, output: '$(id); echo <2.32' });
+    expect(missing).toMatchObject({ success: false, command: 'jetpack-no-such-program install' });
+  });
+
+  test('Report a Node.js version outside dependencies.node', async () => {
+    const result = await installer.installDependencies(
+      { system: [], npm: [], python: [], node: '>=18 <21' },
+      { ...mockEnvironment, nodeVersion: 'v16.20.2' },
+      { dryRun: true }
+    );
+
+    expect(result.node).toEqual({ constraint: '>=18 <21', version: '16.20.2', satisfied: false, action: 'upgrade' });
+    expect(result.errors).toEqual([{ phase: 'node', message: 'Node.js 16.20.2 does not satisfy >=18 <21' }]);
+  });
+
 });
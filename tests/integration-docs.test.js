@@ -66,20 +66,20 @@ describe('Documentation Generation Integration', () => {
       timestamp: new Date().toISOString(),
       steps: [
         {
-          id: 1,
+          id: 'environment',
           name: 'Environment Detection',
           status: 'completed',
           result: { detected: true, os: 'Windows_NT', node: 'v20.19.1' }
         },
         {
-          id: 2,
+          id: 'manifest',
           name: 'Parse Manifest',
           status: 'completed',
           result: { manifest, parsed: true }
         },
         // ... (other steps omitted for brevity in mock setup, but critical ones for doc gen below)
         {
-          id: 5,
+          id: 'config',
           name: 'Generate Configurations',
           status: 'completed',
           result: {
@@ -99,7 +99,7 @@ describe('Documentation Generation Integration', () => {
           }
         },
         {
-          id: 7,
+          id: 'verify',
           name: 'Verify Setup',
           status: 'completed',
           result: {
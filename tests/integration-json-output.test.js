@@ -0,0 +1,148 @@
+/**
+ * Integration Tests for --json output mode
+ * Runs the CLI in a temporary project and parses stdout as JSON
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const binPath = path.join(__dirname, '..', 'bin', 'jetpack.js');
+
+describe('JSON Output Integration Tests', () => {
+
+  const manifestYaml = `
+name: json-test-project
+dependencies:
+  npm:
+    - eslint
+setup_steps:
+  - name: Say hello
+    command: echo hello
+verification:
+  checks:
+    - name: Manifest exists
+      type: file
+      path: .onboard.yaml
+`;
+
+  let projectDir;
+
+  const runCli = (...args) => {
+    const result = spawnSync('node', [binPath, ...args], {
+      cwd: projectDir,
+      encoding: 'utf8',
+      input: '',
+      timeout: 60000
+    });
+    return { status: result.status, document: JSON.parse(result.stdout), stderr: result.stderr };
+  };
+
+  beforeEach(() => {
+    projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jetpack-json-'));
+    fs.writeFileSync(path.join(projectDir, '.onboard.yaml'), manifestYaml);
+  });
+
+  afterEach(() => {
+    fs.rmSync(projectDir, { recursive: true, force: true });
+  });
+
+  test('init prints step results as a single JSON document', () => {
+    const { status, document, stderr } = runCli('init', '.', '--only', 'setup', '--skip-install', '--json');
+
+    expect(status).toBe(0);
+    expect(document.command).toBe('init');
+    expect(document.success).toBe(true);
+    expect(document.project).toBe('json-test-project');
+    expect(document.steps.map(s => s.id)).toEqual(['environment', 'manifest', 'setup']);
+    // Setup command output is kept off stdout
+    expect(stderr).toContain('hello');
+  }, 60000);
+
+  test('init failure exits 1 with error details', () => {
+    fs.writeFileSync(path.join(projectDir, '.onboard.yaml'), 'name: broken\n');
+
+    const { status, document } = runCli('init', '.', '--json');
+
+    expect(status).toBe(1);
+    expect(document.success).toBe(false);
+    expect(document.error.message).toBeDefined();
+  }, 60000);
+
+  test('verify prints the VerificationResult payload', () => {
+    runCli('init', '.', '--only', 'setup', '--skip-install', '--json');
+
+    const { status, document } = runCli('verify', '--json');
+
+    expect(status).toBe(0);
+    expect(document.command).toBe('verify');
+    expect(document.success).toBe(true);
+    expect(document.verification.summary.passed).toBe(1);
+  }, 60000);
+
+  test('verify without state exits 1', () => {
+    const { status, document } = runCli('--json', 'verify');
+
+    expect(status).toBe(1);
+    expect(document.success).toBe(false);
+    expect(document.error.message).toContain('No installation state');
+  }, 60000);
+
+  test('status summarizes the state file', () => {
+    runCli('init', '.', '--only', 'setup', '--skip-install', '--json');
+
+    const { status, document } = runCli('status', '--json');
+
+    expect(status).toBe(0);
+    expect(document.project).toMatchObject({ name: 'json-test-project', source: 'local' });
+    expect(document.run.status).toBe('completed');
+    expect(document.rollback.available).toBe(true);
+  }, 60000);
+
+  test('validate exits 1 on lint errors and honours --strict', () => {
+    const clean = runCli('validate', '--offline', '--json');
+    expect(clean.status).toBe(0);
+    expect(clean.document).toMatchObject({ command: 'validate', success: true, file: '.onboard.yaml', errors: [] });
+
+    fs.writeFileSync(path.join(projectDir, 'dup.yaml'), manifestYaml.replace(
+      'command: echo hello',
+      'command: echo hello\n  - name: Say hello\n    command: echo again'
+    ));
+    const duplicate = runCli('validate', 'dup.yaml', '--offline', '--json');
+    expect(duplicate.status).toBe(1);
+    expect(duplicate.document.errors).toEqual([expect.objectContaining({ rule: 'duplicate-step-name', line: 9 })]);
+
+    fs.writeFileSync(path.join(projectDir, 'typo.yaml'), `${manifestYaml}documentaton:\n  enabled: true\n`);
+    expect(runCli('validate', 'typo.yaml', '--offline', '--json').status).toBe(0);
+    expect(runCli('validate', 'typo.yaml', '--offline', '--strict', '--json').status).toBe(1);
+  }, 60000);
+
+  test('rollback without state reports nothing to roll back and exits 0', () => {
+    const { status, document } = runCli('rollback', '--yes', '--json');
+    expect(status).toBe(0);
+    expect(document).toMatchObject({ command: 'rollback', success: true, rolledBack: false, reason: 'no-state' });
+
+    const human = spawnSync('node', [binPath, 'rollback'], { cwd: projectDir, encoding: 'utf8', input: '', timeout: 60000 });
+    expect(human.status).toBe(0);
+    expect(human.stdout + human.stderr).toContain('No Jetpack installation found');
+  }, 60000);
+
+  test('rollback requires --yes or --dry-run in JSON mode', () => {
+    runCli('init', '.', '--only', 'setup', '--skip-install', '--json');
+
+    const refused = runCli('rollback', '--json');
+    expect(refused.status).toBe(1);
+    expect(refused.document.errors[0]).toContain('--yes');
+
+    const preview = runCli('rollback', '--dry-run', '--json');
+    expect(preview.status).toBe(0);
+    expect(preview.document).toMatchObject({ command: 'rollback', success: true, dryRun: true });
+    expect(Object.keys(preview.document.results)).toEqual(['plugins', 'docs', 'git', 'ssh', 'config', 'dependencies', 'runtimes']);
+
+    const applied = runCli('rollback', '--yes', '--json');
+    expect(applied.status).toBe(0);
+    expect(applied.document.results.docs).toBeDefined();
+  }, 60000);
+
+});
@@ -59,7 +59,7 @@ describe('Setup Execution Integration', () => {
       _state: {
         steps: [
           {
-            id: 2,
+            id: 'manifest',
             name: 'Parse Manifest',
             result: { manifest }
           }
@@ -83,7 +83,7 @@ describe('Setup Execution Integration', () => {
       _state: {
         steps: [
           {
-            id: 2,
+            id: 'manifest',
             name: 'Parse Manifest',
             result: {
               manifest: {
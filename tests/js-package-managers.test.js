@@ -0,0 +1,113 @@
+/**
+ * Test suite for yarn, pnpm and bun as JavaScript package managers
+ */
+
+jest.mock('child_process');
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const childProcess = require('child_process');
+const pm = require('../src/core/package-managers');
+const installer = require('../src/core/dependency-installer');
+const orchestrator = require('../src/core/orchestrator');
+const rollbackActions = require('../src/rollback/rollback-actions');
+
+describe('JavaScript Package Manager Tests', () => {
+
+  let tempDir;
+  let commands;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jetpack-js-pm-'));
+
+    // Map of command -> output; unknown commands fail
+    commands = {};
+    childProcess.execSync.mockImplementation((command) => {
+      if (command in commands) {
+        return commands[command];
+      }
+      throw new Error(`Command failed: ${command}`);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('Resolve the package manager from manifest, package.json, then lockfiles', () => {
+    expect(pm.resolveJsPackageManager(null, tempDir)).toEqual({ name: 'npm', source: 'default' });
+
+    fs.writeFileSync(path.join(tempDir, 'yarn.lock'), '');
+    expect(pm.resolveJsPackageManager(null, tempDir)).toEqual({ name: 'yarn', source: 'yarn.lock' });
+
+    fs.writeFileSync(path.join(tempDir, 'package.json'), JSON.stringify({ packageManager: 'pnpm@9.1.0+sha512.abc' }));
+    expect(pm.resolveJsPackageManager(null, tempDir)).toEqual({ name: 'pnpm', source: 'package.json' });
+
+    expect(pm.resolveJsPackageManager('bun', tempDir)).toEqual({ name: 'bun', source: 'manifest' });
+  });
+
+  test('Read installed versions from each global list', async () => {
+    commands['pnpm list -g eslint --depth=0 --json'] = JSON.stringify([{ dependencies: { eslint: { version: '8.57.0' } } }]);
+    commands['yarn global list --depth=0'] = 'info "@scope/tool@1.2.3" has binaries:\n   - tool\n';
+    commands['bun pm ls -g'] = '/root/.bun/install/global node_modules (2)\n├── prettier@3.2.5\n└── typescript@5.4.5\n';
+
+    expect(await pm.getInstalledPackage('eslint', 'pnpm', {})).toEqual({ installed: true, version: '8.57.0' });
+    expect(await pm.getInstalledPackage('@scope/tool', 'yarn', {})).toEqual({ installed: true, version: '1.2.3' });
+    expect(await pm.getInstalledPackage('typescript', 'bun', {})).toEqual({ installed: true, version: '5.4.5' });
+    expect(await pm.getInstalledPackage('eslint', 'bun', {})).toEqual({ installed: false, version: null });
+    expect(await pm.isPackageInstalled('prettier', 'bun', {})).toBe(true);
+  });
+
+  test('Install with the chosen tool and record it for rollback', async () => {
+    commands['pnpm --version'] = '9.1.0';
+    commands['pnpm list -g eslint --depth=0 --json'] = JSON.stringify([{ dependencies: { eslint: { version: '8.57.0' } } }]);
+    jest.spyOn(pm, 'getPackagePlan').mockImplementation(async pkg => ({
+      package: pkg, name: 'eslint', constraint: '^8', currentVersion: null, action: 'install'
+    }));
+    jest.spyOn(pm, 'getInstalledPackage').mockResolvedValue({ installed: true, version: '8.57.0' });
+    const execute = jest.spyOn(pm, 'executeCommand').mockResolvedValue({ success: true, output: '' });
+
+    const result = await installer.installDependencies(
+      { system: [], npm: ['eslint@^8'], python: [] },
+      { platform: 'linux', packageManagers: { pnpm: true } },
+      { jsPackageManager: 'pnpm' }
+    );
+
+    expect(pm.getPackagePlan).toHaveBeenCalledWith('eslint@^8', 'pnpm', {});
+    expect(execute).toHaveBeenCalledWith('pnpm add -g "eslint@^8"', expect.any(Object));
+    expect(result.npm.manager).toBe('pnpm');
+
+    const state = { environment: { platform: 'linux' }, rollback: { dependencies: { npm: [], pip: [], system: [] } } };
+    orchestrator.enhanceRollbackTracking(state, 'dependencies', { packages: result });
+    expect(state.rollback.dependencies.npm).toEqual([
+      { name: 'eslint', installed: true, version: '8.57.0', constraint: '^8', manager: 'pnpm' }
+    ]);
+  });
+
+  test('Uninstall and restore with the tool that installed the package', async () => {
+    commands['yarn global remove eslint'] = '';
+    commands['bun add -g prettier@3.1.0'] = '';
+
+    const state = {
+      rollback: {
+        dependencies: {
+          npm: [
+            { name: 'eslint', installed: true, version: '8.57.0', manager: 'yarn' },
+            { name: 'prettier', installed: true, version: '3.2.5', previousVersion: '3.1.0', manager: 'bun' }
+          ],
+          pip: [],
+          system: []
+        }
+      }
+    };
+
+    const result = await rollbackActions.rollbackDependencies(state, { unsafe: true });
+
+    expect(result.uninstalled).toEqual([{ name: 'eslint', type: 'npm' }]);
+    expect(result.restored).toEqual([{ name: 'prettier', type: 'bun', version: '3.1.0' }]);
+    expect(result.failed).toEqual([]);
+  });
+
+});
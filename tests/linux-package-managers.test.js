@@ -0,0 +1,82 @@
+/**
+ * Test suite for Linux system package managers (apt, dnf, yum, pacman, zypper, apk)
+ */
+
+jest.mock('child_process');
+
+const childProcess = require('child_process');
+const pm = require('../src/core/package-managers');
+const platformConditions = require('../src/detectors/platform-conditions');
+
+describe('Linux Package Manager Tests', () => {
+
+  const linux = (...managers) => ({
+    platform: 'linux',
+    packageManagers: Object.fromEntries(managers.map(name => [name, true]))
+  });
+
+  let commands;
+
+  beforeEach(() => {
+    // Map of command -> output; unknown commands fail
+    commands = {};
+    childProcess.execSync.mockImplementation((command) => {
+      if (command in commands) {
+        return commands[command];
+      }
+      throw new Error(`Command failed: ${command}`);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('Prefer apt, then dnf over yum, and detect pacman, zypper and apk', () => {
+    expect(pm.detectSystemPackageManager(linux('yum', 'apt'))).toBe('apt');
+    expect(pm.detectSystemPackageManager(linux('yum', 'dnf'))).toBe('dnf');
+    expect(pm.detectSystemPackageManager(linux('pacman'))).toBe('pacman');
+    expect(pm.detectSystemPackageManager(linux('zypper'))).toBe('zypper');
+    expect(pm.detectSystemPackageManager(linux('apk'))).toBe('apk');
+    expect(pm.detectSystemPackageManager(linux())).toBeNull();
+    expect(pm.isPackageManagerAvailable('pacman', linux('pacman'))).toBe(true);
+  });
+
+  test('Translate Debian package names for each manager', () => {
+    expect(pm.getSystemPackageCommand('libssl-dev', linux('dnf'))).toBe('sudo dnf install -y openssl-devel');
+    expect(pm.getSystemPackageCommand('libssl-dev', linux('pacman'))).toBe('sudo pacman -S --noconfirm --needed openssl');
+    expect(pm.getSystemPackageCommand('libssl-dev', linux('apk'))).toBe('sudo apk add openssl-dev');
+    expect(pm.getSystemPackageCommand('libssl-dev', linux('apt'))).toBe('sudo apt-get install -y libssl-dev');
+    expect(pm.getSystemPackageCommand('git', linux('zypper'), 'upgrade')).toBe('sudo zypper --non-interactive update git');
+    expect(pm.resolveSystemPackageName('build-essential', 'apk')).toBe('build-base');
+  });
+
+  test('Read installed versions with each manager', async () => {
+    commands['pacman -Q python'] = 'python 3.11.8-1\n';
+    commands['apk list --installed py3-pip'] = 'py3-pip-23.3.1-r0 noarch {py3-pip} (MIT) [installed]\n';
+    commands["rpm -q --qf '%{VERSION}' openssh-clients"] = '9.3p1';
+
+    expect(await pm.getInstalledPackage('python3', 'system', linux('pacman'))).toEqual({ installed: true, version: '3.11.8' });
+    expect(await pm.getInstalledPackage('python3-pip', 'system', linux('apk'))).toEqual({ installed: true, version: '23.3.1' });
+    expect(await pm.getInstalledPackage('openssh-client', 'system', linux('dnf'))).toEqual({ installed: true, version: '9.3' });
+    expect(await pm.getInstalledPackage('git', 'system', linux('apk'))).toEqual({ installed: false, version: null });
+  });
+
+  test('Uninstall with the first manager found on PATH', () => {
+    commands['which pacman'] = '/usr/bin/pacman';
+    expect(pm.getUninstallCommand('system', 'redis-server', 'linux')).toBe('sudo pacman -R --noconfirm redis');
+  });
+
+  test('Select per-platform packages for the new managers', () => {
+    const manifest = {
+      dependencies: { system: [], npm: [], python: [], systemByPlatform: { all: ['git'], 'linux-apk': ['musl-dev'], linux: ['gcc'] } },
+      setupSteps: [],
+      verification: null
+    };
+
+    const resolved = platformConditions.resolveManifest(manifest, { ...linux('apk'), arch: 'x64' });
+    expect(resolved.dependencies.system).toEqual(['git', 'musl-dev']);
+    expect(resolved.metadata.platform.packageManager).toBe('apk');
+  });
+
+});
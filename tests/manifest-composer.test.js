@@ -0,0 +1,167 @@
+/**
+ * Test suite for manifest composition (extends / include)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const manifestParser = require('../src/detectors/manifest-parser');
+
+describe('Manifest Composer Tests', () => {
+
+  const BASE = `dependencies:
+  system: [git, curl]
+  npm: [eslint]
+git:
+  configure: true
+  user:
+    name: Platform Team
+    email: platform@example.com
+verification:
+  checks:
+    - name: Git installed
+      type: command
+      command: git --version
+`;
+
+  let projectDir;
+
+  const write = (file, content) => {
+    const filePath = path.join(projectDir, file);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+    return filePath;
+  };
+
+  beforeEach(() => {
+    projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jetpack-compose-'));
+    write('base.onboard.yaml', BASE);
+  });
+
+  afterEach(() => {
+    fs.rmSync(projectDir, { recursive: true, force: true });
+  });
+
+  test('Merge extends and include: arrays concatenate, objects deep-merge, local wins', () => {
+    write('fragments/python.yaml', `dependencies:
+  python: [black]
+setup_steps:
+  - name: Create venv
+    command: python3 -m venv .venv
+`);
+    const manifestPath = write('.onboard.yaml', `extends: ./base.onboard.yaml
+include:
+  - fragments/python.yaml
+name: service
+dependencies:
+  system: [git, jq]
+git:
+  user:
+    email: service@example.com
+setup_steps:
+  - name: Install
+    command: npm install
+`);
+
+    const manifest = manifestParser.parseManifest(manifestPath);
+
+    expect(manifest.name).toBe('service');
+    expect(manifest.dependencies.system).toEqual(['git', 'curl', 'jq']);
+    expect(manifest.dependencies.npm).toEqual(['eslint']);
+    expect(manifest.dependencies.python).toEqual(['black']);
+    expect(manifest.git).toEqual({
+      configure: true,
+      user: { name: 'Platform Team', email: 'service@example.com' }
+    });
+    expect(manifest.setupSteps.map(s => s.name)).toEqual(['Create venv', 'Install']);
+    expect(manifest.verification.checks).toHaveLength(1);
+    expect(manifest.metadata.sources).toEqual(['base.onboard.yaml', path.join('fragments', 'python.yaml')]);
+  });
+
+  test('Resolve nested references relative to the referencing file', () => {
+    write('org/base.yaml', 'extends: ../base.onboard.yaml\ndescription: Org defaults\n');
+
+    const manifest = manifestParser.parseManifestFromString(`extends: org/base.yaml
+name: nested
+setup_steps:
+  - name: Install
+    command: npm install
+`, { baseDir: projectDir });
+
+    expect(manifest.description).toBe('Org defaults');
+    expect(manifest.dependencies.system).toEqual(['git', 'curl']);
+  });
+
+  test('Report errors with the file a value came from', () => {
+    write('base.onboard.yaml', BASE.replace('command: git --version', 'command: 42'));
+
+    const { errors } = manifestParser.validateManifestContent(`extends: ./base.onboard.yaml
+name: provenance
+setup_steps:
+  - name: Install
+    command: npm install
+`, { baseDir: projectDir });
+
+    expect(errors).toEqual([expect.objectContaining({
+      path: 'verification.checks[0].command',
+      file: 'base.onboard.yaml',
+      line: 13,
+      column: 16
+    })]);
+    expect(manifestParser.formatIssue(errors[0]))
+      .toBe('base.onboard.yaml line 13, column 16: "verification.checks[0].command" must be a string');
+  });
+
+  test('Reject missing files and circular references', () => {
+    write('a.yaml', 'extends: b.yaml\n');
+    write('b.yaml', 'extends: a.yaml\n');
+
+    expect(() => manifestParser.parseManifestFromString('extends: missing.yaml\nname: x\n', { baseDir: projectDir }))
+      .toThrow('Manifest composition failed: line 1, column 10: Cannot load "missing.yaml": file not found');
+    expect(() => manifestParser.parseManifestFromString('include: [a.yaml]\nname: x\n', { baseDir: projectDir }))
+      .toThrow('Circular manifest reference: a.yaml -> b.yaml -> a.yaml');
+  });
+
+  test('Fetch remote bases and resolve their relative references against the URL', () => {
+    const remote = {
+      'https://example.com/org/base.yaml': 'include: [ci.yaml]\ndependencies:\n  system: [git]\n',
+      'https://example.com/org/ci.yaml': 'dependencies:\n  npm: [prettier]\n'
+    };
+    const readRemote = jest.fn(url => {
+      if (!(url in remote)) {
+        throw new Error(`Failed to fetch ${url}`);
+      }
+      return remote[url];
+    });
+
+    const manifest = manifestParser.parseManifestFromString(`extends: https://example.com/org/base.yaml
+name: remote
+setup_steps:
+  - name: Install
+    command: npm install
+`, { readRemote });
+
+    expect(manifest.dependencies).toMatchObject({ system: ['git'], npm: ['prettier'] });
+    expect(readRemote).toHaveBeenCalledTimes(2);
+
+    expect(() => manifestParser.parseManifestFromString('extends: http://example.com/base.yaml\nname: x\n', { readRemote }))
+      .toThrow('Remote manifests must use https://');
+  });
+
+  test('Hash the composed manifest so changes to a base count', () => {
+    const manifestPath = write('.onboard.yaml', `extends: ./base.onboard.yaml
+name: service
+setup_steps:
+  - name: Greet
+    command: echo \${{ env.GREETING }}
+`);
+    const hash = () => manifestParser.parseManifest(manifestPath, { env: { GREETING: 'hi' } }).metadata.hash;
+    const before = hash();
+
+    expect(manifestParser.parseManifest(manifestPath, { env: { GREETING: 'hello' } }).metadata.hash).toBe(before);
+
+    write('base.onboard.yaml', BASE.replace('[git, curl]', '[git, curl, jq]'));
+    expect(hash()).not.toBe(before);
+  });
+
+});
@@ -109,7 +109,34 @@ describe('Manifest Fetcher Tests', () => {
     cache.clear('ttl-test', 'repo');
   });
 
-  // Test 8: Multiple manifest filename support
+  // Test 8: Remote manifests are only fetched over https
+  test('Fetch remote manifests over https only, also after redirects', async () => {
+    const execFileSync = jest.fn(() => 'name: base\n');
+    const execSync = jest.fn(() => { throw new Error('gh: not found'); });
+    let fetcher;
+    jest.isolateModules(() => {
+      jest.doMock('child_process', () => ({ ...jest.requireActual('child_process'), execSync, execFileSync }));
+      fetcher = require('../src/core/manifest-fetcher');
+    });
+
+    expect(() => fetcher.fetchManifestUrl('http://example.com/base.yaml')).toThrow('must use https://');
+    expect(fetcher.fetchManifestUrl('https://example.com/base.yaml')).toBe('name: base\n');
+    expect(execFileSync).toHaveBeenLastCalledWith(
+      'curl', ['-s', '-f', '-L', '--proto', '=https', '--proto-redir', '=https', 'https://example.com/base.yaml'], expect.any(Object)
+    );
+
+    const result = await fetcher.fetchFromGitHub('https://github.com/https-test/repo', { noCache: true, branch: 'main' });
+    cache.clear('https-test', 'repo');
+    jest.dontMock('child_process');
+
+    expect(result.source).toBe('raw-github');
+    expect(execFileSync).toHaveBeenLastCalledWith(
+      'curl', ['-s', '-f', '--proto', '=https', '--proto-redir', '=https', 'https://raw.githubusercontent.com/https-test/repo/main/.onboard.yaml'],
+      expect.any(Object)
+    );
+  });
+
+  // Test 9: Multiple manifest filename support
   test('Tries multiple manifest filenames', () => {
     // Logic test implied
     const filenames = ['.onboard.yaml', '.onboard.yml', 'onboard.yaml'];
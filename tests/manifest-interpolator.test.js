@@ -0,0 +1,94 @@
+/**
+ * Test suite for ${{ ... }} interpolation in manifests
+ */
+
+const manifestParser = require('../src/detectors/manifest-parser');
+
+describe('Manifest Interpolator Tests', () => {
+
+  const manifest = (body) => `name: shop
+description: Storefront
+dependencies:
+  npm: [eslint]
+${body}`;
+
+  test('Resolve env, vars, project and os references', () => {
+    const parsed = manifestParser.parseManifestFromString(manifest(`vars:
+  HEALTH_URL: http://localhost:\${{ env.PORT }}/health
+  DATA_DIR: \${{ os.home }}/.\${{ project.name }}
+setup_steps:
+  - name: Prepare \${{ project.description }} on \${{ os.platform }}
+    command: mkdir -p \${{ vars.DATA_DIR }}
+verification:
+  checks:
+    - name: Health
+      type: http
+      url: \${{ vars.HEALTH_URL }}
+`), { env: { PORT: '8080' } });
+
+    expect(parsed.setupSteps[0]).toMatchObject({
+      name: `Prepare Storefront on ${process.platform}`,
+      command: `mkdir -p ${require('os').homedir()}/.shop`
+    });
+    expect(parsed.verification.checks[0].url).toBe('http://localhost:8080/health');
+  });
+
+  test('Fall back to environment.defaults and keep YAML types for whole values', () => {
+    const parsed = manifestParser.parseManifestFromString(manifest(`environment:
+  optional: [PORT]
+  defaults:
+    PORT: 3000
+setup_steps:
+  - name: Start
+    command: npm start -- --port \${{ env.PORT }}
+verification:
+  checks:
+    - name: Server port
+      type: port
+      port: \${{ env.PORT }}
+`), { env: {} });
+
+    expect(parsed.setupSteps[0].command).toBe('npm start -- --port 3000');
+    expect(parsed.verification.checks[0].port).toBe(3000);
+  });
+
+  test('Report unresolved and invalid references with positions', () => {
+    const { errors } = manifestParser.validateManifestContent(manifest(`setup_steps:
+  - name: Deploy
+    command: deploy --token \${{ env.DEPLOY_TOKEN }} --region \${{ vars.REGION }}
+  - name: Weird
+    command: echo \${{ secrets.KEY }}
+`), { env: {} });
+
+    expect(errors.map(e => [e.path, e.line, e.message])).toEqual([
+      ['setup_steps[0].command', 7, 'Unresolved reference "${{ env.DEPLOY_TOKEN }}": DEPLOY_TOKEN is not set and has no default in environment.defaults'],
+      ['setup_steps[0].command', 7, 'Unresolved reference "${{ vars.REGION }}": "REGION" is not defined in vars'],
+      ['setup_steps[1].command', 9, 'Invalid reference "${{ secrets.KEY }}" - use env.NAME, vars.NAME, project.name or os.platform']
+    ]);
+  });
+
+  test('Detect circular vars', () => {
+    expect(() => manifestParser.parseManifestFromString(manifest(`vars:
+  A: \${{ vars.B }}
+  B: \${{ vars.A }}
+setup_steps:
+  - name: Loop
+    command: echo \${{ vars.A }}
+`))).toThrow('line 6, column 6: Circular reference in "${{ vars.B }}"');
+  });
+
+  test('Keep $${{ ... }} as a literal reference', () => {
+    const parsed = manifestParser.parseManifestFromString(manifest(`vars:
+  TOKEN: $\${{ secrets.NPM_TOKEN }}
+setup_steps:
+  - name: Write CI config
+    command: echo "token=\${TOKEN} run=$\${{ github.run_id }} port=\${{ env.PORT }}"
+  - name: Keep
+    command: echo \${{ vars.TOKEN }}
+`), { env: { PORT: '8080' } });
+
+    expect(parsed.setupSteps[0].command).toBe('echo "token=${TOKEN} run=${{ github.run_id }} port=8080"');
+    expect(parsed.setupSteps[1].command).toBe('echo ${{ secrets.NPM_TOKEN }}');
+  });
+
+});
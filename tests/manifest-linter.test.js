@@ -0,0 +1,107 @@
+/**
+ * Test suite for manifest lint rules (jetpack validate)
+ */
+
+const manifestLinter = require('../src/detectors/manifest-linter');
+
+const BASE = `name: demo
+dependencies:
+  npm: [eslint]
+  environment:
+    required: [API_KEY]
+setup_steps:
+  - name: install
+    command: npm install
+`;
+
+describe('Manifest Linter Tests', () => {
+
+  test('Accept a clean manifest', async () => {
+    const result = await manifestLinter.lint(BASE, { offline: true });
+
+    expect(result).toEqual({ valid: true, errors: [], warnings: [] });
+  });
+
+  test('Report duplicate setup step names with position', async () => {
+    const content = `${BASE}  - name: install
+    command: npm ci
+`;
+
+    const { valid, errors } = await manifestLinter.lint(content, { offline: true });
+
+    expect(valid).toBe(false);
+    expect(errors).toEqual([expect.objectContaining({
+      rule: 'duplicate-step-name',
+      severity: 'error',
+      path: 'setup_steps[1].name',
+      line: 9,
+      column: 11
+    })]);
+  });
+
+  test('Report unnamed checks and undeclared env vars', async () => {
+    const content = `${BASE}verification:
+  checks:
+    - type: command
+      command: echo $API_KEY $HOME \${DB_URL} $TOKEN
+      env:
+        TOKEN: abc
+`;
+
+    const { errors, warnings } = await manifestLinter.lint(content, { offline: true });
+
+    expect(errors.map(e => e.rule)).toEqual(['check-missing-name']);
+    expect(warnings).toEqual([expect.objectContaining({
+      rule: 'undeclared-env-var',
+      path: 'verification.checks[0].command',
+      message: 'verification.checks[0] uses $DB_URL, which is not declared in environment'
+    })]);
+  });
+
+  test('Reject package names that fail validatePackageName', async () => {
+    const content = BASE.replace('[eslint]', '[eslint, "left-pad; rm -rf ~"]');
+
+    const { errors } = await manifestLinter.lint(content, { offline: true });
+
+    expect(errors).toEqual([expect.objectContaining({
+      rule: 'invalid-package-name',
+      path: 'dependencies.npm[1]',
+      line: 3
+    })]);
+  });
+
+  test('Warn about unreachable documentation URLs unless offline', async () => {
+    const content = `${BASE}documentation:
+  custom:
+    wiki: https://wiki.example.com/onboarding
+    team: Platform
+`;
+    const spy = jest.spyOn(manifestLinter, 'probeUrl').mockResolvedValue('HTTP 404');
+
+    try {
+      const online = await manifestLinter.lint(content);
+      expect(spy).toHaveBeenCalledTimes(1);
+      expect(online.valid).toBe(true);
+      expect(online.warnings).toEqual([expect.objectContaining({
+        rule: 'unreachable-url',
+        path: 'documentation.custom.wiki',
+        line: 11
+      })]);
+
+      spy.mockClear();
+      const offline = await manifestLinter.lint(content, { offline: true });
+      expect(spy).not.toHaveBeenCalled();
+      expect(offline.warnings).toEqual([]);
+    } finally {
+      spy.mockRestore();
+    }
+  });
+
+  test('Skip lint rules when the YAML does not parse', async () => {
+    const { valid, errors } = await manifestLinter.lint('name: [unclosed', { offline: true });
+
+    expect(valid).toBe(false);
+    expect(errors.every(e => e.rule === 'schema')).toBe(true);
+  });
+
+});
@@ -5,6 +5,7 @@
 
 const path = require('path');
 const manifestParser = require('../src/detectors/manifest-parser');
+const logger = require('../src/ui/logger');
 
 describe('Manifest Parser Tests', () => {
 
@@ -103,4 +104,86 @@ setup_steps:
     expect(parsed.environment.optional).toHaveLength(0);
   });
 
+  test('Report schema errors with line and column', () => {
+    const content = `name: positions
+dependencies:
+  npm: [eslint]
+setup_steps:
+  - name: Install
+    command: 42
+`;
+    const { errors } = manifestParser.validateManifestContent(content);
+
+    expect(errors).toHaveLength(1);
+    expect(errors[0]).toMatchObject({ path: 'setup_steps[0].command', line: 6, column: 14 });
+    expect(() => manifestParser.parseManifestFromString(content))
+      .toThrow('line 6, column 14: "setup_steps[0].command" must be a string');
+  });
+
+  test('Warn on unknown keys with did-you-mean suggestions', () => {
+    const content = `name: unknown-keys
+dependencies:
+  npm: [eslint]
+setup_steps:
+  - name: Install
+    command: npm install
+verification:
+  checks:
+    - type: command
+      command: node --version
+      expected_output: v
+`;
+    // Warnings go through the logger, so --json and Node API transports get them too
+    const transport = { warn: jest.fn(), log: jest.fn() };
+    logger.setTransport(transport);
+
+    try {
+      const parsed = manifestParser.parseManifestFromString(content);
+
+      expect(parsed.metadata.warnings).toEqual([
+        'line 11, column 7: Unknown key "expected_output" in "verification.checks[0]" (did you mean "expectedOutput"?)'
+      ]);
+      expect(transport.warn).toHaveBeenCalledWith(`⚠️  ${parsed.metadata.warnings[0]}`);
+    } finally {
+      logger.setTransport(null);
+    }
+  });
+
+  test('Validate verification check types against the schema', () => {
+    const content = `name: checks
+dependencies:
+  npm: [eslint]
+setup_steps:
+  - name: Install
+    command: npm install
+verification:
+  checks:
+    - type: htp
+      url: http://localhost
+    - type: file
+      contains: README
+`;
+    const messages = manifestParser.validateManifestContent(content).errors.map(e => e.message);
+
+    expect(messages).toEqual([
+      '"verification.checks[0].type" must be one of: command, http, port, file (did you mean "http"?)',
+      '"verification.checks[1].contains" must be an array',
+      '"verification.checks[1].path" is required'
+    ]);
+  });
+
+  test('Published templates validate against the schema', () => {
+    const fs = require('fs');
+    const templatesDir = path.join(__dirname, '../templates');
+
+    fs.readdirSync(templatesDir)
+      .filter(file => file.endsWith('.yaml'))
+      .forEach(file => {
+        const { errors, warnings } = manifestParser.validateManifestContent(
+          fs.readFileSync(path.join(templatesDir, file), 'utf8')
+        );
+        expect({ file, errors, warnings }).toEqual({ file, errors: [], warnings: [] });
+      });
+  });
+
 });
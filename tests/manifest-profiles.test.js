@@ -0,0 +1,100 @@
+/**
+ * Test suite for role-based profiles in manifests
+ */
+
+const manifestParser = require('../src/detectors/manifest-parser');
+const orchestrator = require('../src/core/orchestrator');
+const stateManager = require('../src/core/state-manager');
+
+describe('Manifest Profiles Tests', () => {
+
+  const MANIFEST = `name: shop
+dependencies:
+  npm: [eslint]
+environment:
+  - DATABASE_URL
+setup_steps:
+  - name: Install
+    command: npm install
+verification:
+  checks:
+    - name: Node installed
+      type: command
+      command: node --version
+profiles:
+  frontend:
+    description: Web UI
+    dependencies:
+      npm: [vite]
+  backend:
+    description: API and workers
+    vars:
+      QUEUE: jobs
+    dependencies:
+      system: [redis]
+      npm: [eslint, nodemon]
+    environment:
+      optional: [REDIS_URL]
+    setup_steps:
+      - name: Start queue
+        command: worker --queue \${{ vars.QUEUE }}
+    verification:
+      checks:
+        - name: Redis reachable
+          type: port
+          port: 6379
+`;
+
+  test('List profiles and leave the base untouched without a selection', () => {
+    const manifest = manifestParser.parseManifestFromString(MANIFEST);
+
+    expect(manifest.profiles).toEqual([
+      { name: 'frontend', description: 'Web UI' },
+      { name: 'backend', description: 'API and workers' }
+    ]);
+    expect(manifest.metadata.profile).toBeNull();
+    expect(manifest.dependencies.npm).toEqual(['eslint']);
+    expect(manifest.setupSteps.map(s => s.name)).toEqual(['Install']);
+  });
+
+  test('Layer the selected profile over the base', () => {
+    const manifest = manifestParser.parseManifestFromString(MANIFEST, { profile: 'backend' });
+
+    expect(manifest.metadata.profile).toBe('backend');
+    expect(manifest.dependencies).toMatchObject({ system: ['redis'], npm: ['eslint', 'nodemon'] });
+    expect(manifest.environment).toEqual({ required: ['DATABASE_URL'], optional: ['REDIS_URL'] });
+    expect(manifest.setupSteps.map(s => s.command)).toEqual(['npm install', 'worker --queue jobs']);
+    expect(manifest.verification.checks.map(c => c.name)).toEqual(['Node installed', 'Redis reachable']);
+  });
+
+  test('Reject unknown profiles with the available names', () => {
+    expect(() => manifestParser.parseManifestFromString(MANIFEST, { profile: 'data' }))
+      .toThrow('Unknown profile "data" (available: frontend, backend)');
+    expect(() => manifestParser.parseManifestFromString('name: x\ndependencies:\n  npm: [a]\nsetup_steps:\n  - name: a\n    command: a\n', { profile: 'data' }))
+      .toThrow('Unknown profile "data": the manifest defines no profiles');
+  });
+
+  test('Validate profile definitions with positions', () => {
+    const content = MANIFEST
+      .replace('      npm: [vite]', '      npm: [vite]\n    packages: [x]')
+      .replace('port: 6379', 'port: six');
+
+    const { errors, warnings } = manifestParser.validateManifestContent(content);
+
+    expect(warnings).toEqual([expect.objectContaining({ path: 'profiles.frontend.packages', line: 19 })]);
+    expect(errors).toEqual([expect.objectContaining({ path: 'profiles.backend.verification.checks[0].port', line: 36 })]);
+  });
+
+  test('Refuse to resume a failed run with a different profile', () => {
+    jest.spyOn(stateManager, 'load').mockReturnValue({ installed: false, manifestHash: 'abc', profile: 'backend' });
+
+    expect(orchestrator.loadResumableState('abc', 'backend').profile).toBe('backend');
+    expect(() => orchestrator.loadResumableState('abc', 'frontend'))
+      .toThrow('The failed run used profile "backend"');
+    expect(() => orchestrator.loadResumableState('abc', null))
+      .toThrow('The failed run used profile "backend"');
+
+    stateManager.load.mockRestore();
+  });
+
+});
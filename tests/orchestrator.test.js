@@ -0,0 +1,177 @@
+/**
+ * Test suite for orchestrator workflow
+ * Tests failure tracking, resuming a failed run and step selection
+ */
+
+jest.mock('../src/core/state-manager');
+
+const orchestrator = require('../src/core/orchestrator');
+const stateManager = require('../src/core/state-manager');
+
+describe('Orchestrator Tests', () => {
+
+  const environment = { os: 'Linux', platform: 'linux', nodeVersion: 'v20.0.0' };
+  const originalSteps = orchestrator.steps;
+  let calls;
+
+  beforeEach(() => {
+    calls = [];
+    stateManager.save.mockReset();
+    stateManager.load.mockReset();
+
+    orchestrator.steps = [
+      { id: 'first', name: 'First', handler: async () => { calls.push('first'); return { ok: 1 }; }, required: true },
+      { id: 'second', name: 'Second', handler: async () => { calls.push('second'); return { ok: 2 }; } },
+      { id: 'third', name: 'Third', handler: async () => { calls.push('third'); return { ok: 3 }; } }
+    ];
+  });
+
+  afterAll(() => {
+    orchestrator.steps = originalSteps;
+  });
+
+  test('Record failed step and error in state', async () => {
+    orchestrator.steps[1].handler = async () => { throw new Error('db:migrate failed'); };
+    const options = { manifestHash: 'abc' };
+
+    await expect(orchestrator.run('.', environment, options)).rejects.toThrow('db:migrate failed');
+
+    const state = options._state;
+    expect(state.installed).toBe(false);
+    expect(state.manifestHash).toBe('abc');
+    expect(state.error.step).toBe('Second');
+    expect(state.steps.map(s => s.status)).toEqual(['completed', 'failed']);
+  });
+
+  test('Resume skips completed steps and retries the failed step', async () => {
+    const previousState = {
+      repoUrl: '.',
+      manifestHash: 'abc',
+      installed: false,
+      steps: [
+        { id: 'first', name: 'First', status: 'completed', result: { ok: 1 } },
+        { id: 'second', name: 'Second', status: 'failed', error: 'db:migrate failed' }
+      ],
+      rollback: { dependencies: { npm: [{ name: 'eslint', installed: true }] } },
+      error: { message: 'db:migrate failed', step: 'Second' }
+    };
+    const options = { manifestHash: 'abc', resumeState: previousState };
+
+    await orchestrator.run('.', environment, options);
+
+    const state = options._state;
+    expect(calls).toEqual(['second', 'third']);
+    expect(state.installed).toBe(true);
+    expect(state.error).toBeUndefined();
+    expect(state.resumedAt).toBeDefined();
+    expect(state.rollback.dependencies.npm).toHaveLength(1);
+    expect(state.steps.map(s => s.id)).toEqual(['first', 'second', 'third']);
+  });
+
+  test('Refuse to resume without previous state', () => {
+    stateManager.load.mockReturnValue(null);
+
+    expect(() => orchestrator.loadResumableState('abc')).toThrow('No previous run');
+  });
+
+  test('Refuse to resume a completed run', () => {
+    stateManager.load.mockReturnValue({ installed: true, manifestHash: 'abc' });
+
+    expect(() => orchestrator.loadResumableState('abc')).toThrow('nothing to resume');
+  });
+
+  test('Refuse to resume when manifest changed', () => {
+    stateManager.load.mockReturnValue({ installed: false, manifestHash: 'abc' });
+
+    expect(() => orchestrator.loadResumableState('def')).toThrow('Manifest has changed');
+  });
+
+  test('Return previous state when resumable', () => {
+    const previousState = { installed: false, manifestHash: 'abc', steps: [] };
+    stateManager.load.mockReturnValue(previousState);
+
+    expect(orchestrator.loadResumableState('abc')).toBe(previousState);
+  });
+
+  test('Run all steps when no selection given', () => {
+    expect(orchestrator.resolveStepSelection({})).toBeNull();
+  });
+
+  test('Resolve --only and always include required steps', () => {
+    const selection = orchestrator.resolveStepSelection({ only: 'third' });
+
+    expect([...selection]).toEqual(['first', 'third']);
+  });
+
+  test('Resolve --skip', () => {
+    const selection = orchestrator.resolveStepSelection({ skip: 'second, first' });
+
+    expect([...selection]).toEqual(['first', 'third']);
+  });
+
+  test('Reject unknown step ids', () => {
+    expect(() => orchestrator.resolveStepSelection({ only: 'docs,nope' })).toThrow('Unknown step id(s) for --only');
+  });
+
+  test('Skipped steps keep results from the previous run', async () => {
+    const previousState = {
+      installed: true,
+      steps: [
+        { id: 'first', name: 'First', status: 'completed', result: { ok: 'old' } },
+        { id: 'second', name: 'Second', status: 'completed', result: { ok: 'old' } },
+        { id: 'third', name: 'Third', status: 'completed', result: { ok: 'old' } }
+      ],
+      rollback: { dependencies: { npm: [{ name: 'eslint', installed: true }] } }
+    };
+    orchestrator.steps[2].handler = async (repoUrl, env, options) => {
+      calls.push('third');
+      return { fromSecond: orchestrator.getStepResult(options, 'second') };
+    };
+    const options = { only: 'third', previousState };
+
+    await orchestrator.run('.', environment, options);
+
+    const state = options._state;
+    expect(calls).toEqual(['first', 'third']);
+    expect(state.steps.find(s => s.id === 'second').status).toBe('skipped');
+    expect(state.steps.find(s => s.id === 'third').result.fromSecond).toEqual({ ok: 'old' });
+    expect(state.rollback.dependencies.npm).toHaveLength(1);
+  });
+
+  test('Track rollback data returned by plugin steps', async () => {
+    orchestrator.steps[2] = {
+      id: 'seed-db',
+      name: 'Seed database',
+      plugin: 'tools/seed.js',
+      config: { rows: 5 },
+      handler: async () => ({ seeded: true, rollback: { database: 'dev' } })
+    };
+    const options = {};
+
+    await orchestrator.run('.', environment, options);
+
+    expect(options._state.rollback.plugins['seed-db']).toEqual({
+      plugin: 'tools/seed.js',
+      name: 'Seed database',
+      config: { rows: 5 },
+      data: { database: 'dev' }
+    });
+  });
+
+  test('Skip plugin steps in dry-run', async () => {
+    const handler = jest.fn();
+    orchestrator.steps[2] = { id: 'seed-db', name: 'Seed database', plugin: 'tools/seed.js', handler };
+    const skipped = jest.fn();
+    orchestrator.once('step:skipped', skipped);
+    const options = { dryRun: true };
+
+    await orchestrator.run('.', environment, options);
+
+    expect(handler).not.toHaveBeenCalled();
+    expect(calls).toEqual(['first', 'second']);
+    expect(skipped).toHaveBeenCalledWith({ id: 'seed-db', name: 'Seed database', reason: 'dry-run' });
+    expect(options._state.steps[2]).toMatchObject({ id: 'seed-db', status: 'skipped', reason: 'dry-run' });
+    expect(options._state.rollback.plugins || {}).toEqual({});
+  });
+
+});
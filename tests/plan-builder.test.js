@@ -0,0 +1,114 @@
+/**
+ * Test suite for the install plan (jetpack plan, init --dry-run)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const pm = require('../src/core/package-managers');
+const configUtils = require('../src/core/config-utils');
+const planBuilder = require('../src/core/plan-builder');
+const manifestParser = require('../src/detectors/manifest-parser');
+
+describe('Plan Builder Tests', () => {
+
+  const MANIFEST = `name: shop
+dependencies:
+  node: ">=18"
+  system: [git>=2.30, redis]
+  npm: [eslint@^8, typescript]
+environment:
+  required: [DATABASE_URL]
+  optional: [PORT]
+ssh:
+  generate: true
+git:
+  configure: true
+documentation:
+  output_dir: ./handbook
+setup_steps:
+  - name: Install
+    command: npm install
+  - name: Rosetta
+    command: softwareupdate --install-rosetta
+    when: os == 'darwin'
+`;
+
+  const environment = {
+    platform: 'linux',
+    arch: 'x64',
+    nodeVersion: 'v20.11.0',
+    packageManagers: { apt: true, npm: true }
+  };
+
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jetpack-plan-'));
+    jest.spyOn(os, 'homedir').mockReturnValue(tempDir);
+    jest.spyOn(configUtils, 'getGitConfig').mockImplementation(key => (key === 'user.name' ? 'Ada' : null));
+    jest.spyOn(pm, 'getPackagePlan').mockImplementation(async pkg => {
+      const { name, version: constraint } = pm.parsePackageName(pkg);
+      const current = { git: '2.25.1', redis: '7.2.0', eslint: '8.57.0' }[name] || null;
+      const action = !current ? 'install' : name === 'git' ? 'upgrade' : 'skip';
+      return { package: pkg, name, constraint, currentVersion: current, action };
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('Diff packages against installed versions', async () => {
+    const manifest = manifestParser.parseManifestFromString(MANIFEST);
+    const plan = await planBuilder.build(manifest, environment, { cwd: tempDir });
+    const byName = name => plan.changes.find(c => c.name === name);
+
+    expect(byName('node')).toMatchObject({ action: 'satisfied', symbol: '=', current: '20.11.0' });
+    expect(byName('git>=2.30')).toMatchObject({ section: 'system', action: 'upgrade', symbol: '~', current: '2.25.1', target: '>=2.30' });
+    expect(byName('redis')).toMatchObject({ action: 'satisfied', current: '7.2.0' });
+    expect(byName('eslint@^8')).toMatchObject({ section: 'npm', action: 'satisfied' });
+    expect(byName('typescript')).toMatchObject({ action: 'install', symbol: '+' });
+  });
+
+  test('Plan env files, SSH key, git config, docs and setup steps', async () => {
+    fs.writeFileSync(path.join(tempDir, '.env'), 'DATABASE_URL=postgres://localhost\n');
+    fs.writeFileSync(path.join(tempDir, '.env.example'), '');
+
+    const manifest = manifestParser.parseManifestFromString(MANIFEST);
+    const plan = await planBuilder.build(manifest, environment, { cwd: tempDir });
+    const actions = section => plan.changes.filter(c => c.section === section).map(c => `${c.symbol} ${c.name}`);
+
+    expect(actions('env')).toEqual(['+ .env.template', '~ .env.example', '~ .env']);
+    expect(plan.changes.find(c => c.name === '.env').reason).toBe('add PORT');
+    expect(actions('ssh')).toEqual(['+ ~/.ssh/id_ed25519']);
+    expect(actions('git')).toEqual(['= user.name', '+ user.email', '+ init.defaultBranch']);
+    expect(actions('docs')).toEqual(['+ ./handbook']);
+    expect(actions('setup')).toEqual(['+ Install', '! Rosetta']);
+    expect(plan.summary).toEqual({ add: 7, change: 3, satisfied: 4, unsupported: 1 });
+  });
+
+  test('Mark what this machine cannot handle as unsupported', async () => {
+    const manifest = manifestParser.parseManifestFromString(MANIFEST.replace('">=18"', '">=22"'));
+    const plan = await planBuilder.build(manifest, { ...environment, packageManagers: {} }, { cwd: tempDir });
+
+    expect(plan.changes.find(c => c.name === 'node')).toMatchObject({ action: 'unsupported', reason: 'upgrade Node.js yourself (e.g. with nvm)' });
+    expect(plan.changes.filter(c => c.section === 'system').map(c => c.reason))
+      .toEqual(['no system package manager detected on linux', 'no system package manager detected on linux']);
+    expect(plan.changes.filter(c => c.section === 'npm').every(c => c.action === 'unsupported')).toBe(true);
+    expect(pm.getPackagePlan).not.toHaveBeenCalled();
+  });
+
+  test('Format the plan Terraform-style', async () => {
+    const manifest = manifestParser.parseManifestFromString(MANIFEST);
+    const output = planBuilder.formatPlan(await planBuilder.build(manifest, environment, { cwd: tempDir }));
+
+    expect(output).toContain('~ upgrade git>=2.30 (2.25.1 → >=2.30)');
+    expect(output).toContain('= redis (7.2.0)');
+    expect(output).toContain('+ install typescript');
+    expect(output).toContain('! unsupported Rosetta (when condition is false on linux)');
+    expect(output).toContain('Plan: 9 to add, 1 to change, 4 already satisfied, 1 unsupported');
+  });
+
+});
@@ -0,0 +1,98 @@
+/**
+ * Test suite for per-platform system packages and `when:` conditions
+ */
+
+const platformConditions = require('../src/detectors/platform-conditions');
+const manifestParser = require('../src/detectors/manifest-parser');
+
+describe('Platform Conditions Tests', () => {
+
+  const MANIFEST = `name: platforms
+dependencies:
+  system:
+    all: [git]
+    linux-apt: [postgresql-client]
+    linux: [postgresql]
+    darwin: [postgresql, libpq]
+setup_steps:
+  - name: Rosetta check
+    command: uname -m
+    when: os == 'darwin' && arch == 'arm64'
+  - name: Install
+    command: npm install
+verification:
+  checks:
+    - name: Postgres client
+      type: command
+      command: psql --version
+      when: os != 'win32'
+`;
+
+  const linuxApt = { platform: 'linux', arch: 'x64', packageManagers: { apt: true, yum: false } };
+  const macArm = { platform: 'darwin', arch: 'arm64', packageManagers: { homebrew: true } };
+  const windows = { platform: 'win32', arch: 'x64', packageManagers: { chocolatey: true } };
+
+  test('Evaluate conditions with &&, ||, ! and parentheses', () => {
+    const variables = { os: 'linux', arch: 'arm64', packageManager: 'apt' };
+
+    expect(platformConditions.evaluateCondition("os == 'linux' && arch == 'arm64'", variables)).toBe(true);
+    expect(platformConditions.evaluateCondition('os == "darwin" || packageManager == "apt"', variables)).toBe(true);
+    expect(platformConditions.evaluateCondition("!(os == 'linux') || arch != 'arm64'", variables)).toBe(false);
+  });
+
+  test('Reject invalid conditions with a clear message', () => {
+    expect(() => platformConditions.parseCondition('platform == "linux"'))
+      .toThrow('unknown variable "platform" (use os, arch, packageManager)');
+    expect(() => platformConditions.parseCondition("os = 'linux'"))
+      .toThrow('expected == or != after "os"');
+    expect(() => platformConditions.parseCondition("(os == 'linux'"))
+      .toThrow('missing ")"');
+  });
+
+  test('Select the most specific package list per platform', () => {
+    const manifest = manifestParser.parseManifestFromString(MANIFEST);
+
+    expect(manifest.dependencies.system).toEqual([]);
+    expect(platformConditions.resolveManifest(manifest, linuxApt).dependencies.system)
+      .toEqual(['git', 'postgresql-client']);
+    expect(platformConditions.resolveManifest(manifest, { ...linuxApt, packageManagers: { yum: true } }).dependencies.system)
+      .toEqual(['git', 'postgresql']);
+    expect(platformConditions.resolveManifest(manifest, macArm).dependencies.system)
+      .toEqual(['git', 'postgresql', 'libpq']);
+    expect(platformConditions.resolveManifest(manifest, windows).dependencies.system)
+      .toEqual(['git']);
+  });
+
+  test('Drop setup steps and checks whose condition does not hold', () => {
+    const manifest = manifestParser.parseManifestFromString(MANIFEST);
+
+    const mac = platformConditions.resolveManifest(manifest, macArm);
+    expect(mac.setupSteps.map(s => s.name)).toEqual(['Rosetta check', 'Install']);
+
+    const win = platformConditions.resolveManifest(manifest, windows);
+    expect(win.setupSteps.map(s => s.name)).toEqual(['Install']);
+    expect(win.verification.checks).toEqual([]);
+    expect(win.metadata.platform).toEqual({
+      os: 'win32',
+      arch: 'x64',
+      packageManager: 'choco',
+      skipped: { setupSteps: ['Rosetta check'], checks: ['Postgres client'] }
+    });
+  });
+
+  test('Report invalid conditions and unknown platform keys when parsing', () => {
+    const content = MANIFEST
+      .replace("when: os != 'win32'", 'when: os is linux')
+      .replace('    darwin:', '    macos:');
+
+    const { errors, warnings } = manifestParser.validateManifestContent(content);
+
+    expect(errors).toEqual([expect.objectContaining({
+      path: 'verification.checks[0].when',
+      line: 19,
+      message: 'Invalid when condition "os is linux": expected == or != after "os"'
+    })]);
+    expect(warnings.map(w => w.path)).toEqual(['dependencies.system.macos']);
+  });
+
+});
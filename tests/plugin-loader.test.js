@@ -0,0 +1,194 @@
+/**
+ * Test suite for plugin loader
+ * Tests step declarations, step insertion and plugin rollback
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const pluginLoader = require('../src/core/plugin-loader');
+const rollbackActions = require('../src/rollback/rollback-actions');
+const { parseManifestFromString } = require('../src/detectors/manifest-parser');
+
+describe('Plugin Loader Tests', () => {
+
+  const coreSteps = [
+    { id: 'environment' },
+    { id: 'manifest' },
+    { id: 'config' },
+    { id: 'docs' },
+    { id: 'verify' }
+  ];
+
+  let projectDir;
+
+  const writePlugin = (relativePath, source) => {
+    const filePath = path.join(projectDir, relativePath);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, source);
+  };
+
+  beforeEach(() => {
+    projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jetpack-plugins-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(projectDir, { recursive: true, force: true });
+  });
+
+  test('Insert steps after and before anchors in declaration order', () => {
+    const steps = pluginLoader.insertSteps(coreSteps, [
+      { id: 'seed-db', plugin: 'a.js', after: 'config' },
+      { id: 'dev-cert', plugin: 'b.js', after: 'config' },
+      { id: 'warmup', plugin: 'c.js', before: 'verify' },
+      { id: 'notify', plugin: 'd.js' }
+    ]);
+
+    expect(steps.map(s => s.id)).toEqual([
+      'environment', 'manifest', 'config', 'seed-db', 'dev-cert', 'docs', 'warmup', 'verify', 'notify'
+    ]);
+  });
+
+  test('Reject unknown anchors and duplicate ids', () => {
+    expect(() => pluginLoader.insertSteps(coreSteps, [{ id: 'x', after: 'nope', plugin: 'a.js' }]))
+      .toThrow('unknown step "nope"');
+    expect(() => pluginLoader.insertSteps(coreSteps, [{ id: 'docs', plugin: 'a.js' }]))
+      .toThrow('Duplicate step id "docs"');
+  });
+
+  test('Validate step declarations and definitions', () => {
+    expect(pluginLoader.validateDeclaration({ id: 'ok', after: 'config' })).toBeNull();
+    expect(pluginLoader.validateDeclaration({ id: 'Bad Id' })).toContain('id');
+    expect(pluginLoader.validateDeclaration({ id: 'ok', after: 'a', before: 'b' })).toContain('either');
+
+    expect(pluginLoader.validateStep({ id: 'ok', handler: () => {} })).toBeNull();
+    expect(pluginLoader.validateStep({ id: 'Bad Id', handler: () => {} })).toContain('id');
+    expect(pluginLoader.validateStep({ id: 'ok' })).toContain('handler');
+  });
+
+  test('Build steps from the manifest declaration without loading plugin modules', async () => {
+    const marker = path.join(projectDir, 'loaded');
+    writePlugin('tools/seed.js', `
+      require('fs').writeFileSync(${JSON.stringify(marker)}, '');
+      module.exports = { steps: [{ id: 'seed-db', handler: async () => ({ seeded: true }) }] };
+    `);
+
+    const manifest = {
+      plugins: [{ path: 'tools/seed.js', config: { size: 'small' }, steps: [{ id: 'seed-db', name: 'Seed', after: 'config' }, { id: 'warmup' }] }]
+    };
+    const steps = pluginLoader.loadSteps(manifest, projectDir);
+
+    expect(steps.map(s => [s.id, s.name, s.after])).toEqual([['seed-db', 'Seed', 'config'], ['warmup', 'warmup', null]]);
+    expect(steps[0].config).toEqual({ size: 'small' });
+    expect(fs.existsSync(marker)).toBe(false);
+
+    await expect(steps[0].handler('.', {}, { _state: {} })).resolves.toEqual({ seeded: true });
+    expect(fs.existsSync(marker)).toBe(true);
+    await expect(steps[1].handler('.', {}, { _state: {} })).rejects.toThrow('does not define step "warmup"');
+  });
+
+  test('Refuse plugin paths outside the project', () => {
+    expect(() => pluginLoader.loadModule('../evil.js', projectDir)).toThrow('inside the project');
+    expect(() => pluginLoader.loadSteps({ plugins: [{ path: '../evil.js', steps: [{ id: 'evil' }] }] }, projectDir))
+      .toThrow('inside the project');
+  });
+
+  test('Reject invalid step declarations before loading', () => {
+    writePlugin('seed.js', 'module.exports = { steps: [] };');
+
+    expect(() => pluginLoader.loadSteps({ plugins: [{ path: 'seed.js', steps: [{ id: 'a', after: 'config', before: 'verify' }] }] }, projectDir))
+      .toThrow('Plugin seed.js steps[0]: use either "after" or "before", not both');
+    expect(() => pluginLoader.loadSteps({ plugins: [{ path: 'missing.js', steps: [{ id: 'a' }] }] }, projectDir))
+      .toThrow('Plugin not found: missing.js');
+  });
+
+  test('Handler receives state, manifest and config', async () => {
+    writePlugin('seed.js', `module.exports = { steps: [{ id: 'seed-db', handler: async (ctx) => ({ project: ctx.manifest.name, rows: ctx.config.rows }) }] };`);
+
+    const [step] = pluginLoader.loadSteps({ plugins: [{ path: 'seed.js', config: { rows: 5 }, steps: [{ id: 'seed-db' }] }] }, projectDir);
+    const result = await step.handler('.', {}, { _state: { manifest: { name: 'demo' } } });
+
+    expect(result).toEqual({ project: 'demo', rows: 5 });
+  });
+
+  test('Roll back plugin steps with recorded data', async () => {
+    const marker = path.join(projectDir, 'rolled-back.json');
+    writePlugin('seed.js', `
+      const fs = require('fs');
+      module.exports = { steps: [
+        { id: 'seed-db', handler: async () => ({}), rollback: async ({ data }) => fs.writeFileSync(${JSON.stringify(marker)}, JSON.stringify(data)) },
+        { id: 'no-undo', handler: async () => ({}) }
+      ] };
+    `);
+
+    const originalCwd = process.cwd();
+    process.chdir(projectDir);
+    try {
+      const state = {
+        rollback: {
+          plugins: {
+            'seed-db': { plugin: 'seed.js', data: { database: 'dev' } },
+            'no-undo': { plugin: 'seed.js', data: null }
+          }
+        }
+      };
+
+      const results = await rollbackActions.rollbackPlugins(state, {});
+
+      expect(results.removed.map(r => r.step)).toEqual(['seed-db']);
+      expect(results.skipped.map(r => r.step)).toEqual(['no-undo']);
+      expect(JSON.parse(fs.readFileSync(marker, 'utf8'))).toEqual({ database: 'dev' });
+    } finally {
+      process.chdir(originalCwd);
+    }
+  });
+
+  test('Parse plugins section from manifest', () => {
+    const manifest = parseManifestFromString(`
+name: test
+dependencies:
+  npm: [eslint]
+setup_steps:
+  - name: test
+    command: echo test
+plugins:
+  - path: ./tools/seed.js
+    steps:
+      - id: seed-db
+        after: config
+  - path: ./tools/cert.js
+    steps: [dev-cert]
+    config:
+      domain: localhost
+`);
+
+    expect(manifest.plugins).toEqual([
+      { path: './tools/seed.js', config: {}, steps: [{ id: 'seed-db', after: 'config' }] },
+      { path: './tools/cert.js', config: { domain: 'localhost' }, steps: [{ id: 'dev-cert' }] }
+    ]);
+  });
+
+  test('Reject invalid plugins section', () => {
+    expect(() => parseManifestFromString(`
+name: test
+dependencies:
+  npm: [eslint]
+setup_steps:
+  - name: test
+    command: echo test
+plugins:
+  - config: {}
+`)).toThrow('plugins[0]');
+    expect(() => parseManifestFromString(`
+name: test
+dependencies:
+  npm: [eslint]
+setup_steps:
+  - name: test
+    command: echo test
+plugins:
+  - path: ./tools/seed.js
+`)).toThrow('"plugins[0].steps" is required');
+  });
+
+});
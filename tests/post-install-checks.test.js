@@ -0,0 +1,103 @@
+/**
+ * Test suite for checks after installing (executable on PATH, global list, import)
+ */
+
+jest.mock('child_process');
+
+const childProcess = require('child_process');
+const pm = require('../src/core/package-managers');
+const installer = require('../src/core/dependency-installer');
+const orchestrator = require('../src/core/orchestrator');
+
+describe('Post-Install Check Tests', () => {
+
+  const linux = { platform: 'linux', packageManagers: { apt: true } };
+  let commands;
+
+  beforeEach(() => {
+    // Map of command -> output; unknown commands fail
+    commands = {};
+    childProcess.execSync.mockImplementation((command) => {
+      if (command in commands) {
+        return commands[command];
+      }
+      throw new Error(`Command failed: ${command}`);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('Map packages to executables and import names', () => {
+    expect(pm.getSystemPackageExecutables('ripgrep')).toEqual(['rg']);
+    expect(pm.getSystemPackageExecutables('jq')).toEqual(['jq']);
+    expect(pm.getSystemPackageExecutables('libssl-dev')).toBeNull();
+    expect(pm.getSystemPackageExecutables('python3-venv')).toBeNull();
+    expect(pm.getPythonImportName('PyYAML')).toBe('yaml');
+    expect(pm.getPythonImportName('typing-extensions')).toBe('typing_extensions');
+  });
+
+  test('Look up system executables on PATH', async () => {
+    commands['command -v fd'] = '/usr/bin/fd';
+
+    expect(await pm.checkPackageUsable('fd-find', 'system', linux)).toEqual({ usable: true, probe: 'command -v fd', reason: null });
+    expect(await pm.checkPackageUsable('ripgrep', 'system', linux)).toEqual({
+      usable: false,
+      probe: 'command -v rg',
+      reason: 'rg not found on PATH'
+    });
+    expect(await pm.checkPackageUsable('git', 'system', { platform: 'win32', packageManagers: {} }))
+      .toMatchObject({ usable: false, probe: 'where git' });
+    expect(await pm.checkPackageUsable('libpq-dev', 'system', linux)).toEqual({ usable: true, probe: null, reason: null });
+  });
+
+  test('Import Python packages in the interpreter of their mode', async () => {
+    commands['python3 -c "import yaml"'] = '';
+    commands['poetry run python -c "import bs4"'] = '';
+
+    expect(await pm.checkPackageUsable('pyyaml', 'python', linux)).toMatchObject({ usable: true });
+    expect(await pm.checkPackageUsable('beautifulsoup4', 'poetry', linux)).toMatchObject({ usable: true });
+    expect(await pm.checkPackageUsable('requests', 'venv', linux)).toEqual({
+      usable: false,
+      probe: '.venv/bin/python -c "import requests"',
+      reason: 'cannot import requests'
+    });
+  });
+
+  test('Check JavaScript packages in the global list', async () => {
+    commands['npm list -g eslint --depth=0 --json'] = JSON.stringify({ dependencies: { eslint: { version: '8.57.0' } } });
+    commands['npm list -g prettier --depth=0 --json'] = JSON.stringify({});
+
+    expect(await pm.checkPackageUsable('eslint', 'npm', linux)).toEqual({ usable: true, probe: 'npm ls -g eslint', reason: null });
+    expect(await pm.checkPackageUsable('prettier', 'npm', linux)).toEqual({
+      usable: false,
+      probe: 'npm ls -g prettier',
+      reason: 'not listed by npm ls -g prettier'
+    });
+  });
+
+  test('Report installed packages that fail their check as unusable and keep them for rollback', async () => {
+    commands['command -v git'] = '/usr/bin/git';
+    jest.spyOn(pm, 'getPackagePlan').mockImplementation(async pkg => ({
+      package: pkg, name: pkg, constraint: null, currentVersion: null, action: 'install'
+    }));
+    jest.spyOn(pm, 'getInstalledPackage').mockResolvedValue({ installed: true, version: null });
+    jest.spyOn(pm, 'executeCommand').mockResolvedValue({ success: true, output: '' });
+    const events = [];
+    const _events = { emit: (event, payload) => events.push({ event, payload }) };
+
+    const result = await installer.installDependencies({ system: ['git', 'ripgrep'], npm: [], python: [] }, linux, { _events });
+
+    expect(result.system.installed).toEqual(['git']);
+    expect(result.system.unusable).toEqual([{ package: 'ripgrep', reason: 'rg not found on PATH', probe: 'command -v rg' }]);
+    expect(result.summary).toMatchObject({ installed: 1, unusable: 1, failed: 0 });
+    expect(events.find(e => e.event === 'package:unusable').payload)
+      .toEqual({ type: 'system', name: 'ripgrep', reason: 'rg not found on PATH' });
+
+    const state = { environment: { platform: 'linux' }, rollback: { dependencies: { npm: [], pip: [], system: [] } } };
+    orchestrator.enhanceRollbackTracking(state, 'dependencies', { packages: result });
+    expect(state.rollback.dependencies.system.map(pkg => pkg.name)).toEqual(['git', 'ripgrep']);
+  });
+
+});
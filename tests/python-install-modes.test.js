@@ -0,0 +1,138 @@
+/**
+ * Test suite for Python install modes (pip, pipx, venv, uv, poetry)
+ */
+
+jest.mock('child_process');
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const childProcess = require('child_process');
+const pm = require('../src/core/package-managers');
+const installer = require('../src/core/dependency-installer');
+const orchestrator = require('../src/core/orchestrator');
+const rollbackActions = require('../src/rollback/rollback-actions');
+const manifestParser = require('../src/detectors/manifest-parser');
+
+describe('Python Install Mode Tests', () => {
+
+  const originalCwd = process.cwd();
+  let tempDir;
+  let commands;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jetpack-python-'));
+    process.chdir(tempDir);
+
+    // Map of command -> output; unknown commands fail
+    commands = {};
+    childProcess.execSync.mockImplementation((command) => {
+      if (command in commands) {
+        return commands[command];
+      }
+      throw new Error(`Command failed: ${command}`);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    process.chdir(originalCwd);
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('Parse a python section with a mode', () => {
+    const parse = python => manifestParser.parseManifestFromString(
+      `name: app\ndependencies:\n  python: ${python}\nsetup_steps:\n  - name: Test\n    command: pytest\n`
+    ).dependencies;
+
+    expect(parse('[black>=23]')).toMatchObject({ python: ['black>=23'], pythonMode: 'pip' });
+    expect(parse('{ mode: uv, packages: [black>=23, requests] }')).toMatchObject({ python: ['black>=23', 'requests'], pythonMode: 'uv' });
+    expect(parse('{ mode: poetry }')).toMatchObject({ python: [], pythonMode: 'poetry' });
+    expect(() => parse('{ mode: conda, packages: [black] }')).toThrow();
+  });
+
+  test('Read installed versions from each environment', async () => {
+    commands['pipx list --json'] = JSON.stringify({
+      venvs: { black: { metadata: { main_package: { package: 'black', package_version: '24.2.0' } } } }
+    });
+    commands['uv pip show --python .venv requests'] = 'Name: requests\nVersion: 2.31.0\n';
+    commands['.venv/bin/python -m pip show requests'] = 'Name: requests\nVersion: 2.28.0\n';
+
+    expect(await pm.getInstalledPackage('black', 'pipx', {})).toEqual({ installed: true, version: '24.2.0' });
+    expect(await pm.getInstalledPackage('ruff', 'pipx', {})).toEqual({ installed: false, version: null });
+    expect(await pm.getInstalledPackage('requests', 'uv', {})).toEqual({ installed: true, version: '2.31.0' });
+    expect(await pm.isPackageInstalled('requests>=2.30', 'venv', {})).toBe(false);
+    expect(pm.getInstallSpec({ name: 'black', constraint: '>=23' }, 'pipx')).toBe('"black>=23"');
+  });
+
+  test('Create the project .venv, install into it and record the mode', async () => {
+    commands['python3 --version'] = 'Python 3.12.1';
+    commands['.venv/bin/python -c "import black"'] = '';
+    jest.spyOn(pm, 'getPackagePlan').mockImplementation(async pkg => ({
+      package: pkg, name: 'black', constraint: '>=23', currentVersion: null, action: 'install'
+    }));
+    jest.spyOn(pm, 'getInstalledPackage').mockResolvedValue({ installed: true, version: '24.2.0' });
+    const execute = jest.spyOn(pm, 'executeCommand').mockResolvedValue({ success: true, output: '' });
+
+    const result = await installer.installDependencies(
+      { system: [], npm: [], python: ['black>=23'], pythonMode: 'venv' },
+      { platform: 'linux', packageManagers: {} }
+    );
+
+    expect(execute).toHaveBeenNthCalledWith(1, 'python3 -m venv .venv', expect.any(Object));
+    expect(execute).toHaveBeenNthCalledWith(2, '.venv/bin/python -m pip install "black>=23"', expect.any(Object));
+    expect(pm.getPackagePlan).toHaveBeenCalledWith('black>=23', 'venv', {});
+    expect(result.python.mode).toBe('venv');
+
+    const state = { environment: { platform: 'linux' }, rollback: { dependencies: { npm: [], pip: [], system: [] } } };
+    orchestrator.enhanceRollbackTracking(state, 'dependencies', { packages: result });
+    expect(state.rollback.dependencies.pip).toEqual([
+      { name: 'black', installed: true, version: '24.2.0', constraint: '>=23', mode: 'venv' }
+    ]);
+  });
+
+  test('Run poetry install and fail packages pyproject.toml does not declare', async () => {
+    commands['poetry --version'] = 'Poetry (version 1.8.2)';
+    jest.spyOn(pm, 'getPackagePlan').mockImplementation(async pkg => ({
+      package: pkg, name: pkg, constraint: null, currentVersion: null, action: 'install'
+    }));
+    jest.spyOn(pm, 'getInstalledPackage').mockImplementation(async name => (
+      name === 'django' ? { installed: true, version: '5.0.2' } : { installed: false, version: null }
+    ));
+    const execute = jest.spyOn(pm, 'executeCommand').mockResolvedValue({ success: true, output: '' });
+
+    const result = await installer.installPythonDependencies(['django', 'black'], {}, 'poetry');
+
+    expect(execute).toHaveBeenCalledTimes(1);
+    expect(execute).toHaveBeenCalledWith('poetry install', expect.any(Object));
+    expect(result.installed).toEqual(['django']);
+    expect(result.failed).toEqual([
+      { package: 'black', reason: 'not a dependency of the poetry project (add it with: poetry add black)' }
+    ]);
+  });
+
+  test('Uninstall and restore in the environment the package was installed into', async () => {
+    commands['pipx uninstall black'] = '';
+    commands['uv pip install --python .venv requests==2.28.0'] = '';
+
+    const state = {
+      rollback: {
+        dependencies: {
+          npm: [],
+          pip: [
+            { name: 'black', installed: true, version: '24.2.0', mode: 'pipx' },
+            { name: 'requests', installed: true, version: '2.31.0', previousVersion: '2.28.0', mode: 'uv' }
+          ],
+          system: []
+        }
+      }
+    };
+
+    const result = await rollbackActions.rollbackDependencies(state, { unsafe: true });
+
+    expect(result.uninstalled).toEqual([{ name: 'black', type: 'pip' }]);
+    expect(result.restored).toEqual([{ name: 'requests', type: 'uv', version: '2.28.0' }]);
+    expect(result.failed).toEqual([]);
+  });
+
+});
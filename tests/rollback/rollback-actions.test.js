@@ -84,6 +84,27 @@ describe('RollbackActions Module', () => {
       expect(result).toBeDefined();
     });
 
+    test('should restore the previous version of upgraded packages', async () => {
+      const state = {
+        rollback: {
+          dependencies: {
+            npm: [{ name: 'eslint', installed: true, version: '8.57.0', previousVersion: '7.32.0' }],
+            pip: [{ name: 'black', installed: true, version: '24.1.0', previousVersion: '22.3.0' }],
+            system: [{ name: 'git', installed: true, version: '2.43.0', previousVersion: '2.34.1', platform: 'linux' }]
+          }
+        }
+      };
+
+      const result = await rollbackActions.rollbackDependencies(state, { unsafe: true, dryRun: true });
+
+      expect(result.uninstalled).toEqual([]);
+      expect(result.restored).toEqual([
+        { name: 'eslint', type: 'npm', version: '7.32.0' },
+        { name: 'black', type: 'pip', version: '22.3.0' }
+      ]);
+      expect(result.skipped).toEqual([{ name: 'git', reason: 'Was upgraded from 2.34.1; restore it manually' }]);
+    });
+
     test('should handle empty dependency lists', async () => {
       const state = {
         rollback: {
@@ -172,4 +172,48 @@ describe('RollbackDiffGenerator tests', () => {
     expect(Array.isArray(lines)).toBe(true);
   });
 
+  test('should build the preview as data per phase', () => {
+    const state = {
+      rollback: {
+        dependencies: {
+          npm: [{ name: 'eslint', installed: true, version: '8.57.0', previousVersion: '7.32.0' }, { name: 'jest', installed: false }],
+          pip: [{ name: 'black', installed: true, version: '24.1.0' }],
+          system: []
+        },
+        config: { backups: { env: '.env.backup.1' }, originalGitConfig: { 'user.name': null } },
+        ssh: { keyPath: '~/.ssh/id_ed25519' },
+        docs: { outputDir: 'docs', filesCreated: 3 },
+        runtimes: { installed: [{ runtime: 'node', version: '20.11.1', manager: 'nvm' }], pinFiles: [{ path: '.nvmrc', previousContent: null }] },
+        plugins: { 'seed-db': { name: 'Seed database', plugin: 'tools/seed.js' } }
+      }
+    };
+
+    const preview = rollbackDiffGenerator.getPreview(state, { unsafe: true });
+
+    expect(Object.keys(preview)).toEqual(['plugins', 'docs', 'git', 'ssh', 'config', 'dependencies', 'runtimes']);
+    expect(preview.dependencies).toEqual([
+      { action: 'restore', type: 'npm', name: 'eslint', version: '8.57.0', manager: 'npm', previousVersion: '7.32.0' },
+      { action: 'skip', type: 'npm', name: 'jest', version: null, manager: 'npm', reason: 'not installed by Jetpack' },
+      { action: 'uninstall', type: 'pip', name: 'black', version: '24.1.0', mode: 'pip' }
+    ]);
+    expect(preview.config).toEqual([
+      { action: 'restore', path: '.env', backup: '.env.backup.1' },
+      { action: 'remove', path: '.env.template' },
+      { action: 'remove', path: '.env.example' }
+    ]);
+    expect(preview.git).toEqual([{ action: 'unset', key: 'user.name' }]);
+    expect(preview.ssh).toEqual([{ action: 'remove', path: '~/.ssh/id_ed25519' }]);
+    expect(preview.docs).toEqual([{ action: 'remove', path: 'docs', files: 3 }]);
+    expect(preview.runtimes).toEqual([
+      { action: 'remove', path: '.nvmrc' },
+      { action: 'uninstall', runtime: 'node', version: '20.11.1', manager: 'nvm' }
+    ]);
+    expect(preview.plugins).toEqual([{ action: 'rollback', step: 'seed-db', name: 'Seed database', plugin: 'tools/seed.js' }]);
+
+    const partial = rollbackDiffGenerator.getPreview(state, {}, ['dependencies', 'runtimes']);
+    expect(Object.keys(partial)).toEqual(['dependencies', 'runtimes']);
+    expect(partial.dependencies[0]).toMatchObject({ action: 'skip', reason: 'requires --unsafe' });
+    expect(partial.runtimes[1]).toMatchObject({ action: 'keep', reason: 'requires --unsafe' });
+  });
+
 });
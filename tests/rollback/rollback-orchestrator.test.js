@@ -68,6 +68,7 @@ describe('RollbackOrchestrator Module', () => {
 
       expect(result.success).toBe(true);
       expect(result.dryRun).toBe(true);
+      expect(result.results).toMatchObject({ docs: [], dependencies: [], runtimes: [] });
     });
 
     test('should execute full rollback successfully', async () => {
@@ -0,0 +1,99 @@
+/**
+ * Test suite for command logs kept per workflow run in .jetpack/logs/<run-id>/
+ */
+
+jest.mock('../src/core/state-manager');
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const runLogs = require('../src/core/run-logs');
+const pm = require('../src/core/package-managers');
+const setupExecutor = require('../src/core/setup-executor');
+const orchestrator = require('../src/core/orchestrator');
+
+describe('Run Logs Tests', () => {
+
+  const originalCwd = process.cwd();
+  const originalSteps = orchestrator.steps;
+  let tempDir;
+
+  const read = relativePath => fs.readFileSync(path.join(tempDir, relativePath), 'utf8');
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jetpack-logs-'));
+    process.chdir(tempDir);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    orchestrator.steps = originalSteps;
+    process.chdir(originalCwd);
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('Name runs by start time and logs by step', () => {
+    const run = runLogs.createRun(tempDir, new Date('2024-03-05T14:30:12.123Z'));
+
+    expect(run.runId).toBe('2024-03-05T14-30-12-123Z');
+    expect(run.dir).toBe(path.join('.jetpack', 'logs', '2024-03-05T14-30-12-123Z'));
+    expect(runLogs.getFileName('setup-2-Run DB migrations')).toBe('setup-2-run-db-migrations.log');
+    expect(runLogs.getFileName('../../etc/passwd')).toBe('..-..-etc-passwd.log');
+    expect(runLogs.getFileName(`setup-1-${'Seed '.repeat(40)}`)).toHaveLength(84);
+    expect(runLogs.write(null, 'dependencies', { command: 'npm install -g eslint' })).toBeNull();
+    expect(fs.existsSync(path.join(tempDir, '.jetpack'))).toBe(false);
+  });
+
+  test('Append stdout and stderr of package commands to the step log', async () => {
+    const run = runLogs.createRun(tempDir);
+    run.step = 'dependencies';
+
+    const ok = await pm.executeCommand('echo installed eslint', { _logs: run });
+    const failed = await pm.executeCommand('echo resolving >&1; echo "404 Not Found" >&2; exit 3', { _logs: run });
+
+    const logPath = path.join(run.dir, 'dependencies.log');
+    expect(ok).toMatchObject({ success: true, output: 'installed eslint', log: logPath });
+    expect(failed).toMatchObject({ success: false, exitCode: 3, log: logPath });
+    expect(run.files).toEqual([logPath]);
+    expect(runLogs.getWrittenPath(run)).toBe(logPath);
+
+    const log = read(logPath);
+    expect(log).toContain('$ echo installed eslint\n# exit code 0');
+    expect(log).toContain('--- stdout ---\nresolving\n--- stderr ---\n404 Not Found');
+    expect(log).toContain('exit code 3');
+  });
+
+  test('Keep the output of each setup step in its own log', async () => {
+    jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+    jest.spyOn(process.stderr, 'write').mockImplementation(() => true);
+    const run = runLogs.createRun(tempDir);
+
+    const passed = await setupExecutor.runStep({ name: 'Seed', command: 'echo seeded 3 rows' }, 1, { _logs: run });
+    const failed = await setupExecutor.runStep({ name: 'Run migrations', command: 'echo "relation users exists" >&2; exit 2' }, 2, { _logs: run });
+
+    expect(passed.log).toBe(path.join(run.dir, 'setup-1-seed.log'));
+    expect(failed).toMatchObject({ success: false, exitCode: 2, log: path.join(run.dir, 'setup-2-run-migrations.log') });
+    expect(read(failed.log)).toContain('# Run migrations, exit code 2');
+    expect(read(failed.log)).toContain('--- stderr ---\nrelation users exists');
+    expect(read(passed.log)).toContain('--- stdout ---\nseeded 3 rows');
+  });
+
+  test('Reference logs from the state file', async () => {
+    orchestrator.steps = [
+      { id: 'dependencies', name: 'Install Dependencies', handler: async (repoUrl, env, options) => pm.executeCommand('echo ok', options) },
+      { id: 'verify', name: 'Verify Setup', handler: async () => ({}) }
+    ];
+
+    const options = {};
+    const state = await orchestrator.run('.', { platform: 'linux' }, options);
+
+    expect(state.logs.dir).toBe(path.join('.jetpack', 'logs', state.logs.runId));
+    expect(state.steps[0].logs).toEqual([path.join(state.logs.dir, 'dependencies.log')]);
+    expect(state.steps[1].logs).toBeUndefined();
+
+    const dryRun = { dryRun: true };
+    await orchestrator.run('.', { platform: 'linux' }, dryRun);
+    expect(dryRun._state.logs).toBeUndefined();
+  });
+
+});
@@ -0,0 +1,157 @@
+/**
+ * Test suite for runtime installs through version managers (mise, asdf, nvm, pyenv)
+ */
+
+jest.mock('child_process');
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const childProcess = require('child_process');
+const pm = require('../src/core/package-managers');
+const runtimeManager = require('../src/core/runtime-manager');
+const orchestrator = require('../src/core/orchestrator');
+const rollbackActions = require('../src/rollback/rollback-actions');
+const manifestParser = require('../src/detectors/manifest-parser');
+
+describe('Runtime Manager Tests', () => {
+
+  const originalCwd = process.cwd();
+  let tempDir;
+  let commands;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jetpack-runtimes-'));
+    process.chdir(tempDir);
+
+    // Map of command -> output; unknown commands fail
+    commands = {};
+    childProcess.execSync.mockImplementation((command) => {
+      if (command in commands) {
+        return commands[command];
+      }
+      throw new Error(`Command failed: ${command}`);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    process.chdir(originalCwd);
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('Parse the runtimes section', () => {
+    const parse = runtimes => manifestParser.parseManifestFromString(
+      `name: app\nruntimes:\n${runtimes}\ndependencies:\n  npm: []\nsetup_steps:\n  - name: Test\n    command: npm test\n`
+    ).runtimes;
+
+    expect(parse('  node: "20.11"\n  manager: nvm')).toEqual({ node: '20.11', python: null, manager: 'nvm' });
+    expect(() => parse('  python: 3.10')).toThrow();
+    expect(() => parse('  node: "20"\n  manager: volta')).toThrow();
+  });
+
+  test('Choose the manager from the manifest, pin files, then what is installed', () => {
+    commands['mise --version'] = '2024.3.2';
+    commands['pyenv --version'] = 'pyenv 2.3.36';
+    fs.writeFileSync(path.join(tempDir, '.python-version'), '3.11.8\n');
+
+    expect(runtimeManager.chooseManager('node', null, tempDir)).toBe('mise');
+    expect(runtimeManager.chooseManager('python', null, tempDir)).toBe('pyenv');
+    expect(runtimeManager.chooseManager('python', 'mise', tempDir)).toBe('mise');
+    expect(runtimeManager.chooseManager('node', 'pyenv', tempDir)).toBeNull();
+    expect(runtimeManager.describeMissingManager('node', 'pyenv')).toBe('pyenv cannot install node (use mise, asdf, nvm)');
+    expect(runtimeManager.chooseManager('node', 'asdf', tempDir)).toBeNull();
+  });
+
+  test('Install missing versions, pin them and record them for rollback', async () => {
+    commands['mise --version'] = '2024.3.2';
+    commands['mise where python@3.12'] = '/root/.local/share/mise/installs/python/3.12.2';
+    commands['mise exec -- node --version'] = 'v20.11.1';
+    commands['mise exec -- python --version'] = 'Python 3.12.2';
+    fs.writeFileSync(path.join(tempDir, '.tool-versions'), 'ruby 3.3.0\nnodejs 18.19.0\n');
+
+    const execute = jest.spyOn(pm, 'executeCommand').mockImplementation(async () => {
+      commands['mise where node@20.11'] = '/root/.local/share/mise/installs/node/20.11.1';
+      return { success: true, output: '' };
+    });
+
+    const result = await runtimeManager.installRuntimes({ node: '20.11', python: '3.12', manager: null }, { cwd: tempDir });
+
+    expect(execute).toHaveBeenCalledWith('mise install node@20.11', expect.any(Object));
+    expect(result.installed).toEqual([{ runtime: 'node', version: '20.11.1', manager: 'mise' }]);
+    expect(result.skipped).toEqual([{ runtime: 'python', version: '3.12.2', manager: 'mise' }]);
+    expect(result.failed).toEqual([]);
+    expect(fs.readFileSync(path.join(tempDir, '.tool-versions'), 'utf8')).toBe('ruby 3.3.0\nnode 20.11.1\npython 3.12.2\n');
+    expect(result.pinFiles).toEqual([{ path: '.tool-versions', previousContent: 'ruby 3.3.0\nnodejs 18.19.0\n' }]);
+
+    const state = { rollback: { runtimes: { installed: [], pinFiles: [] } } };
+    orchestrator.enhanceRollbackTracking(state, 'runtimes', { runtimes: result });
+    expect(state.rollback.runtimes).toEqual({
+      installed: [{ runtime: 'node', version: '20.11.1', manager: 'mise' }],
+      pinFiles: [{ path: '.tool-versions', previousContent: 'ruby 3.3.0\nnodejs 18.19.0\n' }],
+      projectRoot: tempDir
+    });
+  });
+
+  test('Fail when the project resolves to another version', async () => {
+    commands['pyenv --version'] = 'pyenv 2.3.36';
+    commands['pyenv latest 3.12'] = '3.12.2';
+    commands['pyenv exec python --version'] = 'Python 3.11.8';
+
+    const result = await runtimeManager.installRuntimes({ node: null, python: '3.12', manager: 'pyenv' }, { cwd: tempDir });
+
+    expect(fs.readFileSync(path.join(tempDir, '.python-version'), 'utf8')).toBe('3.12.2\n');
+    expect(result.pinFiles).toEqual([{ path: '.python-version', previousContent: null }]);
+    expect(result.failed).toEqual([{
+      runtime: 'python',
+      version: '3.12',
+      reason: 'pyenv resolves python to Python 3.11.8 in this project, expected 3.12'
+    }]);
+  });
+
+  test('Restore pin files and only uninstall runtimes with --unsafe', async () => {
+    commands['asdf uninstall nodejs 20.11.1'] = '';
+    fs.writeFileSync(path.join(tempDir, '.tool-versions'), 'nodejs 20.11.1\n');
+    fs.writeFileSync(path.join(tempDir, '.nvmrc'), '20.11.1\n');
+
+    const state = {
+      rollback: {
+        runtimes: {
+          installed: [{ runtime: 'node', version: '20.11.1', manager: 'asdf' }],
+          pinFiles: [
+            { path: '.tool-versions', previousContent: 'ruby 3.3.0\n' },
+            { path: '.nvmrc', previousContent: null }
+          ],
+          projectRoot: tempDir
+        }
+      }
+    };
+
+    // Pin files belong to the recorded project, not the current directory
+    process.chdir(originalCwd);
+
+    const safe = await rollbackActions.rollbackRuntimes(state, {});
+    expect(safe.restored).toEqual([{ file: '.tool-versions' }]);
+    expect(safe.removed).toEqual([{ file: '.nvmrc' }]);
+    expect(safe.skipped).toEqual([{ runtime: 'node', version: '20.11.1', reason: 'Requires --unsafe flag' }]);
+    expect(fs.readFileSync(path.join(tempDir, '.tool-versions'), 'utf8')).toBe('ruby 3.3.0\n');
+    expect(fs.existsSync(path.join(tempDir, '.nvmrc'))).toBe(false);
+
+    const unsafe = await rollbackActions.rollbackRuntimes(state, { unsafe: true });
+    expect(unsafe.uninstalled).toEqual([{ runtime: 'node', version: '20.11.1', manager: 'asdf' }]);
+    expect(unsafe.failed).toEqual([]);
+  });
+
+  test('Roll back runtime records that lack a field', async () => {
+    commands['asdf uninstall nodejs 20.11.1'] = '';
+
+    const onlyInstalled = { rollback: { runtimes: { installed: [{ runtime: 'node', version: '20.11.1', manager: 'asdf' }] } } };
+    expect((await rollbackActions.rollbackRuntimes(onlyInstalled, { unsafe: true })).uninstalled).toHaveLength(1);
+
+    fs.writeFileSync(path.join(tempDir, '.nvmrc'), '20.11.1\n');
+    const onlyPinFiles = { rollback: { runtimes: { pinFiles: [{ path: '.nvmrc', previousContent: null }] } } };
+    expect((await rollbackActions.rollbackRuntimes(onlyPinFiles, {})).removed).toEqual([{ file: '.nvmrc' }]);
+    expect(fs.existsSync(path.join(tempDir, '.nvmrc'))).toBe(false);
+  });
+
+});
@@ -0,0 +1,67 @@
+/**
+ * Test suite for the JSON Schema subset validator
+ */
+
+const schemaValidator = require('../src/detectors/schema-validator');
+const manifestSchema = require('../schema/onboard.schema.json');
+
+describe('Schema Validator Tests', () => {
+
+  test('Suggest keys for case, underscore and typo variants', () => {
+    const keys = ['expectedOutput', 'expectedExitCode', 'notContains', 'sections'];
+
+    expect(schemaValidator.suggest('expected_output', keys)).toBe('expectedOutput');
+    expect(schemaValidator.suggest('not_contains', keys)).toBe('notContains');
+    expect(schemaValidator.suggest('sectons', keys)).toBe('sections');
+    expect(schemaValidator.suggest('database', keys)).toBeNull();
+  });
+
+  test('Report "at least one of" for required-only alternatives', () => {
+    const { errors } = schemaValidator.validate({
+      name: 'demo',
+      dependencies: { ruby: ['rails'] },
+      setup_steps: [{ name: 'a', command: 'b' }]
+    }, manifestSchema);
+
+    expect(errors.map(e => e.message)).toEqual([
+      '"dependencies" must contain at least one of: system, npm, python, node, environment'
+    ]);
+  });
+
+  test('Accept dependencies that only set a Node.js range', () => {
+    const { errors } = schemaValidator.validate({
+      name: 'demo',
+      dependencies: { node: '>=18 <21' },
+      setup_steps: [{ name: 'a', command: 'b' }]
+    }, manifestSchema);
+
+    expect(errors).toEqual([]);
+  });
+
+  test('Pick the matching oneOf branch for errors and warnings', () => {
+    const { errors, warnings } = schemaValidator.validate({
+      name: 'demo',
+      environment: { required: 'API_KEY', defualts: {} },
+      dependencies: { npm: [] },
+      setup_steps: [{ name: 'a', command: 'b' }],
+      plugins: [
+        { path: '/abs/plugin.js', steps: ['seed'] },
+        { steps: ['seed'] },
+        { path: 'a.js', steps: ['Bad', { name: 'x' }, 42] }
+      ]
+    }, manifestSchema);
+
+    expect(errors.map(e => e.message)).toEqual([
+      '"environment.required" must be an array',
+      '"plugins[0].path" must be relative to the project root',
+      '"plugins[1].path" is required',
+      '"plugins[2].steps[0]" must match ^[a-z][a-z0-9-]*$',
+      '"plugins[2].steps[1].id" is required',
+      '"plugins[2].steps[2]" must be a string or an object'
+    ]);
+    expect(warnings.map(w => w.message)).toEqual([
+      'Unknown key "defualts" in "environment" (did you mean "defaults"?)'
+    ]);
+  });
+
+});
@@ -2,6 +2,9 @@
  * Test script for setup step executor
  */
 
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const setupExecutor = require('../src/core/setup-executor');
 
 describe('Setup Executor Tests', () => {
@@ -57,40 +60,40 @@ describe('Setup Executor Tests', () => {
     expect(error).toContain('name');
   });
 
-  test('Execute step in dry-run mode', () => {
+  test('Execute step in dry-run mode', async () => {
     const step = {
       name: 'List files',
       command: 'echo "Hello from dry-run"',
       description: 'Test command'
     };
 
-    const result = setupExecutor.runStep(step, 1, { dryRun: true });
+    const result = await setupExecutor.runStep(step, 1, { dryRun: true });
 
     expect(result.success).toBe(true);
     expect(result.skipped).toBe(true);
   });
 
-  test('Execute actual step (safe command)', () => {
+  test('Execute actual step (safe command)', async () => {
     const step = {
       name: 'Echo test',
       command: 'echo "Setup step test successful"',
       description: 'Test actual execution'
     };
 
-    const result = setupExecutor.runStep(step, 1, { dryRun: false });
+    const result = await setupExecutor.runStep(step, 1, { dryRun: false });
 
     expect(result.success).toBe(true);
     expect(result.skipped).toBe(false);
   });
 
-  test('Handle failing step correctly', () => {
+  test('Handle failing step correctly', async () => {
     const step = {
       name: 'Failing command',
       command: 'exit 1',  // This will fail
       description: 'Test error handling'
     };
 
-    const result = setupExecutor.runStep(step, 1, { dryRun: false });
+    const result = await setupExecutor.runStep(step, 1, { dryRun: false });
 
     expect(result.success).toBe(false);
     expect(result.error).toBeDefined();
@@ -140,4 +143,81 @@ describe('Setup Executor Tests', () => {
     expect(result.failedStep.name).toBe('Step 2');
   });
 
+  describe('Process handling', () => {
+
+    const originalGracePeriod = setupExecutor.killGracePeriod;
+    let written;
+
+    beforeEach(() => {
+      written = [];
+      jest.spyOn(process.stdout, 'write').mockImplementation((data) => { written.push(data.toString()); return true; });
+      jest.spyOn(process.stderr, 'write').mockImplementation(() => true);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+      setupExecutor.killGracePeriod = originalGracePeriod;
+    });
+
+    test('Reject a timeout that is not a positive number', () => {
+      expect(setupExecutor.validateStep({ command: 'npm run db:migrate', timeout: 60000 }, 1)).toBeNull();
+      expect(setupExecutor.validateStep({ command: 'npm run db:migrate', timeout: '1m' }, 1)).toContain('timeout');
+      expect(setupExecutor.validateStep({ command: 'npm run db:migrate', timeout: 0 }, 1)).toContain('timeout');
+    });
+
+    test('Stream output live and record exit code, signal and duration', async () => {
+      const passed = await setupExecutor.runStep({ name: 'Echo', command: 'echo first; echo second' }, 1, {});
+      const failed = await setupExecutor.runStep({ name: 'Fail', command: 'echo "no database" >&2; exit 3' }, 2, {});
+
+      expect(written.join('')).toContain('first\nsecond\n');
+      expect(passed).toMatchObject({ success: true, exitCode: 0, signal: null });
+      expect(passed.duration).toBeGreaterThanOrEqual(0);
+      expect(failed).toMatchObject({ success: false, exitCode: 3, signal: null });
+      expect(failed.error).toBe('Command failed: echo "no database" >&2; exit 3\nno database');
+    });
+
+    test('Stop a step that runs past its timeout with SIGTERM', async () => {
+      const result = await setupExecutor.runStep({ name: 'Hang', command: 'sleep 5', timeout: 200 }, 1, {});
+
+      expect(result).toMatchObject({ success: false, timedOut: true, exitCode: null, signal: 'SIGTERM' });
+      expect(result.error).toBe('Timed out after 200ms (stopped with SIGTERM): sleep 5');
+      expect(result.duration).toBeLessThan(4000);
+    });
+
+    test('Kill a step that ignores SIGTERM with SIGKILL', async () => {
+      setupExecutor.killGracePeriod = 200;
+
+      const result = await setupExecutor.runStep({ name: 'Stubborn', command: 'trap "" TERM; sleep 5; echo done', timeout: 200 }, 1, {});
+
+      expect(result).toMatchObject({ success: false, timedOut: true, signal: 'SIGKILL' });
+      expect(result.duration).toBeLessThan(4000);
+      expect(written.join('')).not.toMatch(/^done$/m);
+    });
+
+    test('Stop the processes a timed-out step started', async () => {
+      const pidFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'jetpack-setup-')), 'sleep.pid');
+      // A zombie waiting for its parent counts as gone
+      const isRunning = (pid) => {
+        try {
+          process.kill(pid, 0);
+          return !/^\d+ \(.*\) Z/.test(fs.readFileSync(`/proc/${pid}/stat`, 'utf8'));
+        } catch (error) {
+          return false;
+        }
+      };
+
+      const result = await setupExecutor.runStep({ name: 'Migrate', command: `sleep 30 & echo $! > "${pidFile}"; wait`, timeout: 300 }, 1, {});
+      const pid = Number(fs.readFileSync(pidFile, 'utf8'));
+      for (let i = 0; i < 20 && isRunning(pid); i++) {
+        await new Promise(resolve => setTimeout(resolve, 50));
+      }
+
+      expect(result).toMatchObject({ success: false, timedOut: true });
+      expect(result.duration).toBeLessThan(4000);
+      expect(isRunning(pid)).toBe(false);
+      fs.rmSync(path.dirname(pidFile), { recursive: true, force: true });
+    });
+
+  });
+
 });
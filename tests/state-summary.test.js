@@ -0,0 +1,108 @@
+/**
+ * Test suite for state summary (jetpack status)
+ */
+
+const stateSummary = require('../src/core/state-summary');
+
+describe('State Summary Tests', () => {
+
+  const baseState = () => ({
+    repoUrl: 'https://github.com/acme/app',
+    manifestHash: 'abc',
+    manifestSource: { source: 'local', filename: '.onboard.yaml' },
+    profile: 'backend',
+    timestamp: '2026-01-01T10:00:00.000Z',
+    installed: true,
+    manifest: { name: 'acme-app' },
+    steps: [
+      { id: 'environment', name: 'Environment Detection', status: 'completed', timestamp: '2026-01-01T10:00:01.000Z' },
+      {
+        id: 'config',
+        name: 'Generate Configurations',
+        status: 'completed',
+        result: { files: { env: { created: ['.env.template', '.env.example'] }, ssh: { created: [] }, git: {} } }
+      },
+      {
+        id: 'docs',
+        name: 'Create Documentation',
+        status: 'skipped',
+        result: { generated: true, files: ['docs/index.md'] }
+      }
+    ],
+    rollback: {
+      dependencies: {
+        npm: [{ name: 'eslint', installed: true }, { name: 'jest', installed: false }],
+        pip: [],
+        system: [{ name: 'git', installed: true }]
+      },
+      plugins: { 'seed-db': { plugin: 'seed.js', data: null } }
+    },
+    verificationHistory: [
+      { timestamp: '2026-01-01T11:00:00.000Z', success: false, summary: { total: 2, passed: 1 } },
+      { timestamp: '2026-01-01T12:00:00.000Z', success: true, summary: { total: 2, passed: 2 } }
+    ]
+  });
+
+  test('Summarize a completed run', () => {
+    const summary = stateSummary.summarize(baseState());
+
+    expect(summary.project).toMatchObject({ name: 'acme-app', source: 'local', filename: '.onboard.yaml', profile: 'backend' });
+    expect(summary.run.status).toBe('completed');
+    expect(summary.steps.map(s => s.status)).toEqual(['completed', 'completed', 'skipped']);
+    expect(summary.packages.installed).toEqual([
+      { type: 'system', name: 'git' },
+      { type: 'npm', name: 'eslint' }
+    ]);
+    expect(summary.packages.alreadyPresent).toEqual([{ type: 'npm', name: 'jest' }]);
+    expect(summary.files).toEqual(['.env.template', '.env.example', 'docs/index.md']);
+    expect(summary.plugins).toEqual(['seed-db']);
+    expect(summary.verification).toMatchObject({ success: true, runs: 2 });
+    expect(summary.rollback).toEqual({ available: true, reason: null });
+  });
+
+  test('Report failed run and unavailable rollback', () => {
+    const state = baseState();
+    state.installed = false;
+    state.error = { message: 'db:migrate failed', step: 'Run Setup Steps' };
+    state.steps.push({ id: 'setup', name: 'Run Setup Steps', status: 'failed', error: 'db:migrate failed' });
+
+    const summary = stateSummary.summarize(state);
+
+    expect(summary.run.status).toBe('failed');
+    expect(summary.run.error.step).toBe('Run Setup Steps');
+    expect(summary.steps[3].error).toBe('db:migrate failed');
+    expect(summary.rollback.available).toBe(false);
+    expect(summary.rollback.reason).toContain('not completed');
+  });
+
+  test('Handle legacy state without tracking data', () => {
+    const summary = stateSummary.summarize({ installed: true, timestamp: '2026-01-01T10:00:00.000Z' });
+
+    expect(summary.project.name).toBeNull();
+    expect(summary.steps).toEqual([]);
+    expect(summary.packages).toEqual({ installed: [], alreadyPresent: [] });
+    expect(summary.verification).toBeNull();
+    expect(summary.rollback.available).toBe(false);
+  });
+
+  test('Name the numeric step ids of legacy state', () => {
+    const names = ['Environment Detection', 'Parse Manifest', 'Install Dependencies', 'Execute Setup Steps',
+      'Generate Configurations', 'Create Documentation', 'Verify Setup'];
+    const summary = stateSummary.summarize({
+      installed: true,
+      timestamp: '2025-06-01T10:00:00.000Z',
+      steps: names.map((name, index) => ({
+        id: index + 1,
+        name,
+        status: 'completed',
+        result: index === 4 ? { files: { env: { created: ['.env.template'] } } } : {},
+        timestamp: '2025-06-01T10:00:00.000Z'
+      }))
+    });
+
+    expect(summary.steps.map(step => step.id)).toEqual(['environment', 'manifest', 'dependencies', 'setup', 'config', 'docs', 'verify']);
+    expect(summary.files).toEqual(['.env.template']);
+    expect(stateSummary.summarize({ steps: [{ id: 12, name: 'Custom' }] }).steps[0]).toMatchObject({ id: '12', status: 'unknown' });
+  });
+
+});
@@ -0,0 +1,116 @@
+/**
+ * Test suite for version constraints (semver and PEP 440)
+ */
+
+const versionConstraints = require('../src/core/version-constraints');
+const { parsePackageName, getInstallSpec } = require('../src/core/package-managers');
+const { validatePackageName, parseManifestFromString } = require('../src/detectors/manifest-parser');
+
+describe('Version Constraints Tests', () => {
+
+  test('Split package strings into name and constraint', () => {
+    expect(parsePackageName('eslint@^8')).toMatchObject({ name: 'eslint', version: '^8', operator: '^' });
+    expect(parsePackageName('@scope/tool@~1.2')).toMatchObject({ name: '@scope/tool', version: '~1.2', operator: '~' });
+    expect(parsePackageName('@scope/tool')).toMatchObject({ name: '@scope/tool', version: null, operator: null });
+    expect(parsePackageName('black>=23,<24')).toMatchObject({ name: 'black', version: '>=23,<24', operator: '>=' });
+    expect(parsePackageName('typescript@5.4.2')).toMatchObject({ name: 'typescript', version: '5.4.2', operator: null });
+  });
+
+  test('Match semver ranges', () => {
+    const cases = [
+      ['8.57.0', '^8', true],
+      ['3.9.5', '^8', false],
+      ['9.0.0', '^8', false],
+      ['0.2.5', '^0.2', true],
+      ['0.3.0', '^0.2', false],
+      ['1.2.9', '~1.2', true],
+      ['1.3.0', '~1.2', false],
+      ['20.11.0', '>=18 <21', true],
+      ['21.0.0', '>=18 <21', false],
+      ['2.5.0', '^1 || ^2', true],
+      ['3.1.5', '2.0.0 - 3.1', true],
+      ['1.5.0', '1.x', true],
+      ['8.0.0-beta.1', '>=8', false],
+      ['8.0.0-rc.1', '>=8.0.0-beta.2', true],
+      ['1.0.0-alpha.10', '>1.0.0-alpha.9', true],
+      ['20.11', '>=18 <21', true]
+    ];
+
+    cases.forEach(([version, constraint, expected]) => {
+      expect([version, constraint, versionConstraints.satisfies(version, constraint, 'semver')])
+        .toEqual([version, constraint, expected]);
+    });
+  });
+
+  test('Match PEP 440 specifiers', () => {
+    const cases = [
+      ['23.1.0', '>=23', true],
+      ['22.12.0', '>=23', false],
+      ['1.4.7', '~=1.4.5', true],
+      ['1.5.0', '~=1.4.5', false],
+      ['23.1.4', '==23.1.*', true],
+      ['23.2', '==23.1.*', false],
+      ['1.5', '>=1.0,<2.0', true],
+      ['2.0rc1', '<2.0', false],
+      ['2.0rc1', '<2.0rc2', true],
+      ['1.0.post1', '>1.0', false],
+      ['1.0.post2', '>1.0.post1', true],
+      ['2.0+cpu', '==2.0', true],
+      ['2.0', '!=2.0', false]
+    ];
+
+    cases.forEach(([version, constraint, expected]) => {
+      expect([version, constraint, versionConstraints.satisfies(version, constraint, 'pep440')])
+        .toEqual([version, constraint, expected]);
+    });
+  });
+
+  test('Plan upgrades and downgrades', () => {
+    expect(versionConstraints.getDirection('3.9.5', '^4', 'semver')).toBe('upgrade');
+    expect(versionConstraints.getDirection('9.1.0', '^8', 'semver')).toBe('downgrade');
+    expect(versionConstraints.getDirection('2.5.0', '^1 || ^3', 'semver')).toBe('upgrade');
+    expect(versionConstraints.getDirection('22.1', '>=23', 'pep440')).toBe('upgrade');
+    expect(versionConstraints.getDirection('3.0', '~=2.2', 'pep440')).toBe('downgrade');
+    expect(versionConstraints.coerceVersion('1:2.34.1-1ubuntu1')).toBe('2.34.1');
+  });
+
+  test('Reject malformed and unsafe constraints in manifests', () => {
+    expect(validatePackageName('eslint@^8', 'npm')).toBe(true);
+    expect(validatePackageName('black>=23,<24', 'python')).toBe(true);
+    expect(() => validatePackageName('black>=1.*', 'python'))
+      .toThrow('Invalid version constraint ">=1.*": ".*" is only allowed with == and != in "black>=1.*"');
+    expect(() => validatePackageName('black@23', 'python'))
+      .toThrow('must start with ~=, ==, !=, <=, >=, <, >');
+    expect(() => validatePackageName('eslint@^8;rm -rf ~', 'npm')).toThrow('Invalid version constraint');
+    expect(() => validatePackageName('eslint@>=8 <<9', 'npm')).toThrow('not a semver range');
+  });
+
+  test('Reject PEP 440 operators outside the supported subset', () => {
+    expect(() => versionConstraints.validateConstraint('===1.0', 'pep440')).toThrow('operator "===" is not supported');
+    expect(() => versionConstraints.validateConstraint('~1.4', 'pep440')).toThrow('operator "~" is not supported');
+    expect(() => versionConstraints.validateConstraint('=>1.0', 'pep440')).toThrow('operator "=>" is not supported');
+    expect(() => versionConstraints.validateConstraint('==1.0+cpu', 'pep440')).toThrow('local version labels');
+    expect(versionConstraints.validateConstraint('~=1.4,!=1.4.2', 'pep440')).toBe(true);
+  });
+
+  test('Pass npm dist-tags through without comparing versions', () => {
+    const manifest = parseManifestFromString([
+      'name: app',
+      'dependencies:',
+      '  npm: [eslint@latest, "@angular/cli@next", typescript@beta]',
+      'setup_steps:',
+      '  - name: Build',
+      '    command: npm run build'
+    ].join('\n'));
+
+    expect(manifest.dependencies.npm).toEqual(['eslint@latest', '@angular/cli@next', 'typescript@beta']);
+    expect(parsePackageName('@angular/cli@next')).toMatchObject({ name: '@angular/cli', version: 'next' });
+    expect(getInstallSpec({ name: '@angular/cli', constraint: 'next' }, 'npm')).toBe('"@angular/cli@next"');
+    expect(versionConstraints.isDistTag('latest')).toBe(true);
+    expect(versionConstraints.isDistTag('1.x')).toBe(false);
+    expect(versionConstraints.isDistTag('latest', 'pep440')).toBe(false);
+    expect(versionConstraints.satisfies('5.3.0', 'beta', 'semver')).toBe(true);
+    expect(() => validatePackageName('git@latest', 'system')).toThrow('Invalid version constraint');
+  });
+
+});